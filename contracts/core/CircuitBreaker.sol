@@ -0,0 +1,199 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "../interfaces/ICircuitBreaker.sol";
+
+/**
+ * @title CircuitBreaker
+ * @notice 依管轄區與 PBM tokenId 的緊急熔斷
+ * @dev 與 GL1PolicyWrapper.setComplianceEnabled（全面關閉合規檢查）相反，熔斷只停下指定的操作：
+ *      wrap、unwrap、轉帳、FX 支付、結算可分別暫停，範圍為整個管轄區或單一 PBM tokenId。
+ *      wrapper 在各入口呼叫 checkOperation，被暫停時以對應的錯誤 revert；
+ *      PBM 原生轉帳則由 checkTransferCompliance 回報未通過（ReasonCodes.CIRCUIT_BREAKER / TRANSFER_HALTED）。
+ *
+ *      自動熔斷：監理機關以 setAutoTrip 設定「某回報者的某類事件在時間窗口內達到門檻」時
+ *      暫停的管轄區與操作，回報者（REPORTER_ROLE，例如 AMLThresholdRule）以 recordIncident 回報。
+ *      時間窗口自窗口內第一筆事件起算（與 AMLThresholdRule 的累計窗口相同），熔斷後重新計數。
+ */
+contract CircuitBreaker is ICircuitBreaker, AccessControl {
+    bytes32 public constant REGULATOR_ROLE = keccak256("REGULATOR_ROLE");
+    bytes32 public constant REPORTER_ROLE = keccak256("REPORTER_ROLE");
+
+    // 自動熔斷設定與目前窗口的計數
+    struct AutoTrip {
+        bytes32 jurisdiction;   // 觸發時暫停的管轄區
+        uint8 operations;       // 觸發時暫停的操作（位元遮罩）
+        uint32 threshold;       // 窗口內事件數門檻（0 = 停用）
+        uint32 window;          // 時間窗口（秒）
+        uint64 windowStart;     // 目前窗口的開始時間
+        uint32 count;           // 目前窗口的事件數
+    }
+
+    // 管轄區 → 暫停中的操作（位元遮罩）
+    mapping(bytes32 => uint8) public jurisdictionHalts;
+
+    // PBM tokenId → 暫停中的操作（位元遮罩）
+    mapping(uint256 => uint8) public tokenHalts;
+
+    // autoTripKey(回報者, 事件類型) → 自動熔斷設定
+    mapping(bytes32 => AutoTrip) public autoTrips;
+
+    event JurisdictionHalted(bytes32 indexed jurisdiction, uint8 operations, address indexed by);
+    event JurisdictionResumed(bytes32 indexed jurisdiction, uint8 operations, address indexed by);
+    event TokenHalted(uint256 indexed tokenId, uint8 operations, address indexed by);
+    event TokenResumed(uint256 indexed tokenId, uint8 operations, address indexed by);
+    event AutoTripConfigured(
+        address indexed reporter,
+        bytes32 indexed incidentType,
+        bytes32 indexed jurisdiction,
+        uint8 operations,
+        uint32 threshold,
+        uint32 window
+    );
+    event IncidentRecorded(address indexed reporter, bytes32 indexed incidentType, uint32 count);
+    event AutoTripped(
+        address indexed reporter,
+        bytes32 indexed incidentType,
+        bytes32 indexed jurisdiction,
+        uint8 operations,
+        uint32 count
+    );
+
+    constructor() {
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(REGULATOR_ROLE, msg.sender);
+    }
+
+    // ============ 手動熔斷 ============
+
+    /**
+     * @notice 暫停管轄區的操作（與已暫停的操作合併）
+     */
+    function haltJurisdiction(bytes32 jurisdiction, uint8 operations) external onlyRole(REGULATOR_ROLE) {
+        _haltJurisdiction(jurisdiction, operations);
+    }
+
+    /**
+     * @notice 恢復管轄區的操作
+     */
+    function resumeJurisdiction(bytes32 jurisdiction, uint8 operations) external onlyRole(REGULATOR_ROLE) {
+        jurisdictionHalts[jurisdiction] &= ~operations;
+        emit JurisdictionResumed(jurisdiction, operations, msg.sender);
+    }
+
+    /**
+     * @notice 暫停單一 PBM tokenId 的操作（與已暫停的操作合併）
+     */
+    function haltToken(uint256 tokenId, uint8 operations) external onlyRole(REGULATOR_ROLE) {
+        require(operations != 0, "No operations");
+        tokenHalts[tokenId] |= operations;
+        emit TokenHalted(tokenId, operations, msg.sender);
+    }
+
+    /**
+     * @notice 恢復單一 PBM tokenId 的操作
+     */
+    function resumeToken(uint256 tokenId, uint8 operations) external onlyRole(REGULATOR_ROLE) {
+        tokenHalts[tokenId] &= ~operations;
+        emit TokenResumed(tokenId, operations, msg.sender);
+    }
+
+    // ============ 自動熔斷 ============
+
+    /**
+     * @notice 設定自動熔斷：reporter 回報的 incidentType 在 window 秒內達 threshold 筆時，
+     *         暫停 jurisdiction 的 operations
+     * @dev threshold = 0 停用；重新設定會清除目前窗口的計數
+     */
+    function setAutoTrip(
+        address reporter,
+        bytes32 incidentType,
+        bytes32 jurisdiction,
+        uint8 operations,
+        uint32 threshold,
+        uint32 window
+    ) external onlyRole(REGULATOR_ROLE) {
+        require(threshold == 0 || (operations != 0 && window > 0), "Invalid auto trip");
+        autoTrips[autoTripKey(reporter, incidentType)] = AutoTrip({
+            jurisdiction: jurisdiction,
+            operations: operations,
+            threshold: threshold,
+            window: window,
+            windowStart: 0,
+            count: 0
+        });
+        emit AutoTripConfigured(reporter, incidentType, jurisdiction, operations, threshold, window);
+    }
+
+    /**
+     * @notice 回報事件；未設定自動熔斷時僅記錄事件
+     */
+    function recordIncident(bytes32 incidentType) external override onlyRole(REPORTER_ROLE) {
+        AutoTrip storage trip = autoTrips[autoTripKey(msg.sender, incidentType)];
+        if (trip.threshold == 0) {
+            emit IncidentRecorded(msg.sender, incidentType, 0);
+            return;
+        }
+
+        // 窗口已過期，從本筆重新計數
+        if (block.timestamp >= uint256(trip.windowStart) + trip.window) {
+            trip.windowStart = uint64(block.timestamp);
+            trip.count = 0;
+        }
+        uint32 count = ++trip.count;
+        emit IncidentRecorded(msg.sender, incidentType, count);
+
+        if (count >= trip.threshold) {
+            trip.count = 0;
+            trip.windowStart = uint64(block.timestamp);
+            _haltJurisdiction(trip.jurisdiction, trip.operations);
+            emit AutoTripped(msg.sender, incidentType, trip.jurisdiction, trip.operations, count);
+        }
+    }
+
+    /**
+     * @notice 自動熔斷設定的鍵
+     */
+    function autoTripKey(address reporter, bytes32 incidentType) public pure returns (bytes32) {
+        return keccak256(abi.encode(reporter, incidentType));
+    }
+
+    // ============ 查詢 ============
+
+    /**
+     * @notice 操作是否在該管轄區或該 tokenId 被暫停
+     */
+    function isHalted(
+        Operation operation,
+        bytes32 jurisdiction,
+        uint256 tokenId
+    ) public view override returns (bool) {
+        uint8 bit = uint8(1 << uint8(operation));
+        return (jurisdictionHalts[jurisdiction] | tokenHalts[tokenId]) & bit != 0;
+    }
+
+    /**
+     * @notice 操作被暫停時以對應的錯誤 revert
+     */
+    function checkOperation(
+        Operation operation,
+        bytes32 jurisdiction,
+        uint256 tokenId
+    ) external view override {
+        if (!isHalted(operation, jurisdiction, tokenId)) {
+            return;
+        }
+        if (operation == Operation.WRAP) revert WrapHalted(jurisdiction, tokenId);
+        if (operation == Operation.UNWRAP) revert UnwrapHalted(jurisdiction, tokenId);
+        if (operation == Operation.TRANSFER) revert TransferHalted(jurisdiction, tokenId);
+        if (operation == Operation.FX_PAYMENT) revert FXPaymentHalted(jurisdiction, tokenId);
+        revert SettlementHalted(jurisdiction, tokenId);
+    }
+
+    function _haltJurisdiction(bytes32 jurisdiction, uint8 operations) internal {
+        require(operations != 0, "No operations");
+        jurisdictionHalts[jurisdiction] |= operations;
+        emit JurisdictionHalted(jurisdiction, operations, msg.sender);
+    }
+}
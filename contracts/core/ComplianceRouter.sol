@@ -0,0 +1,135 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "../interfaces/IComplianceRouter.sol";
+import "../interfaces/IPolicyManager.sol";
+
+/**
+ * @title ComplianceRouter
+ * @notice 依 PBM tokenId 或管轄區決定 ProofSet 轉帳須在鏈上執行的規則
+ * @dev 鏈上規則鏈的延遲隨規則數線性成長，ProofSet 路徑則近乎固定（見 latency benchmark M2–M6）。
+ *      HYBRID 路徑只把必須即時、可稽核的規則（例如白名單、額度）留在鏈上，其餘交給 ProofSet，
+ *      兩者之間取捨。規則集須已在 GL1PolicyManager 註冊為鏈上規則，由 Policy Manager 的 evaluateRules
+ *      執行（與規則引擎相同：v2 規則收到完整上下文、v1 規則只收到 from / to / amount），停用中的規則略過。
+ *
+ *      規則記帳：ProofSet 轉帳完成時不論路徑，PBMToken 都回呼 wrapper.afterTransferCompliance，
+ *      讓額度、AML 累計等鏈上狀態涵蓋兩條路徑（wrapper 須持有 TRANSFER_REPORTER_ROLE）。
+ */
+contract ComplianceRouter is IComplianceRouter, AccessControl {
+    bytes32 public constant ROUTE_ADMIN_ROLE = keccak256("ROUTE_ADMIN_ROLE");
+
+    struct RoutePolicy {
+        Route route;
+        bytes32[] onChainRules;   // HYBRID 須在鏈上執行的規則集
+    }
+
+    IPolicyManager public immutable policyManager;
+
+    // PBM tokenId → 路徑
+    mapping(uint256 => RoutePolicy) private tokenRoutes;
+
+    // 管轄區 → 路徑
+    mapping(bytes32 => RoutePolicy) private jurisdictionRoutes;
+
+    event TokenRouteSet(uint256 indexed tokenId, Route route, bytes32[] onChainRules);
+    event JurisdictionRouteSet(bytes32 indexed jurisdiction, Route route, bytes32[] onChainRules);
+
+    constructor(address _policyManager) {
+        require(_policyManager != address(0), "Invalid policy manager");
+        policyManager = IPolicyManager(_policyManager);
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(ROUTE_ADMIN_ROLE, msg.sender);
+    }
+
+    // ============ 路徑設定 ============
+
+    /**
+     * @notice 設定 PBM tokenId 的路徑（UNSET 清除，改沿用管轄區的設定）
+     */
+    function setTokenRoute(
+        uint256 tokenId,
+        Route route,
+        bytes32[] calldata onChainRules
+    ) external onlyRole(ROUTE_ADMIN_ROLE) {
+        _requireRoute(route, onChainRules);
+        tokenRoutes[tokenId] = RoutePolicy(route, onChainRules);
+        emit TokenRouteSet(tokenId, route, onChainRules);
+    }
+
+    /**
+     * @notice 設定管轄區的路徑（UNSET 清除，改為預設的 PROOF）
+     */
+    function setJurisdictionRoute(
+        bytes32 jurisdiction,
+        Route route,
+        bytes32[] calldata onChainRules
+    ) external onlyRole(ROUTE_ADMIN_ROLE) {
+        _requireRoute(route, onChainRules);
+        jurisdictionRoutes[jurisdiction] = RoutePolicy(route, onChainRules);
+        emit JurisdictionRouteSet(jurisdiction, route, onChainRules);
+    }
+
+    /**
+     * @notice 只有 HYBRID 帶鏈上規則，且規則集須已註冊為鏈上規則
+     */
+    function _requireRoute(Route route, bytes32[] calldata onChainRules) internal view {
+        if (route != Route.HYBRID) {
+            require(onChainRules.length == 0, "On-chain rules require HYBRID");
+            return;
+        }
+        require(onChainRules.length > 0, "HYBRID requires on-chain rules");
+        for (uint256 i = 0; i < onChainRules.length; i++) {
+            (bool registered, bool isOnChain) = policyManager.ruleSetMode(onChainRules[i]);
+            require(registered, "Rule set not found");
+            require(isOnChain, "Rule set not on-chain");
+        }
+    }
+
+    // ============ 查詢與檢查 ============
+
+    /**
+     * @notice 轉帳適用的路徑：tokenId 的設定優先，其次為管轄區，皆未設定時為 PROOF
+     */
+    function resolveRoute(
+        bytes32 jurisdiction,
+        uint256 tokenId
+    ) public view override returns (Route route, bytes32[] memory onChainRules) {
+        RoutePolicy storage policy = tokenRoutes[tokenId];
+        if (policy.route == Route.UNSET) {
+            policy = jurisdictionRoutes[jurisdiction];
+        }
+        if (policy.route == Route.UNSET) {
+            return (Route.PROOF, onChainRules);
+        }
+        return (policy.route, policy.onChainRules);
+    }
+
+    /**
+     * @notice 檢查 ProofSet 轉帳
+     * @dev 規則收到的上下文與 Policy Manager 相同：fromJurisdiction / toJurisdiction 依身份核准填入；
+     *      未通過時回報第一條未通過的規則與其原因碼
+     */
+    function checkProofPath(
+        IComplianceRuleV2.TransferContext calldata context
+    ) external view override {
+        (Route route, bytes32[] memory onChainRules) = resolveRoute(context.jurisdiction, context.tokenId);
+        if (route == Route.ON_CHAIN) {
+            revert ProofPathDisabled(context.jurisdiction, context.tokenId);
+        }
+        if (route != Route.HYBRID) {
+            return;
+        }
+
+        (bool passed, , , IPolicyManager.RuleVerdict[] memory verdicts) =
+            policyManager.evaluateRules(onChainRules, context);
+        if (passed) {
+            return;
+        }
+        for (uint256 i = 0; i < verdicts.length; i++) {
+            if (!verdicts[i].passed) {
+                revert OnChainRuleFailed(verdicts[i].ruleSetId, verdicts[i].reasonCode, verdicts[i].reason);
+            }
+        }
+    }
+}
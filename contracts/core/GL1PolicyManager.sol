@@ -3,9 +3,13 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "../interfaces/IPolicyManager.sol";
+import "../interfaces/IOffChainVerdictReceiver.sol";
 import "../interfaces/ICCIDProvider.sol";
 import "../interfaces/IChainlinkACE.sol";
 import "../interfaces/IComplianceRule.sol";
+import "../libraries/ReasonCodes.sol";
+import "../libraries/PolicyRules.sol";
+import "../libraries/OffChainVerdicts.sol";
 
 /**
  * @title GL1PolicyManager
@@ -29,6 +33,13 @@ contract GL1PolicyManager is IPolicyManager, AccessControl {
     mapping(PartyRole => bytes32[]) public partyRolesToRules;
     bytes32 public constant RULE_ADMIN_ROLE = keccak256("RULE_ADMIN_ROLE");
     bytes32 public constant JURISDICTION_ADMIN_ROLE = keccak256("JURISDICTION_ADMIN_ROLE");
+    // 可建立鏈下規則請求的合約（wrapper）
+    bytes32 public constant OFFCHAIN_REQUESTER_ROLE = keccak256("OFFCHAIN_REQUESTER_ROLE");
+    // 可回報轉帳完成、觸發規則記帳的合約（wrapper）
+    bytes32 public constant TRANSFER_REPORTER_ROLE = keccak256("TRANSFER_REPORTER_ROLE");
+    
+    // EIP-712 鏈下裁決型別雜湊，由規則的 executorAddress 簽署
+    bytes32 public constant OFFCHAIN_VERDICT_TYPEHASH = OffChainVerdicts.OFFCHAIN_VERDICT_TYPEHASH;
 
     // Chainlink ACE 整合
     address public chainlinkACE;
@@ -39,31 +50,163 @@ contract GL1PolicyManager is IPolicyManager, AccessControl {
     // 鏈下合規規則引擎 (通過 Chainlink Functions 調用)
     address public offChainRuleEngine;
     
-    // 規則集定義
-    struct RuleSet {
-        bytes32 ruleSetId;
-        string ruleType;          // "KYC", "AML", "SANCTIONS", "POSITION_LIMIT"
-        bool isOnChain;           // true = 鏈上執行, false = 鏈下執行
-        address executorAddress;  // 執行器合約地址或 oracle
-        uint256 priority;         // 執行優先級
-        bool isActive;            // 是否啟用
-    }
+    // 規則配置的 PolicyTimelock；設定後 RULE_ADMIN_ROLE 與 JURISDICTION_ADMIN_ROLE 只有它能持有與使用
+    address public policyTimelock;
     
-    mapping(bytes32 => RuleSet) public ruleSets;
+    // 規則集定義（欄位見 PolicyRules.RuleSet；註冊與規則清單設定由 PolicyRules 執行）
+    mapping(bytes32 => PolicyRules.RuleSet) public ruleSets;
+    
+    // 依註冊順序排列的規則集（appliedRules 點陣圖的位元 i 對應 activeRuleSets[i]）
     bytes32[] public activeRuleSets;
     
+    // 規則集數量上限（appliedRules 點陣圖為 uint256）
+    uint256 public constant MAX_RULE_SETS = PolicyRules.MAX_RULE_SETS;
+    
     // 管轄區 → 適用規則集映射
     mapping(bytes32 => bytes32[]) public jurisdictionRules;
     
     // 管轄區是否啟用
     mapping(bytes32 => bool) public jurisdictionEnabled;
     
+    // ============ 規則群組（AND / OR / NOT 組合） ============
+    
+    // 群組 ID → 群組（運算子與結構見 PolicyRules.RuleGroup）
+    mapping(bytes32 => PolicyRules.RuleGroup) private ruleGroups;
+    
+    // 管轄區 → 根群組（設定後取代 jurisdictionRules 的平面清單）
+    mapping(bytes32 => bytes32) public jurisdictionRuleGroup;
+    
+    // ============ PBM 方案規則（tokenId / program / 底層資產） ============
+    
+    // 規則範圍，依此順序取第一個有設定的範圍；都沒有設定時退回管轄區規則
+    enum RuleScope {
+        TOKEN,          // 單一 PBM tokenId
+        PROGRAM,        // program（一組 tokenId，例如某期政府消費券）
+        ASSET,          // 同一底層資產的所有 PBM
+        JURISDICTION    // 管轄區（jurisdictionRules / jurisdictionRuleGroup）
+    }
+    
+    // 範圍鍵（ruleScopeKey）→ 規則清單 / 根群組；根群組優先於清單
+    mapping(bytes32 => bytes32[]) private scopedRules;
+    mapping(bytes32 => bytes32) private scopedRuleGroup;
+    
+    // PBM tokenId → program ID
+    mapping(uint256 => bytes32) public tokenProgram;
+    
+    // ============ 跨法域轉帳（發送方 / 接收方法域） ============
+    
+    // 跨法域轉帳中的角色：發送方法域適用出境規則，接收方法域適用入境規則；
+    // 雙方都不在呼叫端（wrapper）所屬管轄區時，該管轄區仍以 HOME 角色評估
+    enum RegimeRole {
+        SENDER,
+        RECEIVER,
+        HOME
+    }
+    
+    // 帳戶未獲 wrapper 所屬管轄區核准時，依序在這些管轄區尋找核准（CCIDRegistry.jurisdictionApproval）
+    bytes32[] public recognizedJurisdictions;
+    
+    // 管轄區 → 角色 → 跨法域轉帳的規則清單（未設定時沿用該管轄區的一般規則）
+    mapping(bytes32 => mapping(RegimeRole => bytes32[])) private crossBorderRules;
+    
+    // 群組巢狀深度上限（限制遞迴 gas）
+    uint256 public constant MAX_GROUP_DEPTH = PolicyRules.MAX_GROUP_DEPTH;
+    
+    // 節點評估結果；停用的規則集為 SKIPPED，不影響所在群組
+    enum NodeOutcome {
+        SKIPPED,
+        PASSED,
+        FAILED
+    }
+    
+    // 群組節點的評估結果（遞迴評估，以 memory struct 回傳）
+    struct NodeResult {
+        NodeOutcome outcome;
+        string reason;
+        uint256 decidedBy;        // 決定結果的規則（appliedRules 點陣圖）
+        bytes32 failedRule;       // 與 reason 對應、使節點失敗的規則集
+        RuleVerdict[] verdicts;
+    }
+    
+    // 同步路徑遇到鏈下規則時的失敗原因
+    string private constant OFFCHAIN_VERDICT_REQUIRED = "Off-chain verdict required";
+    
+    // ============ 鏈下規則非同步請求 ============
+    
+    enum OffChainRequestStatus {
+        NONE,
+        PENDING,    // 等待鏈下裁決
+        APPROVED,   // 所有鏈下規則通過
+        REJECTED,   // 任一鏈下規則拒絕
+        EXPIRED     // 逾時未完成裁決
+    }
+    
+    struct OffChainRequest {
+        address requester;        // 接收裁決回呼的合約
+        address from;
+        address to;
+        uint256 tokenId;
+        address asset;            // PBM 底層資產（裁決通過後依相同的規則範圍記帳）
+        uint256 amount;
+        bytes32 jurisdiction;
+        uint256 deadline;         // 逾時時間（之後僅能 expire）
+        uint256 remaining;        // 尚未回覆的鏈下規則數
+        OffChainRequestStatus status;
+    }
+    
+    mapping(bytes32 => OffChainRequest) public offChainRequests;
+    
+    // requestId → ruleSetId → 是否等待該規則的裁決
+    mapping(bytes32 => mapping(bytes32 => bool)) public awaitingVerdict;
+    
+    // 請求逾時（秒）
+    uint256 public offChainTimeout = 1 hours;
+    
+    uint256 private offChainRequestNonce;
+    
+    // keccak256(文字原因) → 數字原因碼（見 ReasonCodes）
+    mapping(bytes32 => uint16) private reasonCodes;
+    
     event RuleSetRegistered(bytes32 indexed ruleSetId, string ruleType, bool isOnChain);
     event RuleSetUpdated(bytes32 indexed ruleSetId, bool isActive);
     event IdentityVerificationRequested(address indexed account, bytes32 jurisdiction);
     event ComplianceRuleExecuted(bytes32 indexed ruleSetId, bool passed, string reason);
     event JurisdictionConfigured(bytes32 indexed jurisdictionCode, uint256 ruleCount);
     event ProviderUpdated(string providerType, address newAddress);
+    event OffChainRuleRequested(
+        bytes32 indexed requestId,
+        bytes32 indexed ruleSetId,
+        address indexed executor,
+        address from,
+        address to,
+        uint256 tokenId,
+        uint256 amount,
+        bytes32 jurisdiction,
+        uint256 deadline
+    );
+    event OffChainVerdictReceived(bytes32 indexed requestId, bytes32 indexed ruleSetId, bool passed, string reason);
+    event OffChainRequestSettled(bytes32 indexed requestId, OffChainRequestStatus status, string reason);
+    event OffChainTimeoutUpdated(uint256 timeout);
+    event RuleGroupDefined(bytes32 indexed groupId, PolicyRules.GroupOperator operator, bytes32[] children);
+    event JurisdictionRuleGroupSet(bytes32 indexed jurisdictionCode, bytes32 indexed groupId);
+    event ScopedRulesConfigured(RuleScope indexed scope, bytes32 indexed key, uint256 ruleCount);
+    event ScopedRuleGroupSet(RuleScope indexed scope, bytes32 indexed key, bytes32 indexed groupId);
+    event TokenProgramSet(uint256 indexed tokenId, bytes32 indexed programId);
+    event RecognizedJurisdictionsUpdated(bytes32[] jurisdictions);
+    event CrossBorderRulesConfigured(bytes32 indexed jurisdictionCode, RegimeRole indexed role, uint256 ruleCount);
+    event TransferBlocked(address indexed from, address indexed to, bytes32 indexed jurisdiction, string reason);
+    event ComplianceDecision(
+        address indexed from,
+        address indexed to,
+        uint256 indexed tokenId,
+        bool passed,
+        bytes32 blockedBy,
+        uint256 appliedRules,
+        bytes32 blockingRuleSetId,
+        uint16 reasonCode
+    );
+    event ReasonCodeSet(string reason, uint16 code);
+    event PolicyTimelockSet(address indexed timelock);
     
     constructor(
         address _chainlinkACE,
@@ -77,11 +220,33 @@ contract GL1PolicyManager is IPolicyManager, AccessControl {
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
         _grantRole(RULE_ADMIN_ROLE, msg.sender);
         _grantRole(JURISDICTION_ADMIN_ROLE, msg.sender);
+        
+        // 內建規則與本合約的原因
+        _setReasonCode("Jurisdiction not enabled", ReasonCodes.JURISDICTION_NOT_ENABLED);
+        _setReasonCode("Sender identity verification failed", ReasonCodes.SENDER_IDENTITY_FAILED);
+        _setReasonCode("Recipient identity verification failed", ReasonCodes.RECIPIENT_IDENTITY_FAILED);
+        _setReasonCode("Address on sanctions list", ReasonCodes.SANCTIONED_ADDRESS);
+        _setReasonCode("Rule execution failed", ReasonCodes.RULE_EXECUTION_FAILED);
+        _setReasonCode(OFFCHAIN_VERDICT_REQUIRED, ReasonCodes.OFFCHAIN_VERDICT_REQUIRED);
+        _setReasonCode("Negated rule group passed", ReasonCodes.NEGATED_GROUP_PASSED);
+        _setReasonCode("Off-chain verdict timeout", ReasonCodes.OFFCHAIN_VERDICT_TIMEOUT);
+        _setReasonCode("Recipient not in whitelist", ReasonCodes.RECIPIENT_NOT_WHITELISTED);
+        _setReasonCode("Merchant is deactivated", ReasonCodes.MERCHANT_DEACTIVATED);
+        _setReasonCode("FX_LIMIT_EXCEEDED", ReasonCodes.FX_LIMIT_EXCEEDED);
+        _setReasonCode("AML_REVIEW_REQUIRED", ReasonCodes.AML_REVIEW_REQUIRED);
+        _setReasonCode("Collateral asset not allowed", ReasonCodes.COLLATERAL_NOT_ALLOWED);
+        _setReasonCode("Collateral price not set", ReasonCodes.COLLATERAL_PRICE_NOT_SET);
+        _setReasonCode("Insufficient collateral value", ReasonCodes.INSUFFICIENT_COLLATERAL);
+        _setReasonCode("Loan obligation not set", ReasonCodes.LOAN_OBLIGATION_NOT_SET);
+        _setReasonCode("Cash asset not allowed", ReasonCodes.CASH_ASSET_NOT_ALLOWED);
+        _setReasonCode("Insufficient cash balance", ReasonCodes.INSUFFICIENT_CASH);
+        _setReasonCode("Cash obligation not set", ReasonCodes.CASH_OBLIGATION_NOT_SET);
+        _setReasonCode("Transfers halted", ReasonCodes.TRANSFER_HALTED);
     }
     
     /**
      * @notice 驗證跨鏈身份 (CCID)
-     * @dev 根據 GL1 CCID 標準驗證參與者身份
+     * @dev 根據 GL1 CCID 標準驗證參與者身份；未通過時發出 TransferBlocked，記錄擋下轉帳的法域
      */
     function verifyIdentity(
         address from,
@@ -89,39 +254,107 @@ contract GL1PolicyManager is IPolicyManager, AccessControl {
         bytes32 jurisdictionCode
     ) external override returns (bool isValid, string memory errorReason) {
         emit IdentityVerificationRequested(from, jurisdictionCode);
+        bytes32 blockedBy;
+        (isValid, errorReason, blockedBy) = _checkIdentity(from, to, jurisdictionCode);
+        if (!isValid) {
+            emit TransferBlocked(from, to, blockedBy, errorReason);
+        }
+    }
+    
+    /**
+     * @notice 身份驗證（唯讀，不發事件）
+     */
+    function checkIdentity(
+        address from,
+        address to,
+        bytes32 jurisdictionCode
+    ) public view override returns (bool isValid, string memory errorReason) {
+        (isValid, errorReason, ) = _checkIdentity(from, to, jurisdictionCode);
+    }
+    
+    /**
+     * @notice 身份驗證：發送方與接收方各自在所屬管轄區須獲核准
+     * @dev 雙方的管轄區由 resolveTransferJurisdictions 決定；
+     *      blockedBy 為未通過的法域（制裁名單未通過時為發送方法域）
+     */
+    function _checkIdentity(
+        address from,
+        address to,
+        bytes32 jurisdictionCode
+    ) internal view returns (bool isValid, string memory errorReason, bytes32 blockedBy) {
+        (bytes32 fromJurisdiction, bytes32 toJurisdiction) =
+            resolveTransferJurisdictions(from, to, jurisdictionCode);
         
         // 檢查管轄區是否啟用
-        if (!jurisdictionEnabled[jurisdictionCode]) {
-            return (false, "Jurisdiction not enabled");
+        if (!jurisdictionEnabled[fromJurisdiction]) {
+            return (false, "Jurisdiction not enabled", fromJurisdiction);
+        }
+        if (!jurisdictionEnabled[toJurisdiction]) {
+            return (false, "Jurisdiction not enabled", toJurisdiction);
         }
         
         // 調用 CCID Provider (敏感資料存鏈下，鏈上僅驗證證明)
         ICCIDProvider provider = ICCIDProvider(ccidProvider);
         
         // 驗證發送方
-        bool fromValid = provider.verifyCredential(from, jurisdictionCode);
+        bool fromValid = provider.verifyCredential(from, fromJurisdiction);
         if (!fromValid) {
-            return (false, "Sender identity verification failed");
+            return (false, "Sender identity verification failed", fromJurisdiction);
         }
         
         // 驗證接收方
-        bool toValid = provider.verifyCredential(to, jurisdictionCode);
+        bool toValid = provider.verifyCredential(to, toJurisdiction);
         if (!toValid) {
-            return (false, "Recipient identity verification failed");
+            return (false, "Recipient identity verification failed", toJurisdiction);
         }
         
         // 檢查制裁名單（透過 Chainlink ACE）
         bool notSanctioned = IChainlinkACE(chainlinkACE).checkSanctionsList(from, to);
         if (!notSanctioned) {
-            return (false, "Address on sanctions list");
+            return (false, "Address on sanctions list", fromJurisdiction);
         }
         
-        return (true, "");
+        return (true, "", bytes32(0));
     }
     
     /**
-     * @notice 執行合規規則引擎
-     * @dev 混合鏈上/鏈下執行模式
+     * @notice 帳戶所屬的管轄區
+     * @dev 已獲 homeJurisdiction 核准時即為 homeJurisdiction；否則依序取 recognizedJurisdictions 中
+     *      第一個已啟用且已核准的管轄區；都沒有時回傳 homeJurisdiction（身份驗證將不通過）
+     * @param account 帳戶
+     * @param homeJurisdiction 呼叫端（wrapper）所屬的管轄區
+     */
+    function resolvePartyJurisdiction(
+        address account,
+        bytes32 homeJurisdiction
+    ) public view returns (bytes32) {
+        ICCIDProvider provider = ICCIDProvider(ccidProvider);
+        if (provider.jurisdictionApproval(account, homeJurisdiction)) {
+            return homeJurisdiction;
+        }
+        for (uint256 i = 0; i < recognizedJurisdictions.length; i++) {
+            bytes32 candidate = recognizedJurisdictions[i];
+            if (jurisdictionEnabled[candidate] && provider.jurisdictionApproval(account, candidate)) {
+                return candidate;
+            }
+        }
+        return homeJurisdiction;
+    }
+    
+    /**
+     * @notice 發送方與接收方的管轄區（兩者不同即為跨法域轉帳）
+     */
+    function resolveTransferJurisdictions(
+        address from,
+        address to,
+        bytes32 homeJurisdiction
+    ) public view returns (bytes32 fromJurisdiction, bytes32 toJurisdiction) {
+        fromJurisdiction = resolvePartyJurisdiction(from, homeJurisdiction);
+        toJurisdiction = resolvePartyJurisdiction(to, homeJurisdiction);
+    }
+    
+    /**
+     * @notice 執行合規規則引擎（v1 參數，上下文只含 from / to / amount / 管轄區）
      */
     function executeComplianceRules(
         address from,
@@ -131,72 +364,468 @@ contract GL1PolicyManager is IPolicyManager, AccessControl {
     ) external override returns (
         bool isCompliant,
         string memory failureReason,
-        string[] memory appliedRules
+        uint256 appliedRules
+    ) {
+        (isCompliant, failureReason, appliedRules, , ) =
+            _executeTransferRules(_legacyContext(from, to, amount, jurisdictionCode));
+    }
+    
+    /**
+     * @notice 以完整轉帳上下文執行合規規則引擎
+     * @dev 轉帳實際執行前呼叫：與 evaluateTransferRules 相同地檢查，但不組裝每條規則的裁決；
+     *      決策紀錄（ComplianceDecision）只記 appliedRules、擋下的規則集與原因碼，
+     *      每條規則的裁決以 evaluateTransferRules / previewTransfer 重現。
+     *      規則的記帳在轉帳完成後由 afterTransfer 觸發。
+     *      未通過時發出 TransferBlocked（擋下的法域）。
+     *      appliedRules 為點陣圖（位元 = 規則集的註冊順序，appliedRuleTypes 轉為名稱）；
+     *      管轄區設定根群組時改依群組樹評估，只標記決定結果的分支
+     */
+    function executeTransferRules(
+        IComplianceRuleV2.TransferContext calldata context
+    ) external override returns (
+        bool isCompliant,
+        string memory failureReason,
+        uint256 appliedRules,
+        bytes32 blockingRuleSetId,
+        uint16 reasonCode
+    ) {
+        return _executeTransferRules(context);
+    }
+    
+    function _executeTransferRules(
+        IComplianceRuleV2.TransferContext memory context
+    ) internal returns (
+        bool isCompliant,
+        string memory failureReason,
+        uint256 appliedRules,
+        bytes32 blockingRuleSetId,
+        uint16 reasonCode
+    ) {
+        bytes32 blockedBy;
+        (isCompliant, failureReason, appliedRules, blockingRuleSetId, blockedBy, ) = _evaluateTransfer(context, false);
+        
+        if (!isCompliant) {
+            reasonCode = reasonCodeOf(failureReason);
+            emit TransferBlocked(context.from, context.to, blockedBy, failureReason);
+        }
+        emit ComplianceDecision(
+            context.from, context.to, context.tokenId, isCompliant, blockedBy, appliedRules, blockingRuleSetId, reasonCode
+        );
+    }
+    
+    /**
+     * @notice 轉帳完成後回呼規則記帳
+     * @dev 僅限 TRANSFER_REPORTER_ROLE（wrapper 在 PBM 轉帳完成後呼叫，批次轉帳每個 tokenId 各一次）。
+     *      對管轄區適用的所有啟用中、實作 IComplianceRuleHook 的規則呼叫 afterTransfer；
+     *      群組樹不論哪個分支決定結果，樹內每條規則都記帳一次
+     */
+    function afterTransfer(
+        IComplianceRuleV2.TransferContext calldata context
+    ) external override onlyRole(TRANSFER_REPORTER_ROLE) {
+        _runAfterTransferHooks(context);
+    }
+    
+    /**
+     * @notice 評估合規規則（唯讀，v1 參數）
+     */
+    function evaluateComplianceRules(
+        address from,
+        address to,
+        uint256 amount,
+        bytes32 jurisdictionCode
+    ) external view override returns (
+        bool isCompliant,
+        string memory failureReason,
+        uint256 appliedRules,
+        RuleVerdict[] memory verdicts
+    ) {
+        return evaluateTransferRules(_legacyContext(from, to, amount, jurisdictionCode));
+    }
+    
+    /**
+     * @notice 以完整轉帳上下文評估合規規則（唯讀，供預覽與 ERC-7943 canTransfer 使用）
+     * @dev 適用的規則依 tokenId → program → 底層資產 → 管轄區的順序取第一個有設定的範圍
+     *      （見 resolveRuleScope）。平面清單會評估所有啟用中的規則；群組樹依 AND / OR 短路，
+     *      verdicts 只含實際評估的規則。
+     *      跨法域轉帳（雙方所屬管轄區不同）依序評估發送方法域與接收方法域的規則，雙方都不在
+     *      呼叫端所屬管轄區時再評估該管轄區（HOME），全部須通過；
+     *      appliedRules 取聯集、verdicts 依序串接，verdict.jurisdiction 標示評估的法域
+     * @return isCompliant 是否合規
+     * @return failureReason 失敗原因
+     * @return appliedRules 已套用規則的點陣圖（群組樹為決定結果的分支；沒有規則時為 0）
+     * @return verdicts 每條規則的裁決
+     */
+    function evaluateTransferRules(
+        IComplianceRuleV2.TransferContext memory context
+    ) public view override returns (
+        bool isCompliant,
+        string memory failureReason,
+        uint256 appliedRules,
+        RuleVerdict[] memory verdicts
+    ) {
+        (isCompliant, failureReason, appliedRules, , , verdicts) = _evaluateTransfer(context, true);
+    }
+    
+    /**
+     * @notice 評估指定的規則清單（唯讀，見 IPolicyManager.evaluateRules）
+     */
+    function evaluateRules(
+        bytes32[] calldata ruleSetIds,
+        IComplianceRuleV2.TransferContext calldata context
+    ) external view override returns (
+        bool isCompliant,
+        string memory failureReason,
+        uint256 appliedRules,
+        RuleVerdict[] memory verdicts
     ) {
-        bytes32[] memory rules = jurisdictionRules[jurisdictionCode];
+        IComplianceRuleV2.TransferContext memory ruleContext = context;
+        (ruleContext.fromJurisdiction, ruleContext.toJurisdiction) =
+            resolveTransferJurisdictions(context.from, context.to, context.jurisdiction);
+        (isCompliant, failureReason, appliedRules, , verdicts) = _evaluateRuleList(ruleSetIds, ruleContext, true);
+    }
+    
+    /**
+     * @notice 規則集是否已註冊、是否為鏈上規則
+     */
+    function ruleSetMode(bytes32 ruleSetId) external view override returns (bool registered, bool isOnChain) {
+        PolicyRules.RuleSet storage rule = ruleSets[ruleSetId];
+        return (rule.executorAddress != address(0), rule.isOnChain);
+    }
+    
+    /**
+     * @notice 轉帳須評估的法域，依 RegimeRole 排列（不需評估的位置為 0）
+     * @dev 發送方法域；與發送方不同時的接收方法域；不是任一方法域時的呼叫端所屬管轄區
+     *      （context.jurisdiction），雙方都是外國帳戶時本地規則仍然適用。
+     *      同時填入 context.fromJurisdiction / toJurisdiction
+     */
+    function _transferRegimes(
+        IComplianceRuleV2.TransferContext memory context
+    ) internal view returns (bytes32[3] memory regimes) {
+        bytes32 home = context.jurisdiction;
+        (context.fromJurisdiction, context.toJurisdiction) =
+            resolveTransferJurisdictions(context.from, context.to, home);
         
-        if (rules.length == 0) {
-            // 沒有配置規則，預設通過
-            appliedRules = new string[](1);
-            appliedRules[0] = "NO_RULES";
-            return (true, "", appliedRules);
+        regimes[uint256(RegimeRole.SENDER)] = context.fromJurisdiction;
+        if (context.toJurisdiction != context.fromJurisdiction) {
+            regimes[uint256(RegimeRole.RECEIVER)] = context.toJurisdiction;
+        }
+        if (home != context.fromJurisdiction && home != context.toJurisdiction) {
+            regimes[uint256(RegimeRole.HOME)] = home;
         }
+    }
+    
+    /**
+     * @notice 依序評估發送方法域、（跨法域時）接收方法域與（雙方都不在時）呼叫端所屬管轄區的規則
+     * @dev context.jurisdiction 為呼叫端所屬管轄區，評估時改為正在評估的法域，
+     *      並填入 fromJurisdiction / toJurisdiction；blockedBy 為擋下轉帳的法域、
+     *      blockingRuleSetId 為該法域擋下轉帳的規則集（通過時皆為 0）。
+     *      withVerdicts 為 false 時（轉帳執行路徑）不組裝裁決，verdicts 為空
+     */
+    function _evaluateTransfer(
+        IComplianceRuleV2.TransferContext memory context,
+        bool withVerdicts
+    ) internal view returns (
+        bool isCompliant,
+        string memory failureReason,
+        uint256 appliedRules,
+        bytes32 blockingRuleSetId,
+        bytes32 blockedBy,
+        RuleVerdict[] memory verdicts
+    ) {
+        bytes32[3] memory regimes = _transferRegimes(context);
         
-        appliedRules = new string[](rules.length);
+        isCompliant = true;
+        for (uint256 i = 0; i < regimes.length; i++) {
+            if (regimes[i] == bytes32(0)) {
+                continue;
+            }
+            context.jurisdiction = regimes[i];
+            (
+                bool regimePassed,
+                string memory regimeReason,
+                uint256 regimeRules,
+                bytes32 regimeBlockingRule,
+                RuleVerdict[] memory regimeVerdicts
+            ) = _evaluateRegime(context, RegimeRole(i), withVerdicts);
+            if (isCompliant && !regimePassed) {
+                isCompliant = false;
+                failureReason = regimeReason;
+                blockingRuleSetId = regimeBlockingRule;
+                blockedBy = regimes[i];
+            }
+            appliedRules |= regimeRules;
+            if (withVerdicts) {
+                verdicts = _concatVerdicts(verdicts, regimeVerdicts);
+            }
+        }
+    }
+    
+    /**
+     * @notice 評估單一法域（context.jurisdiction）適用的規則
+     */
+    function _evaluateRegime(
+        IComplianceRuleV2.TransferContext memory context,
+        RegimeRole role,
+        bool withVerdicts
+    ) internal view returns (
+        bool isCompliant,
+        string memory failureReason,
+        uint256 appliedRules,
+        bytes32 blockingRuleSetId,
+        RuleVerdict[] memory verdicts
+    ) {
+        (bytes32[] storage scopeRules, bytes32 rootGroup) = _applicableRules(context, role);
+        if (rootGroup != bytes32(0)) {
+            NodeResult memory result = _evaluateNode(rootGroup, context, withVerdicts);
+            return (
+                result.outcome != NodeOutcome.FAILED,
+                result.reason,
+                result.decidedBy,
+                result.failedRule,
+                result.verdicts
+            );
+        }
+        
+        return _evaluateRuleList(scopeRules, context, withVerdicts);
+    }
+    
+    /**
+     * @notice 評估平面規則清單：評估所有啟用中的規則，回報第一條未通過的規則
+     * @dev 沒有配置規則時預設通過（appliedRules 為 0）；
+     *      withVerdicts 為 false 時不讀 ruleType、不查原因碼，verdicts 為空
+     */
+    function _evaluateRuleList(
+        bytes32[] memory rules,
+        IComplianceRuleV2.TransferContext memory context,
+        bool withVerdicts
+    ) internal view returns (
+        bool isCompliant,
+        string memory failureReason,
+        uint256 appliedRules,
+        bytes32 blockingRuleSetId,
+        RuleVerdict[] memory verdicts
+    ) {
+        if (withVerdicts) {
+            verdicts = new RuleVerdict[](rules.length);
+        }
+        uint256 count = 0;
+        isCompliant = true;
         
         for (uint256 i = 0; i < rules.length; i++) {
-            RuleSet memory rule = ruleSets[rules[i]];
+            PolicyRules.RuleSet storage rule = ruleSets[rules[i]];
             
             // 跳過未啟用的規則
             if (!rule.isActive) {
                 continue;
             }
             
-            appliedRules[i] = rule.ruleType;
+            appliedRules |= 1 << rule.index;
             
             bool rulePassed;
             string memory ruleError;
             
             if (rule.isOnChain) {
                 // 鏈上規則執行
-                (rulePassed, ruleError) = _executeOnChainRule(
-                    rule.executorAddress,
-                    from,
-                    to,
-                    amount
-                );
+                (rulePassed, ruleError) = _checkOnChainRule(rule, context);
             } else {
-                // 鏈下規則執行 (通過 Chainlink Functions)
-                (rulePassed, ruleError) = _executeOffChainRule(
-                    rule.executorAddress,
-                    from,
-                    to,
-                    amount,
-                    jurisdictionCode
-                );
+                // 鏈下規則無法同步取得結果：須改走 requestOffChainRules 非同步路徑
+                ruleError = OFFCHAIN_VERDICT_REQUIRED;
             }
             
-            emit ComplianceRuleExecuted(rules[i], rulePassed, ruleError);
+            if (withVerdicts) {
+                verdicts[count++] = _verdict(rules[i], rule, rulePassed, ruleError, context.jurisdiction);
+            }
             
-            if (!rulePassed) {
-                return (false, ruleError, appliedRules);
+            // 回報第一條未通過的規則
+            if (!rulePassed && isCompliant) {
+                isCompliant = false;
+                failureReason = ruleError;
+                blockingRuleSetId = rules[i];
             }
         }
         
-        return (true, "", appliedRules);
+        // 截去停用規則留下的空位
+        if (withVerdicts) {
+            assembly ("memory-safe") {
+                mstore(verdicts, count)
+            }
+        }
+    }
+    
+    /**
+     * @notice 組裝單條規則的裁決（只在唯讀評估時呼叫）
+     */
+    function _verdict(
+        bytes32 ruleSetId,
+        PolicyRules.RuleSet storage rule,
+        bool passed,
+        string memory reason,
+        bytes32 jurisdiction
+    ) internal view returns (RuleVerdict memory) {
+        return RuleVerdict(ruleSetId, rule.ruleType, passed, reason, jurisdiction, reasonCodeOf(reason));
+    }
+    
+    /**
+     * @notice 預覽轉帳合規性（唯讀，v1 參數）
+     */
+    function previewTransferCompliance(
+        address from,
+        address to,
+        uint256 amount,
+        bytes32 jurisdictionCode
+    ) external view override returns (
+        bool isCompliant,
+        string memory failureReason,
+        RuleVerdict[] memory verdicts
+    ) {
+        return previewTransfer(_legacyContext(from, to, amount, jurisdictionCode));
     }
     
     /**
-     * @notice 鏈上規則執行
+     * @notice 以完整轉帳上下文預覽轉帳合規性：身份驗證 + 規則評估（唯讀）
      */
-    function _executeOnChainRule(
-        address ruleExecutor,
+    function previewTransfer(
+        IComplianceRuleV2.TransferContext memory context
+    ) public view override returns (
+        bool isCompliant,
+        string memory failureReason,
+        RuleVerdict[] memory verdicts
+    ) {
+        (isCompliant, failureReason) = checkIdentity(context.from, context.to, context.jurisdiction);
+        if (!isCompliant) {
+            return (false, failureReason, verdicts);
+        }
+        (isCompliant, failureReason, , verdicts) = evaluateTransferRules(context);
+    }
+    
+    /**
+     * @notice v1 參數轉為轉帳上下文（其餘欄位留空）
+     */
+    function _legacyContext(
         address from,
         address to,
-        uint256 amount
-    ) internal returns (bool passed, string memory error) {
-        // 調用規則執行器合約
-        try IComplianceRule(ruleExecutor).checkCompliance(from, to, amount) returns (
+        uint256 amount,
+        bytes32 jurisdictionCode
+    ) internal pure returns (IComplianceRuleV2.TransferContext memory context) {
+        context.from = from;
+        context.to = to;
+        context.amount = amount;
+        context.jurisdiction = jurisdictionCode;
+    }
+    
+    /**
+     * @notice 遞迴評估規則群組節點
+     * @dev AND 遇到第一個 FAILED 即停止，OR 遇到第一個 PASSED 即停止；
+     *      decidedBy 為決定結果的規則（appliedRules 點陣圖）：
+     *      AND 通過 → 所有子節點；AND 失敗 → 失敗的子節點；
+     *      OR 通過 → 通過的子節點；OR 失敗 → 所有子節點；NOT → 子節點。
+     *      failedRule 為與 reason 對應、使節點失敗的規則集（NOT 因子節點通過而失敗時為 0）
+     */
+    function _evaluateNode(
+        bytes32 nodeId,
+        IComplianceRuleV2.TransferContext memory context,
+        bool withVerdicts
+    ) internal view returns (NodeResult memory result) {
+        PolicyRules.RuleGroup storage group = ruleGroups[nodeId];
+        
+        if (!group.exists) {
+            PolicyRules.RuleSet storage rule = ruleSets[nodeId];
+            if (!rule.isActive) {
+                return result;
+            }
+            (bool passed, string memory ruleError) = _checkOnChainRule(rule, context);
+            result.reason = ruleError;
+            result.decidedBy = 1 << rule.index;
+            if (passed) {
+                result.outcome = NodeOutcome.PASSED;
+            } else {
+                result.outcome = NodeOutcome.FAILED;
+                result.failedRule = nodeId;
+            }
+            if (withVerdicts) {
+                result.verdicts = new RuleVerdict[](1);
+                result.verdicts[0] = _verdict(nodeId, rule, passed, ruleError, context.jurisdiction);
+            }
+            return result;
+        }
+        
+        if (group.operator == PolicyRules.GroupOperator.NOT) {
+            result = _evaluateNode(group.children[0], context, withVerdicts);
+            result.failedRule = bytes32(0);
+            if (result.outcome == NodeOutcome.PASSED) {
+                result.outcome = NodeOutcome.FAILED;
+                result.reason = "Negated rule group passed";
+            } else {
+                if (result.outcome == NodeOutcome.FAILED) {
+                    result.outcome = NodeOutcome.PASSED;
+                }
+                result.reason = "";
+            }
+            return result;
+        }
+        
+        // AND 找 FAILED、OR 找 PASSED 以短路
+        NodeOutcome decisive = group.operator == PolicyRules.GroupOperator.AND
+            ? NodeOutcome.FAILED
+            : NodeOutcome.PASSED;
+        
+        for (uint256 i = 0; i < group.children.length; i++) {
+            NodeResult memory child = _evaluateNode(group.children[i], context, withVerdicts);
+            
+            if (withVerdicts) {
+                result.verdicts = _concatVerdicts(result.verdicts, child.verdicts);
+                child.verdicts = result.verdicts;    // 短路回傳 child 時帶上已評估的所有裁決
+            }
+            
+            if (child.outcome == NodeOutcome.SKIPPED) {
+                continue;
+            }
+            if (child.outcome == decisive) {
+                return child;
+            }
+            result.outcome = child.outcome;
+            result.reason = child.reason;
+            result.failedRule = child.failedRule;
+            result.decidedBy |= child.decidedBy;
+        }
+    }
+    
+    function _concatVerdicts(
+        RuleVerdict[] memory a,
+        RuleVerdict[] memory b
+    ) internal pure returns (RuleVerdict[] memory result) {
+        result = new RuleVerdict[](a.length + b.length);
+        for (uint256 i = 0; i < a.length; i++) {
+            result[i] = a[i];
+        }
+        for (uint256 i = 0; i < b.length; i++) {
+            result[a.length + i] = b[i];
+        }
+    }
+    
+    /**
+     * @notice 鏈上規則檢查（唯讀）
+     * @dev v2 規則收到完整上下文，v1 規則只收到 from / to / amount
+     */
+    function _checkOnChainRule(
+        PolicyRules.RuleSet storage rule,
+        IComplianceRuleV2.TransferContext memory context
+    ) internal view returns (bool passed, string memory error) {
+        address ruleExecutor = rule.executorAddress;
+        if (rule.interfaceVersion == 2) {
+            try IComplianceRuleV2(ruleExecutor).checkTransfer(context) returns (
+                bool _passed,
+                string memory _error
+            ) {
+                return (_passed, _error);
+            } catch Error(string memory reason) {
+                return (false, reason);
+            } catch {
+                return (false, "Rule execution failed");
+            }
+        }
+        
+        try IComplianceRule(ruleExecutor).checkCompliance(context.from, context.to, context.amount) returns (
             bool _passed,
             string memory _error
         ) {
@@ -209,49 +838,242 @@ contract GL1PolicyManager is IPolicyManager, AccessControl {
     }
     
     /**
-     * @notice 鏈下規則執行 (透過 Chainlink Functions)
-     * @dev 成本效益考量：複雜規則在鏈下執行
+     * @notice 回呼適用規則（與檢查時相同的規則範圍與法域）的 afterTransfer
+     * @dev 回呼失敗（例如規則未授權本合約、gas 不足）時 revert，連同轉帳一起回滾，
+     *      避免以 gas 上限略過額度與 AML 記帳；同時出現在多個法域的規則只記帳一次
      */
-    function _executeOffChainRule(
-        address /* oracle */,
-        address /* from */,
-        address /* to */,
-        uint256 /* amount */,
-        bytes32 /* jurisdiction */
-    ) internal pure returns (bool passed, string memory error) {
-        // 簡化版：實際應使用 Chainlink Functions
-        // 發送請求到鏈下規則引擎，接收結果
+    function _runAfterTransferHooks(IComplianceRuleV2.TransferContext memory context) internal {
+        bytes32[3] memory regimes = _transferRegimes(context);
+        bytes32[][3] memory regimeRules;
+        
+        for (uint256 i = 0; i < regimes.length; i++) {
+            if (regimes[i] == bytes32(0)) {
+                continue;
+            }
+            context.jurisdiction = regimes[i];
+            regimeRules[i] = _hookRules(context, RegimeRole(i));
+            for (uint256 k = 0; k < regimeRules[i].length; k++) {
+                bool recorded = false;
+                for (uint256 j = 0; j < i && !recorded; j++) {
+                    for (uint256 m = 0; m < regimeRules[j].length && !recorded; m++) {
+                        recorded = regimeRules[j][m] == regimeRules[i][k];
+                    }
+                }
+                if (!recorded) {
+                    _callAfterTransferHook(regimeRules[i][k], context);
+                }
+            }
+        }
+    }
+    
+    function _hookRules(
+        IComplianceRuleV2.TransferContext memory context,
+        RegimeRole role
+    ) internal view returns (bytes32[] storage) {
+        (bytes32[] storage scopeRules, bytes32 rootGroup) = _applicableRules(context, role);
+        return rootGroup != bytes32(0) ? ruleGroups[rootGroup].rules : scopeRules;
+    }
+    
+    function _callAfterTransferHook(
+        bytes32 ruleSetId,
+        IComplianceRuleV2.TransferContext memory context
+    ) internal {
+        PolicyRules.RuleSet storage rule = ruleSets[ruleSetId];
+        if (!rule.hasAfterTransferHook || !rule.isActive) {
+            return;
+        }
+        IComplianceRuleHook(rule.executorAddress).afterTransfer(context.from, context.to, context.amount);
+    }
+    
+    // ============ 鏈下規則非同步執行 ============
+    
+    /**
+     * @notice 建立鏈下規則請求
+     * @dev 流程（Request & Receive）：
+     *      1. 鏈上規則當下檢查，任一未通過即 revert（commit 延到裁決通過時）
+     *      2. 每條啟用中的鏈下規則發出 OffChainRuleRequested，由該規則的 executorAddress 處理
+     *      3. executor 以 EIP-712 簽署裁決，經 fulfillOffChainRule 回報
+     *      4. 全部通過、任一拒絕或逾時後回呼 requester.onOffChainVerdict
+     */
+    function requestOffChainRules(
+        IComplianceRuleV2.TransferContext calldata context
+    ) external override onlyRole(OFFCHAIN_REQUESTER_ROLE) returns (bytes32 requestId) {
+        requestId = keccak256(
+            abi.encode(block.chainid, address(this), msg.sender, ++offChainRequestNonce)
+        );
+        uint256 deadline = block.timestamp + offChainTimeout;
         
-        // 在生產環境中，這會是一個異步調用
-        // 使用 Chainlink Request & Receive 模式
+        IComplianceRuleV2.TransferContext memory regime = context;
+        bytes32[3] memory regimes = _transferRegimes(regime);
         
-        return (true, ""); // Placeholder
+        uint256 offChainCount = 0;
+        for (uint256 i = 0; i < regimes.length; i++) {
+            if (regimes[i] != bytes32(0)) {
+                regime.jurisdiction = regimes[i];
+                offChainCount += _requestRegime(requestId, regime, RegimeRole(i), deadline);
+            }
+        }
+        
+        require(offChainCount > 0, "No off-chain rules");
+        
+        offChainRequests[requestId] = OffChainRequest({
+            requester: msg.sender,
+            from: context.from,
+            to: context.to,
+            tokenId: context.tokenId,
+            asset: context.asset,
+            amount: context.amount,
+            jurisdiction: context.jurisdiction,
+            deadline: deadline,
+            remaining: offChainCount,
+            status: OffChainRequestStatus.PENDING
+        });
+    }
+    
+    /**
+     * @notice 單一法域的鏈下規則請求：鏈上規則當下檢查，鏈下規則發出請求事件
+     * @dev 以根群組設定的範圍只含鏈上規則，當下評估整棵群組樹；
+     *      跨法域轉帳中已由另一個法域請求的鏈下規則不重複請求
+     * @return offChainCount 新增的鏈下規則數
+     */
+    function _requestRegime(
+        bytes32 requestId,
+        IComplianceRuleV2.TransferContext memory context,
+        RegimeRole role,
+        uint256 deadline
+    ) internal returns (uint256 offChainCount) {
+        (bytes32[] storage scopeRules, bytes32 rootGroup) = _applicableRules(context, role);
+        if (rootGroup != bytes32(0)) {
+            NodeResult memory result = _evaluateNode(rootGroup, context, false);
+            require(result.outcome != NodeOutcome.FAILED, result.reason);
+            return 0;
+        }
+        
+        bytes32[] memory rules = scopeRules;
+        for (uint256 i = 0; i < rules.length; i++) {
+            PolicyRules.RuleSet storage rule = ruleSets[rules[i]];
+            
+            if (!rule.isActive || awaitingVerdict[requestId][rules[i]]) {
+                continue;
+            }
+            
+            if (rule.isOnChain) {
+                (bool rulePassed, string memory ruleError) = _checkOnChainRule(rule, context);
+                emit ComplianceRuleExecuted(rules[i], rulePassed, ruleError);
+                require(rulePassed, ruleError);
+            } else {
+                awaitingVerdict[requestId][rules[i]] = true;
+                offChainCount++;
+                emit OffChainRuleRequested(
+                    requestId,
+                    rules[i],
+                    rule.executorAddress,
+                    context.from,
+                    context.to,
+                    context.tokenId,
+                    context.amount,
+                    context.jurisdiction,
+                    deadline
+                );
+            }
+        }
+    }
+    
+    /**
+     * @notice 回報鏈下規則裁決
+     * @dev 裁決須由該規則註冊的 executorAddress 以 EIP-712 簽署
+     *      （domain：GL1PolicyManager / 1 / chainId / 本合約），送出交易者不限
+     * @param requestId 請求 ID
+     * @param ruleSetId 規則集 ID
+     * @param passed 是否通過
+     * @param reason 拒絕原因
+     * @param signature executor 的 EIP-712 簽章
+     */
+    function fulfillOffChainRule(
+        bytes32 requestId,
+        bytes32 ruleSetId,
+        bool passed,
+        string calldata reason,
+        bytes calldata signature
+    ) external {
+        OffChainRequest storage request = offChainRequests[requestId];
+        require(request.status == OffChainRequestStatus.PENDING, "Request not pending");
+        require(block.timestamp <= request.deadline, "Request expired");
+        require(awaitingVerdict[requestId][ruleSetId], "Verdict not expected");
+        
+        require(
+            OffChainVerdicts.recoverSigner(requestId, ruleSetId, passed, reason, signature) ==
+                ruleSets[ruleSetId].executorAddress,
+            "Invalid verdict signature"
+        );
+        
+        awaitingVerdict[requestId][ruleSetId] = false;
+        emit OffChainVerdictReceived(requestId, ruleSetId, passed, reason);
+        emit ComplianceRuleExecuted(ruleSetId, passed, reason);
+        
+        if (!passed) {
+            _settleOffChainRequest(requestId, OffChainRequestStatus.REJECTED, reason);
+        } else if (--request.remaining == 0) {
+            _settleOffChainRequest(requestId, OffChainRequestStatus.APPROVED, "");
+        }
+    }
+    
+    /**
+     * @notice 逾時結案：deadline 之後任何人可呼叫，requester 會收到未通過的裁決
+     */
+    function expireOffChainRequest(bytes32 requestId) external {
+        OffChainRequest storage request = offChainRequests[requestId];
+        require(request.status == OffChainRequestStatus.PENDING, "Request not pending");
+        require(block.timestamp > request.deadline, "Request not expired");
+        _settleOffChainRequest(requestId, OffChainRequestStatus.EXPIRED, "Off-chain verdict timeout");
+    }
+    
+    /**
+     * @notice 設定鏈下請求逾時
+     */
+    function setOffChainTimeout(uint256 timeout) external onlyRole(RULE_ADMIN_ROLE) {
+        require(timeout > 0, "Invalid timeout");
+        offChainTimeout = timeout;
+        emit OffChainTimeoutUpdated(timeout);
+    }
+    
+    function _settleOffChainRequest(
+        bytes32 requestId,
+        OffChainRequestStatus status,
+        string memory reason
+    ) internal {
+        OffChainRequest storage request = offChainRequests[requestId];
+        request.status = status;
+        emit OffChainRequestSettled(requestId, status, reason);
+        
+        bool approved = status == OffChainRequestStatus.APPROVED;
+        bool released = IOffChainVerdictReceiver(request.requester).onOffChainVerdict(requestId, approved, reason);
+        
+        // requester 實際放行 escrow 後轉帳才算完成，此時再記帳（通過但被退回，例如 PBM 計畫已到期，則不記帳）
+        if (approved && released) {
+            IComplianceRuleV2.TransferContext memory context =
+                _legacyContext(request.from, request.to, request.amount, request.jurisdiction);
+            context.tokenId = request.tokenId;
+            context.asset = request.asset;
+            _runAfterTransferHooks(context);
+        }
     }
     
     /**
      * @notice 註冊新的規則集
+     * @param ruleType 規則類型，以 bytes32 字串保存（最長 31 bytes）
+     * @param priority 執行優先級（uint32）
      */
     function registerRuleSet(
         bytes32 ruleSetId,
-        string memory ruleType,
+        string calldata ruleType,
         bool isOnChain,
         address executorAddress,
         uint256 priority
     ) external onlyRole(RULE_ADMIN_ROLE) {
-        require(ruleSets[ruleSetId].ruleSetId == bytes32(0), "RuleSet already exists");
-        require(executorAddress != address(0), "Invalid executor address");
-        
-        ruleSets[ruleSetId] = RuleSet({
-            ruleSetId: ruleSetId,
-            ruleType: ruleType,
-            isOnChain: isOnChain,
-            executorAddress: executorAddress,
-            priority: priority,
-            isActive: true
-        });
-        
-        activeRuleSets.push(ruleSetId);
-        
+        PolicyRules.registerRuleSet(
+            ruleSets, activeRuleSets, ruleGroups, ruleSetId, ruleType, isOnChain, executorAddress, priority
+        );
         emit RuleSetRegistered(ruleSetId, ruleType, isOnChain);
     }
     
@@ -262,7 +1084,7 @@ contract GL1PolicyManager is IPolicyManager, AccessControl {
         bytes32 ruleSetId,
         bool isActive
     ) external onlyRole(RULE_ADMIN_ROLE) {
-        require(ruleSets[ruleSetId].ruleSetId != bytes32(0), "RuleSet does not exist");
+        require(ruleSets[ruleSetId].executorAddress != address(0), "RuleSet does not exist");
         ruleSets[ruleSetId].isActive = isActive;
         emit RuleSetUpdated(ruleSetId, isActive);
     }
@@ -272,19 +1094,240 @@ contract GL1PolicyManager is IPolicyManager, AccessControl {
      */
     function setJurisdictionRules(
         bytes32 jurisdictionCode,
-        bytes32[] memory ruleSetIds
+        bytes32[] calldata ruleSetIds
     ) external onlyRole(JURISDICTION_ADMIN_ROLE) {
-        // 驗證所有規則集都存在
-        for (uint256 i = 0; i < ruleSetIds.length; i++) {
-            require(ruleSets[ruleSetIds[i]].ruleSetId != bytes32(0), "RuleSet does not exist");
-        }
-        
-        jurisdictionRules[jurisdictionCode] = ruleSetIds;
+        PolicyRules.setRuleList(ruleSets, jurisdictionRules[jurisdictionCode], ruleSetIds);
         jurisdictionEnabled[jurisdictionCode] = true;
         
         emit JurisdictionConfigured(jurisdictionCode, ruleSetIds.length);
     }
     
+    /**
+     * @notice 登記文字原因對應的數字原因碼（第三方規則的原因）
+     */
+    function setReasonCode(string calldata reason, uint16 code) external onlyRole(RULE_ADMIN_ROLE) {
+        _setReasonCode(reason, code);
+    }
+    
+    function _setReasonCode(string memory reason, uint16 code) internal {
+        reasonCodes[keccak256(bytes(reason))] = code;
+        emit ReasonCodeSet(reason, code);
+    }
+    
+    /**
+     * @notice 文字原因的數字原因碼：空字串為 NONE，未登記為 UNKNOWN
+     */
+    function reasonCodeOf(string memory reason) public view returns (uint16 code) {
+        if (bytes(reason).length == 0) {
+            return ReasonCodes.NONE;
+        }
+        code = reasonCodes[keccak256(bytes(reason))];
+        if (code == ReasonCodes.NONE) {
+            code = ReasonCodes.UNKNOWN;
+        }
+    }
+    
+    /**
+     * @notice 定義規則群組
+     * @dev 子節點須為已註冊的鏈上規則集或已定義的群組；群組定義後不可修改，
+     *      調整時請定義新群組並以 setJurisdictionRuleGroup 切換
+     * @param groupId 群組 ID（不可與規則集 ID 重複）
+     * @param operator AND / OR / NOT（NOT 僅能有一個子節點）
+     * @param children 子節點 ID
+     */
+    function defineRuleGroup(
+        bytes32 groupId,
+        PolicyRules.GroupOperator operator,
+        bytes32[] calldata children
+    ) external onlyRole(RULE_ADMIN_ROLE) {
+        PolicyRules.defineRuleGroup(ruleGroups, ruleSets, groupId, operator, children);
+        emit RuleGroupDefined(groupId, operator, children);
+    }
+    
+    /**
+     * @notice 設定管轄區的根群組（bytes32(0) 表示改回平面規則清單）
+     */
+    function setJurisdictionRuleGroup(
+        bytes32 jurisdictionCode,
+        bytes32 groupId
+    ) external onlyRole(JURISDICTION_ADMIN_ROLE) {
+        if (groupId != bytes32(0)) {
+            require(ruleGroups[groupId].exists, "RuleGroup does not exist");
+            jurisdictionEnabled[jurisdictionCode] = true;
+        }
+        jurisdictionRuleGroup[jurisdictionCode] = groupId;
+        
+        emit JurisdictionRuleGroupSet(jurisdictionCode, groupId);
+    }
+    
+    /**
+     * @notice 設定帳戶所屬管轄區的候選清單（依序比對 CCIDRegistry.jurisdictionApproval）
+     */
+    function setRecognizedJurisdictions(
+        bytes32[] calldata jurisdictions
+    ) external onlyRole(JURISDICTION_ADMIN_ROLE) {
+        recognizedJurisdictions = jurisdictions;
+        emit RecognizedJurisdictionsUpdated(jurisdictions);
+    }
+    
+    /**
+     * @notice 設定管轄區的跨法域規則（發送方 = 出境、接收方 = 入境、HOME = 雙方都是外國帳戶；
+     *         空清單表示沿用一般規則）
+     */
+    function setCrossBorderRules(
+        bytes32 jurisdictionCode,
+        RegimeRole role,
+        bytes32[] calldata ruleSetIds
+    ) external onlyRole(JURISDICTION_ADMIN_ROLE) {
+        PolicyRules.setRuleList(ruleSets, crossBorderRules[jurisdictionCode][role], ruleSetIds);
+        emit CrossBorderRulesConfigured(jurisdictionCode, role, ruleSetIds.length);
+    }
+    
+    /**
+     * @notice 查詢管轄區的跨法域規則
+     */
+    function getCrossBorderRules(
+        bytes32 jurisdictionCode,
+        RegimeRole role
+    ) external view returns (bytes32[] memory) {
+        return crossBorderRules[jurisdictionCode][role];
+    }
+    
+    /**
+     * @notice 設定 tokenId / program / 底層資產範圍的規則清單（空清單表示改回下一層範圍）
+     * @param scope TOKEN / PROGRAM / ASSET（管轄區請用 setJurisdictionRules）
+     * @param key 範圍值：bytes32(tokenId)、programId 或 bytes32(uint256(uint160(asset)))
+     * @param ruleSetIds 規則集 ID
+     */
+    function setScopedRules(
+        RuleScope scope,
+        bytes32 key,
+        bytes32[] calldata ruleSetIds
+    ) external onlyRole(RULE_ADMIN_ROLE) {
+        require(scope != RuleScope.JURISDICTION, "Use jurisdiction rules");
+        PolicyRules.setRuleList(ruleSets, scopedRules[ruleScopeKey(scope, key)], ruleSetIds);
+        
+        emit ScopedRulesConfigured(scope, key, ruleSetIds.length);
+    }
+    
+    /**
+     * @notice 設定 tokenId / program / 底層資產範圍的根群組（bytes32(0) 表示改回平面規則清單）
+     */
+    function setScopedRuleGroup(
+        RuleScope scope,
+        bytes32 key,
+        bytes32 groupId
+    ) external onlyRole(RULE_ADMIN_ROLE) {
+        require(scope != RuleScope.JURISDICTION, "Use jurisdiction rules");
+        if (groupId != bytes32(0)) {
+            require(ruleGroups[groupId].exists, "RuleGroup does not exist");
+        }
+        scopedRuleGroup[ruleScopeKey(scope, key)] = groupId;
+        
+        emit ScopedRuleGroupSet(scope, key, groupId);
+    }
+    
+    /**
+     * @notice 將 PBM tokenId 歸入 program（bytes32(0) 表示移出）
+     */
+    function setTokenProgram(
+        uint256[] calldata tokenIds,
+        bytes32 programId
+    ) external onlyRole(RULE_ADMIN_ROLE) {
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            tokenProgram[tokenIds[i]] = programId;
+            emit TokenProgramSet(tokenIds[i], programId);
+        }
+    }
+    
+    /**
+     * @notice 範圍鍵（scopedRules / scopedRuleGroup 的 mapping key）
+     */
+    function ruleScopeKey(RuleScope scope, bytes32 key) public pure returns (bytes32) {
+        return keccak256(abi.encode(scope, key));
+    }
+    
+    /**
+     * @notice 查詢範圍的規則設定
+     * @return rules 規則清單
+     * @return groupId 根群組（設定時取代清單）
+     */
+    function getScopedRules(
+        RuleScope scope,
+        bytes32 key
+    ) external view returns (bytes32[] memory rules, bytes32 groupId) {
+        if (scope == RuleScope.JURISDICTION) {
+            return (jurisdictionRules[key], jurisdictionRuleGroup[key]);
+        }
+        bytes32 scopeKey = ruleScopeKey(scope, key);
+        return (scopedRules[scopeKey], scopedRuleGroup[scopeKey]);
+    }
+    
+    /**
+     * @notice 查詢轉帳適用的規則範圍
+     * @dev 依 tokenId → program → 底層資產 → 管轄區的順序，取第一個設定了規則清單或根群組的範圍；
+     *      tokenId 為 0 或底層資產為 address(0) 時略過對應範圍（v1 呼叫端沒有這些資訊）
+     * @return scope 適用的範圍
+     * @return key 範圍值
+     */
+    function resolveRuleScope(
+        uint256 tokenId,
+        address asset,
+        bytes32 jurisdictionCode
+    ) public view returns (RuleScope scope, bytes32 key) {
+        if (tokenId != 0) {
+            if (_scopeConfigured(RuleScope.TOKEN, bytes32(tokenId))) {
+                return (RuleScope.TOKEN, bytes32(tokenId));
+            }
+            bytes32 programId = tokenProgram[tokenId];
+            if (programId != bytes32(0) && _scopeConfigured(RuleScope.PROGRAM, programId)) {
+                return (RuleScope.PROGRAM, programId);
+            }
+        }
+        if (asset != address(0) && _scopeConfigured(RuleScope.ASSET, bytes32(uint256(uint160(asset))))) {
+            return (RuleScope.ASSET, bytes32(uint256(uint160(asset))));
+        }
+        return (RuleScope.JURISDICTION, jurisdictionCode);
+    }
+    
+    function _scopeConfigured(RuleScope scope, bytes32 key) internal view returns (bool) {
+        bytes32 scopeKey = ruleScopeKey(scope, key);
+        return scopedRuleGroup[scopeKey] != bytes32(0) || scopedRules[scopeKey].length > 0;
+    }
+    
+    /**
+     * @notice 轉帳在 context.jurisdiction 法域適用的規則清單與根群組
+     * @dev 退回管轄區範圍且為跨法域轉帳（HOME 角色一律視為跨法域）時，優先取該管轄區對此角色設定的跨法域規則
+     */
+    function _applicableRules(
+        IComplianceRuleV2.TransferContext memory context,
+        RegimeRole role
+    ) internal view returns (bytes32[] storage rules, bytes32 rootGroup) {
+        (RuleScope scope, bytes32 key) = resolveRuleScope(context.tokenId, context.asset, context.jurisdiction);
+        if (scope == RuleScope.JURISDICTION) {
+            bool crossBorder = role == RegimeRole.HOME || context.fromJurisdiction != context.toJurisdiction;
+            if (crossBorder && crossBorderRules[key][role].length > 0) {
+                return (crossBorderRules[key][role], bytes32(0));
+            }
+            return (jurisdictionRules[key], jurisdictionRuleGroup[key]);
+        }
+        bytes32 scopeKey = ruleScopeKey(scope, key);
+        return (scopedRules[scopeKey], scopedRuleGroup[scopeKey]);
+    }
+    
+    /**
+     * @notice 查詢規則群組
+     */
+    function getRuleGroup(bytes32 groupId) external view returns (
+        PolicyRules.GroupOperator operator,
+        bytes32[] memory children,
+        uint256 depth
+    ) {
+        PolicyRules.RuleGroup storage group = ruleGroups[groupId];
+        require(group.exists, "RuleGroup does not exist");
+        return (group.operator, group.children, group.depth);
+    }
+    
     /**
      * @notice 啟用或停用管轄區
      */
@@ -313,6 +1356,42 @@ contract GL1PolicyManager is IPolicyManager, AccessControl {
         emit ProviderUpdated("CCIDProvider", _ccidProvider);
     }
     
+    /**
+     * @notice 將規則與管轄區配置權限移交 PolicyTimelock（只能設定一次）
+     * @dev 授予 timelock RULE_ADMIN_ROLE 與 JURISDICTION_ADMIN_ROLE 並撤銷呼叫者的；
+     *      之後這兩個角色不能再授予其他帳戶，移交前已授予的其他持有者也無法再使用
+     */
+    function setTimelock(address timelock) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(timelock != address(0), "Invalid address");
+        require(policyTimelock == address(0), "Timelock already set");
+        policyTimelock = timelock;
+        
+        _grantRole(RULE_ADMIN_ROLE, timelock);
+        _grantRole(JURISDICTION_ADMIN_ROLE, timelock);
+        _revokeRole(RULE_ADMIN_ROLE, msg.sender);
+        _revokeRole(JURISDICTION_ADMIN_ROLE, msg.sender);
+        emit PolicyTimelockSet(timelock);
+    }
+    
+    function _isConfigRole(bytes32 role) internal pure returns (bool) {
+        return role == RULE_ADMIN_ROLE || role == JURISDICTION_ADMIN_ROLE;
+    }
+    
+    function _checkRole(bytes32 role, address account) internal view override {
+        if (policyTimelock != address(0) && account != policyTimelock && _isConfigRole(role)) {
+            revert AccessControlUnauthorizedAccount(account, role);
+        }
+        super._checkRole(role, account);
+    }
+    
+    function _grantRole(bytes32 role, address account) internal override returns (bool) {
+        require(
+            policyTimelock == address(0) || account == policyTimelock || !_isConfigRole(role),
+            "Config roles held by timelock"
+        );
+        return super._grantRole(role, account);
+    }
+    
     /**
      * @notice 獲取管轄區的規則數量
      */
@@ -327,6 +1406,13 @@ contract GL1PolicyManager is IPolicyManager, AccessControl {
         return activeRuleSets.length;
     }
     
+    /**
+     * @notice appliedRules 點陣圖轉為規則類型名稱（依註冊順序）
+     */
+    function appliedRuleTypes(uint256 appliedRules) external view returns (string[] memory) {
+        return PolicyRules.ruleTypeNames(ruleSets, activeRuleSets, appliedRules);
+    }
+    
     // ============ Repo 多方驗證函數 ============
     
     /**
@@ -337,7 +1423,7 @@ contract GL1PolicyManager is IPolicyManager, AccessControl {
      * @param jurisdictionCode 司法管轄區代碼
      * @return isCompliant 是否合規
      * @return failureReason 失敗原因
-     * @return appliedRules 已套用的規則
+     * @return appliedRules 已套用規則的點陣圖（身份未通過時為 0）
      */
     function verifyPartyCompliance(
         address party,
@@ -346,7 +1432,7 @@ contract GL1PolicyManager is IPolicyManager, AccessControl {
     ) external returns (
         bool isCompliant,
         string memory failureReason,
-        string[] memory appliedRules
+        uint256 appliedRules
     ) {
         // 先驗證身份
         (bool identityValid, string memory identityError) = this.verifyIdentity(
@@ -356,58 +1442,25 @@ contract GL1PolicyManager is IPolicyManager, AccessControl {
         );
         
         if (!identityValid) {
-            appliedRules = new string[](1);
-            appliedRules[0] = "IDENTITY";
-            return (false, identityError, appliedRules);
+            return (false, identityError, 0);
         }
         
         // 獲取該角色的規則集
         bytes32[] memory roleRules = partyRolesToRules[role];
         
-        // 如果沒有配置角色特定規則，使用管轄區規則
+        // 如果沒有配置角色特定規則，使用管轄區規則（僅檢查，不是轉帳所以不 commit）
+        IComplianceRuleV2.TransferContext memory context =
+            _legacyContext(party, address(this), 0, jurisdictionCode);
         if (roleRules.length == 0) {
-            return this.executeComplianceRules(party, address(this), 0, jurisdictionCode);
+            (isCompliant, failureReason, appliedRules, ) = evaluateTransferRules(context);
+            return (isCompliant, failureReason, appliedRules);
         }
         
-        appliedRules = new string[](roleRules.length);
-        
-        for (uint256 i = 0; i < roleRules.length; i++) {
-            RuleSet memory rule = ruleSets[roleRules[i]];
-            
-            if (!rule.isActive) {
-                continue;
-            }
-            
-            appliedRules[i] = rule.ruleType;
-            
-            bool rulePassed;
-            string memory ruleError;
-            
-            if (rule.isOnChain) {
-                (rulePassed, ruleError) = _executeOnChainRule(
-                    rule.executorAddress,
-                    party,
-                    address(this),
-                    0
-                );
-            } else {
-                (rulePassed, ruleError) = _executeOffChainRule(
-                    rule.executorAddress,
-                    party,
-                    address(this),
-                    0,
-                    jurisdictionCode
-                );
-            }
-            
-            emit ComplianceRuleExecuted(roleRules[i], rulePassed, ruleError);
-            
-            if (!rulePassed) {
-                return (false, ruleError, appliedRules);
-            }
+        RuleVerdict[] memory verdicts;
+        (isCompliant, failureReason, appliedRules, , verdicts) = _evaluateRuleList(roleRules, context, true);
+        for (uint256 i = 0; i < verdicts.length; i++) {
+            emit ComplianceRuleExecuted(verdicts[i].ruleSetId, verdicts[i].passed, verdicts[i].reason);
         }
-        
-        return (true, "", appliedRules);
     }
     
     /**
@@ -417,16 +1470,11 @@ contract GL1PolicyManager is IPolicyManager, AccessControl {
      */
     function setPartyRoleRules(
         PartyRole role,
-        bytes32[] memory ruleSetIds
+        bytes32[] calldata ruleSetIds
     ) external onlyRole(RULE_ADMIN_ROLE) {
         require(role != PartyRole.NONE, "Invalid role");
         
-        // 驗證所有規則集都存在
-        for (uint256 i = 0; i < ruleSetIds.length; i++) {
-            require(ruleSets[ruleSetIds[i]].ruleSetId != bytes32(0), "RuleSet does not exist");
-        }
-        
-        partyRolesToRules[role] = ruleSetIds;
+        PolicyRules.setRuleList(ruleSets, partyRolesToRules[role], ruleSetIds);
     }
     
     /**
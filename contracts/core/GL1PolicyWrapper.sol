@@ -7,11 +7,14 @@ import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
 import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
-import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
 import "../interfaces/IGL1PolicyWrapper.sol";
 import "../interfaces/IPolicyManager.sol";
+import "../interfaces/IOffChainVerdictReceiver.sol";
 import "../interfaces/IFXRateProvider.sol";
+import "../interfaces/ICircuitBreaker.sol";
+import "../interfaces/IComplianceRouter.sol";
+import "../libraries/ReasonCodes.sol";
+import "../libraries/ProofSets.sol";
 import "../token/PBMToken.sol";
 
 /**
@@ -27,19 +30,20 @@ import "../token/PBMToken.sol";
  * 3. 商家收到當地貨幣結算 (例如：SGD)
  * ═══════════════════════════════════════════════════════════════════
  */
-contract GL1PolicyWrapper is IGL1PolicyWrapper, AccessControl, ReentrancyGuard {
+contract GL1PolicyWrapper is IGL1PolicyWrapper, IOffChainVerdictReceiver, AccessControl, ReentrancyGuard {
     using SafeERC20 for IERC20;
-    using ECDSA for bytes32;
-    using MessageHashUtils for bytes32;
     
     bytes32 public constant REGULATOR_ROLE = keccak256("REGULATOR_ROLE");
     bytes32 public constant POLICY_ADMIN_ROLE = keccak256("POLICY_ADMIN_ROLE");
     
+    // EIP-712 ProofSet 型別雜湊（不含 signature 欄位）
+    bytes32 public constant PROOF_SET_TYPEHASH = ProofSets.PROOF_SET_TYPEHASH;
+    
     // 司法管轄區代碼 (ISO 3166-1)
     bytes32 public immutable jurisdictionCode;
     
-    // 授權簽署者地址（受信任機構）
-    address public trustedSigner;
+    // ProofSet 簽署者（k-of-n 門檻與金鑰輪替）、使用紀錄與撤銷；驗證與簽署者管理由 ProofSets 執行
+    ProofSets.Registry private proofSets;
     
     // PBM Token (ERC1155)
     PBMToken public pbmToken;
@@ -65,6 +69,17 @@ contract GL1PolicyWrapper is IGL1PolicyWrapper, AccessControl, ReentrancyGuard {
     }
     mapping(bytes32 => ComplianceProof) public complianceProofs;
     
+    // ============ 鏈下規則待決轉移（escrow） ============
+    
+    // 等待鏈下裁決的轉移，PBM 期間由本合約保管
+    struct PendingTransfer {
+        address from;
+        address to;
+        uint256 tokenId;
+        uint256 amount;
+    }
+    mapping(bytes32 => PendingTransfer) public pendingTransfers;
+    
     // ============ FX Rate Provider (跨境支付匯率) ============
     
     // FX 匯率提供者
@@ -91,6 +106,12 @@ contract GL1PolicyWrapper is IGL1PolicyWrapper, AccessControl, ReentrancyGuard {
     // pbmTokenId → FX 交易記錄
     mapping(uint256 => FXTransaction) public fxTransactions;
     
+    // 緊急熔斷（依管轄區 / tokenId 暫停個別操作；未設定時不檢查）
+    ICircuitBreaker public circuitBreaker;
+    
+    // 混合合規路徑（ProofSet 轉帳須在鏈上執行的規則；未設定時 ProofSet 涵蓋全部檢查）
+    IComplianceRouter public complianceRouter;
+    
     event ComplianceCheckInitiated(
         bytes32 indexed txHash,
         address indexed from,
@@ -99,16 +120,39 @@ contract GL1PolicyWrapper is IGL1PolicyWrapper, AccessControl, ReentrancyGuard {
         bytes32 jurisdictionCode
     );
     
+    // appliedRules：已套用規則的點陣圖（GL1PolicyManager.appliedRuleTypes 轉為名稱；身份未通過時為 0）
     event ComplianceCheckCompleted(
         bytes32 indexed txHash,
         bool isCompliant,
-        string[] appliedRules,
+        uint256 appliedRules,
         uint256 timestamp
     );
     
     event PolicyManagerUpdated(address indexed oldManager, address indexed newManager);
+    event CircuitBreakerUpdated(address indexed oldBreaker, address indexed newBreaker);
+    event ComplianceRouterUpdated(address indexed oldRouter, address indexed newRouter);
     event ComplianceExemptionSet(address indexed account, bool exempt);
     event TrustedSignerUpdated(address indexed oldSigner, address indexed newSigner);
+    event ProofSignerSet(address indexed signer, uint64 validFrom, uint64 validUntil);
+    event ProofSignerRemoved(address indexed signer);
+    event SignerThresholdUpdated(uint256 oldThreshold, uint256 newThreshold);
+    event ProofConsumed(
+        bytes32 indexed credentialHash,
+        address indexed subject,
+        uint256 amount,
+        uint256 uses,
+        uint256 amountUsed
+    );
+    event ProofRevoked(bytes32 indexed credentialHash, address indexed revokedBy, string reason);
+    event ProofTypeAmountCapSet(bytes32 indexed proofType, uint256 cap);
+    event TransferPending(
+        bytes32 indexed requestId,
+        address indexed from,
+        address indexed to,
+        uint256 tokenId,
+        uint256 amount
+    );
+    event PendingTransferSettled(bytes32 indexed requestId, bool approved, string reason);
     
     // FX 相關事件
     event FXRateProviderUpdated(address indexed oldProvider, address indexed newProvider);
@@ -144,7 +188,11 @@ contract GL1PolicyWrapper is IGL1PolicyWrapper, AccessControl, ReentrancyGuard {
         jurisdictionCode = _jurisdictionCode;
         policyManager = IPolicyManager(_policyManager);
         pbmToken = PBMToken(_pbmToken);
-        trustedSigner = _trustedSigner;
+        proofSets.threshold = 1;
+        proofSets.trustedSigner = _trustedSigner;
+        if (_trustedSigner != address(0)) {
+            _setProofSigner(_trustedSigner, 0, 0);
+        }
         
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
         _grantRole(POLICY_ADMIN_ROLE, msg.sender);
@@ -195,7 +243,12 @@ contract GL1PolicyWrapper is IGL1PolicyWrapper, AccessControl, ReentrancyGuard {
      *                      - issuedAt:       發行時間
      *                      - expiresAt:      過期時間
      *                      - issuer:         發行機構地址
-     *                      - signature:      發行機構的數位簽名
+     *                      - subject:        須為 msg.sender
+     *                      - counterparty:   須為 address(0)（wrap 無交易對手）
+     *                      - tokenId:        須為本次產生的 PBM tokenId
+     *                      - maxAmount:      須 ≥ amount
+     *                      - maxUses / amountBudget: 使用次數與累計金額額度
+     *                      - signature:      發行機構的 EIP-712 簽名
      * 
      * @return pbmTokenId   產生的 PBM tokenId，用於之後的轉移和解包
      * ═══════════════════════════════════════════════════════════════════
@@ -213,16 +266,17 @@ contract GL1PolicyWrapper is IGL1PolicyWrapper, AccessControl, ReentrancyGuard {
         // 確保要包裝的數量大於 0
         require(amount > 0, "Amount must be > 0");
         
-        // 如果合規檢查功能開啟，且調用者不在豁免名單中
-        // 則驗證使用者提供的 KYC/AML 證明是否有效
-        if (complianceEnabled && !complianceExempt[msg.sender]) {
-            _verifyProofSet(proof);  // 檢查證明是否過期、是否已生效
-        }
-  
         // 計算 PBM Token 的唯一識別碼
         // 使用 hash(資產類型 + 合約地址 + tokenId) 產生唯一的 PBM tokenId
         // 這樣同一種底層資產會對應到同一個 PBM tokenId
         pbmTokenId = computePBMTokenId(assetType, assetAddress, assetTokenId);
+        _checkOperation(ICircuitBreaker.Operation.WRAP, pbmTokenId);
+        
+        // 如果合規檢查功能開啟，且調用者不在豁免名單中
+        // 則驗證使用者提供的 KYC/AML 證明是否有效，且綁定本次 wrap
+        if (complianceEnabled && !complianceExempt[msg.sender]) {
+            _useProofSet(proof, msg.sender, address(0), pbmTokenId, amount);
+        }
         
         // 記錄資產資訊
         // 如果這是第一次包裝這種資產（地址為空代表尚未記錄）
@@ -265,11 +319,16 @@ contract GL1PolicyWrapper is IGL1PolicyWrapper, AccessControl, ReentrancyGuard {
      *      合約僅執行簽章與時效驗證後直接放行，不跑鏈上規則鏈。
      *      與標準 PBMToken.safeTransferFrom（鏈上規則鏈路徑）為平行替代路徑，
      *      使兩條合規架構可在 transfer 層級同台對比延遲。
+     *      設定 complianceRouter 時依其路徑：HYBRID 另在鏈上執行指定的規則，
+     *      ON_CHAIN 拒絕 ProofSet（ProofPathDisabled）。轉帳完成後 PBMToken 回呼 afterTransferCompliance 記帳。
+     *      呼叫者須為 from、from 核准的 operator，或持有 from 簽署的 TransferPermit 額度
+     *      （見 PBMToken.permitTransfer），否則以 ERC1155MissingApprovalForAll revert
      * @param from 發送方
      * @param to 接收方
      * @param tokenId PBM tokenId
      * @param amount 數量
-     * @param proof 鏈下合規閘道簽發的 ProofSet
+     * @param proof 鏈下合規閘道簽發的 ProofSet（subject=from、counterparty=to、
+     *              tokenId 相符且 maxAmount ≥ amount）
      */
     function safeTransferFromWithProof(
         address from,
@@ -281,14 +340,72 @@ contract GL1PolicyWrapper is IGL1PolicyWrapper, AccessControl, ReentrancyGuard {
         require(from != address(0), "Invalid from");
         require(to != address(0), "Invalid to");
         require(amount > 0, "Amount must be > 0");
+        _checkOperation(ICircuitBreaker.Operation.TRANSFER, tokenId);
 
         if (complianceEnabled && !complianceExempt[msg.sender]) {
-            _verifyProofSet(proof);
+            _useProofSet(proof, from, to, tokenId, amount);
+            if (address(complianceRouter) != address(0)) {
+                complianceRouter.checkProofPath(_transferContext(msg.sender, from, to, tokenId, amount, ""));
+            }
         }
 
-        pbmToken.transferWithProofBypass(from, to, tokenId, amount);
+        pbmToken.transferWithProof(msg.sender, from, to, tokenId, amount);
     }
 
+    /**
+     * @notice 發起需鏈下規則裁決的轉移
+     * @dev 管轄區含鏈下規則（isOnChain = false）時，標準轉帳會以
+     *      "Off-chain verdict required" 失敗，須改走此路徑：
+     *      身份驗證與鏈上規則當下執行，PBM 移入本合約保管，
+     *      Policy Manager 收齊裁決後回呼 onOffChainVerdict 放行給 to，
+     *      拒絕或逾時則退回 from
+     * @param to 接收方
+     * @param tokenId PBM tokenId
+     * @param amount 數量
+     * @return requestId Policy Manager 的請求 ID
+     */
+    function requestTransfer(
+        address to,
+        uint256 tokenId,
+        uint256 amount
+    ) external nonReentrant returns (bytes32 requestId) {
+        require(to != address(0), "Invalid to");
+        require(amount > 0, "Amount must be > 0");
+        _checkOperation(ICircuitBreaker.Operation.TRANSFER, tokenId);
+        
+        (bool identityValid, string memory identityError) =
+            policyManager.verifyIdentity(msg.sender, to, jurisdictionCode);
+        require(identityValid, identityError);
+        
+        requestId = policyManager.requestOffChainRules(_transferContext(msg.sender, msg.sender, to, tokenId, amount, ""));
+        pendingTransfers[requestId] = PendingTransfer(msg.sender, to, tokenId, amount);
+        
+        pbmToken.transferWithProofBypass(msg.sender, address(this), tokenId, amount);
+        
+        emit TransferPending(requestId, msg.sender, to, tokenId, amount);
+    }
+    
+    /**
+     * @notice 鏈下裁決回呼：通過則放行給 to，否則退回 from
+     * @dev 僅 Policy Manager 可呼叫；PBM 計畫已到期時即使通過也退回 from
+     *      （PBMToken 另發 ProgramEscrowRefunded，見 PBMToken.settleEscrow）
+     * @return released 是否放行給 to；退回 from 時為 false，Policy Manager 不記帳
+     */
+    function onOffChainVerdict(
+        bytes32 requestId,
+        bool approved,
+        string calldata reason
+    ) external override nonReentrant returns (bool released) {
+        require(msg.sender == address(policyManager), "Only policy manager");
+        PendingTransfer memory pending = pendingTransfers[requestId];
+        require(pending.amount > 0, "Unknown pending transfer");
+        delete pendingTransfers[requestId];
+        
+        released = pbmToken.settleEscrow(pending.from, pending.to, pending.tokenId, pending.amount, approved);
+        
+        emit PendingTransferSettled(requestId, approved, reason);
+    }
+    
     /**
      * @notice 解包取回底層資產
      */
@@ -299,6 +416,7 @@ contract GL1PolicyWrapper is IGL1PolicyWrapper, AccessControl, ReentrancyGuard {
     ) external override nonReentrant {
         require(amount > 0, "Amount must be > 0");
         require(beneficiary != address(0), "Invalid beneficiary");
+        _checkOperation(ICircuitBreaker.Operation.UNWRAP, pbmTokenId);
         
         AssetInfo memory assetInfo = assets[pbmTokenId];
         require(assetInfo.assetAddress != address(0), "Unknown PBM tokenId");
@@ -324,19 +442,90 @@ contract GL1PolicyWrapper is IGL1PolicyWrapper, AccessControl, ReentrancyGuard {
         emit TokenUnwrapped(msg.sender, pbmTokenId, amount, beneficiary);
     }
     
+    // ============ PBM 計畫（有效期間與到期收回） ============
+    
+    /**
+     * @notice 建立有效期間的 PBM 計畫（補助、禮券）
+     * @dev 計畫有獨立的 PBM tokenId = hash(baseTokenId, programId)，底層資產與 baseTokenId 相同。
+     *      呼叫者即發行者，須持有 PBMToken 的 PROGRAM_ISSUER_ROLE；發行者照常 wrap 取得 baseTokenId 後，
+     *      以 PBMToken.fundProgram 轉換為計畫的代幣。有效期間外的轉帳由 PBMToken 拒絕（ProgramNotActive），
+     *      計畫的代幣只有 PROGRAM_REDEEMER_ROLE（特約商家）能解包，到期後無人能解包，
+     *      未使用的餘額由發行者以 reclaimExpired 收回
+     * @param baseTokenId 計畫底層的 PBM tokenId（已 wrap 過的資產）
+     * @param startTime 開始時間（含）
+     * @param expiry 到期時間（不含）
+     * @param sunsetBeneficiary 到期收回的底層資產接收者
+     * @return pbmTokenId 計畫的 PBM tokenId
+     */
+    function createProgram(
+        uint256 baseTokenId,
+        bytes32 programId,
+        uint48 startTime,
+        uint48 expiry,
+        address sunsetBeneficiary
+    ) external returns (uint256 pbmTokenId) {
+        AssetInfo memory assetInfo = assets[baseTokenId];
+        require(assetInfo.assetAddress != address(0), "Unknown PBM tokenId");
+        
+        pbmTokenId = uint256(keccak256(abi.encode(baseTokenId, programId)));
+        assets[pbmTokenId] = assetInfo;
+        pbmToken.defineProgram(pbmTokenId, baseTokenId, msg.sender, startTime, expiry, sunsetBeneficiary);
+    }
+    
+    /**
+     * @notice 收回到期計畫的未使用餘額：銷毀 holders 的 PBM，底層資產解包給 sunsetBeneficiary
+     * @dev 僅限計畫發行者；holders 可分批傳入，凍結中的餘額不收回
+     * @return amount 收回的數量
+     */
+    function reclaimExpired(
+        uint256 pbmTokenId,
+        address[] calldata holders
+    ) external nonReentrant returns (uint256 amount) {
+        _checkOperation(ICircuitBreaker.Operation.UNWRAP, pbmTokenId);
+        
+        address beneficiary;
+        (amount, beneficiary) = pbmToken.reclaimExpired(msg.sender, pbmTokenId, holders);
+        
+        AssetInfo memory assetInfo = assets[pbmTokenId];
+        if (amount > 0) {
+            _transferAssetOut(
+                assetInfo.assetType,
+                assetInfo.assetAddress,
+                assetInfo.assetTokenId,
+                amount,
+                beneficiary
+            );
+            emit TokenUnwrapped(msg.sender, pbmTokenId, amount, beneficiary);
+        }
+    }
+    
     /**
      * @notice 檢查轉移合規性
-     * @dev 由 PBMToken 在轉移時調用
+     * @dev 由 PBMToken 在轉移時調用；規則收到含 tokenId、底層資產、FX 幣別對與 data 的轉帳上下文。
+     *      未通過時回傳擋下轉移的規則集（身份驗證為 ReasonCodes.IDENTITY_CHECK）與數字原因碼
      */
     function checkTransferCompliance(
+        address operator,
         address from,
         address to,
         uint256 tokenId,
-        uint256 amount
-    ) external override returns (bool isCompliant, string memory reason) {
+        uint256 amount,
+        bytes calldata data
+    ) external override returns (
+        bool isCompliant,
+        string memory reason,
+        bytes32 ruleSetId,
+        uint16 reasonCode
+    ) {
+        // 熔斷優先於合規開關與豁免（PBMToken 以低階呼叫容忍 revert，故以未通過回報）
+        if (address(circuitBreaker) != address(0) &&
+            circuitBreaker.isHalted(ICircuitBreaker.Operation.TRANSFER, jurisdictionCode, tokenId)) {
+            return (false, "Transfers halted", ReasonCodes.CIRCUIT_BREAKER, ReasonCodes.TRANSFER_HALTED);
+        }
+        
         // 如果合規檢查停用或任一方豁免，直接通過
         if (!complianceEnabled || complianceExempt[from] || complianceExempt[to]) {
-            return (true, "");
+            return (true, "", bytes32(0), 0);
         }
         
         bytes32 txHash = keccak256(abi.encodePacked(from, to, tokenId, amount, block.timestamp));
@@ -348,17 +537,18 @@ contract GL1PolicyWrapper is IGL1PolicyWrapper, AccessControl, ReentrancyGuard {
             policyManager.verifyIdentity(from, to, jurisdictionCode);
         
         if (!identityValid) {
-            emit ComplianceCheckCompleted(txHash, false, _toArray("IDENTITY_CHECK"), block.timestamp);
-            return (false, identityError);
+            emit ComplianceCheckCompleted(txHash, false, 0, block.timestamp);
+            return (false, identityError, ReasonCodes.IDENTITY_CHECK, policyManager.reasonCodeOf(identityError));
         }
         
         // 執行合規規則
-        (bool rulesValid, string memory ruleError, string[] memory appliedRules) = 
-            policyManager.executeComplianceRules(from, to, amount, jurisdictionCode);
+        uint256 appliedRules;
+        (isCompliant, reason, appliedRules, ruleSetId, reasonCode) =
+            policyManager.executeTransferRules(_transferContext(operator, from, to, tokenId, amount, data));
         
-        if (!rulesValid) {
+        if (!isCompliant) {
             emit ComplianceCheckCompleted(txHash, false, appliedRules, block.timestamp);
-            return (false, ruleError);
+            return (false, reason, ruleSetId, reasonCode);
         }
         
         // 記錄合規證明
@@ -370,42 +560,101 @@ contract GL1PolicyWrapper is IGL1PolicyWrapper, AccessControl, ReentrancyGuard {
         });
         
         emit ComplianceCheckCompleted(txHash, true, appliedRules, block.timestamp);
-        return (true, "");
+        return (true, "", bytes32(0), 0);
     }
     
     /**
-     * @notice 驗證 ProofSet — 時效性 + ECDSA 簽章驗證
-     * @dev 1. 檢查時效性（issuedAt ≤ now < expiresAt）
-     *      2. 將 ProofSet 核心欄位編碼並雜湊
-     *      3. 加上 Ethereum Signed Message prefix
-     *      4. 透過 ECDSA.recover 從簽章還原簽署者地址
-     *      5. 比對是否為系統授權的 trustedSigner
+     * @notice 轉移完成後通知 policyManager 回呼規則記帳
+     * @dev 由 PBMToken 在轉移（含批次，每個 tokenId 各一次）完成後調用；
+     *      與 checkTransferCompliance 相同，停用合規或任一方豁免時不記帳
      */
-    function _verifyProofSet(ProofSet calldata proof) internal view {
-        // 時效性檢查
-        require(proof.expiresAt > block.timestamp, "Proof expired");
-        require(proof.issuedAt <= block.timestamp, "Proof not yet valid");
-        
-        // ECDSA 簽章驗證
-        require(trustedSigner != address(0), "Trusted signer not set");
-        
-        // 將 ProofSet 核心欄位編碼並計算訊息雜湊
-        bytes32 messageHash = keccak256(abi.encode(
-            proof.proofType,
-            proof.credentialHash,
-            proof.issuedAt,
-            proof.expiresAt,
-            proof.issuer
-        ));
-        
-        // 加上 Ethereum Signed Message prefix（EIP-191）
-        bytes32 ethSignedHash = messageHash.toEthSignedMessageHash();
-        
-        // 從簽章還原簽署者地址
-        address recoveredSigner = ethSignedHash.recover(proof.signature);
-        
-        // 比對是否為授權簽署者
-        require(recoveredSigner == trustedSigner, "Invalid proof signer");
+    function afterTransferCompliance(
+        address operator,
+        address from,
+        address to,
+        uint256 tokenId,
+        uint256 amount,
+        bytes calldata data
+    ) external override {
+        require(msg.sender == address(pbmToken), "Only PBM token");
+        if (!complianceEnabled || complianceExempt[from] || complianceExempt[to]) {
+            return;
+        }
+        policyManager.afterTransfer(_transferContext(operator, from, to, tokenId, amount, data));
+    }
+    
+    /**
+     * @notice 預覽轉移合規性（唯讀）
+     * @dev 與 checkTransferCompliance 相同的身份與規則檢查，但不寫入 complianceProofs、
+     *      不發事件，也不更新規則的累計狀態；供前端預覽與 PBMToken.canTransfer 使用。
+     *      豁免時直接通過，否則回傳 policyManager.previewTransfer 的結果（operator 視為 from）。
+     *      轉帳熔斷中時以 TransferHalted revert（canTransfer 因而回傳 false）
+     * @return isCompliant 是否合規
+     * @return reason 未通過原因
+     * @return verdicts 每條規則的裁決（豁免或身份未通過時為空）
+     */
+    function previewTransferCompliance(
+        address from,
+        address to,
+        uint256 tokenId,
+        uint256 amount
+    ) external view returns (
+        bool isCompliant,
+        string memory reason,
+        IPolicyManager.RuleVerdict[] memory verdicts
+    ) {
+        _checkOperation(ICircuitBreaker.Operation.TRANSFER, tokenId);
+        if (!complianceEnabled || complianceExempt[from] || complianceExempt[to]) {
+            return (true, "", verdicts);
+        }
+        return policyManager.previewTransfer(_transferContext(from, from, to, tokenId, amount, ""));
+    }
+    
+    /**
+     * @notice 組出交給規則的轉帳上下文
+     * @dev FX 幣別對：跨境支付鑄造的 PBM 取 fxTransactions 的紀錄，其餘取底層資產的幣別（目標為 0）
+     */
+    function _transferContext(
+        address operator,
+        address from,
+        address to,
+        uint256 tokenId,
+        uint256 amount,
+        bytes memory data
+    ) internal view returns (IComplianceRuleV2.TransferContext memory) {
+        AssetInfo storage assetInfo = assets[tokenId];
+        FXTransaction storage fx = fxTransactions[tokenId];
+        return IComplianceRuleV2.TransferContext({
+            operator: operator,
+            from: from,
+            to: to,
+            amount: amount,
+            tokenId: tokenId,
+            asset: assetInfo.assetAddress,
+            assetTokenId: assetInfo.assetTokenId,
+            jurisdiction: jurisdictionCode,
+            fromJurisdiction: bytes32(0),
+            toJurisdiction: bytes32(0),
+            sourceCurrency: fx.payer != address(0) ? fx.sourceCurrency : assetCurrency[assetInfo.assetAddress],
+            targetCurrency: fx.targetCurrency,
+            data: data
+        });
+    }
+    
+    /**
+     * @notice 驗證並消耗 ProofSet（見 ProofSets.useProofSet）
+     * @param counterparty 本次操作的交易對手（wrap 為 0、轉帳為接收方、FX 支付為商家）
+     */
+    function _useProofSet(
+        ProofSet calldata proof,
+        address subject,
+        address counterparty,
+        uint256 tokenId,
+        uint256 amount
+    ) internal {
+        (uint256 uses, uint256 amountUsed) =
+            ProofSets.useProofSet(proofSets, proof, subject, counterparty, tokenId, amount);
+        emit ProofConsumed(proof.credentialHash, subject, amount, uses, amountUsed);
     }
     
     /**
@@ -451,6 +700,15 @@ contract GL1PolicyWrapper is IGL1PolicyWrapper, AccessControl, ReentrancyGuard {
         }
     }
     
+    /**
+     * @notice 操作在本管轄區或該 tokenId 熔斷時 revert（WrapHalted、UnwrapHalted…）
+     */
+    function _checkOperation(ICircuitBreaker.Operation operation, uint256 tokenId) internal view {
+        if (address(circuitBreaker) != address(0)) {
+            circuitBreaker.checkOperation(operation, jurisdictionCode, tokenId);
+        }
+    }
+    
     // ============ Admin Functions ============
     
     function updatePolicyManager(address newManager) external onlyRole(POLICY_ADMIN_ROLE) {
@@ -460,6 +718,22 @@ contract GL1PolicyWrapper is IGL1PolicyWrapper, AccessControl, ReentrancyGuard {
         emit PolicyManagerUpdated(oldManager, newManager);
     }
     
+    /**
+     * @notice 設定緊急熔斷合約（address(0) 停用熔斷檢查）
+     */
+    function setCircuitBreaker(address breaker) external onlyRole(POLICY_ADMIN_ROLE) {
+        emit CircuitBreakerUpdated(address(circuitBreaker), breaker);
+        circuitBreaker = ICircuitBreaker(breaker);
+    }
+    
+    /**
+     * @notice 設定混合合規路徑（address(0) 時 ProofSet 涵蓋全部檢查）
+     */
+    function setComplianceRouter(address router) external onlyRole(POLICY_ADMIN_ROLE) {
+        emit ComplianceRouterUpdated(address(complianceRouter), router);
+        complianceRouter = IComplianceRouter(router);
+    }
+    
     function setComplianceExemption(address account, bool exempt) external onlyRole(POLICY_ADMIN_ROLE) {
         complianceExempt[account] = exempt;
         emit ComplianceExemptionSet(account, exempt);
@@ -470,29 +744,179 @@ contract GL1PolicyWrapper is IGL1PolicyWrapper, AccessControl, ReentrancyGuard {
     }
     
     /**
-     * @notice 更新授權簽署者
+     * @notice 立即替換主要授權簽署者
+     * @dev 舊簽署者立即失效（緊急換鑰用）；需要重疊期的輪替請改用
+     *      setProofSigner 先加入新鑰，再為舊鑰設定 validUntil
      * @param newSigner 新簽署者地址
      */
     function setTrustedSigner(address newSigner) external onlyRole(POLICY_ADMIN_ROLE) {
         require(newSigner != address(0), "Invalid signer address");
-        address oldSigner = trustedSigner;
-        trustedSigner = newSigner;
+        address oldSigner = proofSets.trustedSigner;
+        proofSets.trustedSigner = newSigner;
+        
+        _setProofSigner(newSigner, 0, 0);
+        if (oldSigner != address(0) && oldSigner != newSigner && proofSets.signers[oldSigner].registered) {
+            _removeProofSigner(oldSigner);
+        }
+        
         emit TrustedSignerUpdated(oldSigner, newSigner);
     }
     
+    /**
+     * @notice 新增簽署者或更新其有效期間
+     * @dev 金鑰輪替：加入新鑰（validFrom = 生效時間），並將舊鑰 validUntil
+     *      設為重疊期結束時間，讓已簽發的 ProofSet 在重疊期內仍可使用
+     * @param signer 簽署者地址
+     * @param validFrom 生效時間（0 為立即）
+     * @param validUntil 失效時間（0 為不設到期）
+     */
+    function setProofSigner(
+        address signer,
+        uint64 validFrom,
+        uint64 validUntil
+    ) external onlyRole(POLICY_ADMIN_ROLE) {
+        require(signer != address(0), "Invalid signer address");
+        require(validUntil == 0 || validUntil > validFrom, "Invalid validity window");
+        _setProofSigner(signer, validFrom, validUntil);
+    }
+    
+    /**
+     * @notice 移除簽署者（立即失效）
+     */
+    function removeProofSigner(address signer) external onlyRole(POLICY_ADMIN_ROLE) {
+        require(proofSets.signers[signer].registered, "Signer not registered");
+        _removeProofSigner(signer);
+    }
+    
+    /**
+     * @notice 設定 ProofSet 所需的簽署者門檻（k-of-n）
+     */
+    function setSignerThreshold(uint256 threshold) external onlyRole(POLICY_ADMIN_ROLE) {
+        require(threshold > 0 && threshold <= proofSets.signerList.length, "Invalid threshold");
+        uint256 oldThreshold = proofSets.threshold;
+        proofSets.threshold = threshold;
+        emit SignerThresholdUpdated(oldThreshold, threshold);
+    }
+    
+    function _setProofSigner(address signer, uint64 validFrom, uint64 validUntil) internal {
+        ProofSets.setSigner(proofSets, signer, validFrom, validUntil);
+        emit ProofSignerSet(signer, validFrom, validUntil);
+    }
+    
+    function _removeProofSigner(address signer) internal {
+        ProofSets.removeSigner(proofSets, signer);
+        emit ProofSignerRemoved(signer);
+    }
+    
+    /**
+     * @notice 在到期前撤銷 ProofSet
+     * @dev REGULATOR_ROLE 可撤銷任何 ProofSet；有效簽署者（簽發證明的 gateway）只能撤銷自己簽署的：
+     *      使用過的 ProofSet 依使用時記錄的簽署者判斷，尚未使用的鏈上無從得知簽署者，
+     *      任一有效簽署者皆可撤銷
+     * @param credentialHash 要撤銷的憑證雜湊
+     * @param reason 撤銷原因
+     */
+    function revokeProof(bytes32 credentialHash, string calldata reason) external {
+        require(
+            hasRole(REGULATOR_ROLE, msg.sender) || (
+                ProofSets.isSignerActive(proofSets.signers[msg.sender]) &&
+                (proofSets.usage[credentialHash].uses == 0 || proofSets.signedBy[credentialHash][msg.sender])
+            ),
+            "Not authorized to revoke"
+        );
+        require(!proofSets.revoked[credentialHash], "Proof already revoked");
+        
+        proofSets.revoked[credentialHash] = true;
+        emit ProofRevoked(credentialHash, msg.sender, reason);
+    }
+    
+    /**
+     * @notice 設定某 proofType 的單次使用金額上限
+     * @param proofType 證明類型（例如 "AML_EDD"）
+     * @param cap 金額上限（0 = 不限）
+     */
+    function setProofTypeAmountCap(bytes32 proofType, uint256 cap) external onlyRole(POLICY_ADMIN_ROLE) {
+        proofSets.typeAmountCap[proofType] = cap;
+        emit ProofTypeAmountCapSet(proofType, cap);
+    }
+    
     // ============ View Functions ============
     
-    function getAssetInfo(uint256 pbmTokenId) external view returns (AssetInfo memory) {
-        return assets[pbmTokenId];
+    /**
+     * @notice 主要授權簽署者
+     */
+    function trustedSigner() external view returns (address) {
+        return proofSets.trustedSigner;
+    }
+    
+    /**
+     * @notice 簽署者的有效期間
+     */
+    function proofSigners(address signer)
+        external
+        view
+        returns (uint64 validFrom, uint64 validUntil, bool registered)
+    {
+        ProofSets.Signer memory info = proofSets.signers[signer];
+        return (info.validFrom, info.validUntil, info.registered);
+    }
+    
+    /**
+     * @notice ProofSet 所需的簽署者門檻（k-of-n）
+     */
+    function signerThreshold() external view returns (uint256) {
+        return proofSets.threshold;
+    }
+    
+    /**
+     * @notice ProofSet 的使用紀錄
+     */
+    function proofUsage(bytes32 credentialHash) external view returns (uint256 uses, uint256 amountUsed) {
+        ProofSets.Usage memory usage = proofSets.usage[credentialHash];
+        return (usage.uses, usage.amountUsed);
+    }
+    
+    /**
+     * @notice ProofSet 是否已撤銷
+     */
+    function revokedProofs(bytes32 credentialHash) external view returns (bool) {
+        return proofSets.revoked[credentialHash];
+    }
+    
+    /**
+     * @notice proofType 的單次使用金額上限（0 = 不限）
+     */
+    function proofTypeAmountCap(bytes32 proofType) external view returns (uint256) {
+        return proofSets.typeAmountCap[proofType];
+    }
+    
+    /**
+     * @notice 列出所有已註冊的簽署者（含尚未生效或已過期者）
+     */
+    function getProofSigners() external view returns (address[] memory) {
+        return proofSets.signerList;
+    }
+    
+    /**
+     * @notice 檢查簽署者目前是否在有效期間內
+     */
+    function isProofSignerActive(address signer) external view returns (bool) {
+        return ProofSets.isSignerActive(proofSets.signers[signer]);
     }
     
-    function getComplianceProof(bytes32 txHash) 
+    /**
+     * @notice 查詢 ProofSet 的使用與撤銷狀態
+     * @return uses 已使用次數
+     * @return amountUsed 已使用的累計金額
+     * @return revoked 是否已撤銷
+     */
+    function getProofStatus(bytes32 credentialHash) 
         external 
         view 
-        onlyRole(REGULATOR_ROLE)
-        returns (ComplianceProof memory) 
+        returns (uint256 uses, uint256 amountUsed, bool revoked) 
     {
-        return complianceProofs[txHash];
+        ProofSets.Usage memory usage = proofSets.usage[credentialHash];
+        return (usage.uses, usage.amountUsed, proofSets.revoked[credentialHash]);
     }
     
     /**
@@ -530,9 +954,13 @@ contract GL1PolicyWrapper is IGL1PolicyWrapper, AccessControl, ReentrancyGuard {
         bytes32 sourceCurrency = assetCurrency[sourceAsset];
         require(sourceCurrency != bytes32(0), "Source currency not configured");
         
-        // 驗證合規證明
+        // 計算 PBM tokenId (基於來源資產)
+        pbmTokenId = computePBMTokenId(AssetType.ERC20, sourceAsset, 0);
+        _checkOperation(ICircuitBreaker.Operation.WRAP, pbmTokenId);
+        
+        // 驗證合規證明（鑄造數量為 sourceAmount）
         if (complianceEnabled && !complianceExempt[msg.sender]) {
-            _verifyProofSet(proof);
+            _useProofSet(proof, msg.sender, address(0), pbmTokenId, sourceAmount);
         }
         
         // 查詢匯率並轉換金額
@@ -548,9 +976,6 @@ contract GL1PolicyWrapper is IGL1PolicyWrapper, AccessControl, ReentrancyGuard {
         // 轉入來源資產
         IERC20(sourceAsset).safeTransferFrom(msg.sender, address(this), sourceAmount);
         
-        // 計算 PBM tokenId (基於來源資產)
-        pbmTokenId = computePBMTokenId(AssetType.ERC20, sourceAsset, 0);
-        
         // 記錄資產資訊
         if (assets[pbmTokenId].assetAddress == address(0)) {
             assets[pbmTokenId] = AssetInfo({
@@ -631,11 +1056,6 @@ contract GL1PolicyWrapper is IGL1PolicyWrapper, AccessControl, ReentrancyGuard {
         bytes32 sourceCurrency = assetCurrency[sourceAsset];
         require(sourceCurrency != bytes32(0), "Source currency not configured");
         
-        // 驗證合規證明
-        if (complianceEnabled && !complianceExempt[msg.sender]) {
-            _verifyProofSet(proof);
-        }
-        
         // 查詢匯率：目標幣種 → 來源幣種（例如 SGD → TWD）
         // 這樣可以計算：要得到 100 SGD，需要多少 TWD
         (sourceAmountPaid, rateUsed) = fxRateProvider.convert(
@@ -646,6 +1066,15 @@ contract GL1PolicyWrapper is IGL1PolicyWrapper, AccessControl, ReentrancyGuard {
         
         require(sourceAmountPaid > 0, "Conversion resulted in zero");
         
+        // 計算 PBM tokenId (基於來源資產)
+        pbmTokenId = computePBMTokenId(AssetType.ERC20, sourceAsset, 0);
+        _checkOperation(ICircuitBreaker.Operation.FX_PAYMENT, pbmTokenId);
+        
+        // 驗證合規證明（商家為交易對手，鑄造數量為 sourceAmountPaid）
+        if (complianceEnabled && !complianceExempt[msg.sender]) {
+            _useProofSet(proof, msg.sender, merchant, pbmTokenId, sourceAmountPaid);
+        }
+        
         // 檢查遊客餘額
         require(
             IERC20(sourceAsset).balanceOf(msg.sender) >= sourceAmountPaid,
@@ -655,9 +1084,6 @@ contract GL1PolicyWrapper is IGL1PolicyWrapper, AccessControl, ReentrancyGuard {
         // 轉入來源資產（從遊客扣款）
         IERC20(sourceAsset).safeTransferFrom(msg.sender, address(this), sourceAmountPaid);
         
-        // 計算 PBM tokenId (基於來源資產)
-        pbmTokenId = computePBMTokenId(AssetType.ERC20, sourceAsset, 0);
-        
         // 記錄資產資訊
         if (assets[pbmTokenId].assetAddress == address(0)) {
             assets[pbmTokenId] = AssetInfo({
@@ -737,6 +1163,7 @@ contract GL1PolicyWrapper is IGL1PolicyWrapper, AccessControl, ReentrancyGuard {
         require(amount > 0, "Amount must be > 0");
         require(beneficiary != address(0), "Invalid beneficiary");
         require(targetAsset != address(0), "Invalid target asset");
+        _checkOperation(ICircuitBreaker.Operation.SETTLEMENT, pbmTokenId);
         
         AssetInfo memory assetInfo = assets[pbmTokenId];
         require(assetInfo.assetAddress != address(0), "Unknown PBM tokenId");
@@ -904,11 +1331,4 @@ contract GL1PolicyWrapper is IGL1PolicyWrapper, AccessControl, ReentrancyGuard {
         // 實際生產環境可能需要維護一個已驗證帳戶的快取
         return true;
     }
-    
-    // Helper
-    function _toArray(string memory str) internal pure returns (string[] memory) {
-        string[] memory arr = new string[](1);
-        arr[0] = str;
-        return arr;
-    }
 }
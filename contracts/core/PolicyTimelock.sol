@@ -0,0 +1,297 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/structs/Checkpoints.sol";
+
+/**
+ * @title PolicyTimelock
+ * @notice GL1PolicyManager 規則配置的延時生效與版本紀錄
+ * @dev 部署後以 GL1PolicyManager.setTimelock 將 RULE_ADMIN_ROLE 與 JURISDICTION_ADMIN_ROLE
+ *      移交本合約，所有配置變更即須經過：
+ *      1. propose：排入對 Policy Manager 的呼叫與生效時間（至少 minDelay 之後，對應監理機關公告的生效日）
+ *      2. 延時期間可 cancel
+ *      3. 生效時間到後任何人可 execute，套用後配置版本 +1
+ *      緊急停用（規則集、管轄區）不經延時，由 EMERGENCY_ROLE 立即執行，同樣記錄版本。
+ *      調整 minDelay 同樣須經 propose / execute（呼叫本合約的 setMinDelay）。
+ *
+ *      版本以區塊號為鍵記錄（OpenZeppelin Checkpoints），可查詢任一區塊適用的配置版本，
+ *      以及特定 subject（規則集、規則群組、管轄區或範圍鍵，依呼叫的函數取得，見 subjectOf）在該區塊的版本。
+ */
+contract PolicyTimelock is AccessControl {
+    using Checkpoints for Checkpoints.Trace208;
+
+    bytes32 public constant PROPOSER_ROLE = keccak256("PROPOSER_ROLE");
+    bytes32 public constant CANCELLER_ROLE = keccak256("CANCELLER_ROLE");
+    bytes32 public constant EMERGENCY_ROLE = keccak256("EMERGENCY_ROLE");
+
+    // GL1PolicyManager.setRuleSetActive(bytes32,bool) / setJurisdictionEnabled(bytes32,bool)
+    bytes4 private constant SET_RULE_SET_ACTIVE = bytes4(keccak256("setRuleSetActive(bytes32,bool)"));
+    bytes4 private constant SET_JURISDICTION_ENABLED = bytes4(keccak256("setJurisdictionEnabled(bytes32,bool)"));
+
+    // 第一個參數即為 subject 的呼叫（規則集 ID、規則群組 ID 或管轄區代碼）
+    bytes4 private constant REGISTER_RULE_SET = bytes4(keccak256("registerRuleSet(bytes32,string,bool,address,uint256)"));
+    bytes4 private constant SET_JURISDICTION_RULES = bytes4(keccak256("setJurisdictionRules(bytes32,bytes32[])"));
+    bytes4 private constant DEFINE_RULE_GROUP = bytes4(keccak256("defineRuleGroup(bytes32,uint8,bytes32[])"));
+    bytes4 private constant SET_JURISDICTION_RULE_GROUP = bytes4(keccak256("setJurisdictionRuleGroup(bytes32,bytes32)"));
+    bytes4 private constant SET_CROSS_BORDER_RULES = bytes4(keccak256("setCrossBorderRules(bytes32,uint8,bytes32[])"));
+
+    // subject 為範圍鍵（GL1PolicyManager.ruleScopeKey）或原因字串雜湊的呼叫
+    bytes4 private constant SET_SCOPED_RULES = bytes4(keccak256("setScopedRules(uint8,bytes32,bytes32[])"));
+    bytes4 private constant SET_SCOPED_RULE_GROUP = bytes4(keccak256("setScopedRuleGroup(uint8,bytes32,bytes32)"));
+    bytes4 private constant SET_TOKEN_PROGRAM = bytes4(keccak256("setTokenProgram(uint256[],bytes32)"));
+    bytes4 private constant SET_REASON_CODE = bytes4(keccak256("setReasonCode(string,uint16)"));
+
+    // GL1PolicyManager.RuleScope.PROGRAM
+    uint8 private constant SCOPE_PROGRAM = 1;
+
+    enum ChangeStatus {
+        NONE,
+        QUEUED,      // 等待生效
+        APPLIED,     // 已套用
+        CANCELLED    // 已取消
+    }
+
+    struct Change {
+        bytes data;              // 對 Policy Manager 的呼叫
+        bytes32 subject;         // 受影響的規則集 / 群組 / 管轄區 / 範圍鍵（見 subjectOf）
+        address proposer;
+        uint64 effectiveAt;      // 生效時間（之後才能 execute）
+        uint64 appliedBlock;     // 套用的區塊
+        uint256 version;         // 套用後的配置版本
+        ChangeStatus status;
+    }
+
+    // 受控的 GL1PolicyManager
+    address public immutable policyManager;
+
+    // 提案到生效的最短延時（秒）
+    uint256 public minDelay;
+
+    // changeId → 變更
+    mapping(bytes32 => Change) private changes;
+
+    // 配置版本 → changeId（緊急停用另有 changeId，見 _emergency）
+    mapping(uint256 => bytes32) public versionChange;
+
+    // 目前的配置版本（每套用一筆變更 +1）
+    uint256 public currentVersion;
+
+    uint256 private changeNonce;
+
+    // 區塊號 → 配置版本
+    Checkpoints.Trace208 private versionHistory;
+
+    // subject → 區塊號 → 最後一次影響此 subject 的配置版本
+    mapping(bytes32 => Checkpoints.Trace208) private subjectHistory;
+
+    event ChangeProposed(
+        bytes32 indexed changeId,
+        bytes32 indexed subject,
+        address indexed proposer,
+        bytes data,
+        uint256 effectiveAt
+    );
+    event ChangeCancelled(bytes32 indexed changeId, address indexed canceller);
+    event ChangeApplied(bytes32 indexed changeId, bytes32 indexed subject, uint256 indexed version);
+    event EmergencyChangeApplied(bytes32 indexed changeId, bytes32 indexed subject, uint256 indexed version, address caller);
+    event MinDelayUpdated(uint256 oldDelay, uint256 newDelay);
+
+    constructor(address _policyManager, uint256 _minDelay) {
+        require(_policyManager != address(0), "Invalid policy manager");
+        policyManager = _policyManager;
+        minDelay = _minDelay;
+
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(PROPOSER_ROLE, msg.sender);
+        _grantRole(CANCELLER_ROLE, msg.sender);
+        _grantRole(EMERGENCY_ROLE, msg.sender);
+    }
+
+    /**
+     * @notice 排入配置變更
+     * @param data 對 Policy Manager 的呼叫（例如 abi.encodeCall(setJurisdictionRules, (...))）
+     * @param effectiveAt 生效時間，須 ≥ 現在 + minDelay
+     * @return changeId 變更 ID
+     */
+    function propose(
+        bytes calldata data,
+        uint256 effectiveAt
+    ) external onlyRole(PROPOSER_ROLE) returns (bytes32 changeId) {
+        require(data.length >= 4, "Invalid call data");
+        require(effectiveAt >= block.timestamp + minDelay, "Effective time before delay");
+        require(effectiveAt <= type(uint64).max, "Effective time too far");
+
+        changeId = keccak256(abi.encode(block.chainid, address(this), ++changeNonce));
+        bytes32 subject = subjectOf(data);
+        changes[changeId] = Change({
+            data: data,
+            subject: subject,
+            proposer: msg.sender,
+            effectiveAt: uint64(effectiveAt),
+            appliedBlock: 0,
+            version: 0,
+            status: ChangeStatus.QUEUED
+        });
+
+        emit ChangeProposed(changeId, subject, msg.sender, data, effectiveAt);
+    }
+
+    /**
+     * @notice 在生效前取消變更
+     */
+    function cancel(bytes32 changeId) external onlyRole(CANCELLER_ROLE) {
+        Change storage change = changes[changeId];
+        require(change.status == ChangeStatus.QUEUED, "Change not queued");
+        change.status = ChangeStatus.CANCELLED;
+        emit ChangeCancelled(changeId, msg.sender);
+    }
+
+    /**
+     * @notice 套用已到生效時間的變更（任何人可呼叫）
+     * @dev Policy Manager 呼叫失敗時 revert 並帶回原因，變更維持 QUEUED 可再嘗試；
+     *      setMinDelay 的變更呼叫本合約
+     * @return version 套用後的配置版本
+     */
+    function execute(bytes32 changeId) external returns (uint256 version) {
+        Change storage change = changes[changeId];
+        require(change.status == ChangeStatus.QUEUED, "Change not queued");
+        require(block.timestamp >= change.effectiveAt, "Change not yet effective");
+
+        change.status = ChangeStatus.APPLIED;
+        bytes memory data = change.data;
+        _call(bytes4(data) == this.setMinDelay.selector ? address(this) : policyManager, data);
+        version = _recordVersion(changeId, change);
+
+        emit ChangeApplied(changeId, change.subject, version);
+    }
+
+    /**
+     * @notice 緊急停用規則集（不經延時）
+     */
+    function emergencyDisableRuleSet(bytes32 ruleSetId) external onlyRole(EMERGENCY_ROLE) returns (uint256) {
+        return _emergency(abi.encodeWithSelector(SET_RULE_SET_ACTIVE, ruleSetId, false), ruleSetId);
+    }
+
+    /**
+     * @notice 緊急停用管轄區（不經延時）
+     */
+    function emergencyDisableJurisdiction(bytes32 jurisdictionCode) external onlyRole(EMERGENCY_ROLE) returns (uint256) {
+        return _emergency(abi.encodeWithSelector(SET_JURISDICTION_ENABLED, jurisdictionCode, false), jurisdictionCode);
+    }
+
+    /**
+     * @notice 調整最短延時
+     * @dev 只能由本合約呼叫：以 propose(abi.encodeCall(setMinDelay, (newDelay)), ...) 排入，
+     *      經過目前的 minDelay 後 execute，縮短延時同樣有公告期
+     */
+    function setMinDelay(uint256 newDelay) external {
+        require(msg.sender == address(this), "Caller must be timelock");
+        emit MinDelayUpdated(minDelay, newDelay);
+        minDelay = newDelay;
+    }
+
+    // ============ 查詢函數 ============
+
+    /**
+     * @notice 查詢變更
+     */
+    function getChange(bytes32 changeId) external view returns (Change memory) {
+        return changes[changeId];
+    }
+
+    /**
+     * @notice 區塊 blockNumber 結束時適用的配置版本（0 = 尚未套用任何變更）
+     */
+    function versionAt(uint256 blockNumber) external view returns (uint256) {
+        return versionHistory.upperLookupRecent(_blockKey(blockNumber));
+    }
+
+    /**
+     * @notice 區塊 blockNumber 結束時，最後一次影響 subject（見 subjectOf）的配置版本
+     * @dev 以 versionChange 取得該版本的變更內容；0 表示此前沒有經本合約的變更
+     */
+    function subjectVersionAt(bytes32 subject, uint256 blockNumber) external view returns (uint256) {
+        return subjectHistory[subject].upperLookupRecent(_blockKey(blockNumber));
+    }
+
+    /**
+     * @notice 變更影響的 subject（依呼叫的函數）
+     * @dev - 規則集 / 規則群組 / 管轄區設定：第一個參數（規則集 ID、群組 ID 或管轄區代碼）
+     *      - setScopedRules / setScopedRuleGroup：ruleScopeKey(scope, key)
+     *      - setTokenProgram：ruleScopeKey(PROGRAM, programId)
+     *      - setReasonCode：keccak256(reason)
+     *      - 其他（recognizedJurisdictions、鏈下逾時、參與方角色、minDelay 等全域設定）：0
+     */
+    function subjectOf(bytes calldata data) public pure returns (bytes32) {
+        if (data.length < 36) return bytes32(0);
+        bytes4 selector = bytes4(data[:4]);
+
+        if (
+            selector == REGISTER_RULE_SET ||
+            selector == SET_RULE_SET_ACTIVE ||
+            selector == SET_JURISDICTION_RULES ||
+            selector == DEFINE_RULE_GROUP ||
+            selector == SET_JURISDICTION_RULE_GROUP ||
+            selector == SET_CROSS_BORDER_RULES ||
+            selector == SET_JURISDICTION_ENABLED
+        ) {
+            return bytes32(data[4:36]);
+        }
+        if (selector == SET_SCOPED_RULES || selector == SET_SCOPED_RULE_GROUP) {
+            // 前兩個參數 (scope, key) 的 ABI 編碼即 keccak256(abi.encode(scope, key))
+            require(data.length >= 68, "Invalid call data");
+            return keccak256(data[4:68]);
+        }
+        if (selector == SET_TOKEN_PROGRAM) {
+            (, bytes32 programId) = abi.decode(data[4:], (uint256[], bytes32));
+            return keccak256(abi.encode(SCOPE_PROGRAM, programId));
+        }
+        if (selector == SET_REASON_CODE) {
+            (string memory reason, ) = abi.decode(data[4:], (string, uint16));
+            return keccak256(bytes(reason));
+        }
+        return bytes32(0);
+    }
+
+    // ============ 內部函數 ============
+
+    function _emergency(bytes memory data, bytes32 subject) internal returns (uint256 version) {
+        bytes32 changeId = keccak256(abi.encode(block.chainid, address(this), ++changeNonce));
+        Change storage change = changes[changeId];
+        change.data = data;
+        change.subject = subject;
+        change.proposer = msg.sender;
+        change.effectiveAt = uint64(block.timestamp);
+        change.status = ChangeStatus.APPLIED;
+
+        _call(policyManager, data);
+        version = _recordVersion(changeId, change);
+
+        emit EmergencyChangeApplied(changeId, change.subject, version, msg.sender);
+    }
+
+    function _call(address target, bytes memory data) internal {
+        (bool success, bytes memory result) = target.call(data);
+        if (!success) {
+            // 原樣轉回 Policy Manager（或本合約）的 revert 原因
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+    }
+
+    function _recordVersion(bytes32 changeId, Change storage change) internal returns (uint256 version) {
+        version = ++currentVersion;
+        change.appliedBlock = uint64(block.number);
+        change.version = version;
+        versionChange[version] = changeId;
+
+        versionHistory.push(uint48(block.number), uint208(version));
+        subjectHistory[change.subject].push(uint48(block.number), uint208(version));
+    }
+
+    function _blockKey(uint256 blockNumber) internal pure returns (uint48) {
+        return blockNumber > type(uint48).max ? type(uint48).max : uint48(blockNumber);
+    }
+}
@@ -18,6 +18,18 @@ interface ICCIDProvider {
         bytes32 jurisdiction
     ) external view returns (bool);
 
+    /**
+     * @notice 帳戶是否已獲特定管轄區核准
+     * @dev 不檢查身份狀態與 KYC 效期（由 verifyCredential 檢查），供判斷帳戶所屬管轄區
+     * @param account 帳戶地址
+     * @param jurisdiction 司法管轄區代碼
+     * @return 是否已核准
+     */
+    function jurisdictionApproval(
+        address account,
+        bytes32 jurisdiction
+    ) external view returns (bool);
+
     /**
      * @notice 獲取帳戶的 KYC 等級
      * @param account 帳戶地址
@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ICircuitBreaker
+ * @notice 監理機關控制的緊急熔斷介面
+ * @dev 依管轄區與 PBM tokenId 分別暫停個別操作；operations 參數為位元遮罩，
+ *      第 n 位對應 Operation(n)（例如 WRAP | UNWRAP = 0x03）
+ */
+interface ICircuitBreaker {
+    enum Operation {
+        WRAP,          // wrap / wrapWithFXConversion
+        UNWRAP,        // unwrap
+        TRANSFER,      // PBM 轉帳（含 ProofSet 與鏈下裁決路徑）
+        FX_PAYMENT,    // payWithFXConversion
+        SETTLEMENT     // settleCrossBorderPayment
+    }
+
+    error WrapHalted(bytes32 jurisdiction, uint256 tokenId);
+    error UnwrapHalted(bytes32 jurisdiction, uint256 tokenId);
+    error TransferHalted(bytes32 jurisdiction, uint256 tokenId);
+    error FXPaymentHalted(bytes32 jurisdiction, uint256 tokenId);
+    error SettlementHalted(bytes32 jurisdiction, uint256 tokenId);
+
+    /**
+     * @notice 操作是否在該管轄區或該 tokenId 被暫停
+     */
+    function isHalted(Operation operation, bytes32 jurisdiction, uint256 tokenId) external view returns (bool);
+
+    /**
+     * @notice 操作被暫停時以對應的錯誤 revert（WrapHalted、TransferHalted…）
+     */
+    function checkOperation(Operation operation, bytes32 jurisdiction, uint256 tokenId) external view;
+
+    /**
+     * @notice 回報事件（例如 AML 申報），累計達門檻時自動熔斷
+     * @param incidentType 事件類型（例如 keccak256("AML_REPORT")）
+     */
+    function recordIncident(bytes32 incidentType) external;
+}
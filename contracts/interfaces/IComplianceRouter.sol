@@ -0,0 +1,39 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./IComplianceRule.sol";
+
+/**
+ * @title IComplianceRouter
+ * @notice 混合合規路徑：決定 ProofSet 轉帳（safeTransferFromWithProof）須在鏈上執行哪些規則
+ * @dev 路徑依 PBM tokenId → 管轄區的順序取第一個有設定的範圍，皆未設定時為 PROOF：
+ *      - PROOF：ProofSet 涵蓋全部檢查（原本的鏈下檢驗路徑）
+ *      - HYBRID：ProofSet 涵蓋其餘檢查，onChainRules 列出的規則仍須在鏈上通過
+ *      - ON_CHAIN：不接受 ProofSet，須走 PBMToken.safeTransferFrom 的鏈上規則鏈
+ */
+interface IComplianceRouter {
+    enum Route {
+        UNSET,      // 未設定（沿用下一層範圍）
+        PROOF,      // ProofSet 涵蓋全部檢查
+        HYBRID,     // ProofSet + 指定的鏈上規則
+        ON_CHAIN    // 僅限鏈上規則鏈
+    }
+
+    error ProofPathDisabled(bytes32 jurisdiction, uint256 tokenId);
+    error OnChainRuleFailed(bytes32 ruleSetId, uint16 reasonCode, string reason);
+
+    /**
+     * @notice 轉帳適用的路徑與須在鏈上執行的規則集
+     */
+    function resolveRoute(
+        bytes32 jurisdiction,
+        uint256 tokenId
+    ) external view returns (Route route, bytes32[] memory onChainRules);
+
+    /**
+     * @notice 檢查 ProofSet 轉帳：ON_CHAIN 以 ProofPathDisabled revert，
+     *         HYBRID 執行指定的鏈上規則，未通過以 OnChainRuleFailed revert
+     * @param context 轉帳上下文（jurisdiction 為 wrapper 所屬管轄區）
+     */
+    function checkProofPath(IComplianceRuleV2.TransferContext calldata context) external view;
+}
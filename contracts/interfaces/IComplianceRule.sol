@@ -8,7 +8,9 @@ pragma solidity ^0.8.20;
  */
 interface IComplianceRule {
     /**
-     * @notice 檢查交易是否符合此規則
+     * @notice 檢查交易是否符合此規則（check 階段，唯讀）
+     * @dev 不得修改狀態：預覽與 ERC-7943 canTransfer 會以 staticcall 呼叫；
+     *      需要累計狀態的規則改在 IComplianceRuleHook.afterTransfer 記帳
      * @param from 發送方地址
      * @param to 接收方地址
      * @param amount 交易金額
@@ -19,7 +21,7 @@ interface IComplianceRule {
         address from,
         address to,
         uint256 amount
-    ) external returns (bool passed, string memory error);
+    ) external view returns (bool passed, string memory error);
 
     /**
      * @notice 獲取規則的唯一標識符
@@ -39,3 +41,62 @@ interface IComplianceRule {
      */
     function isEnabled() external view returns (bool);
 }
+
+/**
+ * @title IComplianceRuleV2
+ * @notice 合規規則執行器介面 v2：以轉帳上下文取代 (from, to, amount)
+ * @dev 實作者須在 supportsInterface 宣告 type(IComplianceRuleV2).interfaceId；
+ *      Policy Manager 於註冊規則集時以 ERC-165 偵測，支援 v2 的規則改呼叫 checkTransfer，
+ *      其餘規則仍走 v1 的 checkCompliance。規則不必再另外設定檢查上下文
+ */
+interface IComplianceRuleV2 {
+    /// @notice 轉帳上下文
+    struct TransferContext {
+        address operator;         // 發起轉帳的帳戶（ERC-1155 operator）
+        address from;
+        address to;
+        uint256 amount;
+        uint256 tokenId;          // PBM tokenId（0 = 呼叫端未提供）
+        address asset;            // 底層資產合約（address(0) = 未知）
+        uint256 assetTokenId;     // 底層資產 tokenId（ERC-721 / ERC-1155）
+        bytes32 jurisdiction;     // 正在評估的法域（跨法域轉帳時為發送方、接收方或呼叫端所屬的管轄區）
+        bytes32 fromJurisdiction; // 發送方的管轄區（Policy Manager 依身份核准填入）
+        bytes32 toJurisdiction;   // 接收方的管轄區（與 fromJurisdiction 不同即為跨法域轉帳）
+        bytes32 sourceCurrency;   // FX 幣別對：來源幣別（未設定為 0）
+        bytes32 targetCurrency;   // FX 幣別對：目標幣別（非跨境支付為 0）
+        bytes data;               // 轉帳附帶的 calldata（ERC-1155 data）
+    }
+
+    /**
+     * @notice 檢查交易是否符合此規則（唯讀，同 IComplianceRule.checkCompliance 的限制）
+     * @param context 轉帳上下文
+     * @return passed 是否通過規則檢查
+     * @return error 錯誤訊息（如有）
+     */
+    function checkTransfer(
+        TransferContext calldata context
+    ) external view returns (bool passed, string memory error);
+}
+
+/**
+ * @title IComplianceRuleHook
+ * @notice 合規規則的轉帳後回呼（選用）
+ * @dev 需要記帳的規則（例如外匯每日累計、AML 拆分交易追蹤）實作此介面，
+ *      並在 supportsInterface 宣告 type(IComplianceRuleHook).interfaceId；
+ *      Policy Manager 於註冊規則集時以 ERC-165 偵測，未宣告的規則不會被回呼
+ */
+interface IComplianceRuleHook {
+    /**
+     * @notice 轉帳完成後記帳
+     * @dev 僅由 Policy Manager 在轉帳確定完成後呼叫（批次轉帳每個 tokenId 各一次），
+     *      實作者須限制呼叫者，避免他人灌入假的使用量
+     * @param from 發送方地址
+     * @param to 接收方地址
+     * @param amount 交易金額
+     */
+    function afterTransfer(
+        address from,
+        address to,
+        uint256 amount
+    ) external;
+}
@@ -16,12 +16,20 @@ interface IGL1PolicyWrapper {
     }
     
     /// @notice 合規證明集
+    /// @dev 以 EIP-712 typed data 簽署，domain 綁定 chainId 與 wrapper 地址；
+    ///      subject / counterparty / tokenId / maxAmount 將證明綁定到特定操作
     struct ProofSet {
         bytes32 proofType;        // "KYC", "AML", "ACCREDITATION"
         bytes32 credentialHash;   // 鏈下憑證的雜湊
         uint256 issuedAt;         // 發行時間
         uint256 expiresAt;        // 過期時間
         address issuer;           // 發行機構
+        address subject;          // 證明主體（wrap/pay 的呼叫者、transfer 的 from）
+        address counterparty;     // 交易對手（transfer 的 to、pay 的商家；wrap 為 0）
+        uint256 tokenId;          // 適用的 PBM tokenId
+        uint256 maxAmount;        // 可授權的最大金額（單次）
+        uint256 maxUses;          // 可使用次數（0 視為 1，即單次使用）
+        uint256 amountBudget;     // 累計金額上限（0 表示不設累計上限）
         bytes signature;          // 發行機構簽名
     }
     
@@ -63,19 +71,43 @@ interface IGL1PolicyWrapper {
     
     /**
      * @notice 檢查轉移合規性
+     * @param operator 發起轉移的帳戶
      * @param from 發送方
      * @param to 接收方
      * @param tokenId PBM tokenId
      * @param amount 數量
+     * @param data 轉移附帶的資料
      * @return isCompliant 是否合規
      * @return reason 原因
+     * @return ruleSetId 擋下轉移的規則集（身份驗證為 ReasonCodes.IDENTITY_CHECK、熔斷為 ReasonCodes.CIRCUIT_BREAKER；通過時為 0）
+     * @return reasonCode 數字原因碼（見 ReasonCodes；通過時為 0）
      */
     function checkTransferCompliance(
+        address operator,
         address from,
         address to,
         uint256 tokenId,
-        uint256 amount
-    ) external returns (bool isCompliant, string memory reason);
+        uint256 amount,
+        bytes calldata data
+    ) external returns (bool isCompliant, string memory reason, bytes32 ruleSetId, uint16 reasonCode);
+    
+    /**
+     * @notice 轉帳完成後通知（觸發規則記帳）
+     * @param operator 發起轉移的帳戶
+     * @param from 發送方
+     * @param to 接收方
+     * @param tokenId PBM tokenId
+     * @param amount 數量
+     * @param data 轉移附帶的資料
+     */
+    function afterTransferCompliance(
+        address operator,
+        address from,
+        address to,
+        uint256 tokenId,
+        uint256 amount,
+        bytes calldata data
+    ) external;
     
     // Events
     event TokenWrapped(
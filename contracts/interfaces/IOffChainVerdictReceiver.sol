@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IOffChainVerdictReceiver
+ * @notice 鏈下規則裁決回呼介面
+ * @dev 以 requestOffChainRules 建立請求的合約須實作此介面，
+ *      Policy Manager 在請求結案（通過、拒絕或逾時）時回呼
+ */
+interface IOffChainVerdictReceiver {
+    /**
+     * @notice 接收鏈下規則的最終裁決
+     * @param requestId 請求 ID
+     * @param approved 所有鏈下規則是否皆通過
+     * @param reason 拒絕或逾時原因（通過時為空字串）
+     * @return released 轉帳是否實際完成；Policy Manager 只在為 true 時執行規則記帳
+     */
+    function onOffChainVerdict(
+        bytes32 requestId,
+        bool approved,
+        string calldata reason
+    ) external returns (bool released);
+}
@@ -1,12 +1,24 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import "./IComplianceRule.sol";
+
 /**
  * @title IPolicyManager
  * @notice GL1 Policy Manager 介面
  * @dev 定義合規規則驗證的標準介面
  */
 interface IPolicyManager {
+    /// @notice 單條規則的裁決
+    struct RuleVerdict {
+        bytes32 ruleSetId;
+        bytes32 ruleType;         // 規則類型（bytes32 字串）
+        bool passed;
+        string reason;            // 規則回傳的原因（通過時為空字串）
+        bytes32 jurisdiction;     // 評估此規則的法域（跨法域轉帳時區分發送方與接收方）
+        uint16 reasonCode;        // 數字原因碼（見 ReasonCodes；通過時為 0）
+    }
+
     /**
      * @notice 驗證跨鏈身份 (CCID)
      * @param from 發送方地址
@@ -21,6 +33,20 @@ interface IPolicyManager {
         bytes32 jurisdiction
     ) external returns (bool isValid, string memory errorReason);
 
+    /**
+     * @notice 驗證跨鏈身份（唯讀版本，不發事件）
+     */
+    function checkIdentity(
+        address from,
+        address to,
+        bytes32 jurisdiction
+    ) external view returns (bool isValid, string memory errorReason);
+
+    /**
+     * @notice 文字原因的數字原因碼（見 ReasonCodes）：空字串為 NONE，未登記為 UNKNOWN
+     */
+    function reasonCodeOf(string memory reason) external view returns (uint16);
+
     /**
      * @notice 執行合規規則引擎
      * @param from 發送方地址
@@ -29,7 +55,7 @@ interface IPolicyManager {
      * @param jurisdiction 司法管轄區代碼
      * @return isCompliant 是否合規
      * @return failureReason 失敗原因（如有）
-     * @return appliedRules 已套用的規則列表
+     * @return appliedRules 已套用規則的點陣圖（位元 = 規則集的註冊順序）
      */
     function executeComplianceRules(
         address from,
@@ -39,6 +65,132 @@ interface IPolicyManager {
     ) external returns (
         bool isCompliant,
         string memory failureReason,
-        string[] memory appliedRules
+        uint256 appliedRules
+    );
+
+    /**
+     * @notice 以完整轉帳上下文執行合規規則引擎
+     * @dev 支援 IComplianceRuleV2 的規則收到整個上下文，v1 規則只收到 from / to / amount
+     * @param context 轉帳上下文（context.jurisdiction 決定適用的規則）
+     * @return isCompliant 是否合規
+     * @return failureReason 失敗原因（如有）
+     * @return appliedRules 已套用規則的點陣圖（位元 = 規則集的註冊順序）
+     * @return blockingRuleSetId 擋下轉移的規則集（第一條未通過的裁決；通過或非單一規則擋下時為 0）
+     * @return reasonCode 失敗原因的數字原因碼（見 ReasonCodes；通過時為 0）
+     */
+    function executeTransferRules(
+        IComplianceRuleV2.TransferContext calldata context
+    ) external returns (
+        bool isCompliant,
+        string memory failureReason,
+        uint256 appliedRules,
+        bytes32 blockingRuleSetId,
+        uint16 reasonCode
     );
+
+    /**
+     * @notice 轉帳完成後回呼規則記帳（IComplianceRuleHook.afterTransfer）
+     * @param context 轉帳上下文
+     */
+    function afterTransfer(IComplianceRuleV2.TransferContext calldata context) external;
+
+    /**
+     * @notice 評估合規規則（唯讀，不更新規則的累計狀態）
+     * @param from 發送方地址
+     * @param to 接收方地址
+     * @param amount 轉移金額
+     * @param jurisdiction 司法管轄區代碼
+     * @return isCompliant 是否合規
+     * @return failureReason 失敗原因（如有）
+     * @return appliedRules 已套用規則的點陣圖（位元 = 規則集的註冊順序）
+     * @return verdicts 每條規則的裁決
+     */
+    function evaluateComplianceRules(
+        address from,
+        address to,
+        uint256 amount,
+        bytes32 jurisdiction
+    ) external view returns (
+        bool isCompliant,
+        string memory failureReason,
+        uint256 appliedRules,
+        RuleVerdict[] memory verdicts
+    );
+
+    /**
+     * @notice 以完整轉帳上下文評估合規規則（唯讀）
+     */
+    function evaluateTransferRules(
+        IComplianceRuleV2.TransferContext calldata context
+    ) external view returns (
+        bool isCompliant,
+        string memory failureReason,
+        uint256 appliedRules,
+        RuleVerdict[] memory verdicts
+    );
+
+    /**
+     * @notice 以規則引擎的執行方式評估指定的規則清單（唯讀，例如 ComplianceRouter 的 HYBRID 路徑）
+     * @dev 與平面規則清單相同：停用中的規則略過，鏈下規則視為未通過；
+     *      context.jurisdiction 為呼叫端所屬管轄區，fromJurisdiction / toJurisdiction 依身份核准填入
+     * @param ruleSetIds 規則集
+     * @param context 轉帳上下文
+     * @return isCompliant 是否全部通過
+     * @return failureReason 第一條未通過規則的原因
+     * @return appliedRules 已套用規則的點陣圖
+     * @return verdicts 每條啟用中規則的裁決
+     */
+    function evaluateRules(
+        bytes32[] calldata ruleSetIds,
+        IComplianceRuleV2.TransferContext calldata context
+    ) external view returns (
+        bool isCompliant,
+        string memory failureReason,
+        uint256 appliedRules,
+        RuleVerdict[] memory verdicts
+    );
+
+    /**
+     * @notice 規則集是否已註冊、是否為鏈上規則
+     */
+    function ruleSetMode(bytes32 ruleSetId) external view returns (bool registered, bool isOnChain);
+
+    /**
+     * @notice 預覽轉帳合規性：身份驗證 + 規則評估（唯讀）
+     * @return isCompliant 是否合規
+     * @return failureReason 失敗原因（如有）
+     * @return verdicts 每條規則的裁決（身份未通過時為空）
+     */
+    function previewTransferCompliance(
+        address from,
+        address to,
+        uint256 amount,
+        bytes32 jurisdiction
+    ) external view returns (
+        bool isCompliant,
+        string memory failureReason,
+        RuleVerdict[] memory verdicts
+    );
+
+    /**
+     * @notice 以完整轉帳上下文預覽轉帳合規性（唯讀）
+     */
+    function previewTransfer(
+        IComplianceRuleV2.TransferContext calldata context
+    ) external view returns (
+        bool isCompliant,
+        string memory failureReason,
+        RuleVerdict[] memory verdicts
+    );
+
+    /**
+     * @notice 建立鏈下規則請求（非同步路徑）
+     * @dev 鏈上規則當下執行，未通過時 revert；鏈下規則發出請求事件，
+     *      裁決完成後回呼呼叫者的 IOffChainVerdictReceiver.onOffChainVerdict
+     * @param context 轉帳上下文（tokenId / 底層資產決定適用的規則範圍）
+     * @return requestId 請求 ID
+     */
+    function requestOffChainRules(
+        IComplianceRuleV2.TransferContext calldata context
+    ) external returns (bytes32 requestId);
 }
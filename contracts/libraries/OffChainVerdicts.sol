@@ -0,0 +1,52 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+
+/**
+ * @title OffChainVerdicts
+ * @notice 鏈下規則裁決的 EIP-712 驗章
+ * @dev 外部函式庫：部署後連結到 GL1PolicyManager，以 DELEGATECALL 執行，address(this) 即 Policy Manager。
+ *      裁決由規則的 executorAddress 簽署，domain 為 GL1PolicyManager / 1 / chainId / Policy Manager 地址，
+ *      與 scripts/offchain-executor.js 的 verdictDomain 一致
+ */
+library OffChainVerdicts {
+    // EIP-712 鏈下裁決型別雜湊
+    bytes32 internal constant OFFCHAIN_VERDICT_TYPEHASH = keccak256(
+        "OffChainVerdict(bytes32 requestId,bytes32 ruleSetId,bool passed,string reason)"
+    );
+
+    bytes32 private constant DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+
+    /**
+     * @notice 還原裁決的簽署者
+     * @param signature executor 的 EIP-712 簽章
+     * @return signer 簽署者地址（簽章格式錯誤時 revert）
+     */
+    function recoverSigner(
+        bytes32 requestId,
+        bytes32 ruleSetId,
+        bool passed,
+        string calldata reason,
+        bytes calldata signature
+    ) external view returns (address signer) {
+        bytes32 domainSeparator = keccak256(abi.encode(
+            DOMAIN_TYPEHASH,
+            keccak256("GL1PolicyManager"),
+            keccak256("1"),
+            block.chainid,
+            address(this)
+        ));
+        bytes32 digest = MessageHashUtils.toTypedDataHash(domainSeparator, keccak256(abi.encode(
+            OFFCHAIN_VERDICT_TYPEHASH,
+            requestId,
+            ruleSetId,
+            passed,
+            keccak256(bytes(reason))
+        )));
+        return ECDSA.recover(digest, signature);
+    }
+}
@@ -0,0 +1,203 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/introspection/ERC165Checker.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "../interfaces/IComplianceRule.sol";
+
+/**
+ * @title PolicyRules
+ * @notice GL1PolicyManager 的規則集註冊、規則群組定義與規則清單設定
+ * @dev 外部函式庫：部署後連結到 GL1PolicyManager，以 DELEGATECALL 在 Policy Manager 的 storage 上執行。
+ *      只含不在轉帳路徑上的配置邏輯；權限檢查與事件留在 Policy Manager
+ */
+library PolicyRules {
+    // 規則集定義：轉帳時需要的欄位擠在第一個 slot，評估一條規則只讀一個 slot
+    // （ruleType 只在組裝裁決時讀取）；executorAddress 非 0 即表示已註冊
+    struct RuleSet {
+        address executorAddress;      // 執行器合約地址或 oracle
+        bool isOnChain;               // true = 鏈上執行, false = 鏈下執行
+        bool isActive;                // 是否啟用
+        bool hasAfterTransferHook;    // 執行器是否實作 IComplianceRuleHook（註冊時以 ERC-165 偵測）
+        uint8 interfaceVersion;       // 檢查介面：1 = IComplianceRule，2 = IComplianceRuleV2（註冊時以 ERC-165 偵測）
+        uint8 index;                  // 註冊順序，即 appliedRules 點陣圖的位元
+        uint32 priority;              // 執行優先級
+        bytes32 ruleType;             // "KYC", "AML", "SANCTIONS", "POSITION_LIMIT"（bytes32 字串）
+    }
+
+    enum GroupOperator {
+        AND,    // 所有子節點通過
+        OR,     // 任一子節點通過
+        NOT     // 唯一子節點未通過
+    }
+
+    // 子節點可為規則集 ID 或其他群組 ID；群組定義後不可修改，
+    // 子節點須先存在，因此群組樹必為無環
+    struct RuleGroup {
+        GroupOperator operator;
+        bytes32[] children;
+        uint256 depth;            // 1 = 子節點皆為規則集
+        bool exists;
+        bytes32[] rules;          // 樹內所有規則集（去重），轉帳後依此回呼
+    }
+
+    // 規則集數量上限（appliedRules 點陣圖為 uint256）
+    uint256 internal constant MAX_RULE_SETS = 256;
+
+    // 群組巢狀深度上限（限制遞迴 gas）
+    uint256 internal constant MAX_GROUP_DEPTH = 8;
+
+    /**
+     * @notice 註冊規則集，依註冊順序取得 appliedRules 點陣圖的位元
+     * @dev 鏈上規則以 ERC-165 偵測檢查介面版本與 afterTransfer 回呼
+     * @param ruleSets Policy Manager 的規則集
+     * @param registered 依註冊順序排列的規則集 ID
+     * @param ruleGroups Policy Manager 的規則群組（ID 不可與群組重複）
+     * @param ruleType 規則類型，以 bytes32 字串保存（最長 31 bytes）
+     * @param priority 執行優先級（uint32）
+     */
+    function registerRuleSet(
+        mapping(bytes32 => RuleSet) storage ruleSets,
+        bytes32[] storage registered,
+        mapping(bytes32 => RuleGroup) storage ruleGroups,
+        bytes32 ruleSetId,
+        string calldata ruleType,
+        bool isOnChain,
+        address executorAddress,
+        uint256 priority
+    ) external {
+        require(ruleSets[ruleSetId].executorAddress == address(0), "RuleSet already exists");
+        require(!ruleGroups[ruleSetId].exists, "Id used by RuleGroup");
+        require(executorAddress != address(0), "Invalid executor address");
+        require(bytes(ruleType).length < 32, "Rule type too long");
+        require(registered.length < MAX_RULE_SETS, "Too many rule sets");
+
+        ruleSets[ruleSetId] = RuleSet({
+            executorAddress: executorAddress,
+            isOnChain: isOnChain,
+            isActive: true,
+            hasAfterTransferHook: isOnChain && ERC165Checker.supportsInterface(
+                executorAddress,
+                type(IComplianceRuleHook).interfaceId
+            ),
+            interfaceVersion: !isOnChain ? 0 : ERC165Checker.supportsInterface(
+                executorAddress,
+                type(IComplianceRuleV2).interfaceId
+            ) ? 2 : 1,
+            index: uint8(registered.length),
+            priority: SafeCast.toUint32(priority),
+            ruleType: bytes32(bytes(ruleType))
+        });
+
+        registered.push(ruleSetId);
+    }
+
+    /**
+     * @notice 定義規則群組
+     * @dev 子節點須為已註冊的鏈上規則集或已定義的群組；NOT 僅能有一個子節點
+     */
+    function defineRuleGroup(
+        mapping(bytes32 => RuleGroup) storage ruleGroups,
+        mapping(bytes32 => RuleSet) storage ruleSets,
+        bytes32 groupId,
+        GroupOperator operator,
+        bytes32[] calldata children
+    ) external {
+        require(groupId != bytes32(0), "Invalid group id");
+        require(!ruleGroups[groupId].exists, "RuleGroup already exists");
+        require(ruleSets[groupId].executorAddress == address(0), "Id used by RuleSet");
+        if (operator == GroupOperator.NOT) {
+            require(children.length == 1, "NOT takes one child");
+        } else {
+            require(children.length > 0, "Empty rule group");
+        }
+
+        RuleGroup storage group = ruleGroups[groupId];
+        uint256 depth = 1;
+        for (uint256 i = 0; i < children.length; i++) {
+            RuleGroup storage child = ruleGroups[children[i]];
+            if (child.exists) {
+                if (child.depth + 1 > depth) {
+                    depth = child.depth + 1;
+                }
+                for (uint256 j = 0; j < child.rules.length; j++) {
+                    _addGroupRule(group, child.rules[j]);
+                }
+            } else {
+                require(ruleSets[children[i]].executorAddress != address(0), "Unknown group child");
+                require(ruleSets[children[i]].isOnChain, "Off-chain rule not allowed in group");
+                _addGroupRule(group, children[i]);
+            }
+        }
+        require(depth <= MAX_GROUP_DEPTH, "RuleGroup too deep");
+
+        group.operator = operator;
+        group.children = children;
+        group.depth = depth;
+        group.exists = true;
+    }
+
+    /**
+     * @notice 以規則集 ID 取代規則清單（管轄區、跨法域、範圍與參與方角色的規則）
+     * @dev 所有規則集須已註冊
+     */
+    function setRuleList(
+        mapping(bytes32 => RuleSet) storage ruleSets,
+        bytes32[] storage rules,
+        bytes32[] calldata ruleSetIds
+    ) external {
+        for (uint256 i = 0; i < ruleSetIds.length; i++) {
+            require(ruleSets[ruleSetIds[i]].executorAddress != address(0), "RuleSet does not exist");
+            if (i < rules.length) {
+                rules[i] = ruleSetIds[i];
+            } else {
+                rules.push(ruleSetIds[i]);
+            }
+        }
+        while (rules.length > ruleSetIds.length) {
+            rules.pop();
+        }
+    }
+
+    /**
+     * @notice appliedRules 點陣圖轉為規則類型名稱（依註冊順序）
+     * @param registered 依註冊順序排列的規則集 ID（位元 i 對應 registered[i]）
+     */
+    function ruleTypeNames(
+        mapping(bytes32 => RuleSet) storage ruleSets,
+        bytes32[] storage registered,
+        uint256 appliedRules
+    ) external view returns (string[] memory names) {
+        names = new string[](_popCount(appliedRules));
+        uint256 count = 0;
+        for (uint256 i = 0; appliedRules >> i != 0; i++) {
+            if ((appliedRules >> i) & 1 == 1) {
+                bytes32 ruleType = ruleSets[registered[i]].ruleType;
+                uint256 length = 0;
+                while (length < 32 && ruleType[length] != 0) {
+                    length++;
+                }
+                bytes memory name = new bytes(length);
+                for (uint256 j = 0; j < length; j++) {
+                    name[j] = ruleType[j];
+                }
+                names[count++] = string(name);
+            }
+        }
+    }
+
+    function _addGroupRule(RuleGroup storage group, bytes32 ruleSetId) private {
+        for (uint256 i = 0; i < group.rules.length; i++) {
+            if (group.rules[i] == ruleSetId) {
+                return;
+            }
+        }
+        group.rules.push(ruleSetId);
+    }
+
+    function _popCount(uint256 bitmap) private pure returns (uint256 count) {
+        for (; bitmap != 0; bitmap &= bitmap - 1) {
+            count++;
+        }
+    }
+}
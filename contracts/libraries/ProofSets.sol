@@ -0,0 +1,223 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "../interfaces/IGL1PolicyWrapper.sol";
+
+/**
+ * @title ProofSets
+ * @notice GL1PolicyWrapper 的 ProofSet 驗證：EIP-712 門檻簽章、操作綁定、重放防護與簽署者管理
+ * @dev 外部函式庫：部署後連結到 GL1PolicyWrapper，以 DELEGATECALL 在 wrapper 的 storage 上執行，
+ *      address(this) 即 wrapper。domain 為 GL1PolicyWrapper / 1 / chainId / wrapper 地址，
+ *      與 scripts/compliance-gateway.js 的 proofDomain 一致。權限檢查與事件留在 wrapper
+ */
+library ProofSets {
+    using ECDSA for bytes32;
+
+    // EIP-712 ProofSet 型別雜湊（不含 signature 欄位）
+    bytes32 internal constant PROOF_SET_TYPEHASH = keccak256(
+        "ProofSet(bytes32 proofType,bytes32 credentialHash,uint256 issuedAt,uint256 expiresAt,address issuer,address subject,address counterparty,uint256 tokenId,uint256 maxAmount,uint256 maxUses,uint256 amountBudget)"
+    );
+
+    bytes32 private constant DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+
+    // 簽署者有效期間：validFrom ≤ now < validUntil（validUntil = 0 表示不設到期）
+    struct Signer {
+        uint64 validFrom;
+        uint64 validUntil;
+        bool registered;
+    }
+
+    // ProofSet 使用紀錄（以 credentialHash 為鍵）
+    struct Usage {
+        uint256 uses;         // 已使用次數
+        uint256 amountUsed;   // 已使用的累計金額
+    }
+
+    struct Registry {
+        // 主要授權簽署者（單一 gateway 部署時使用；多簽見 signers）
+        address trustedSigner;
+        // k-of-n 簽署者與金鑰輪替
+        mapping(address => Signer) signers;
+        address[] signerList;
+        mapping(address => uint256) signerIndex;
+        uint256 threshold;
+        // credentialHash → 使用紀錄 / 是否撤銷 / 使用時記錄的簽署者（限定可撤銷的簽署者）
+        mapping(bytes32 => Usage) usage;
+        mapping(bytes32 => bool) revoked;
+        mapping(bytes32 => mapping(address => bool)) signedBy;
+        // proofType → 單次使用金額上限（0 = 不限）
+        // gateway 以 proofType 標示風險區間（AML_LOW / AML_EDD），EDD 證明可設較低額度
+        mapping(bytes32 => uint256) typeAmountCap;
+    }
+
+    /**
+     * @notice 驗證並消耗 ProofSet 的使用額度
+     * @dev 1. 檢查時效性（issuedAt ≤ now < expiresAt）與是否已撤銷
+     *      2. 檢查 subject / counterparty / tokenId / maxAmount 與本次操作一致
+     *      3. 依 PROOF_SET_TYPEHASH 計算 struct hash，套上 wrapper 的 EIP-712 domain
+     *      4. 透過 ECDSA.recover 從簽章還原簽署者地址（可串接多個 65-byte 簽章）
+     *      5. 比對皆為有效期間內的授權簽署者，且人數達 threshold
+     *      6. 以 credentialHash 記錄使用次數與累計金額，超過 maxUses（0 視為 1）
+     *         或 amountBudget（0 為不限）即拒絕，防止重放
+     * @param proof 鏈下合規閘道簽發的 ProofSet
+     * @param subject 本次操作的主體
+     * @param counterparty 本次操作的交易對手（wrap 為 0、轉帳為接收方、FX 支付為商家）
+     * @param tokenId 本次操作的 PBM tokenId
+     * @param amount 本次操作的金額
+     * @return uses 使用後的次數
+     * @return amountUsed 使用後的累計金額
+     */
+    function useProofSet(
+        Registry storage self,
+        IGL1PolicyWrapper.ProofSet calldata proof,
+        address subject,
+        address counterparty,
+        uint256 tokenId,
+        uint256 amount
+    ) external returns (uint256 uses, uint256 amountUsed) {
+        // 時效性檢查
+        require(proof.expiresAt > block.timestamp, "Proof expired");
+        require(proof.issuedAt <= block.timestamp, "Proof not yet valid");
+
+        // 撤銷檢查
+        require(!self.revoked[proof.credentialHash], "Proof revoked");
+
+        // 操作綁定檢查
+        require(proof.subject == subject, "Proof subject mismatch");
+        require(proof.counterparty == counterparty, "Proof counterparty mismatch");
+        require(proof.tokenId == tokenId, "Proof tokenId mismatch");
+        require(amount <= proof.maxAmount, "Proof amount exceeded");
+        uint256 typeCap = self.typeAmountCap[proof.proofType];
+        require(typeCap == 0 || amount <= typeCap, "Proof type amount cap exceeded");
+
+        // ECDSA 簽章驗證（k-of-n），並記錄簽署者
+        _verifySigners(self, proof.credentialHash, _hashProofSet(proof), proof.signature);
+
+        Usage storage usage = self.usage[proof.credentialHash];
+        uint256 maxUses = proof.maxUses == 0 ? 1 : proof.maxUses;
+        require(usage.uses < maxUses, "Proof use limit reached");
+
+        amountUsed = usage.amountUsed + amount;
+        require(
+            proof.amountBudget == 0 || amountUsed <= proof.amountBudget,
+            "Proof budget exceeded"
+        );
+
+        uses = usage.uses + 1;
+        usage.uses = uses;
+        usage.amountUsed = amountUsed;
+    }
+
+    /**
+     * @notice 新增簽署者或更新其有效期間
+     */
+    function setSigner(Registry storage self, address signer, uint64 validFrom, uint64 validUntil) external {
+        if (!self.signers[signer].registered) {
+            self.signerIndex[signer] = self.signerList.length;
+            self.signerList.push(signer);
+        }
+        self.signers[signer] = Signer({
+            validFrom: validFrom,
+            validUntil: validUntil,
+            registered: true
+        });
+    }
+
+    /**
+     * @notice 移除簽署者（立即失效）；移除後人數不得低於門檻
+     * @dev 移除的是主要授權簽署者時一併清除 trustedSigner
+     */
+    function removeSigner(Registry storage self, address signer) external {
+        require(self.signerList.length > self.threshold, "Below signer threshold");
+
+        // swap and pop
+        uint256 index = self.signerIndex[signer];
+        uint256 lastIndex = self.signerList.length - 1;
+        if (index != lastIndex) {
+            address lastSigner = self.signerList[lastIndex];
+            self.signerList[index] = lastSigner;
+            self.signerIndex[lastSigner] = index;
+        }
+        self.signerList.pop();
+        delete self.signerIndex[signer];
+        delete self.signers[signer];
+
+        if (signer == self.trustedSigner) {
+            self.trustedSigner = address(0);
+        }
+    }
+
+    /**
+     * @notice 簽署者目前是否在有效期間內
+     */
+    function isSignerActive(Signer memory info) internal view returns (bool) {
+        return info.registered &&
+            info.validFrom <= block.timestamp &&
+            (info.validUntil == 0 || block.timestamp < info.validUntil);
+    }
+
+    /**
+     * @notice 驗證 ProofSet 的門檻簽章
+     * @dev signatures 為多個 65-byte 簽章串接，還原出的簽署者須依地址嚴格遞增
+     *      （避免同一簽署者重複計票），每位皆須在其有效期間內
+     */
+    function _verifySigners(
+        Registry storage self,
+        bytes32 credentialHash,
+        bytes32 digest,
+        bytes calldata signatures
+    ) private {
+        require(self.signerList.length > 0, "Trusted signer not set");
+        require(
+            signatures.length > 0 && signatures.length % 65 == 0,
+            "Invalid signature length"
+        );
+
+        uint256 count = signatures.length / 65;
+        require(count >= self.threshold, "Insufficient proof signers");
+
+        address lastSigner = address(0);
+        for (uint256 i = 0; i < count; i++) {
+            address recovered = digest.recover(signatures[i * 65:(i + 1) * 65]);
+            require(recovered > lastSigner, "Proof signers not sorted");
+
+            Signer memory info = self.signers[recovered];
+            require(info.registered, "Invalid proof signer");
+            require(isSignerActive(info), "Proof signer not active");
+            self.signedBy[credentialHash][recovered] = true;
+
+            lastSigner = recovered;
+        }
+    }
+
+    /**
+     * @notice 計算 ProofSet 的 EIP-712 digest
+     */
+    function _hashProofSet(IGL1PolicyWrapper.ProofSet calldata proof) private view returns (bytes32) {
+        bytes32 domainSeparator = keccak256(abi.encode(
+            DOMAIN_TYPEHASH,
+            keccak256("GL1PolicyWrapper"),
+            keccak256("1"),
+            block.chainid,
+            address(this)
+        ));
+        return MessageHashUtils.toTypedDataHash(domainSeparator, keccak256(abi.encode(
+            PROOF_SET_TYPEHASH,
+            proof.proofType,
+            proof.credentialHash,
+            proof.issuedAt,
+            proof.expiresAt,
+            proof.issuer,
+            proof.subject,
+            proof.counterparty,
+            proof.tokenId,
+            proof.maxAmount,
+            proof.maxUses,
+            proof.amountBudget
+        )));
+    }
+}
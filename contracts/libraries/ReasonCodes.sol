@@ -0,0 +1,58 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ReasonCodes
+ * @notice 合規裁決的數字原因碼
+ * @dev 規則與 Policy Manager 仍回傳文字原因；Policy Manager 以 reasonCodes（原因雜湊 → 代碼）
+ *      將文字原因轉為代碼，填入 RuleVerdict.reasonCode、決策紀錄與 PBMToken 的 revert。
+ *      代碼分段：1xxx 身份 / 管轄區、2xxx 規則引擎、3xxx 白名單、4xxx 外匯、5xxx AML、
+ *      6xxx 抵押品 / 現金、7xxx 緊急熔斷；未登記的原因為 UNKNOWN。
+ *      與 scripts/reason-codes.js 的中英文對照表保持一致
+ */
+library ReasonCodes {
+    uint16 internal constant NONE = 0;
+
+    // 身份 / 管轄區（GL1PolicyManager）
+    uint16 internal constant JURISDICTION_NOT_ENABLED = 1001;
+    uint16 internal constant SENDER_IDENTITY_FAILED = 1002;
+    uint16 internal constant RECIPIENT_IDENTITY_FAILED = 1003;
+    uint16 internal constant SANCTIONED_ADDRESS = 1004;
+
+    // 規則引擎（GL1PolicyManager）
+    uint16 internal constant RULE_EXECUTION_FAILED = 2001;
+    uint16 internal constant OFFCHAIN_VERDICT_REQUIRED = 2002;
+    uint16 internal constant NEGATED_GROUP_PASSED = 2003;
+    uint16 internal constant OFFCHAIN_VERDICT_TIMEOUT = 2004;
+
+    // 白名單（WhitelistRule）
+    uint16 internal constant RECIPIENT_NOT_WHITELISTED = 3001;
+    uint16 internal constant MERCHANT_DEACTIVATED = 3002;
+
+    // 外匯（FXLimitRule）
+    uint16 internal constant FX_LIMIT_EXCEEDED = 4001;
+
+    // AML（AMLThresholdRule）
+    uint16 internal constant AML_REVIEW_REQUIRED = 5001;
+
+    // 抵押品 / 現金（CollateralRule、CashAdequacyRule）
+    uint16 internal constant COLLATERAL_NOT_ALLOWED = 6001;
+    uint16 internal constant COLLATERAL_PRICE_NOT_SET = 6002;
+    uint16 internal constant INSUFFICIENT_COLLATERAL = 6003;
+    uint16 internal constant LOAN_OBLIGATION_NOT_SET = 6004;
+    uint16 internal constant CASH_ASSET_NOT_ALLOWED = 6101;
+    uint16 internal constant INSUFFICIENT_CASH = 6102;
+    uint16 internal constant CASH_OBLIGATION_NOT_SET = 6103;
+
+    // 緊急熔斷（CircuitBreaker）
+    uint16 internal constant TRANSFER_HALTED = 7001;
+
+    // 未登記的原因（第三方規則、鏈下裁決的自由文字）
+    uint16 internal constant UNKNOWN = 9999;
+
+    /// @notice 身份驗證未通過時代表「規則」的 ID（不是已註冊的規則集）
+    bytes32 internal constant IDENTITY_CHECK = keccak256("IDENTITY_CHECK");
+
+    /// @notice 轉帳熔斷時代表「規則」的 ID
+    bytes32 internal constant CIRCUIT_BREAKER = keccak256("CIRCUIT_BREAKER");
+}
@@ -3,6 +3,7 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "../interfaces/IComplianceRule.sol";
+import "../interfaces/ICircuitBreaker.sol";
 
 /**
  * @title AMLThresholdRule
@@ -19,12 +20,20 @@ import "../interfaces/IComplianceRule.sol";
  * 如需阻擋可疑交易，應搭配額外的審核流程。
  * ═══════════════════════════════════════════════════════════════════
  */
-contract AMLThresholdRule is IComplianceRule, AccessControl {
+contract AMLThresholdRule is IComplianceRule, IComplianceRuleHook, AccessControl {
     bytes32 public constant AML_OFFICER_ROLE = keccak256("AML_OFFICER_ROLE");
+    // 可呼叫 afterTransfer 的 Policy Manager
+    bytes32 public constant POLICY_MANAGER_ROLE = keccak256("POLICY_MANAGER_ROLE");
     
     // 規則標識符
     bytes32 public constant RULE_ID = keccak256("AML_THRESHOLD_RULE");
     
+    // 回報給緊急熔斷的事件類型（每建立一筆申報記錄回報一次）
+    bytes32 public constant AML_REPORT_INCIDENT = keccak256("AML_REPORT");
+    
+    // 緊急熔斷（未設定時不回報；本合約須有熔斷合約的 REPORTER_ROLE）
+    address public circuitBreaker;
+    
     // 規則是否啟用
     bool private _enabled = true;
     
@@ -107,6 +116,8 @@ contract AMLThresholdRule is IComplianceRule, AccessControl {
     event ThresholdUpdated(string thresholdType, uint256 oldValue, uint256 newValue);
     event RuleEnabledChanged(bool enabled);
     event BlockModeChanged(bool blockMode);
+    event CircuitBreakerUpdated(address indexed oldBreaker, address indexed newBreaker);
+    event IncidentReportFailed(bytes32 indexed reportId);
     
     constructor() {
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
@@ -115,7 +126,8 @@ contract AMLThresholdRule is IComplianceRule, AccessControl {
     
     /**
      * @notice 檢查交易是否符合 AML 規則
-     * @dev 主要功能是記錄申報，預設不阻擋交易
+     * @dev 唯讀：以目前累計狀態推算本筆交易是否可疑；申報記錄在 afterTransfer 建立。
+     *      預設不阻擋交易（blockSuspiciousTransactions = false）
      * @param from 發送方地址
      * @param to 接收方地址
      * @param amount 交易金額
@@ -126,13 +138,42 @@ contract AMLThresholdRule is IComplianceRule, AccessControl {
         address from,
         address to,
         uint256 amount
-    ) external override returns (bool passed, string memory error) {
+    ) external view override returns (bool passed, string memory error) {
+        // 抑制未使用參數警告
+        to;
+        
         // 如果規則未啟用，直接通過
         if (!_enabled) {
             return (true, "");
         }
         
-        bool isSuspicious = false;
+        // 1. 大額交易 2. 拆分交易嫌疑 3. 帳戶已被標記
+        (uint256 totalAmount, uint256 transactionCount) = _projectCumulative(from, amount);
+        bool isSuspicious =
+            amount >= largeTransactionThreshold ||
+            _isStructuring(totalAmount, transactionCount, amount) ||
+            flaggedAccounts[from];
+        
+        // 根據阻擋模式決定是否拒絕交易
+        if (isSuspicious && blockSuspiciousTransactions) {
+            return (false, "AML_REVIEW_REQUIRED");
+        }
+        
+        return (true, "");
+    }
+    
+    /**
+     * @notice 轉帳完成後記帳：建立大額申報、更新累計追蹤並偵測拆分交易
+     * @dev 僅限 POLICY_MANAGER_ROLE
+     */
+    function afterTransfer(
+        address from,
+        address to,
+        uint256 amount
+    ) external override onlyRole(POLICY_MANAGER_ROLE) {
+        if (!_enabled) {
+            return;
+        }
         
         // 1. 檢查是否為大額交易
         if (amount >= largeTransactionThreshold) {
@@ -140,26 +181,40 @@ contract AMLThresholdRule is IComplianceRule, AccessControl {
             _createReport(reportId, from, to, amount, ReportType.LARGE_TRANSACTION);
             
             emit LargeTransactionDetected(reportId, from, to, amount, block.timestamp);
-            isSuspicious = true;
-        }
-        
-        // 2. 檢查是否有拆分交易嫌疑
-        bool structuringDetected = _checkAndUpdateCumulative(from, to, amount);
-        if (structuringDetected) {
-            isSuspicious = true;
         }
         
-        // 3. 如果帳戶已被標記，視為可疑
-        if (flaggedAccounts[from]) {
-            isSuspicious = true;
-        }
+        // 2. 更新累計並檢查是否有拆分交易嫌疑
+        _checkAndUpdateCumulative(from, to, amount);
+    }
+    
+    /**
+     * @notice 推算加入本筆交易後的時間窗口累計（不寫入）
+     */
+    function _projectCumulative(
+        address from,
+        uint256 amount
+    ) internal view returns (uint256 totalAmount, uint256 transactionCount) {
+        CumulativeTracker memory tracker = cumulativeTrackers[from];
         
-        // 4. 根據阻擋模式決定是否拒絕交易
-        if (isSuspicious && blockSuspiciousTransactions) {
-            return (false, "AML_REVIEW_REQUIRED");
+        // 如果時間窗口已過期，從零開始
+        if (block.timestamp > tracker.windowStart + structuringWindow) {
+            return (amount, 1);
         }
-        
-        return (true, "");
+        return (tracker.totalAmount + amount, tracker.transactionCount + 1);
+    }
+    
+    /**
+     * @notice 拆分交易條件：累計金額超過門檻 且 交易次數超過閾值 且 單筆金額小於大額門檻
+     */
+    function _isStructuring(
+        uint256 totalAmount,
+        uint256 transactionCount,
+        uint256 amount
+    ) internal view returns (bool) {
+        return
+            totalAmount >= structuringThreshold &&
+            transactionCount >= structuringTxCountThreshold &&
+            amount < largeTransactionThreshold;
     }
     
     /**
@@ -184,12 +239,7 @@ contract AMLThresholdRule is IComplianceRule, AccessControl {
         tracker.transactionCount += 1;
         
         // 檢查是否觸發拆分交易警報
-        // 條件：累計金額超過門檻 且 交易次數超過閾值 且 單筆金額小於大額門檻
-        if (
-            tracker.totalAmount >= structuringThreshold &&
-            tracker.transactionCount >= structuringTxCountThreshold &&
-            amount < largeTransactionThreshold
-        ) {
+        if (_isStructuring(tracker.totalAmount, tracker.transactionCount, amount)) {
             bytes32 reportId = _generateReportId(from, to, amount);
             _createReport(reportId, from, to, tracker.totalAmount, ReportType.STRUCTURING_SUSPECTED);
             
@@ -242,6 +292,14 @@ contract AMLThresholdRule is IComplianceRule, AccessControl {
         });
         
         reportIds.push(reportId);
+        
+        // 回報熔斷失敗不影響申報記錄（afterTransfer 失敗會讓整筆記帳被略過）
+        if (circuitBreaker != address(0)) {
+            try ICircuitBreaker(circuitBreaker).recordIncident(AML_REPORT_INCIDENT) {
+            } catch {
+                emit IncidentReportFailed(reportId);
+            }
+        }
     }
     
     /**
@@ -457,6 +515,14 @@ contract AMLThresholdRule is IComplianceRule, AccessControl {
         emit BlockModeChanged(blockMode);
     }
     
+    /**
+     * @notice 設定緊急熔斷合約（address(0) 停止回報）
+     */
+    function setCircuitBreaker(address breaker) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        emit CircuitBreakerUpdated(circuitBreaker, breaker);
+        circuitBreaker = breaker;
+    }
+    
     /**
      * @notice 啟用/停用規則
      */
@@ -464,4 +530,13 @@ contract AMLThresholdRule is IComplianceRule, AccessControl {
         _enabled = enabled;
         emit RuleEnabledChanged(enabled);
     }
+    
+    /**
+     * @notice ERC-165：宣告支援 IComplianceRuleHook（轉帳後記帳）
+     */
+    function supportsInterface(bytes4 interfaceId) public view override returns (bool) {
+        return
+            interfaceId == type(IComplianceRuleHook).interfaceId ||
+            super.supportsInterface(interfaceId);
+    }
 }
@@ -14,8 +14,9 @@ import "../interfaces/IComplianceRule.sol";
  * - Repo 交易中驗證 Lender 帳戶餘額是否足夠
  * - 確保 Lender 有能力提供所需現金
  */
-contract CashAdequacyRule is IComplianceRule, AccessControl {
+contract CashAdequacyRule is IComplianceRule, IComplianceRuleV2, AccessControl {
     bytes32 public constant CASH_ADMIN_ROLE = keccak256("CASH_ADMIN_ROLE");
+    bytes32 public constant OBLIGATION_SETTER_ROLE = keccak256("OBLIGATION_SETTER_ROLE");
     
     // 規則標識符
     bytes32 public constant RULE_ID = keccak256("CASH_ADEQUACY_RULE");
@@ -26,30 +27,32 @@ contract CashAdequacyRule is IComplianceRule, AccessControl {
     // 允許的現金資產 (穩定幣等)
     mapping(address => bool) public allowedCashAssets;
     
-    // 當前檢查的上下文
-    struct CheckContext {
+    // Lender 應備的現金（由 Repo 合約或營運方登記，不取用轉帳附帶的 data）
+    struct CashObligation {
         address cashAsset;      // 現金資產地址
         uint256 requiredAmount; // 所需金額
     }
     
-    // 每個地址的檢查上下文
-    mapping(address => CheckContext) public checkContexts;
+    mapping(address => CashObligation) public obligations;
     
     event CashAssetAdded(address indexed asset);
     event CashAssetRemoved(address indexed asset);
+    event ObligationSet(address indexed lender, address indexed cashAsset, uint256 requiredAmount);
+    event ObligationCleared(address indexed lender);
     event RuleEnabledChanged(bool enabled);
     
     constructor() {
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
         _grantRole(CASH_ADMIN_ROLE, msg.sender);
+        _grantRole(OBLIGATION_SETTER_ROLE, msg.sender);
     }
     
     /**
-     * @notice 檢查交易是否符合現金充足性規則
-     * @dev 須先調用 setCheckContext 設定檢查上下文
+     * @notice 檢查交易是否符合現金充足性規則（v1）
+     * @dev 依 from 登記的現金義務檢查其現金資產餘額；未登記義務時拒絕
      * @param from 發送方地址 (Lender)
      * @param to 接收方地址 (不使用)
-     * @param amount 交易金額 (不使用，使用 context 中的值)
+     * @param amount 交易金額 (不使用，使用登記的所需金額)
      * @return passed 是否通過規則檢查
      * @return error 錯誤訊息
      */
@@ -62,27 +65,51 @@ contract CashAdequacyRule is IComplianceRule, AccessControl {
         to;
         amount;
         
+        return _checkCash(from, 0);
+    }
+    
+    /**
+     * @notice 檢查交易是否符合現金充足性規則（v2）
+     * @dev 所需金額同樣取自 context.from 登記的義務；轉帳的 PBM 底層資產即為該現金資產時，
+     *      這筆轉出的數量（context.amount）計入 Lender 持有的現金
+     * @param context 轉帳上下文
+     * @return passed 是否通過規則檢查
+     * @return error 錯誤訊息
+     */
+    function checkTransfer(
+        TransferContext calldata context
+    ) external view override returns (bool passed, string memory error) {
+        uint256 wrapped = context.asset != address(0) && context.asset == obligations[context.from].cashAsset
+            ? context.amount
+            : 0;
+        return _checkCash(context.from, wrapped);
+    }
+    
+    /**
+     * @dev 現金 = Lender 直接持有的現金資產餘額 + 本次轉出的 PBM 包裝現金
+     */
+    function _checkCash(
+        address lender,
+        uint256 wrapped
+    ) internal view returns (bool passed, string memory error) {
         // 如果規則未啟用，直接通過
         if (!_enabled) {
             return (true, "");
         }
         
-        CheckContext memory ctx = checkContexts[from];
-        
-        // 如果沒有設定上下文，直接通過
-        if (ctx.cashAsset == address(0)) {
-            return (true, "");
+        CashObligation memory obligation = obligations[lender];
+        if (obligation.cashAsset == address(0)) {
+            return (false, "Cash obligation not set");
         }
         
         // 檢查現金資產是否在白名單中
-        if (!allowedCashAssets[ctx.cashAsset]) {
+        if (!allowedCashAssets[obligation.cashAsset]) {
             return (false, "Cash asset not allowed");
         }
         
         // 檢查餘額是否足夠
-        uint256 balance = IERC20(ctx.cashAsset).balanceOf(from);
-        
-        if (balance < ctx.requiredAmount) {
+        uint256 balance = IERC20(obligation.cashAsset).balanceOf(lender) + wrapped;
+        if (balance < obligation.requiredAmount) {
             return (false, "Insufficient cash balance");
         }
         
@@ -110,28 +137,31 @@ contract CashAdequacyRule is IComplianceRule, AccessControl {
         return _enabled;
     }
     
-    // ============ 上下文管理 ============
+    // ============ 義務登記 ============
     
     /**
-     * @notice 設定檢查上下文
-     * @dev 由 RepoContract 在驗證前調用
+     * @notice 登記 Lender 應備的現金
+     * @dev 由 Repo 合約或營運方（OBLIGATION_SETTER_ROLE）登記
      */
-    function setCheckContext(
+    function setObligation(
         address lender,
         address cashAsset,
         uint256 requiredAmount
-    ) external {
-        checkContexts[lender] = CheckContext({
+    ) external onlyRole(OBLIGATION_SETTER_ROLE) {
+        require(cashAsset != address(0), "Invalid asset");
+        obligations[lender] = CashObligation({
             cashAsset: cashAsset,
             requiredAmount: requiredAmount
         });
+        emit ObligationSet(lender, cashAsset, requiredAmount);
     }
     
     /**
-     * @notice 清除檢查上下文
+     * @notice 清除 Lender 的現金義務
      */
-    function clearCheckContext(address lender) external {
-        delete checkContexts[lender];
+    function clearObligation(address lender) external onlyRole(OBLIGATION_SETTER_ROLE) {
+        delete obligations[lender];
+        emit ObligationCleared(lender);
     }
     
     // ============ 管理函數 ============
@@ -173,6 +203,15 @@ contract CashAdequacyRule is IComplianceRule, AccessControl {
         emit RuleEnabledChanged(enabled);
     }
     
+    /**
+     * @notice 宣告支援 IComplianceRuleV2（Policy Manager 據此改呼叫 checkTransfer）
+     */
+    function supportsInterface(bytes4 interfaceId) public view override returns (bool) {
+        return
+            interfaceId == type(IComplianceRuleV2).interfaceId ||
+            super.supportsInterface(interfaceId);
+    }
+    
     // ============ 查詢函數 ============
     
     /**
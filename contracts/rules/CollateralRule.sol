@@ -14,8 +14,9 @@ import "../interfaces/IComplianceRule.sol";
  * - Repo 交易中驗證 Borrower 提供的抵押品價值
  * - 確保抵押率 (LTV) 符合要求
  */
-contract CollateralRule is IComplianceRule, AccessControl {
+contract CollateralRule is IComplianceRule, IComplianceRuleV2, AccessControl {
     bytes32 public constant COLLATERAL_ADMIN_ROLE = keccak256("COLLATERAL_ADMIN_ROLE");
+    bytes32 public constant OBLIGATION_SETTER_ROLE = keccak256("OBLIGATION_SETTER_ROLE");
     
     // 規則標識符
     bytes32 public constant RULE_ID = keccak256("COLLATERAL_RULE");
@@ -33,35 +34,36 @@ contract CollateralRule is IComplianceRule, AccessControl {
     // 實際生產環境應使用 Chainlink 等預言機
     mapping(address => uint256) public collateralPrices; // 18 decimals
     
-    // 當前檢查的上下文
-    struct CheckContext {
+    // Borrower 的貸款與應提供的抵押品（由 Repo 合約或營運方登記，不取用轉帳附帶的 data）
+    struct LoanObligation {
         address collateralAsset;    // 抵押品資產地址
-        uint256 collateralAmount;   // 抵押品數量
         uint256 loanAmount;         // 貸款金額
     }
     
-    // 每個地址的檢查上下文
-    mapping(address => CheckContext) public checkContexts;
+    mapping(address => LoanObligation) public obligations;
     
     event CollateralAdded(address indexed asset, uint256 price);
     event CollateralRemoved(address indexed asset);
     event CollateralPriceUpdated(address indexed asset, uint256 oldPrice, uint256 newPrice);
     event MinCollateralRatioUpdated(uint256 oldRatio, uint256 newRatio);
     event RuleEnabledChanged(bool enabled);
+    event ObligationSet(address indexed borrower, address indexed collateralAsset, uint256 loanAmount);
+    event ObligationCleared(address indexed borrower);
     
     constructor(uint256 _minCollateralRatio) {
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
         _grantRole(COLLATERAL_ADMIN_ROLE, msg.sender);
+        _grantRole(OBLIGATION_SETTER_ROLE, msg.sender);
         
         minCollateralRatio = _minCollateralRatio;
     }
     
     /**
-     * @notice 檢查交易是否符合抵押品規則
-     * @dev 須先調用 setCheckContext 設定檢查上下文
+     * @notice 檢查交易是否符合抵押品規則（v1）
+     * @dev 依 from 登記的貸款義務，以其持有的抵押品資產餘額計算價值；未登記義務時拒絕
      * @param from 發送方地址 (Borrower)
      * @param to 接收方地址 (不使用)
-     * @param amount 交易金額 (不使用，使用 context 中的值)
+     * @param amount 交易金額 (不使用，使用登記的貸款金額)
      * @return passed 是否通過規則檢查
      * @return error 錯誤訊息
      */
@@ -74,35 +76,72 @@ contract CollateralRule is IComplianceRule, AccessControl {
         to;
         amount;
         
+        return _checkCollateral(from, _heldCollateral(from));
+    }
+    
+    /**
+     * @notice 檢查交易是否符合抵押品規則（v2）
+     * @dev 貸款金額同樣取自 context.from 登記的義務；抵押品 = 這筆轉出的 PBM 數量（context.amount），
+     *      底層資產（context.asset）不是登記的抵押品時不計價值；
+     *      沒有底層資產資訊（例如 Repo 參與方檢查）時同 v1，以持有的抵押品資產餘額計價
+     * @param context 轉帳上下文
+     * @return passed 是否通過規則檢查
+     * @return error 錯誤訊息
+     */
+    function checkTransfer(
+        TransferContext calldata context
+    ) external view override returns (bool passed, string memory error) {
+        uint256 collateralAmount;
+        if (context.asset == address(0)) {
+            collateralAmount = _heldCollateral(context.from);
+        } else if (context.asset == obligations[context.from].collateralAsset) {
+            collateralAmount = context.amount;
+        }
+        return _checkCollateral(context.from, collateralAmount);
+    }
+    
+    /**
+     * @dev borrower 直接持有的登記抵押品資產餘額（未登記義務時為 0）
+     */
+    function _heldCollateral(address borrower) internal view returns (uint256) {
+        address asset = obligations[borrower].collateralAsset;
+        return asset == address(0) ? 0 : IERC20(asset).balanceOf(borrower);
+    }
+    
+    /**
+     * @dev 抵押品價值 = 數量 × 價格，須達登記貸款金額 × 最低抵押率
+     */
+    function _checkCollateral(
+        address borrower,
+        uint256 collateralAmount
+    ) internal view returns (bool passed, string memory error) {
         // 如果規則未啟用，直接通過
         if (!_enabled) {
             return (true, "");
         }
         
-        CheckContext memory ctx = checkContexts[from];
-        
-        // 如果沒有設定上下文，直接通過（由其他地方驗證）
-        if (ctx.collateralAsset == address(0)) {
-            return (true, "");
+        LoanObligation memory obligation = obligations[borrower];
+        if (obligation.collateralAsset == address(0)) {
+            return (false, "Loan obligation not set");
         }
         
         // 檢查抵押品是否在白名單中
-        if (!allowedCollaterals[ctx.collateralAsset]) {
+        if (!allowedCollaterals[obligation.collateralAsset]) {
             return (false, "Collateral asset not allowed");
         }
         
         // 計算抵押品價值
-        uint256 collateralPrice = collateralPrices[ctx.collateralAsset];
+        uint256 collateralPrice = collateralPrices[obligation.collateralAsset];
         if (collateralPrice == 0) {
             return (false, "Collateral price not set");
         }
         
         // collateralValue = collateralAmount * price / 1e18
-        uint256 collateralValue = (ctx.collateralAmount * collateralPrice) / 1e18;
+        uint256 collateralValue = (collateralAmount * collateralPrice) / 1e18;
         
         // 計算所需最低抵押品價值
         // requiredValue = loanAmount * minCollateralRatio / 10000
-        uint256 requiredValue = (ctx.loanAmount * minCollateralRatio) / 10000;
+        uint256 requiredValue = (obligation.loanAmount * minCollateralRatio) / 10000;
         
         if (collateralValue < requiredValue) {
             return (false, "Insufficient collateral value");
@@ -132,30 +171,31 @@ contract CollateralRule is IComplianceRule, AccessControl {
         return _enabled;
     }
     
-    // ============ 上下文管理 ============
+    // ============ 義務登記 ============
     
     /**
-     * @notice 設定檢查上下文
-     * @dev 由 RepoContract 在驗證前調用
+     * @notice 登記 Borrower 的貸款金額與抵押品資產
+     * @dev 由 Repo 合約或營運方（OBLIGATION_SETTER_ROLE）登記
      */
-    function setCheckContext(
+    function setObligation(
         address borrower,
         address collateralAsset,
-        uint256 collateralAmount,
         uint256 loanAmount
-    ) external {
-        checkContexts[borrower] = CheckContext({
+    ) external onlyRole(OBLIGATION_SETTER_ROLE) {
+        require(collateralAsset != address(0), "Invalid asset");
+        obligations[borrower] = LoanObligation({
             collateralAsset: collateralAsset,
-            collateralAmount: collateralAmount,
             loanAmount: loanAmount
         });
+        emit ObligationSet(borrower, collateralAsset, loanAmount);
     }
     
     /**
-     * @notice 清除檢查上下文
+     * @notice 清除 Borrower 的貸款義務
      */
-    function clearCheckContext(address borrower) external {
-        delete checkContexts[borrower];
+    function clearObligation(address borrower) external onlyRole(OBLIGATION_SETTER_ROLE) {
+        delete obligations[borrower];
+        emit ObligationCleared(borrower);
     }
     
     // ============ 管理函數 ============
@@ -220,6 +260,15 @@ contract CollateralRule is IComplianceRule, AccessControl {
         emit RuleEnabledChanged(enabled);
     }
     
+    /**
+     * @notice 宣告支援 IComplianceRuleV2（Policy Manager 據此改呼叫 checkTransfer）
+     */
+    function supportsInterface(bytes4 interfaceId) public view override returns (bool) {
+        return
+            interfaceId == type(IComplianceRuleV2).interfaceId ||
+            super.supportsInterface(interfaceId);
+    }
+    
     // ============ 查詢函數 ============
     
     /**
@@ -19,8 +19,10 @@ import "../interfaces/ICCIDProvider.sol";
  * 錯誤代碼：FX_LIMIT_EXCEEDED
  * ═══════════════════════════════════════════════════════════════════
  */
-contract FXLimitRule is IComplianceRule, AccessControl {
+contract FXLimitRule is IComplianceRule, IComplianceRuleHook, AccessControl {
     bytes32 public constant FX_ADMIN_ROLE = keccak256("FX_ADMIN_ROLE");
+    // 可呼叫 afterTransfer 的 Policy Manager
+    bytes32 public constant POLICY_MANAGER_ROLE = keccak256("POLICY_MANAGER_ROLE");
     
     // 規則標識符
     bytes32 public constant RULE_ID = keccak256("FX_LIMIT_RULE");
@@ -121,15 +123,19 @@ contract FXLimitRule is IComplianceRule, AccessControl {
     }
     
     /**
-     * @notice 記錄轉帳金額（由 PolicyWrapper 或 PolicyManager 調用）
-     * @dev 在交易通過後調用，更新累計額度
-     * @param from 發送方地址
-     * @param amount 交易金額
+     * @notice 轉帳完成後記帳：累計非居民今日轉出金額
+     * @dev 僅限 POLICY_MANAGER_ROLE
      */
-    function recordTransfer(
+    function afterTransfer(
         address from,
+        address to,
         uint256 amount
-    ) external {
+    ) external override onlyRole(POLICY_MANAGER_ROLE) {
+        to;
+        if (!_enabled) {
+            return;
+        }
+        
         // 只記錄非居民的轉帳
         if (!ccidProvider.isNonResident(from)) {
             return;
@@ -306,4 +312,13 @@ contract FXLimitRule is IComplianceRule, AccessControl {
     ) external onlyRole(DEFAULT_ADMIN_ROLE) {
         dailyTransferAmounts[account][day] = 0;
     }
+    
+    /**
+     * @notice ERC-165：宣告支援 IComplianceRuleHook（轉帳後記帳）
+     */
+    function supportsInterface(bytes4 interfaceId) public view override returns (bool) {
+        return
+            interfaceId == type(IComplianceRuleHook).interfaceId ||
+            super.supportsInterface(interfaceId);
+    }
 }
@@ -13,7 +13,7 @@ import "../interfaces/IComplianceRule.sol";
  * - 外國遊客在本地使用數位支付，只能付款給已驗證的商家
  * - 確保資金只能流向經過 KYC 的合規接收者
  */
-contract WhitelistRule is IComplianceRule, AccessControl {
+contract WhitelistRule is IComplianceRule, IComplianceRuleV2, AccessControl {
     bytes32 public constant WHITELIST_ADMIN_ROLE = keccak256("WHITELIST_ADMIN_ROLE");
     
     // 規則標識符
@@ -28,12 +28,9 @@ contract WhitelistRule is IComplianceRule, AccessControl {
     // 按管轄區的白名單：jurisdiction => address => 是否在白名單中
     mapping(bytes32 => mapping(address => bool)) public jurisdictionWhitelist;
     
-    // 白名單模式：true = 檢查管轄區白名單，false = 只檢查全局白名單
+    // 白名單模式：true = 檢查管轄區白名單（依轉帳上下文的 jurisdiction），false = 只檢查全局白名單
     bool public useJurisdictionMode;
     
-    // 當前檢查的管轄區（由 PolicyManager 設置）
-    bytes32 public currentJurisdiction;
-    
     // 商家資訊結構
     struct MerchantInfo {
         string name;           // 商家名稱
@@ -62,7 +59,7 @@ contract WhitelistRule is IComplianceRule, AccessControl {
     }
     
     /**
-     * @notice 檢查交易是否符合白名單規則
+     * @notice 檢查交易是否符合白名單規則（v1：沒有管轄區資訊，只檢查全局白名單）
      * @param from 發送方地址（此規則不檢查發送方）
      * @param to 接收方地址（必須在白名單中）
      * @param amount 交易金額（此規則不檢查金額）
@@ -78,6 +75,24 @@ contract WhitelistRule is IComplianceRule, AccessControl {
         from;
         amount;
         
+        return _check(to, bytes32(0));
+    }
+    
+    /**
+     * @notice 檢查交易是否符合白名單規則（v2）
+     * @dev 管轄區模式下檢查 context.jurisdiction 的白名單；上下文沒有管轄區時退回全局白名單
+     * @param context 轉帳上下文
+     */
+    function checkTransfer(
+        TransferContext calldata context
+    ) external view override returns (bool passed, string memory error) {
+        return _check(context.to, context.jurisdiction);
+    }
+    
+    function _check(
+        address to,
+        bytes32 jurisdiction
+    ) internal view returns (bool passed, string memory error) {
         // 如果規則未啟用，直接通過
         if (!_enabled) {
             return (true, "");
@@ -86,9 +101,9 @@ contract WhitelistRule is IComplianceRule, AccessControl {
         // 檢查接收方是否在白名單中
         bool inWhitelist;
         
-        if (useJurisdictionMode && currentJurisdiction != bytes32(0)) {
+        if (useJurisdictionMode && jurisdiction != bytes32(0)) {
             // 管轄區模式：檢查特定管轄區的白名單
-            inWhitelist = jurisdictionWhitelist[currentJurisdiction][to];
+            inWhitelist = jurisdictionWhitelist[jurisdiction][to];
         } else {
             // 全局模式：檢查全局白名單
             inWhitelist = whitelist[to];
@@ -259,13 +274,6 @@ contract WhitelistRule is IComplianceRule, AccessControl {
     
     // ============ 配置函數 ============
     
-    /**
-     * @notice 設置當前管轄區（由 PolicyManager 調用）
-     */
-    function setCurrentJurisdiction(bytes32 jurisdiction) external {
-        currentJurisdiction = jurisdiction;
-    }
-    
     /**
      * @notice 啟用/停用規則
      */
@@ -282,6 +290,15 @@ contract WhitelistRule is IComplianceRule, AccessControl {
         emit JurisdictionModeChanged(_useJurisdictionMode);
     }
     
+    /**
+     * @notice 宣告支援 IComplianceRuleV2（Policy Manager 據此改呼叫 checkTransfer）
+     */
+    function supportsInterface(bytes4 interfaceId) public view override returns (bool) {
+        return
+            interfaceId == type(IComplianceRuleV2).interfaceId ||
+            super.supportsInterface(interfaceId);
+    }
+    
     // ============ 查詢函數 ============
     
     /**
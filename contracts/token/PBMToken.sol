@@ -3,6 +3,10 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
 import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
 import "../interfaces/IERC7943MultiToken.sol";
 
 /**
@@ -10,10 +14,35 @@ import "../interfaces/IERC7943MultiToken.sol";
  * @notice Purpose Bound Money - 單一 ERC1155 代幣，用不同 tokenId 代表不同底層資產
  * @dev 所有 wrapped assets 都在這個合約中，由 PolicyWrapper 統一管理
  *      實作 ERC-7943 (uRWA) 標準以支援 RWA 合規功能
+ *      ProofSet 轉帳（wrapper.safeTransferFromWithProof）的發起者須為持有者、持有者核准的 operator，
+ *      或持有 owner 簽署的 EIP-712 TransferPermit
+ *      PBM 計畫（補助、禮券）的 tokenId 只在有效期間內可轉帳，到期後未使用的餘額由發行者收回
  */
-contract PBMToken is ERC1155, AccessControl, IERC7943MultiToken {
+contract PBMToken is ERC1155, AccessControl, IERC7943MultiToken, EIP712, Nonces {
     bytes32 public constant WRAPPER_ROLE = keccak256("WRAPPER_ROLE");
     bytes32 public constant REGULATOR_ROLE = keccak256("REGULATOR_ROLE");
+    bytes32 public constant PROGRAM_ISSUER_ROLE = keccak256("PROGRAM_ISSUER_ROLE");
+    bytes32 public constant PROGRAM_REDEEMER_ROLE = keccak256("PROGRAM_REDEEMER_ROLE");
+
+    bytes32 public constant TRANSFER_PERMIT_TYPEHASH = keccak256(
+        "TransferPermit(address owner,address operator,uint256 tokenId,uint256 amount,uint256 nonce,uint256 deadline)"
+    );
+
+    struct TransferAllowance {
+        uint256 amount;     // 剩餘可轉數量
+        uint256 deadline;   // 到期時間（含）
+    }
+
+    // PBM 計畫：startTime ≤ now < expiry 期間可轉帳；到期後不能再鑄造、轉帳或解包，
+    // 未使用的餘額由發行者以 wrapper.reclaimExpired 收回（底層資產轉給 sunsetBeneficiary）。
+    // 計畫的代幣只有 PROGRAM_REDEEMER_ROLE（例如特約商家）能解包，受補助者須先消費
+    struct Program {
+        address issuer;               // 發行者（注資與收回）
+        uint48 startTime;             // 開始時間（含）
+        uint48 expiry;                // 到期時間（不含）
+        address sunsetBeneficiary;    // 到期收回的底層資產接收者
+        uint256 baseTokenId;          // 注資時轉換的 PBM tokenId（底層資產相同）
+    }
     
     // PolicyWrapper 地址
     address public wrapper;
@@ -32,11 +61,54 @@ contract PBMToken is ERC1155, AccessControl, IERC7943MultiToken {
     // ProofSet 驗章後跳過鏈上規則鏈的暫存旗標（僅單筆 tx 內有效）
     bool private _bypassCompliance;
 
+    // TransferPermit 授予的額度：owner → operator → tokenId → 額度
+    mapping(address => mapping(address => mapping(uint256 => TransferAllowance))) public transferAllowances;
+
+    // tokenId → PBM 計畫（issuer 為 0 表示不是計畫）
+    mapping(uint256 => Program) public programs;
+
+    // 到期收回、escrow 退回與強制轉移略過計畫有效期間檢查的暫存旗標（僅單筆 tx 內有效）
+    bool private _bypassProgramWindow;
+
     event TokenMinted(address indexed to, uint256 indexed tokenId, uint256 amount);
     event TokenBurned(address indexed from, uint256 indexed tokenId, uint256 amount);
     event WrapperUpdated(address indexed oldWrapper, address indexed newWrapper);
+    event TransferPermitted(
+        address indexed owner,
+        address indexed operator,
+        uint256 indexed tokenId,
+        uint256 amount,
+        uint256 deadline
+    );
+    event ProgramDefined(
+        uint256 indexed tokenId,
+        address indexed issuer,
+        uint48 startTime,
+        uint48 expiry,
+        address sunsetBeneficiary,
+        uint256 baseTokenId
+    );
+    event ProgramReclaimed(uint256 indexed tokenId, address indexed holder, uint256 amount);
+    event ProgramEscrowRefunded(uint256 indexed tokenId, address indexed from, uint256 amount);
     
-    constructor(address _wrapper) ERC1155("") {
+    /// @notice 轉移未通過規則鏈：ruleSetId 為擋下轉移的規則集（身份驗證為 ReasonCodes.IDENTITY_CHECK、熔斷為 ReasonCodes.CIRCUIT_BREAKER），
+    ///         reasonCode 為數字原因碼（見 ReasonCodes，scripts/reason-codes.js 可解碼為中英文訊息）
+    error ComplianceCheckFailed(
+        address from,
+        address to,
+        uint256 tokenId,
+        uint256 amount,
+        bytes32 ruleSetId,
+        uint16 reasonCode
+    );
+
+    error TransferPermitExpired(uint256 deadline);
+    error InvalidTransferPermitSigner(address signer, address owner);
+    error ProgramNotActive(uint256 tokenId, uint48 startTime, uint48 expiry);
+    error ProgramNotExpired(uint256 tokenId, uint48 expiry);
+    error NotProgramIssuer(address account, uint256 tokenId);
+    
+    constructor(address _wrapper) ERC1155("") EIP712("PBMToken", "1") {
         require(_wrapper != address(0), "Invalid wrapper address");
         wrapper = _wrapper;
         
@@ -72,6 +144,10 @@ contract PBMToken is ERC1155, AccessControl, IERC7943MultiToken {
         uint256 tokenId,
         uint256 amount
     ) external onlyRole(WRAPPER_ROLE) {
+        // 計畫的代幣限特約商家解包，避免受補助者直接兌現
+        if (programs[tokenId].issuer != address(0)) {
+            _checkRole(PROGRAM_REDEEMER_ROLE, from);
+        }
         _burn(from, tokenId, amount);
         totalSupply[tokenId] -= amount;
         emit TokenBurned(from, tokenId, amount);
@@ -105,6 +181,96 @@ contract PBMToken is ERC1155, AccessControl, IERC7943MultiToken {
         emit WrapperUpdated(oldWrapper, newWrapper);
     }
     
+    // ============ PBM 計畫 ============
+    
+    /**
+     * @notice 定義 PBM 計畫（僅限 Wrapper 調用，見 wrapper.createProgram）
+     * @dev 發行者須持有 PROGRAM_ISSUER_ROLE
+     */
+    function defineProgram(
+        uint256 tokenId,
+        uint256 baseTokenId,
+        address issuer,
+        uint48 startTime,
+        uint48 expiry,
+        address sunsetBeneficiary
+    ) external onlyRole(WRAPPER_ROLE) {
+        _checkRole(PROGRAM_ISSUER_ROLE, issuer);
+        require(programs[tokenId].issuer == address(0), "Program already exists");
+        require(startTime < expiry && expiry > block.timestamp, "Invalid program window");
+        require(sunsetBeneficiary != address(0), "Invalid sunset beneficiary");
+
+        programs[tokenId] = Program(issuer, startTime, expiry, sunsetBeneficiary, baseTokenId);
+        emit ProgramDefined(tokenId, issuer, startTime, expiry, sunsetBeneficiary, baseTokenId);
+    }
+
+    /**
+     * @notice 發行者注資計畫：將自己持有的 baseTokenId 轉換為計畫的代幣，鑄造給 to
+     * @dev 底層資產仍由 wrapper 保管，只換 tokenId；到期後不能注資。
+     *      計畫開始前即可發放給受補助者（鑄造不是轉帳），開始後才能使用
+     */
+    function fundProgram(uint256 tokenId, address to, uint256 amount) external {
+        Program storage program = _requireProgramIssuer(msg.sender, tokenId);
+
+        _burn(msg.sender, program.baseTokenId, amount);
+        totalSupply[program.baseTokenId] -= amount;
+        _mint(to, tokenId, amount, "");
+        totalSupply[tokenId] += amount;
+        emit TokenMinted(to, tokenId, amount);
+    }
+
+    /**
+     * @notice 收回到期計畫的未使用餘額（僅限 Wrapper 調用，見 wrapper.reclaimExpired）
+     * @dev 銷毀每位持有者的未凍結餘額；凍結部分不收回，監理機關解凍後可再收回，
+     *      或以 forcedTransfer 移轉（強制轉移不受有效期間限制）
+     * @param issuer 收回者（wrapper 的 msg.sender），須為計畫發行者
+     * @return amount 銷毀的總數量（wrapper 據此解包底層資產）
+     * @return beneficiary 底層資產的接收者
+     */
+    function reclaimExpired(
+        address issuer,
+        uint256 tokenId,
+        address[] calldata holders
+    ) external onlyRole(WRAPPER_ROLE) returns (uint256 amount, address beneficiary) {
+        Program storage program = _requireProgramIssuer(issuer, tokenId);
+        if (block.timestamp < program.expiry) {
+            revert ProgramNotExpired(tokenId, program.expiry);
+        }
+
+        _bypassProgramWindow = true;
+        for (uint256 i = 0; i < holders.length; i++) {
+            uint256 balance = balanceOf(holders[i], tokenId);
+            uint256 frozen = _frozenTokens[holders[i]][tokenId];
+            uint256 unfrozen = balance > frozen ? balance - frozen : 0;
+            if (unfrozen == 0) {
+                continue;
+            }
+            _burn(holders[i], tokenId, unfrozen);
+            amount += unfrozen;
+            emit ProgramReclaimed(tokenId, holders[i], unfrozen);
+        }
+        _bypassProgramWindow = false;
+
+        totalSupply[tokenId] -= amount;
+        return (amount, program.sunsetBeneficiary);
+    }
+
+    /**
+     * @notice 計畫是否在有效期間內（不是計畫的 tokenId 恆為 true）
+     */
+    function isProgramActive(uint256 tokenId) public view returns (bool) {
+        Program storage program = programs[tokenId];
+        return program.issuer == address(0) ||
+            (block.timestamp >= program.startTime && block.timestamp < program.expiry);
+    }
+
+    function _requireProgramIssuer(address account, uint256 tokenId) internal view returns (Program storage program) {
+        program = programs[tokenId];
+        if (account == address(0) || program.issuer != account) {
+            revert NotProgramIssuer(account, tokenId);
+        }
+    }
+    
     // ============ ERC-7943 Implementation ============
     
     /**
@@ -152,6 +318,11 @@ contract PBMToken is ERC1155, AccessControl, IERC7943MultiToken {
             return false;
         }
         
+        // PBM 計畫須在有效期間內
+        if (!isProgramActive(tokenId)) {
+            return false;
+        }
+        
         // 檢查未凍結餘額是否足夠
         uint256 balance = balanceOf(from, tokenId);
         uint256 frozen = _frozenTokens[from][tokenId];
@@ -161,21 +332,21 @@ contract PBMToken is ERC1155, AccessControl, IERC7943MultiToken {
             return false;
         }
         
-        // 調用 wrapper 進行額外合規檢查
+        // 調用 wrapper 的唯讀預覽（checkTransferCompliance 會寫入狀態，staticcall 必定失敗）
         (bool success, bytes memory result) = wrapper.staticcall(
             abi.encodeWithSignature(
-                "checkTransferCompliance(address,address,uint256,uint256)",
+                "previewTransferCompliance(address,address,uint256,uint256)",
                 from, to, tokenId, amount
             )
         );
         
+        // 只解碼第一個回傳值 isCompliant
         if (success && result.length >= 32) {
-            (bool isCompliant,) = abi.decode(result, (bool, string));
-            return isCompliant;
+            return abi.decode(result, (bool));
         }
         
-        // 如果 wrapper 調用失敗，使用寬鬆模式
-        return true;
+        // 無法取得預覽結果時不保證可轉帳
+        return false;
     }
     
     /**
@@ -209,12 +380,59 @@ contract PBMToken is ERC1155, AccessControl, IERC7943MultiToken {
         return true;
     }
     
+    // ============ Transfer Permit ============
+
+    /**
+     * @notice 以 owner 簽署的 EIP-712 TransferPermit 授予 operator 對 tokenId 的轉帳額度
+     * @dev 任何人都可代為送出（例如 relayer 與後續的 ProofSet 轉帳一起送出）；
+     *      nonce 依 owner 遞增（nonces(owner)），新的 permit 覆蓋原本的額度。
+     *      額度只適用於 ProofSet 轉帳（transferWithProof），不影響 safeTransferFrom 的核准
+     * @param owner 持有者（簽署者）
+     * @param operator 被授權發起轉帳的地址
+     * @param tokenId PBM tokenId
+     * @param amount 可轉數量
+     * @param deadline 簽章與額度的到期時間
+     * @param signature owner 的 EIP-712 簽章
+     */
+    function permitTransfer(
+        address owner,
+        address operator,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        if (block.timestamp > deadline) {
+            revert TransferPermitExpired(deadline);
+        }
+
+        bytes32 structHash = keccak256(
+            abi.encode(TRANSFER_PERMIT_TYPEHASH, owner, operator, tokenId, amount, _useNonce(owner), deadline)
+        );
+        address signer = ECDSA.recover(_hashTypedDataV4(structHash), signature);
+        if (signer != owner) {
+            revert InvalidTransferPermitSigner(signer, owner);
+        }
+
+        transferAllowances[owner][operator][tokenId] = TransferAllowance(amount, deadline);
+        emit TransferPermitted(owner, operator, tokenId, amount, deadline);
+    }
+
+    /**
+     * @notice EIP-712 domain separator（供鏈下簽署 TransferPermit）
+     */
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
     /**
      * @notice ProofSet 驗章後直接轉帳（鏈下檢驗路徑用）
-     * @dev 僅 WRAPPER_ROLE 可呼叫；wrapper 在 _verifyProofSet 通過後呼叫此函式
-     *      跳過 _update 內的 wrapper.checkTransferCompliance（規則鏈），
+     * @dev 僅 WRAPPER_ROLE 可呼叫；wrapper 驗證 ProofSet 通過後呼叫此函式
+     *      跳過 _updateWithAcceptanceCheck 內的 wrapper.checkTransferCompliance（規則鏈），
      *      但保留凍結餘額檢查。設計目的：讓鏈下檢驗路徑與鏈上規則鏈路徑
      *      在 transfer 層級可同台對比延遲。
+     *      wrapper 自行保管的轉出（requestTransfer / onOffChainVerdict）使用；
+     *      代使用者發起的轉帳須改用 transferWithProof 檢查授權
      */
     function transferWithProofBypass(
         address from,
@@ -222,6 +440,80 @@ contract PBMToken is ERC1155, AccessControl, IERC7943MultiToken {
         uint256 tokenId,
         uint256 amount
     ) external onlyRole(WRAPPER_ROLE) {
+        _transferBypassingRules(from, to, tokenId, amount);
+    }
+
+    /**
+     * @notice 結算等待鏈下裁決的 escrow（wrapper.onOffChainVerdict 用）：通過則放行給 to，否則退回 from
+     * @dev 計畫已到期時一律退回 from（通過的裁決另發 ProgramEscrowRefunded）：到期後不能再使用，
+     *      但退回不受有效期間限制，避免 escrow 永久卡住；退回的餘額之後由發行者以 reclaimExpired 收回
+     * @return released 是否放行給 to
+     */
+    function settleEscrow(
+        address from,
+        address to,
+        uint256 tokenId,
+        uint256 amount,
+        bool approved
+    ) external onlyRole(WRAPPER_ROLE) returns (bool released) {
+        bool active = isProgramActive(tokenId);
+        released = approved && active;
+
+        _bypassProgramWindow = !active;
+        _transferBypassingRules(msg.sender, released ? to : from, tokenId, amount);
+        _bypassProgramWindow = false;
+
+        if (approved && !active) {
+            emit ProgramEscrowRefunded(tokenId, from, amount);
+        }
+    }
+
+    /**
+     * @notice 檢查發起者授權後以 transferWithProofBypass 的方式轉帳（wrapper.safeTransferFromWithProof 用）
+     * @dev ProofSet 只證明合規，不代表 from 同意轉出：operator 須為 from、from 核准的 operator
+     *      （setApprovalForAll），或持有未到期且足額的 TransferPermit 額度（轉帳扣減）。
+     *      轉帳完成後與鏈上規則鏈路徑相同地呼叫 wrapper.afterTransferCompliance 讓規則記帳
+     * @param operator 發起轉帳的地址（wrapper 的 msg.sender）
+     */
+    function transferWithProof(
+        address operator,
+        address from,
+        address to,
+        uint256 tokenId,
+        uint256 amount
+    ) external onlyRole(WRAPPER_ROLE) {
+        if (operator != from && !isApprovedForAll(from, operator)) {
+            _spendTransferAllowance(from, operator, tokenId, amount);
+        }
+        _transferBypassingRules(from, to, tokenId, amount);
+
+        // 規則記帳涵蓋 ProofSet 路徑（與 _updateWithAcceptanceCheck 相同）
+        _afterTransferCompliance(operator, from, to, tokenId, amount, "");
+    }
+
+    /**
+     * @notice 通知 wrapper 轉帳完成讓規則記帳；失敗時以原因 revert，轉帳一起回滾
+     * @dev 記帳（FX 每日額度、AML 累計）不可略過：若容忍失敗，呼叫者可壓低 gas 上限，
+     *      讓記帳因 63/64 規則耗盡 gas 而轉帳仍完成；角色未授權等設定錯誤也會被掩蓋
+     */
+    function _afterTransferCompliance(
+        address operator,
+        address from,
+        address to,
+        uint256 tokenId,
+        uint256 amount,
+        bytes memory data
+    ) internal {
+        (bool success, bytes memory returndata) = wrapper.call(
+            abi.encodeWithSignature(
+                "afterTransferCompliance(address,address,address,uint256,uint256,bytes)",
+                operator, from, to, tokenId, amount, data
+            )
+        );
+        Address.verifyCallResult(success, returndata);
+    }
+
+    function _transferBypassingRules(address from, address to, uint256 tokenId, uint256 amount) internal {
         require(from != address(0), "from zero");
         require(to != address(0), "to zero");
 
@@ -230,10 +522,22 @@ contract PBMToken is ERC1155, AccessControl, IERC7943MultiToken {
         _bypassCompliance = false;
     }
 
+    /**
+     * @notice 扣減 TransferPermit 額度；沒有額度、已到期或不足時與 safeTransferFrom 相同以
+     *         ERC1155MissingApprovalForAll revert
+     */
+    function _spendTransferAllowance(address owner, address operator, uint256 tokenId, uint256 amount) internal {
+        TransferAllowance storage allowance = transferAllowances[owner][operator][tokenId];
+        if (block.timestamp > allowance.deadline || allowance.amount < amount) {
+            revert ERC1155MissingApprovalForAll(operator, owner);
+        }
+        allowance.amount -= amount;
+    }
+
     /**
      * @notice 強制轉移代幣
      * @dev 僅限 REGULATOR_ROLE 調用，用於監管合規或資產回收
-     *      如果代幣被凍結，會先自動解凍
+     *      如果代幣被凍結，會先自動解凍；不受 PBM 計畫有效期間限制（例如移轉到期計畫中凍結的餘額）
      * @param from 代幣來源地址
      * @param to 代幣目標地址
      * @param tokenId 代幣 ID
@@ -260,8 +564,10 @@ contract PBMToken is ERC1155, AccessControl, IERC7943MultiToken {
             emit Frozen(from, tokenId, newFrozen);
         }
         
-        // 執行轉移（繞過常規合規檢查）
+        // 執行轉移（繞過常規合規檢查與計畫有效期間）
+        _bypassProgramWindow = true;
         _safeTransferFrom(from, to, tokenId, amount, "");
+        _bypassProgramWindow = false;
         
         // 發送 ForcedTransfer 事件
         emit ForcedTransfer(from, to, tokenId, amount);
@@ -285,7 +591,7 @@ contract PBMToken is ERC1155, AccessControl, IERC7943MultiToken {
     }
     
     /**
-     * @notice 轉移前的合規檢查
+     * @notice 轉移前的 PBM 計畫有效期間與凍結餘額檢查
      * @dev 覆寫 ERC1155 的 _update 函數
      */
     function _update(
@@ -294,6 +600,18 @@ contract PBMToken is ERC1155, AccessControl, IERC7943MultiToken {
         uint256[] memory ids,
         uint256[] memory values
     ) internal override {
+        // PBM 計畫：轉帳須在有效期間內；到期後也不能鑄造或解包（收回、escrow 退回與強制轉移除外）
+        for (uint256 i = 0; i < ids.length && !_bypassProgramWindow; i++) {
+            Program storage program = programs[ids[i]];
+            if (program.issuer != address(0) && (
+                block.timestamp >= program.expiry ||
+                (block.timestamp < program.startTime && from != address(0) && to != address(0))
+            )) {
+                revert ProgramNotActive(ids[i], program.startTime, program.expiry);
+            }
+        }
+        
+
         // 凍結餘額檢查：只要 from != 0 就跑，含 burn（避免被 wrapper.unwrap → burn 繞過）
         // forcedTransfer 已先扣減 _frozenTokens，所以這裡會自然通過
         if (from != address(0)) {
@@ -313,31 +631,57 @@ contract PBMToken is ERC1155, AccessControl, IERC7943MultiToken {
             }
         }
 
-        // 鏈上規則鏈檢查：只在真的 transfer 時跑（跳過 mint / burn）
-        // 若 wrapper 已透過 ProofSet 驗章，也跳過此區
-        if (from != address(0) && to != address(0) && !_bypassCompliance) {
+        super._update(from, to, ids, values);
+    }
+    
+    /**
+     * @notice 轉移前的合規檢查與轉移完成後的規則記帳
+     * @dev 覆寫 ERC1155 的 _updateWithAcceptanceCheck（此處才拿得到 operator 與 data）：
+     *      1. 轉移前對每個 tokenId 呼叫 wrapper.checkTransferCompliance（規則鏈）
+     *      2. 接收方驗收通過後，對每個 tokenId 通知 wrapper.afterTransferCompliance；
+     *         通知失敗時轉移一起回滾（見 _afterTransferCompliance）
+     *      只在真的 transfer 時跑（跳過 mint / burn）；wrapper 已透過 ProofSet 驗章時也跳過
+     */
+    function _updateWithAcceptanceCheck(
+        address from,
+        address to,
+        uint256[] memory ids,
+        uint256[] memory values,
+        bytes memory data
+    ) internal override {
+        bool checked = from != address(0) && to != address(0) && !_bypassCompliance;
+        address operator = _msgSender();
+        
+        if (checked) {
             // 調用 wrapper 進行合規檢查
             // 注意：這裡不能直接 import PolicyWrapper 避免循環依賴
             // 使用低階調用
             for (uint256 i = 0; i < ids.length; i++) {
                 (bool success, bytes memory result) = wrapper.call(
                     abi.encodeWithSignature(
-                        "checkTransferCompliance(address,address,uint256,uint256)",
-                        from, to, ids[i], values[i]
+                        "checkTransferCompliance(address,address,address,uint256,uint256,bytes)",
+                        operator, from, to, ids[i], values[i], data
                     )
                 );
 
                 if (success && result.length >= 32) {
-                    (bool isCompliant,) = abi.decode(result, (bool, string));
+                    (bool isCompliant, , bytes32 ruleSetId, uint16 reasonCode) =
+                        abi.decode(result, (bool, string, bytes32, uint16));
                     if (!isCompliant) {
-                        revert ERC7943CannotTransfer(from, to, ids[i], values[i]);
+                        revert ComplianceCheckFailed(from, to, ids[i], values[i], ruleSetId, reasonCode);
                     }
                 }
                 // 如果 wrapper 調用失敗，允許轉移（可配置為嚴格模式）
             }
         }
-
-        super._update(from, to, ids, values);
+        
+        super._updateWithAcceptanceCheck(from, to, ids, values, data);
+        
+        if (checked) {
+            for (uint256 i = 0; i < ids.length; i++) {
+                _afterTransferCompliance(operator, from, to, ids[i], values[i], data);
+            }
+        }
     }
     
     /**
@@ -0,0 +1,223 @@
+/**
+ * Audit Log — compliance gateway 決策的防竄改稽核紀錄（JSONL，hash chain）
+ *
+ * 每一行是一筆 entry：
+ *   { seq, timestamp, type, client, request, screening, listVersion, signer, response, prevHash, hash }
+ *   - client   = 發出請求的機構 { id, name, issuer }（未啟用 client 認證時為 null）
+ *   - hash     = keccak256(canonicalJSON(entry 去掉 hash))
+ *   - prevHash = 前一筆的 hash（第一筆為 0x0）
+ * 修改任何一筆都會讓該筆 hash 不符；刪除或插入會讓 seq / prevHash 接不上。
+ *
+ * 上鏈錨定（選用）：定期把 chain head 以 STRRepository.registerSTR 登記
+ *   strId        = keccak256("gl1-audit:<logId>:<seq>")
+ *   offchainHash = 該筆 entry 的 hash
+ *   uri          = audit://<logId>#<seq>
+ * 錨定結果本身也寫入一筆 type = "anchor" 的 entry。gateway 錢包須有 REGISTRAR_ROLE。
+ *
+ * 驗證：node scripts/audit-log.js verify <file>
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const GENESIS_HASH = ethers.ZeroHash;
+
+const STR_REPOSITORY_ABI = [
+  "function registerSTR(bytes32 strId, bytes32 offchainHash, string uri, bytes32 onchainTx, uint8 status)",
+];
+
+/**
+ * 鍵排序後的 JSON（BigInt 轉字串），確保同一內容的 hash 穩定
+ */
+function canonicalJSON(value) {
+  if (typeof value === "bigint") return JSON.stringify(value.toString());
+  if (value === undefined) return "null";
+  if (value === null || typeof value !== "object") return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(",")}]`;
+  const keys = Object.keys(value)
+    .filter((k) => value[k] !== undefined)
+    .sort();
+  return `{${keys.map((k) => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`).join(",")}}`;
+}
+
+function hashEntry(entry) {
+  const { hash, ...body } = entry;
+  return ethers.keccak256(ethers.toUtf8Bytes(canonicalJSON(body)));
+}
+
+/**
+ * 驗證稽核檔
+ * @param {string} file JSONL 路徑
+ * @returns {{ ok: boolean, entries: number, head: string, errors: { line: number, error: string }[] }}
+ */
+function verifyAuditLog(file) {
+  const errors = [];
+  let prevHash = GENESIS_HASH;
+  let expectedSeq = 0;
+  let entries = 0;
+
+  const lines = fs.existsSync(file) ? fs.readFileSync(file, "utf8").split("\n") : [];
+  lines.forEach((line, i) => {
+    if (line.trim() === "") return;
+    const lineNo = i + 1;
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (err) {
+      errors.push({ line: lineNo, error: "unparseable entry" });
+      return;
+    }
+    entries++;
+
+    if (entry.seq !== expectedSeq) {
+      errors.push({ line: lineNo, error: `seq gap: expected ${expectedSeq}, found ${entry.seq}` });
+    }
+    if (entry.prevHash !== prevHash) {
+      errors.push({ line: lineNo, error: "prevHash does not match previous entry" });
+    }
+    if (hashEntry(entry) !== entry.hash) {
+      errors.push({ line: lineNo, error: "hash mismatch (entry edited)" });
+    }
+
+    expectedSeq = entry.seq + 1;
+    prevHash = entry.hash;
+  });
+
+  return { ok: errors.length === 0, entries, head: prevHash, errors };
+}
+
+/**
+ * 開啟（或建立）稽核檔
+ *
+ * @param {object} options
+ * @param {string} options.path JSONL 路徑
+ * @param {object} [options.anchor] 上鏈錨定設定
+ * @param {string} options.anchor.strRepository STRRepository 地址
+ * @param {ethers.Signer} options.anchor.signer 具 REGISTRAR_ROLE 的簽署者
+ * @param {number} [options.anchor.intervalMs] 定期錨定間隔；未設定時只能手動呼叫 anchor()
+ */
+function createAuditLog(options) {
+  const file = options.path;
+  const logId = path.basename(file, path.extname(file));
+
+  // 開啟時先驗證既有內容，避免在已損壞的鏈後面繼續寫
+  const existing = verifyAuditLog(file);
+  if (!existing.ok) {
+    const first = existing.errors[0];
+    throw new Error(`audit log corrupted at line ${first.line}: ${first.error}`);
+  }
+
+  let head = existing.head;
+  let seq = existing.entries;
+  let lastAnchoredSeq = -1;
+  let timer = null;
+  const repository = options.anchor
+    ? new ethers.Contract(options.anchor.strRepository, STR_REPOSITORY_ABI, options.anchor.signer)
+    : null;
+
+  const log = {
+    file,
+
+    /**
+     * 追加一筆紀錄（同步寫入，維持 seq 順序）
+     * @returns {object} 寫入的 entry
+     */
+    append(record) {
+      const entry = {
+        seq,
+        timestamp: Math.floor(Date.now() / 1000),
+        type: record.type,
+        client: record.client ?? null,
+        request: record.request ?? null,
+        screening: record.screening ?? null,
+        listVersion: record.listVersion ?? null,
+        signer: record.signer ?? null,
+        response: record.response ?? null,
+        prevHash: head,
+      };
+      entry.hash = hashEntry(entry);
+
+      fs.appendFileSync(file, canonicalJSON(entry) + "\n");
+      head = entry.hash;
+      seq++;
+      return entry;
+    },
+
+    head() {
+      return { seq: seq - 1, hash: head };
+    },
+
+    /**
+     * 將目前 chain head 登記到 STRRepository；head 未變時略過
+     * @returns {Promise<object|null>} anchor entry，或略過時 null
+     */
+    async anchor() {
+      if (!repository) throw new Error("anchoring not configured");
+      const anchoredSeq = seq - 1;
+      if (anchoredSeq < 0 || anchoredSeq === lastAnchoredSeq) return null;
+
+      const anchoredHash = head;
+      const strId = ethers.keccak256(ethers.toUtf8Bytes(`gl1-audit:${logId}:${anchoredSeq}`));
+      const tx = await repository.registerSTR(
+        strId,
+        anchoredHash,
+        `audit://${logId}#${anchoredSeq}`,
+        ethers.ZeroHash,
+        0,
+      );
+      await tx.wait();
+      lastAnchoredSeq = anchoredSeq;
+
+      const entry = log.append({
+        type: "anchor",
+        response: { strId, anchoredSeq, anchoredHash, txHash: tx.hash },
+      });
+      // anchor entry 本身不需要再錨定
+      lastAnchoredSeq = entry.seq;
+      return entry;
+    },
+
+    close() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+  };
+
+  if (repository && options.anchor.intervalMs) {
+    timer = setInterval(() => {
+      log.anchor().catch((err) => {
+        console.error(`[audit] anchor failed: ${err.shortMessage || err.message}`);
+      });
+    }, options.anchor.intervalMs);
+    timer.unref();
+  }
+
+  return log;
+}
+
+module.exports = {
+  GENESIS_HASH,
+  canonicalJSON,
+  createAuditLog,
+  hashEntry,
+  verifyAuditLog,
+};
+
+if (require.main === module) {
+  const [command, file] = process.argv.slice(2);
+  if (command !== "verify" || !file) {
+    console.error("usage: node scripts/audit-log.js verify <audit.jsonl>");
+    process.exit(2);
+  }
+
+  const result = verifyAuditLog(file);
+  for (const { line, error } of result.errors) {
+    console.error(`line ${line}: ${error}`);
+  }
+  console.log(
+    `[audit] ${result.ok ? "OK" : "FAILED"} | entries=${result.entries} | head=${result.head}`,
+  );
+  process.exit(result.ok ? 0 : 1);
+}
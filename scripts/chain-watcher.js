@@ -0,0 +1,286 @@
+/**
+ * Chain Watcher — 追蹤鏈上合規事件，讓 gateway 的拒絕名單與風險資料與鏈上狀態同步
+ *
+ * 訂閱的事件：
+ *   CCIDRegistry.SanctionStatusChanged(account, isSanctioned)  → sanctioned
+ *   CCIDRegistry.IdentityRevoked(account)                      → identityRevoked = true
+ *   CCIDRegistry.IdentityRegistered(account, …)                → identityRevoked = false（重新註冊）
+ *   AMLThresholdRule.AccountFlagged(account, flagged, …)       → flagged
+ * sanctioned / identityRevoked / flagged 任一為 true 的帳戶，gateway 拒絕簽發。
+ *
+ * 以 eth_getLogs 輪詢本地 JSON-RPC 節點（例如 hardhat node），只處理 head − confirmations 以前的區塊。
+ *
+ * 重組（reorg）處理：
+ *   每處理完一段區塊就記下 checkpoint { number, hash }（保留最近 reorgDepth 個），
+ *   每次狀態變更寫入 journal { block, account, field, previous }。
+ *   同步前先比對最新 checkpoint 的 hash；不符時往回找仍在鏈上的 checkpoint，
+ *   依 journal 反向還原其後的變更，再從該區塊重新同步。
+ *   沒有任何 checkpoint 仍在鏈上（例如節點重啟）時清空狀態，從 fromBlock 完整重播。
+ *
+ * 游標持久化：cursorFile 保存 cursor / checkpoints / journal / accounts（先寫暫存檔再 rename），
+ * 重啟後從上次位置繼續。
+ */
+
+const fs = require("fs");
+const { ethers } = require("ethers");
+
+const EVENTS_ABI = [
+  "event SanctionStatusChanged(address indexed account, bool isSanctioned)",
+  "event IdentityRevoked(address indexed account)",
+  "event IdentityRegistered(address indexed account, bytes32 tier, uint256 timestamp)",
+  "event AccountFlagged(address indexed account, bool flagged, address indexed flaggedBy)",
+];
+
+const STATE_VERSION = 1;
+
+// 阻擋簽發的欄位
+const BLOCKING_FIELDS = ["sanctioned", "identityRevoked", "flagged"];
+
+/**
+ * 建立 watcher
+ *
+ * @param {object} options
+ * @param {ethers.Provider} options.provider JSON-RPC provider
+ * @param {string} [options.ccidRegistry] CCIDRegistry 地址
+ * @param {string} [options.amlRule] AMLThresholdRule 地址
+ * @param {string} [options.cursorFile] 游標與狀態的持久化檔案
+ * @param {number} [options.fromBlock] 沒有游標時的起始區塊，預設 0
+ * @param {number} [options.confirmations] 延後處理的區塊數，預設 0（本地鏈）
+ * @param {number} [options.reorgDepth] 保留的 checkpoint 數，預設 64
+ * @param {number} [options.maxBlockRange] 單次 getLogs 的區塊範圍，預設 2000
+ * @param {number} [options.intervalMs] 輪詢間隔；未設定時只能手動呼叫 sync()
+ * @param {(change: object) => void} [options.onChange] 帳戶狀態變更（含 reorg 還原）時呼叫
+ */
+function createChainWatcher(options) {
+  const { provider } = options;
+  const contracts = [options.ccidRegistry, options.amlRule]
+    .filter(Boolean)
+    .map((address) => ethers.getAddress(address));
+  if (contracts.length === 0) throw new Error("chain watcher requires ccidRegistry or amlRule");
+
+  const iface = new ethers.Interface(EVENTS_ABI);
+  const topics = [iface.fragments.map((fragment) => fragment.topicHash)];
+  const fromBlock = options.fromBlock || 0;
+  const confirmations = options.confirmations || 0;
+  const reorgDepth = options.reorgDepth || 64;
+  const maxBlockRange = options.maxBlockRange || 2000;
+
+  let state = emptyState();
+  let synced = false;
+  let pending = Promise.resolve();
+  let timer = null;
+
+  function emptyState() {
+    return {
+      version: STATE_VERSION,
+      contracts,
+      cursor: { number: fromBlock - 1, hash: null },
+      checkpoints: [],
+      journal: [],
+      accounts: {},
+    };
+  }
+
+  function load() {
+    if (!options.cursorFile || !fs.existsSync(options.cursorFile)) return;
+    const saved = JSON.parse(fs.readFileSync(options.cursorFile, "utf8"));
+    if (saved.version !== STATE_VERSION || saved.contracts.join(",") !== contracts.join(",")) {
+      throw new Error(`cursor file ${options.cursorFile} belongs to other contracts`);
+    }
+    state = saved;
+  }
+
+  function save() {
+    if (!options.cursorFile) return;
+    const tmp = `${options.cursorFile}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+    fs.renameSync(tmp, options.cursorFile);
+  }
+
+  function setField(block, account, field, value) {
+    const record = state.accounts[account] || {
+      sanctioned: false,
+      identityRevoked: false,
+      flagged: false,
+    };
+    const previous = record[field];
+    if (previous === value) return;
+
+    state.journal.push({ block, account, field, previous });
+    record[field] = value;
+    record.block = block;
+    state.accounts[account] = record;
+    if (options.onChange) options.onChange({ account, field, value, block, reorg: false });
+  }
+
+  function apply(log) {
+    const event = iface.parseLog(log);
+    const account = event.args.account.toLowerCase();
+    switch (event.name) {
+      case "SanctionStatusChanged":
+        setField(log.blockNumber, account, "sanctioned", event.args.isSanctioned);
+        break;
+      case "IdentityRevoked":
+        setField(log.blockNumber, account, "identityRevoked", true);
+        break;
+      case "IdentityRegistered":
+        setField(log.blockNumber, account, "identityRevoked", false);
+        break;
+      case "AccountFlagged":
+        setField(log.blockNumber, account, "flagged", event.args.flagged);
+        break;
+      default:
+    }
+  }
+
+  /**
+   * 反向還原 block 之後的變更
+   */
+  function rollback(block) {
+    while (state.journal.length > 0 && state.journal[state.journal.length - 1].block > block) {
+      const { account, field, previous } = state.journal.pop();
+      state.accounts[account][field] = previous;
+      if (options.onChange) {
+        options.onChange({ account, field, value: previous, block, reorg: true });
+      }
+    }
+    state.checkpoints = state.checkpoints.filter((c) => c.number <= block);
+  }
+
+  async function blockHash(number) {
+    const block = await provider.getBlock(number);
+    return block ? block.hash : null;
+  }
+
+  /**
+   * 偵測重組；回傳是否發生
+   */
+  async function checkReorg() {
+    if (state.checkpoints.length === 0) return false;
+    const latest = state.checkpoints[state.checkpoints.length - 1];
+    if ((await blockHash(latest.number)) === latest.hash) return false;
+
+    for (let i = state.checkpoints.length - 2; i >= 0; i--) {
+      const checkpoint = state.checkpoints[i];
+      if ((await blockHash(checkpoint.number)) === checkpoint.hash) {
+        rollback(checkpoint.number);
+        state.cursor = { number: checkpoint.number, hash: checkpoint.hash };
+        return true;
+      }
+    }
+
+    // 比保留深度更深（或節點重啟）：完整重播
+    rollback(-1);
+    state = emptyState();
+    return true;
+  }
+
+  function prune() {
+    if (state.checkpoints.length > reorgDepth) {
+      state.checkpoints = state.checkpoints.slice(-reorgDepth);
+    }
+    const oldest = state.checkpoints[0];
+    if (oldest) state.journal = state.journal.filter((entry) => entry.block > oldest.number);
+  }
+
+  async function syncOnce() {
+    const reorged = await checkReorg();
+    const target = (await provider.getBlockNumber()) - confirmations;
+    let processed = 0;
+
+    while (state.cursor.number < target) {
+      const from = state.cursor.number + 1;
+      const to = Math.min(target, from + maxBlockRange - 1);
+      const logs = await provider.getLogs({
+        address: contracts,
+        topics,
+        fromBlock: from,
+        toBlock: to,
+      });
+      logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+      for (const log of logs) apply(log);
+      processed += logs.length;
+
+      const hash = await blockHash(to);
+      state.cursor = { number: to, hash };
+      state.checkpoints.push({ number: to, hash });
+      prune();
+      save();
+    }
+
+    if (reorged) save();
+    synced = true;
+    return { block: state.cursor.number, events: processed, reorged };
+  }
+
+  const watcher = {
+    /**
+     * 同步到最新區塊；同一時間只會有一個 sync 在跑
+     * @returns {Promise<{ block: number, events: number, reorged: boolean }>}
+     */
+    sync() {
+      const result = pending.then(syncOnce);
+      pending = result.catch(() => {});
+      return result;
+    },
+
+    /**
+     * 是否已完成至少一次同步；尚未同步時 gateway 不簽發
+     */
+    get synced() {
+      return synced;
+    },
+
+    /**
+     * 帳戶的鏈上狀態 { sanctioned, identityRevoked, flagged, block }，沒有紀錄時回傳 null
+     */
+    status(address) {
+      return state.accounts[address.toLowerCase()] || null;
+    },
+
+    /**
+     * 阻擋簽發的原因（空陣列表示不阻擋）
+     * @returns {("sanctioned"|"identityRevoked"|"flagged")[]}
+     */
+    blockedBy(address) {
+      const record = watcher.status(address);
+      return record ? BLOCKING_FIELDS.filter((field) => record[field]) : [];
+    },
+
+    stats() {
+      const blocked = Object.values(state.accounts).filter((record) =>
+        BLOCKING_FIELDS.some((field) => record[field]),
+      ).length;
+      return { block: state.cursor.number, hash: state.cursor.hash, blocked, synced };
+    },
+
+    close() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+  };
+
+  load();
+
+  if (options.intervalMs) {
+    let polling = false;
+    timer = setInterval(async () => {
+      if (polling) return;
+      polling = true;
+      try {
+        await watcher.sync();
+      } catch (err) {
+        console.error(`[chain] sync failed: ${err.shortMessage || err.message}`);
+      } finally {
+        polling = false;
+      }
+    }, options.intervalMs);
+    timer.unref();
+  }
+
+  return watcher;
+}
+
+module.exports = {
+  createChainWatcher,
+};
@@ -3,24 +3,104 @@
  *
  * 對應論文 §3 ProofSet 機制：
  *   1. User 送 request 給此 server
- *   2. Server 跑 AML 名單比對（O(N)，N = 名單大小）
+ *   2. Server 跑 AML 名單比對（預設 Map 索引；lookupMode "linear" 為 O(N) 全表掃描）
+ *      並依姓名 / 出生日期 / 國籍計算風險分數，決定簽發、轉人工審查或拒絕
  *   3. Server 用 ECDSA 簽一張 ProofSet
- *   4. User 拿 ProofSet 上鏈，合約只 _verifyProofSet() 驗章
+ *   4. User 拿 ProofSet 上鏈，合約只以 ProofSets.useProofSet 驗章
  *
- * 簽章格式必須對齊 contracts/core/GL1PolicyWrapper.sol::_verifyProofSet：
- *   messageHash = keccak256(abi.encode(proofType, credentialHash, issuedAt, expiresAt, issuer))
- *   ethSignedHash = "\x19Ethereum Signed Message:\n32" || messageHash
- *   signature = sign(ethSignedHash, trustedSignerKey)
+ * 簽章格式必須對齊 contracts/libraries/ProofSets.sol::useProofSet（EIP-712，domain 為 wrapper）：
+ *   domain    = { name: "GL1PolicyWrapper", version: "1", chainId, verifyingContract: wrapper }
+ *   ProofSet  = (proofType, credentialHash, issuedAt, expiresAt, issuer,
+ *                subject, counterparty, tokenId, maxAmount, maxUses, amountBudget)
+ *   signature = signTypedData(domain, PROOF_SET_TYPES, proofSet)
+ *
+ * 門檻簽章（k-of-n）：
+ *   wrapper 設定 signerThreshold > 1 時，簽發端 gateway 會把 ProofSet 送到
+ *   options.peers 的 POST /v1/cosign，各 peer 獨立跑 AML 比對後回傳簽章；
+ *   所有簽章依簽署者地址遞增排序後串接成 signature。
+ *
+ * 簽發請求格式（POST /v1/proofs，完整定義見 docs/openapi/compliance-gateway.v1.json）：
+ *   { user, amount, customer?, counterparty?, counterpartyCustomer?, tokenId?, maxUses?, amountBudget?, chainId?, verifyingContract? }
+ *   - user → subject，amount → maxAmount
+ *   - customer = { name, dob, country }，用於姓名模糊比對與風險分數（見 name-screening.js）
+ *   - counterparty 預設 0x0（wrap），transfer 時為收款方；收款方同樣比對名單與鏈上狀態，
+ *     counterpartyCustomer 為收款方的姓名資料，任一方被拒即不簽發
+ *   - maxUses 預設 1（單次使用），amountBudget 預設 0（不設累計上限）；
+ *     client 設有金額上限時 amountBudget 預設 maxUses × amount，不得為 0 或超過上限
+ *   - chainId / verifyingContract 未帶時使用 createServer 的 options
  *
  * 使用方式：
  *   程式內：const { createServer } = require("./scripts/compliance-gateway");
- *           const server = createServer(privateKey, amlSize);
+ *           const server = createServer(privateKey, amlSize, { chainId, verifyingContract });
+ *           （或 createServer(await loadSigner({ type: "keystore", path, passphrase }), …)，見 gateway-signer.js）
  *           await new Promise(r => server.listen(port, r));
- *   獨立執行：PORT=8765 AML_SIZE=1000 node scripts/compliance-gateway.js
+ *   獨立執行：PORT=8765 AML_SIZE=1000 CHAIN_ID=31337 WRAPPER_ADDRESS=0x… node scripts/compliance-gateway.js
+ *             簽署者擇一：GATEWAY_SIGNER_SOCKET=/run/gl1/signer.sock（remote signer 行程）、
+ *               GATEWAY_KEYSTORE=key.json（passphrase 由 GATEWAY_KEYSTORE_PASSPHRASE(_FILE) 或啟動時輸入）、
+ *               GATEWAY_PRIVATE_KEY=0x…；都未設定時只有 GATEWAY_DEV_MODE=1 才使用 hardhat 開發金鑰
+ *             （COSIGN_PEERS=http://host:8766,http://host:8767 啟用共同簽署）
+ *             （SANCTIONS_FILES=lists/ofac.xml,lists/internal.csv 載入名單並於變更時重新載入；
+ *               AML_LOOKUP=linear 切回全表掃描）
+ *             （AUDIT_LOG=audit/gateway.jsonl 啟用稽核紀錄；STR_REPOSITORY=0x… AUDIT_ANCHOR_INTERVAL=600000 定期上鏈錨定）
+ *             （CLIENTS_FILE=clients.json 啟用 client 認證；ADMIN_TOKEN=… 開放本機管理路由；
+ *               TLS_KEY / TLS_CERT / TLS_CA 啟用 HTTPS 與 mTLS client 憑證）
+ *             （CCID_REGISTRY=0x… AML_RULE=0x… 搭配 RPC_URL 追蹤鏈上制裁 / 撤銷 / 標記事件；
+ *               CHAIN_CURSOR_FILE=chain-cursor.json 保存游標，CHAIN_POLL_INTERVAL / CHAIN_CONFIRMATIONS 調整輪詢）
  */
 
+const fs = require("fs");
 const http = require("http");
+const https = require("https");
+const crypto = require("crypto");
 const { ethers } = require("ethers");
+const { createSanctionsList } = require("./sanctions-list");
+const { screenCustomer } = require("./name-screening");
+const { createAuditLog } = require("./audit-log");
+const { createClientRegistry } = require("./gateway-clients");
+const { createRouter, loadSpec, validateRequest } = require("./openapi");
+const { createChainWatcher } = require("./chain-watcher");
+const { isDevAddress, signerFromEnv } = require("./gateway-signer");
+
+/**
+ * ProofSet 的 EIP-712 型別定義（欄位順序須與 PROOF_SET_TYPEHASH 一致）
+ */
+const PROOF_SET_TYPES = {
+  ProofSet: [
+    { name: "proofType", type: "bytes32" },
+    { name: "credentialHash", type: "bytes32" },
+    { name: "issuedAt", type: "uint256" },
+    { name: "expiresAt", type: "uint256" },
+    { name: "issuer", type: "address" },
+    { name: "subject", type: "address" },
+    { name: "counterparty", type: "address" },
+    { name: "tokenId", type: "uint256" },
+    { name: "maxAmount", type: "uint256" },
+    { name: "maxUses", type: "uint256" },
+    { name: "amountBudget", type: "uint256" },
+  ],
+};
+
+/**
+ * 風險區間對應的 proofType；鏈上可依 proofType 設定不同額度（setProofTypeAmountCap）
+ */
+const PROOF_TYPES = {
+  LOW: ethers.encodeBytes32String("AML_LOW"),
+  EDD: ethers.encodeBytes32String("AML_EDD"),
+};
+
+/**
+ * 建立 GL1PolicyWrapper 的 EIP-712 domain
+ * @param {number|bigint|string} chainId 鏈 ID
+ * @param {string} verifyingContract wrapper 合約地址
+ */
+function proofDomain(chainId, verifyingContract) {
+  return {
+    name: "GL1PolicyWrapper",
+    version: "1",
+    chainId,
+    verifyingContract,
+  };
+}
 
 /**
  * 產生模擬 AML 黑名單（確定性，便於重現）
@@ -54,91 +134,934 @@ function lookupAML(blacklist, address) {
   return found;
 }
 
+// 共同簽署時接受的最長 ProofSet 有效期（秒），避免 peer 替過長的證明背書
+const MAX_PROOF_TTL = 3600;
+
+/**
+ * 將多個 { signer, signature } 依簽署者地址遞增排序後串接
+ * （對齊 ProofSets._verifySigners 的排序要求）
+ */
+function combineSignatures(signatures) {
+  return ethers.concat(
+    [...signatures]
+      .sort((a, b) => {
+        const x = BigInt(a.signer);
+        const y = BigInt(b.signer);
+        return x < y ? -1 : x > y ? 1 : 0;
+      })
+      .map((s) => s.signature),
+  );
+}
+
+/**
+ * 鏈上撤銷與狀態查詢用到的 wrapper ABI 片段
+ */
+const WRAPPER_ABI = [
+  "function revokeProof(bytes32 credentialHash, string reason)",
+  "function getProofStatus(bytes32 credentialHash) view returns (uint256 uses, uint256 amountUsed, bool revoked)",
+];
+
+/**
+ * 有稽核紀錄的 operation → entry type
+ */
+const AUDITED_OPERATIONS = {
+  issueProof: "issue",
+  issueProofBatch: "issue",
+  revokeProof: "revoke",
+  cosignProof: "cosign",
+  decideReview: "review",
+};
+
+function reply(status, body, extra = {}) {
+  return { status, body, ...extra };
+}
+
+function sendJSON(res, result) {
+  res.writeHead(result.status, { "Content-Type": "application/json", ...result.headers });
+  res.end(JSON.stringify(result.body));
+}
+
+/**
+ * 讀取 JSON body；空 body 回傳 undefined
+ */
+async function readJSON(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  const text = Buffer.concat(chunks).toString();
+  return text.trim() === "" ? undefined : JSON.parse(text);
+}
+
 /**
  * 建立 compliance gateway HTTP server
- * @param {string} privateKey 簽章私鑰（須對應合約的 trustedSigner）
- * @param {number} amlSize AML 黑名單大小
- * @returns {http.Server} 尚未 listen 的 server
+ *
+ * 路由與請求格式以 docs/openapi/compliance-gateway.v1.json 為準，請求先依文件驗證
+ * （不符回 400 VALIDATION_ERROR）再交給 handler：
+ *   GET  /v1/health                          健康檢查（不需認證）
+ *   GET  /v1/signer                          簽署者地址、chainId / wrapper 與 EIP-712 型別
+ *   GET  /v1/lists                           已載入的制裁名單版本
+ *   POST /v1/proofs                          簽發 ProofSet（LOW 直接簽發、EDD 回 202 轉審查、DENY 回 403）
+ *   POST /v1/proofs/batch                    批次簽發（body: { requests: [...] }），逐筆回傳 { status, body }
+ *   GET  /v1/proofs/:credentialHash          查詢 ProofSet 狀態（有 provider 時合併鏈上使用紀錄）
+ *   POST /v1/proofs/:credentialHash/revoke   撤銷本 gateway 簽發的 ProofSet（body: { reason? }）
+ *   POST /v1/cosign                          替其他 gateway 簽發的 ProofSet 共同簽署（body: { chainId, verifyingContract, proof, customer? }）
+ *   GET  /v1/reviews                         列出待人工審查（EDD）的請求
+ *   POST /v1/reviews/:reviewId               審查決定（body: { decision: "approve" | "reject" }），核准即簽發 AML_EDD
+ * 文件以外的路徑回 404，方法不符回 405（附 Allow header）。
+ *
+ * 設定 options.chainWatch 時追蹤鏈上合規事件（見 chain-watcher.js）：鏈上已制裁、身份撤銷或被 AML 標記的
+ * 帳戶拒絕簽發 / 共簽 / 核准（403 ONCHAIN_BLOCKED），首次同步完成前回 503 CHAIN_NOT_SYNCED。
+ *
+ * 設定 options.clients 時除 /v1/health 外都需要 client 認證（API key 或 mTLS），並套用該 client 的
+ * 配額（批次簽發每筆各計一次）、金額上限與 allowedProofTypes；client 只能查詢 / 撤銷 / 審查自己的請求。
+ * 管理路由（僅限本機連線，需 X-Admin-Token = options.adminToken）：
+ *   GET    /admin/clients          列出 client
+ *   POST   /admin/clients          新增 client，回傳一次性 apiKey
+ *   POST   /admin/clients/:id      更新 client（quota / maxAmount / allowedProofTypes / disabled …）
+ *   DELETE /admin/clients/:id      移除 client
+ *
+ * @param {string|ethers.Signer} signerOrKey 簽章私鑰，或 gateway-signer.js loadSigner 建立的簽署者
+ *        （須對應合約的 proof signer；hardhat 公開開發金鑰須設定 options.devMode）
+ * @param {number} amlSize 模擬 AML 黑名單大小（generateAMLList，與名單檔合併；只用檔案時傳 0）
+ * @param {object} [options]
+ * @param {number|bigint} [options.chainId] 預設 EIP-712 chainId
+ * @param {string} [options.verifyingContract] 預設 wrapper 地址
+ * @param {ethers.Provider} [options.provider] 提供時撤銷會同步送出鏈上 revokeProof
+ * @param {(string|{url: string, apiKey: string})[]} [options.peers] 共同簽署 gateway 的 base URL（例如 http://127.0.0.1:8766），
+ *        peer 啟用 client 認證時以 { url, apiKey } 帶上本 gateway 在該 peer 的 API key
+ * @param {string[]} [options.listFiles] 制裁名單檔（CSV / JSON / OFAC XML，見 sanctions-list.js）
+ * @param {"indexed"|"linear"} [options.lookupMode] 名單查詢方式；latency benchmark 的 M6-linear 以 "linear" 作為對照組
+ * @param {boolean} [options.watchLists] 名單檔變更時自動重新載入
+ * @param {object} [options.screening] 姓名比對設定（algorithm / nameThreshold / referScore / denyScore，見 name-screening.js）
+ * @param {string} [options.auditLog] 稽核紀錄 JSONL 路徑；每個決策（簽發 / 拒絕 / 審查 / 共簽 / 撤銷）寫入一筆，批次簽發逐筆寫入
+ * @param {object} [options.auditAnchor] { strRepository, intervalMs }，需搭配 provider，定期把稽核 chain head 登記到 STRRepository
+ * @param {object|string} [options.clients] createClientRegistry 建立的 registry，或其持久化檔案路徑
+ * @param {string} [options.adminToken] 管理路由 token；未設定時不開放管理路由
+ * @param {object} [options.tls] { key, cert, ca }：改以 HTTPS 提供服務並接受 ca 簽發的 client 憑證（mTLS）
+ * @param {object} [options.chainWatch] { ccidRegistry, amlRule, cursorFile, intervalMs, confirmations, fromBlock }，
+ *        需搭配 provider，追蹤鏈上事件並拒絕鏈上狀態不允許的帳戶
+ * @param {boolean} [options.devMode] 允許使用 hardhat 助記詞導出的公開開發金鑰
+ * @param {object} [options.spec] OpenAPI 文件，預設載入 docs/openapi/compliance-gateway.v1.json
+ * @returns {http.Server|https.Server} 尚未 listen 的 server
  */
-function createServer(privateKey, amlSize) {
-  const wallet = new ethers.Wallet(privateKey);
-  const blacklist = generateAMLList(amlSize);
-  const abiCoder = ethers.AbiCoder.defaultAbiCoder();
-  const proofType = ethers.encodeBytes32String("AML");
+function createServer(signerOrKey, amlSize, options = {}) {
+  const signer = typeof signerOrKey === "string" ? new ethers.Wallet(signerOrKey) : signerOrKey;
+  if (isDevAddress(signer.address) && !options.devMode) {
+    throw new Error("refusing to start with a development key outside dev mode");
+  }
+  const blacklist = createSanctionsList({
+    files: options.listFiles,
+    addresses: generateAMLList(amlSize),
+    mode: options.lookupMode,
+    watch: options.watchLists,
+  });
+  const chainSigner = options.provider ? signer.connect(options.provider) : null;
+  const spec = options.spec || loadSpec();
+  const router = createRouter(spec);
+  const startedAt = Date.now();
+
+  if (options.auditAnchor && !chainSigner) {
+    throw new Error("auditAnchor requires options.provider");
+  }
+  if (options.chainWatch && !options.provider) {
+    throw new Error("chainWatch requires options.provider");
+  }
+  const auditLog = options.auditLog
+    ? createAuditLog({
+        path: options.auditLog,
+        anchor: options.auditAnchor && {
+          strRepository: options.auditAnchor.strRepository,
+          signer: chainSigner,
+          intervalMs: options.auditAnchor.intervalMs,
+        },
+      })
+    : null;
+
+  const clients =
+    typeof options.clients === "string"
+      ? createClientRegistry({ file: options.clients })
+      : options.clients || null;
+
+  const chainWatcher = options.chainWatch
+    ? createChainWatcher({ provider: options.provider, ...options.chainWatch })
+    : null;
+  if (chainWatcher) {
+    chainWatcher.sync().catch((err) => {
+      console.error(`[chain] initial sync failed: ${err.shortMessage || err.message}`);
+    });
+  }
+
+  // credentialHash → { proof, verifyingContract, clientId, revoked, reason, revokedAt }
+  const issued = new Map();
+  // reviewId → { request, clientId, screening, status, decidedAt }
+  const reviews = new Map();
+
+  function wrapperAt(address) {
+    return new ethers.Contract(address, WRAPPER_ABI, chainSigner);
+  }
 
-  return http.createServer(async (req, res) => {
-    if (req.method !== "POST") {
-      res.writeHead(405);
-      res.end();
-      return;
+  /**
+   * 名單比對；鏈上狀態阻擋的帳戶另加一筆 reason = "onchain" 的命中並列為 DENY
+   */
+  function screen(address, customer = {}) {
+    const screening = screenCustomer({ ...customer, address }, blacklist, options.screening);
+    const flags = chainWatcher ? chainWatcher.blockedBy(address) : [];
+    if (flags.length > 0) {
+      screening.matches.unshift({
+        address: address.toLowerCase(),
+        score: 100,
+        reason: "onchain",
+        flags,
+      });
+      screening.score = 100;
+      screening.band = "DENY";
     }
+    return screening;
+  }
 
-    let body;
-    try {
-      const chunks = [];
-      for await (const chunk of req) chunks.push(chunk);
-      body = JSON.parse(Buffer.concat(chunks).toString());
-    } catch (err) {
-      res.writeHead(400, { "Content-Type": "application/json" });
-      res.end(JSON.stringify({ error: "invalid json" }));
-      return;
+  /**
+   * 主體與收款方分別比對後合併；命中帶 party（subject / counterparty），
+   * 分數與區間取兩方較高者。counterparty 為 0x0（wrap）時只比對主體
+   */
+  function screenParties(subject, customer, counterparty, counterpartyCustomer) {
+    const screening = screen(subject, customer);
+    screening.matches = screening.matches.map((m) => ({ ...m, party: "subject" }));
+    if (counterparty === ethers.ZeroAddress) return screening;
+
+    const other = screen(counterparty, counterpartyCustomer);
+    screening.matches.push(...other.matches.map((m) => ({ ...m, party: "counterparty" })));
+    screening.matches.sort((a, b) => b.score - a.score);
+    if (other.score > screening.score) {
+      screening.score = other.score;
+      screening.band = other.band;
     }
+    return screening;
+  }
 
-    if (!body.user || !body.amount) {
-      res.writeHead(400, { "Content-Type": "application/json" });
-      res.end(JSON.stringify({ error: "missing user/amount" }));
-      return;
+  /**
+   * 篩查結果為拒絕時回傳 403 結果（帶命中的 party），否則回傳 null
+   */
+  function refuseScreening(screening) {
+    const listed = screening.matches.find((m) => m.reason === "address");
+    if (listed) {
+      return reply(403, { error: "blacklisted", party: listed.party }, { screening });
+    }
+    if (screening.band === "DENY") {
+      const party = screening.matches.length > 0 ? screening.matches[0].party : "subject";
+      return reply(403, { error: "sanctions match", party, score: screening.score }, { screening });
     }
+    return null;
+  }
 
-    if (lookupAML(blacklist, body.user)) {
-      res.writeHead(403, { "Content-Type": "application/json" });
-      res.end(JSON.stringify({ error: "blacklisted" }));
-      return;
+  /**
+   * 鏈上狀態檢查（主體與收款方）；尚未同步回 503，任一方被阻擋回 403，通過回傳 null
+   */
+  function checkChainStatus(subject, counterparty = ethers.ZeroAddress) {
+    if (!chainWatcher) return null;
+    if (!chainWatcher.synced) {
+      return reply(503, { error: "chain state not synced", code: "CHAIN_NOT_SYNCED" });
+    }
+    const parties = [["subject", subject]];
+    if (counterparty !== ethers.ZeroAddress) parties.push(["counterparty", counterparty]);
+    for (const [party, address] of parties) {
+      const flags = chainWatcher.blockedBy(address);
+      if (flags.length > 0) {
+        return reply(403, {
+          error: "onchain status blocks issuance",
+          code: "ONCHAIN_BLOCKED",
+          party,
+          flags,
+        });
+      }
     }
+    return null;
+  }
 
+  /**
+   * client 政策檢查（金額上限、可簽發的 proofType）；違反時回傳 403 結果，通過回傳 null
+   * 金額上限同時限制單次金額與累計額度 amountBudget，額度為 0（不限）時拒絕
+   */
+  function checkClientPolicy(client, { amount, amountBudget, proofTypeName }) {
+    if (!client) return null;
+    if (client.maxAmount !== "0") {
+      const ceiling = BigInt(client.maxAmount);
+      if (amount !== undefined && amount > ceiling) {
+        return reply(403, {
+          error: "amount ceiling exceeded",
+          code: "AMOUNT_CEILING",
+          maxAmount: client.maxAmount,
+        });
+      }
+      if (amountBudget !== undefined && (amountBudget === 0n || amountBudget > ceiling)) {
+        return reply(403, {
+          error: amountBudget === 0n ? "amount budget required" : "amount budget ceiling exceeded",
+          code: "BUDGET_CEILING",
+          maxAmount: client.maxAmount,
+        });
+      }
+    }
+    if (proofTypeName !== undefined && !client.allowedProofTypes.includes(proofTypeName)) {
+      return reply(403, {
+        error: "proofType not allowed",
+        code: "PROOF_TYPE_NOT_ALLOWED",
+        proofType: proofTypeName,
+      });
+    }
+    return null;
+  }
+
+  // 啟用 client 認證時，只能存取自己建立的紀錄
+  function ownedBy(client, record) {
+    return !clients || record.clientId === client.id;
+  }
+
+  /**
+   * 補上預設值並正規化簽發請求（格式已由 OpenAPI 文件驗證）
+   * @returns {{ params?: object, error?: object }}
+   */
+  function parseIssueRequest(client, body) {
+    const chainId = body.chainId ?? options.chainId;
+    const verifyingContract = body.verifyingContract ?? options.verifyingContract;
+    const counterparty = body.counterparty ?? ethers.ZeroAddress;
+    if (chainId === undefined || !verifyingContract) {
+      return { error: reply(400, { error: "missing chainId/verifyingContract" }) };
+    }
+    // 大小寫混合的地址須通過 checksum
+    if (
+      !ethers.isAddress(body.user) ||
+      !ethers.isAddress(counterparty) ||
+      !ethers.isAddress(verifyingContract)
+    ) {
+      return { error: reply(400, { error: "invalid address" }) };
+    }
+
+    const maxAmount = BigInt(body.amount);
+    const maxUses = BigInt(body.maxUses ?? 1);
+    // 有金額上限的 client 未指定額度時，以所有使用次數的總額為額度（交由 checkClientPolicy 比對上限）
+    const defaultBudget =
+      client && client.maxAmount !== "0" ? maxAmount * (maxUses === 0n ? 1n : maxUses) : 0n;
+    return {
+      params: {
+        chainId,
+        verifyingContract,
+        user: ethers.getAddress(body.user),
+        counterparty: ethers.getAddress(counterparty),
+        customer: body.customer || {},
+        counterpartyCustomer: body.counterpartyCustomer || {},
+        maxAmount,
+        tokenId: BigInt(body.tokenId ?? 0),
+        maxUses,
+        amountBudget: body.amountBudget === undefined ? defaultBudget : BigInt(body.amountBudget),
+        client,
+      },
+    };
+  }
+
+  /**
+   * 依風險區間簽發 ProofSet（含向 peers 收集共同簽章）
+   * @returns {Promise<{ proof?: object, error?: object }>} peer 無法連線或拒簽時 error 為 502 結果
+   */
+  async function signProofSet(params, band) {
     const now = Math.floor(Date.now() / 1000);
     const credentialHash = ethers.keccak256(
-      ethers.toUtf8Bytes(`${body.user}-${body.amount}-${now}-${Math.random()}`),
+      ethers.toUtf8Bytes(`${params.user}-${params.maxAmount}-${now}-${Math.random()}`),
+    );
+
+    const proof = {
+      proofType: PROOF_TYPES[band],
+      credentialHash,
+      issuedAt: now - 60,
+      expiresAt: now + 3600,
+      // 發出請求的機構；未設定機構地址時為 gateway 本身
+      issuer: (params.client && params.client.issuer) || signer.address,
+      subject: params.user,
+      counterparty: params.counterparty,
+      tokenId: params.tokenId.toString(),
+      maxAmount: params.maxAmount.toString(),
+      maxUses: params.maxUses.toString(),
+      amountBudget: params.amountBudget.toString(),
+    };
+
+    const domain = proofDomain(params.chainId, params.verifyingContract);
+    const signatures = [
+      {
+        signer: signer.address,
+        signature: await signer.signTypedData(domain, PROOF_SET_TYPES, proof),
+      },
+    ];
+
+    for (const entry of options.peers || []) {
+      const peer = typeof entry === "string" ? entry : entry.url;
+      const headers = { "Content-Type": "application/json" };
+      if (entry.apiKey) headers["X-API-Key"] = entry.apiKey;
+
+      let peerRes;
+      try {
+        peerRes = await fetch(`${peer}/v1/cosign`, {
+          method: "POST",
+          headers,
+          body: JSON.stringify({
+            chainId: params.chainId.toString(),
+            verifyingContract: params.verifyingContract,
+            proof,
+            customer: params.customer,
+            counterpartyCustomer: params.counterpartyCustomer,
+          }),
+        });
+      } catch (err) {
+        return { error: reply(502, { error: "cosign unreachable", peer }) };
+      }
+      const payload = await peerRes.json();
+      if (peerRes.status !== 200) {
+        return { error: reply(502, { error: "cosign refused", peer, detail: payload.error }) };
+      }
+      signatures.push(payload);
+    }
+
+    const signed = { ...proof, signature: combineSignatures(signatures) };
+    if (params.client) {
+      signed.institution = { id: params.client.id, name: params.client.name };
+    }
+    issued.set(credentialHash, {
+      proof,
+      verifyingContract: params.verifyingContract,
+      clientId: params.client ? params.client.id : null,
+      revoked: false,
+    });
+    return { proof: signed };
+  }
+
+  /**
+   * 單筆簽發；回傳結果帶 screening 供稽核紀錄使用
+   */
+  async function issue(client, body) {
+    const { params, error } = parseIssueRequest(client, body);
+    if (error) return error;
+    const ceiling = checkClientPolicy(client, {
+      amount: params.maxAmount,
+      amountBudget: params.amountBudget,
+    });
+    if (ceiling) return ceiling;
+
+    const screening = screenParties(
+      params.user,
+      params.customer,
+      params.counterparty,
+      params.counterpartyCustomer,
     );
-    const issuedAt = now - 60;
-    const expiresAt = now + 3600;
-    const issuer = wallet.address;
-
-    const messageHash = ethers.keccak256(
-      abiCoder.encode(
-        ["bytes32", "bytes32", "uint256", "uint256", "address"],
-        [proofType, credentialHash, issuedAt, expiresAt, issuer],
-      ),
+    const blocked = checkChainStatus(params.user, params.counterparty);
+    if (blocked) return { ...blocked, screening };
+    const refused = refuseScreening(screening);
+    if (refused) return refused;
+    const denied = checkClientPolicy(client, { proofTypeName: `AML_${screening.band}` });
+    if (denied) return { ...denied, screening };
+    if (screening.band === "EDD") {
+      const reviewId = ethers.hexlify(ethers.randomBytes(16));
+      reviews.set(reviewId, {
+        request: params,
+        clientId: client ? client.id : null,
+        screening,
+        status: "pending",
+      });
+      return reply(
+        202,
+        { status: "review", reviewId, score: screening.score, band: screening.band },
+        { screening },
+      );
+    }
+
+    const signed = await signProofSet(params, "LOW");
+    if (signed.error) return { ...signed.error, screening };
+    return reply(
+      200,
+      { ...signed.proof, screening: { score: screening.score, band: "LOW" } },
+      { screening },
     );
-    const signature = await wallet.signMessage(ethers.getBytes(messageHash));
-
-    res.writeHead(200, { "Content-Type": "application/json" });
-    res.end(
-      JSON.stringify({
-        proofType,
-        credentialHash,
-        issuedAt,
-        expiresAt,
-        issuer,
-        signature,
-      }),
+  }
+
+  async function handleIssue({ client, body }) {
+    return issue(client, body);
+  }
+
+  /**
+   * 批次簽發：逐筆獨立判斷，單筆失敗不影響其他筆；每筆各自寫入稽核紀錄
+   */
+  async function handleIssueBatch({ client, body }) {
+    const decisions = [];
+    for (const item of body.requests) {
+      decisions.push({ body: item, result: await issue(client, item) });
+    }
+    return reply(
+      200,
+      { results: decisions.map(({ result }) => ({ status: result.status, body: result.body })) },
+      { decisions },
     );
+  }
+
+  /**
+   * 人工審查：EDD 區間的請求核准後以 AML_EDD 簽發
+   */
+  async function handleReview({ client, params, body }) {
+    const { reviewId } = params;
+    const review = reviews.get(reviewId);
+    if (!review || !ownedBy(client, review)) {
+      return reply(404, { error: "unknown reviewId" });
+    }
+    if (review.status !== "pending") {
+      return reply(409, { error: `already ${review.status}` });
+    }
+
+    if (body.decision === "reject") {
+      review.status = "rejected";
+      review.decidedAt = Math.floor(Date.now() / 1000);
+      return reply(200, { reviewId, status: "rejected" });
+    }
+
+    // 審查期間帳戶可能已在鏈上被制裁或標記
+    const blocked = checkChainStatus(review.request.user, review.request.counterparty);
+    if (blocked) return blocked;
+
+    const screening = review.screening;
+    const signed = await signProofSet(review.request, "EDD");
+    if (signed.error) return { ...signed.error, screening };
+    review.status = "approved";
+    review.decidedAt = Math.floor(Date.now() / 1000);
+    return reply(
+      200,
+      { ...signed.proof, screening: { score: screening.score, band: "EDD" } },
+      { screening },
+    );
+  }
+
+  function handleListReviews({ client }) {
+    const pending = [];
+    for (const [reviewId, review] of reviews) {
+      if (review.status !== "pending" || !ownedBy(client, review)) continue;
+      pending.push({
+        reviewId,
+        subject: review.request.user,
+        customer: review.request.customer,
+        score: review.screening.score,
+        matches: review.screening.matches.slice(0, 5),
+      });
+    }
+    return reply(200, { reviews: pending });
+  }
+
+  async function handleCosign({ client, body }) {
+    const { chainId, verifyingContract, proof } = body;
+    if (
+      !ethers.isAddress(verifyingContract) ||
+      !ethers.isAddress(proof.subject) ||
+      !ethers.isAddress(proof.counterparty)
+    ) {
+      return reply(400, { error: "invalid address" });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (
+      Number(proof.expiresAt) <= now ||
+      Number(proof.expiresAt) > now + MAX_PROOF_TTL ||
+      Number(proof.issuedAt) > now
+    ) {
+      return reply(400, { error: "invalid validity window" });
+    }
+
+    let proofTypeName;
+    try {
+      proofTypeName = ethers.decodeBytes32String(proof.proofType);
+    } catch (err) {
+      return reply(400, { error: "invalid proofType" });
+    }
+    const denied = checkClientPolicy(client, {
+      amount: BigInt(proof.maxAmount),
+      amountBudget: BigInt(proof.amountBudget),
+      proofTypeName,
+    });
+    if (denied) return denied;
+
+    // 獨立比對雙方，不信任簽發端的 AML 結果
+    const counterparty = ethers.getAddress(proof.counterparty);
+    const screening = screenParties(
+      proof.subject,
+      body.customer,
+      counterparty,
+      body.counterpartyCustomer,
+    );
+    const blocked = checkChainStatus(proof.subject, counterparty);
+    if (blocked) return { ...blocked, screening };
+    const refused = refuseScreening(screening);
+    if (refused) return refused;
+    // 簽發端標為低風險但本端判定需 EDD 時不背書
+    if (screening.band === "EDD" && proof.proofType !== PROOF_TYPES.EDD) {
+      return reply(409, { error: "risk band mismatch" }, { screening });
+    }
+
+    let signature;
+    try {
+      signature = await signer.signTypedData(
+        proofDomain(chainId, verifyingContract),
+        PROOF_SET_TYPES,
+        proof,
+      );
+    } catch (err) {
+      return reply(400, { error: "invalid proof" }, { screening });
+    }
+    return reply(200, { signer: signer.address, signature }, { screening });
+  }
+
+  async function handleRevoke({ client, params, body = {} }) {
+    const { credentialHash } = params;
+    const record = issued.get(credentialHash);
+    if (!record || !ownedBy(client, record)) {
+      return reply(404, { error: "unknown credentialHash" });
+    }
+    if (record.revoked) {
+      return reply(409, { error: "already revoked" });
+    }
+
+    const reason = body.reason || "";
+    let txHash = null;
+    if (chainSigner) {
+      try {
+        const tx = await wrapperAt(record.verifyingContract).revokeProof(credentialHash, reason);
+        await tx.wait();
+        txHash = tx.hash;
+      } catch (err) {
+        return reply(502, {
+          error: "onchain revoke failed",
+          detail: err.shortMessage || err.message,
+        });
+      }
+    }
+
+    record.revoked = true;
+    record.reason = reason;
+    record.revokedAt = Math.floor(Date.now() / 1000);
+    return reply(200, { credentialHash, status: "revoked", txHash });
+  }
+
+  async function handleStatus({ client, params }) {
+    const { credentialHash } = params;
+    const record = issued.get(credentialHash);
+    if (!record || !ownedBy(client, record)) {
+      return reply(404, { error: "unknown credentialHash" });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    let status = "issued";
+    if (record.revoked) status = "revoked";
+    else if (now >= record.proof.expiresAt) status = "expired";
+
+    const result = {
+      credentialHash,
+      status,
+      subject: record.proof.subject,
+      expiresAt: record.proof.expiresAt,
+      maxUses: record.proof.maxUses,
+      amountBudget: record.proof.amountBudget,
+      revokedAt: record.revokedAt ?? null,
+      reason: record.reason ?? null,
+    };
+
+    if (options.provider) {
+      const [uses, amountUsed, revoked] = await wrapperAt(
+        record.verifyingContract,
+      ).getProofStatus(credentialHash);
+      result.onchain = {
+        uses: uses.toString(),
+        amountUsed: amountUsed.toString(),
+        revoked,
+      };
+      if (revoked) result.status = "revoked";
+    }
+
+    return reply(200, result);
+  }
+
+  function handleHealth() {
+    return reply(200, {
+      status: "ok",
+      uptime: Math.floor((Date.now() - startedAt) / 1000),
+      listVersion: blacklist.stats().version,
+      audit: auditLog ? auditLog.head() : null,
+    });
+  }
+
+  function handleSigner() {
+    const chainId = options.chainId !== undefined ? options.chainId.toString() : null;
+    const verifyingContract = options.verifyingContract || null;
+    return reply(200, {
+      address: signer.address,
+      chainId,
+      verifyingContract,
+      peers: (options.peers || []).length,
+      proofTypes: { AML_LOW: PROOF_TYPES.LOW, AML_EDD: PROOF_TYPES.EDD },
+      eip712: { domain: proofDomain(chainId, verifyingContract), types: PROOF_SET_TYPES },
+    });
+  }
+
+  function handleLists() {
+    return reply(200, {
+      ...blacklist.stats(),
+      persons: blacklist.persons().length,
+      chain: chainWatcher ? chainWatcher.stats() : null,
+    });
+  }
+
+  function handleListClients() {
+    return reply(200, { clients: clients.list() });
+  }
+
+  function handleCreateClient({ body }) {
+    try {
+      return reply(201, clients.add(body));
+    } catch (err) {
+      return reply(400, { error: err.message });
+    }
+  }
+
+  function handleUpdateClient({ params, body }) {
+    const client = clients.update(params.clientId, body);
+    if (!client) return reply(404, { error: "unknown client" });
+    return reply(200, { client });
+  }
+
+  function handleDeleteClient({ params }) {
+    if (!clients.remove(params.clientId)) return reply(404, { error: "unknown client" });
+    return reply(200, { id: params.clientId, status: "removed" });
+  }
+
+  // operationId → handler({ req, client, params, body }) → { status, body, headers?, screening?, decisions? }
+  const handlers = {
+    getHealth: handleHealth,
+    getSigner: handleSigner,
+    getLists: handleLists,
+    issueProof: handleIssue,
+    issueProofBatch: handleIssueBatch,
+    getProof: handleStatus,
+    revokeProof: handleRevoke,
+    cosignProof: handleCosign,
+    listReviews: handleListReviews,
+    decideReview: handleReview,
+    listClients: handleListClients,
+    createClient: handleCreateClient,
+    updateClient: handleUpdateClient,
+    deleteClient: handleDeleteClient,
+  };
+
+  function isLoopback(address) {
+    return address === "127.0.0.1" || address === "::1" || address === "::ffff:127.0.0.1";
+  }
+
+  function adminTokenMatches(token) {
+    if (typeof token !== "string") return false;
+    const a = Buffer.from(token);
+    const b = Buffer.from(options.adminToken);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  /**
+   * 管理路由檢查；未開放時回 404，非本機或 token 錯誤回 403 / 401，通過回傳 null
+   */
+  function checkAdmin(req) {
+    if (!options.adminToken || !clients) return reply(404, { error: "not found", code: "NOT_FOUND" });
+    if (!isLoopback(req.socket.remoteAddress)) {
+      return reply(403, { error: "admin route is local only", code: "ADMIN_LOCAL_ONLY" });
+    }
+    if (!adminTokenMatches(req.headers["x-admin-token"])) {
+      return reply(401, { error: "unauthorized", code: "UNAUTHORIZED" });
+    }
+    return null;
+  }
+
+  /**
+   * 扣除配額（批次簽發依筆數計）；超過時回傳 429 結果，通過回傳 null
+   */
+  function consumeQuota(client, cost) {
+    const quota = clients.consume(client.id, cost);
+    if (quota.ok) return null;
+    return reply(
+      429,
+      { error: "quota exceeded", code: "QUOTA_EXCEEDED", limit: quota.limit, resetAt: quota.resetAt },
+      { headers: { "Retry-After": Math.ceil((quota.resetAt - Date.now()) / 1000) } },
+    );
+  }
+
+  /**
+   * 比對路由 → 認證 → 讀取並驗證 body → 配額 → handler
+   * 比對到的 route 與 body 寫入 state，供稽核紀錄使用（handler 拋錯時亦同）
+   */
+  async function dispatch(req, state) {
+    const { pathname } = new URL(req.url, "http://localhost");
+    const route = router.match(req.method, pathname);
+    if (route.status === 404) return reply(404, { error: "not found", code: "NOT_FOUND" });
+    if (route.status === 405) {
+      return reply(
+        405,
+        { error: "method not allowed", code: "METHOD_NOT_ALLOWED" },
+        { headers: { Allow: route.allow.join(", ") } },
+      );
+    }
+    state.route = route;
+
+    const { operation } = route;
+    const isAdmin = (operation.tags || []).includes("admin");
+    const isPublic = Array.isArray(operation.security) && operation.security.length === 0;
+    let client = null;
+    if (isAdmin) {
+      const denied = checkAdmin(req);
+      if (denied) return denied;
+    } else if (clients && !isPublic) {
+      client = clients.authenticate(req);
+      if (!client) return reply(401, { error: "unauthorized", code: "UNAUTHORIZED" });
+      req.institution = client;
+    }
+
+    if (operation.requestBody) {
+      try {
+        state.body = await readJSON(req);
+      } catch (err) {
+        return reply(400, { error: "invalid json" });
+      }
+    }
+    const { body } = state;
+
+    const details = validateRequest(spec, operation, route.params, body);
+    if (details.length > 0) {
+      return reply(400, { error: "invalid request", code: "VALIDATION_ERROR", details });
+    }
+
+    if (client) {
+      const cost = route.operationId === "issueProofBatch" ? body.requests.length : 1;
+      const exceeded = consumeQuota(client, cost);
+      if (exceeded) return exceeded;
+    }
+
+    return handlers[route.operationId]({ req, client, params: route.params, body });
+  }
+
+  async function handleRequest(req, res) {
+    const state = { route: null, body: undefined };
+    let result = null;
+    try {
+      result = await dispatch(req, state);
+      sendJSON(res, result);
+    } catch (err) {
+      if (!res.headersSent) sendJSON(res, reply(500, { error: "internal error" }));
+    } finally {
+      const type = state.route && AUDITED_OPERATIONS[state.route.operationId];
+      if (auditLog && type) {
+        const decisions = (result && result.decisions) || [{ body: state.body, result }];
+        for (const decision of decisions) recordDecision(type, req, decision.body, decision.result);
+      }
+    }
+  }
+
+  function recordDecision(type, req, body, result) {
+    const screening = result && result.screening;
+    auditLog.append({
+      type,
+      client: req.institution
+        ? { id: req.institution.id, name: req.institution.name, issuer: req.institution.issuer }
+        : null,
+      request: { path: req.url, body },
+      screening: screening
+        ? { score: screening.score, band: screening.band, matches: screening.matches }
+        : null,
+      listVersion: blacklist.stats().version,
+      signer: signer.address,
+      response: {
+        status: result ? result.status : 500,
+        body: result ? result.body : null,
+      },
+    });
+  }
+
+  // mTLS：要求 client 憑證但不在 TLS 層拒絕，讓沒有憑證的 client 仍可用 API key
+  const server = options.tls
+    ? https.createServer(
+        { ...options.tls, requestCert: true, rejectUnauthorized: false },
+        handleRequest,
+      )
+    : http.createServer(handleRequest);
+
+  server.on("close", () => {
+    blacklist.close();
+    if (chainWatcher) chainWatcher.close();
+    if (auditLog) auditLog.close();
   });
+  server.sanctionsList = blacklist;
+  server.auditLog = auditLog;
+  server.chainWatcher = chainWatcher;
+  return server;
 }
 
-module.exports = { createServer, generateAMLList, lookupAML };
+module.exports = {
+  createServer,
+  generateAMLList,
+  lookupAML,
+  combineSignatures,
+  proofDomain,
+  PROOF_SET_TYPES,
+  PROOF_TYPES,
+};
 
 if (require.main === module) {
   const PORT = parseInt(process.env.PORT || "8765", 10);
   const AML_SIZE = parseInt(process.env.AML_SIZE || "1000", 10);
-  // 預設使用 hardhat account[0] 的私鑰；正式部署應從環境變數注入
-  const PRIVATE_KEY =
-    process.env.GATEWAY_PRIVATE_KEY ||
-    "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
-
-  const server = createServer(PRIVATE_KEY, AML_SIZE);
-  server.listen(PORT, () => {
-    const wallet = new ethers.Wallet(PRIVATE_KEY);
-    console.log(`[gateway] listening :${PORT} | AML size=${AML_SIZE} | signer=${wallet.address}`);
+  const DEV_MODE = process.env.GATEWAY_DEV_MODE === "1";
+
+  async function main() {
+    const signer = await signerFromEnv(process.env, { prefix: "GATEWAY", devMode: DEV_MODE });
+    const server = createServer(signer, AML_SIZE, {
+      devMode: DEV_MODE,
+      chainId: process.env.CHAIN_ID ? parseInt(process.env.CHAIN_ID, 10) : undefined,
+      verifyingContract: process.env.WRAPPER_ADDRESS,
+      provider: process.env.RPC_URL
+        ? new ethers.JsonRpcProvider(process.env.RPC_URL)
+        : undefined,
+      peers: process.env.COSIGN_PEERS ? process.env.COSIGN_PEERS.split(",") : [],
+      listFiles: process.env.SANCTIONS_FILES ? process.env.SANCTIONS_FILES.split(",") : [],
+      lookupMode: process.env.AML_LOOKUP || "indexed",
+      watchLists: true,
+      auditLog: process.env.AUDIT_LOG,
+      clients: process.env.CLIENTS_FILE,
+      adminToken: process.env.ADMIN_TOKEN,
+      tls: process.env.TLS_CERT
+        ? {
+            key: fs.readFileSync(process.env.TLS_KEY),
+            cert: fs.readFileSync(process.env.TLS_CERT),
+            ca: process.env.TLS_CA ? fs.readFileSync(process.env.TLS_CA) : undefined,
+          }
+        : undefined,
+      chainWatch:
+        process.env.CCID_REGISTRY || process.env.AML_RULE
+          ? {
+              ccidRegistry: process.env.CCID_REGISTRY,
+              amlRule: process.env.AML_RULE,
+              cursorFile: process.env.CHAIN_CURSOR_FILE,
+              intervalMs: parseInt(process.env.CHAIN_POLL_INTERVAL || "2000", 10),
+              confirmations: parseInt(process.env.CHAIN_CONFIRMATIONS || "0", 10),
+            }
+          : undefined,
+      auditAnchor: process.env.STR_REPOSITORY
+        ? {
+            strRepository: process.env.STR_REPOSITORY,
+            intervalMs: parseInt(process.env.AUDIT_ANCHOR_INTERVAL || "600000", 10),
+          }
+        : undefined,
+    });
+    server.listen(PORT, () => {
+      const { size, mode } = server.sanctionsList.stats();
+      console.log(
+        `[gateway] listening :${PORT} | AML size=${size} (${mode}) | signer=${signer.address}` +
+          (DEV_MODE ? " | DEV MODE" : ""),
+      );
+    });
+  }
+
+  main().catch((err) => {
+    console.error(`[gateway] ${err.message}`);
+    process.exit(1);
   });
 }
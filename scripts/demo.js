@@ -14,6 +14,17 @@
 
 const { ethers } = require("hardhat");
 const readline = require("readline");
+const { decodeComplianceError } = require("./reason-codes");
+const {
+  getPolicyManagerFactory,
+  getPolicyWrapperFactory,
+} = require("./libraries");
+
+// 需要連結外部函式庫的合約
+const LINKED_FACTORIES = {
+  GL1PolicyManager: getPolicyManagerFactory,
+  GL1PolicyWrapper: getPolicyWrapperFactory,
+};
 
 // ============================================================
 // 終端輸出輔助
@@ -75,9 +86,18 @@ function showEvent(_receipt, _contract, _eventName, _formatter) {
   return;
 }
 
+// PBM 轉帳被擋下時的 revert 說明（ComplianceCheckFailed 解碼為原因碼與中文訊息）
+function revertSummary(err) {
+  const decoded = decodeComplianceError(err);
+  if (!decoded) return "transaction reverted";
+  return `transaction reverted（ComplianceCheckFailed：${decoded.code} ${decoded.name}，${decoded.zh}）`;
+}
+
 // 部署合約並印出合約地址 + 部署 tx hash + block
 async function deployAndShow(label, factoryName, args = []) {
-  const Factory = await ethers.getContractFactory(factoryName);
+  const Factory = LINKED_FACTORIES[factoryName]
+    ? await LINKED_FACTORIES[factoryName]()
+    : await ethers.getContractFactory(factoryName);
   const contract = args.length > 0
     ? await Factory.deploy(...args)
     : await Factory.deploy();
@@ -168,6 +188,12 @@ async function main() {
     issuedAt: Math.floor(Date.now() / 1000) - 3600,
     expiresAt: Math.floor(Date.now() / 1000) + 86400,
     issuer: ethers.ZeroAddress,
+    subject: ethers.ZeroAddress,
+    counterparty: ethers.ZeroAddress,
+    tokenId: 0,
+    maxAmount: 0,
+    maxUses: 0,
+    amountBudget: 0,
     signature: "0x",
   };
 
@@ -203,6 +229,13 @@ async function main() {
     await pbm.updateWrapper(await wrapper.getAddress())
   ).wait();
   txEvidence(updWrapReceipt, `pbm.updateWrapper(wrapper=${shortAddr(await wrapper.getAddress())})`);
+  const grantReporterReceipt = await (
+    await policyManager.grantRole(
+      await policyManager.TRANSFER_REPORTER_ROLE(),
+      await wrapper.getAddress(),
+    )
+  ).wait();
+  txEvidence(grantReporterReceipt, `policyManager.grantRole(TRANSFER_REPORTER_ROLE, wrapper=${shortAddr(await wrapper.getAddress())})`);
   console.log("");
 
   const whitelist = await deployAndShow("WhitelistRule", "WhitelistRule");
@@ -340,6 +373,10 @@ async function main() {
     RULE_FX, "FX_LIMIT", true, await fxLimit.getAddress(), 2,
   )).wait();
   txEvidence(r3reg2, `PolicyManager.registerRuleSet(RULE_FX, "FX_LIMIT", true, fxLimit=${shortAddr(await fxLimit.getAddress())}, priority=2)`);
+  const r3role = await (await fxLimit.grantRole(
+    await fxLimit.POLICY_MANAGER_ROLE(), await policyManager.getAddress(),
+  )).wait();
+  txEvidence(r3role, `FXLimitRule.grantRole(POLICY_MANAGER_ROLE, policyManager=${shortAddr(await policyManager.getAddress())})`);
 
   console.log("");
   highlight("監管機關呼叫 PolicyManager.setJurisdictionRules(jurisdiction, ruleIds[])，把兩條規則綁定到 SG 管轄區");
@@ -431,7 +468,7 @@ async function main() {
       );
     console.log(`  ${c.red}✗ DEMO 失敗：交易理應被擋下${c.reset}`);
   } catch (err) {
-    fail("transaction reverted（ERC7943CannotTransfer）");
+    fail(revertSummary(err));
   }
 
   // ── 案例 2：外匯日上限規則阻擋 ─────────────────────────────
@@ -458,7 +495,7 @@ async function main() {
       );
     console.log(`  ${c.red}✗ DEMO 失敗：交易理應被擋下${c.reset}`);
   } catch (err) {
-    fail("transaction reverted（ERC7943CannotTransfer）");
+    fail(revertSummary(err));
   }
 
   console.log("");
@@ -492,11 +529,11 @@ async function main() {
   showEvent(okReceipt, wrapper, "ComplianceCheckInitiated", (a) =>
     `txHash=${a[0].slice(0, 14)}…, from=${shortAddr(a[1])}, to=${shortAddr(a[2])}, amount=${fmt(a[3])}`,
   );
-  showEvent(okReceipt, policyManager, "ComplianceRuleExecuted", (a) =>
-    `ruleId=${a[0].slice(0, 14)}…, passed=${c.green}${a[1]}${c.reset}, reason="${a[2]}"`,
+  showEvent(okReceipt, policyManager, "ComplianceDecision", (a) =>
+    `passed=${c.green}${a[3]}${c.reset}, rules=0b${a[5].toString(2)}, reasonCode=${a[7]}`,
   );
   showEvent(okReceipt, wrapper, "ComplianceCheckCompleted", (a) =>
-    `isCompliant=${c.green}${a[1]}${c.reset}, rules=[${a[2].join(",")}]`,
+    `isCompliant=${c.green}${a[1]}${c.reset}, rules=0b${a[2].toString(2)}`,
   );
   showEvent(okReceipt, pbm, "TransferSingle", (a) =>
     `from=${shortAddr(a[1])}, to=${shortAddr(a[2])}, id=…${a[3].toString().slice(-6)}, value=${fmt(a[4])}`,
@@ -1,4 +1,8 @@
 const { ethers } = require("hardhat");
+const {
+  getPolicyManagerFactory,
+  getPolicyWrapperFactory,
+} = require("./libraries");
 
 async function main() {
   console.log("🚀 開始部署 GL1 Programmable Compliance Toolkit...\n");
@@ -39,7 +43,7 @@ async function main() {
   // 步驟 3: 部署 Policy Manager
   // ========================================
   console.log("\n📝 步驟 3: 部署 GL1PolicyManager...");
-  const GL1PolicyManager = await ethers.getContractFactory("GL1PolicyManager");
+  const GL1PolicyManager = await getPolicyManagerFactory();
   const policyManager = await GL1PolicyManager.deploy(
     mockChainlinkACE, // Chainlink ACE
     ccidRegistryAddress, // CCID Provider
@@ -53,7 +57,7 @@ async function main() {
   // 步驟 4: 部署 Policy Wrapper（台灣管轄區）
   // ========================================
   console.log("\n📝 步驟 4: 部署台灣管轄區的 GL1PolicyWrapper...");
-  const GL1PolicyWrapper = await ethers.getContractFactory("GL1PolicyWrapper");
+  const GL1PolicyWrapper = await getPolicyWrapperFactory();
   // 注意：生產環境應先部署 PBMToken 再傳入地址
   // 此處使用 deployer.address 作為佔位符
   const policyWrapperTW = await GL1PolicyWrapper.deploy(
@@ -102,10 +106,62 @@ async function main() {
   await token.setPolicyWrapper(JURISDICTION_TW, policyWrapperTWAddress);
   console.log("   ✓ 設置台灣管轄區的 Policy Wrapper");
 
+  // 授權 wrapper 在轉帳完成後觸發規則記帳
+  await policyManager.grantRole(
+    await policyManager.TRANSFER_REPORTER_ROLE(),
+    policyWrapperTWAddress,
+  );
+  console.log("   ✓ 授權 Policy Wrapper 回報轉帳完成");
+
   // 啟用管轄區
   await policyManager.setJurisdictionEnabled(JURISDICTION_TW, true);
   console.log("   ✓ 啟用台灣管轄區");
 
+  // ========================================
+  // 步驟 8: 部署 PolicyTimelock（規則配置延時生效）
+  // ========================================
+  console.log("\n📝 步驟 8: 部署 PolicyTimelock...");
+
+  const minDelay = Number(process.env.POLICY_TIMELOCK_DELAY || 2 * 24 * 60 * 60);
+  const PolicyTimelock = await ethers.getContractFactory("PolicyTimelock");
+  const policyTimelock = await PolicyTimelock.deploy(policyManagerAddress, minDelay);
+  await policyTimelock.waitForDeployment();
+  const policyTimelockAddress = await policyTimelock.getAddress();
+  console.log("   PolicyTimelock 部署於:", policyTimelockAddress);
+
+  // 規則與管轄區配置改由 timelock 執行，部署者不再能直接變更
+  await policyManager.setTimelock(policyTimelockAddress);
+  console.log(`   ✓ 規則配置改經 PolicyTimelock（延時 ${minDelay} 秒）`);
+
+  // ========================================
+  // 步驟 9: 部署 CircuitBreaker（監理機關緊急熔斷）
+  // ========================================
+  console.log("\n📝 步驟 9: 部署 CircuitBreaker...");
+
+  const CircuitBreaker = await ethers.getContractFactory("CircuitBreaker");
+  const circuitBreaker = await CircuitBreaker.deploy();
+  await circuitBreaker.waitForDeployment();
+  const circuitBreakerAddress = await circuitBreaker.getAddress();
+  console.log("   CircuitBreaker 部署於:", circuitBreakerAddress);
+
+  await policyWrapperTW.setCircuitBreaker(circuitBreakerAddress);
+  console.log("   ✓ 台灣 Policy Wrapper 的 wrap / 轉帳 / 結算受熔斷控制");
+
+  // ========================================
+  // 步驟 10: 部署 ComplianceRouter（ProofSet 轉帳的混合合規路徑）
+  // ========================================
+  console.log("\n📝 步驟 10: 部署 ComplianceRouter...");
+
+  const ComplianceRouter = await ethers.getContractFactory("ComplianceRouter");
+  const complianceRouter = await ComplianceRouter.deploy(policyManagerAddress);
+  await complianceRouter.waitForDeployment();
+  const complianceRouterAddress = await complianceRouter.getAddress();
+  console.log("   ComplianceRouter 部署於:", complianceRouterAddress);
+
+  // 未設定路徑前 ProofSet 仍涵蓋全部檢查
+  await policyWrapperTW.setComplianceRouter(complianceRouterAddress);
+  console.log("   ✓ 台灣 Policy Wrapper 的 ProofSet 轉帳依 ComplianceRouter 路徑檢查");
+
   // ========================================
   // 部署摘要
   // ========================================
@@ -119,6 +175,9 @@ async function main() {
   console.log(`│ GL1PolicyWrapper (TW):   ${policyWrapperTWAddress} │`);
   console.log(`│ GL1CompliantToken:       ${tokenAddress} │`);
   console.log(`│ ChainlinkACEIntegration: ${aceIntegrationAddress} │`);
+  console.log(`│ PolicyTimelock:          ${policyTimelockAddress} │`);
+  console.log(`│ CircuitBreaker:          ${circuitBreakerAddress} │`);
+  console.log(`│ ComplianceRouter:        ${complianceRouterAddress} │`);
   console.log("└─────────────────────────────────────────────────────────┘");
 
   console.log("\n管轄區代碼：");
@@ -128,7 +187,7 @@ async function main() {
 
   console.log("\n下一步：");
   console.log("  1. 在 CCIDRegistry 中註冊用戶身份");
-  console.log("  2. 在 PolicyManager 中配置合規規則");
+  console.log("  2. 經 PolicyTimelock 排入合規規則配置（propose → 延時後 execute）");
   console.log("  3. 使用 GL1CompliantToken 進行合規轉帳測試");
   console.log("  4. 整合真實的 Chainlink ACE 服務（生產環境）");
 
@@ -139,6 +198,9 @@ async function main() {
     policyWrapperTW: policyWrapperTWAddress,
     token: tokenAddress,
     aceIntegration: aceIntegrationAddress,
+    policyTimelock: policyTimelockAddress,
+    circuitBreaker: circuitBreakerAddress,
+    complianceRouter: complianceRouterAddress,
     jurisdictions: {
       TW: JURISDICTION_TW,
       SG: JURISDICTION_SG,
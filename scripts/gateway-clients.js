@@ -0,0 +1,188 @@
+/**
+ * Gateway Clients — 接入 compliance gateway 的機構（API key / mTLS、配額與簽發政策）
+ *
+ * 每個 client：
+ *   { id, name, issuer, apiKeyHash, certFingerprint, quota: { requests, windowMs },
+ *     maxAmount, allowedProofTypes, disabled }
+ *   - issuer             機構地址，寫入 ProofSet.issuer（未設定時使用 gateway 地址）
+ *   - apiKeyHash         API key 的 sha256；key 本身只在建立時回傳一次
+ *   - certFingerprint    mTLS client 憑證的 SHA-256 fingerprint（AA:BB:… 格式）
+ *   - quota              固定視窗請求數上限（requests = 0 表示不限）
+ *   - maxAmount          單張 ProofSet 金額上限，單次金額與累計額度 amountBudget 皆受限（字串，"0" 表示不限）
+ *   - allowedProofTypes  可簽發的 proofType 名稱（例如 ["AML_LOW"]）
+ *
+ * 認證方式：Authorization: Bearer <apiKey>、X-API-Key: <apiKey>，或 TLS client 憑證。
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+
+const DEFAULT_QUOTA = { requests: 0, windowMs: 60_000 };
+const DEFAULT_PROOF_TYPES = ["AML_LOW", "AML_EDD"];
+
+function hashApiKey(apiKey) {
+  return crypto.createHash("sha256").update(apiKey).digest("hex");
+}
+
+function normalizeFingerprint(value) {
+  return value ? value.replace(/:/g, "").toUpperCase() : null;
+}
+
+function readApiKey(req) {
+  const auth = req.headers.authorization;
+  if (auth && auth.startsWith("Bearer ")) return auth.slice("Bearer ".length).trim();
+  return req.headers["x-api-key"] || null;
+}
+
+/**
+ * 建立 client registry
+ *
+ * @param {object} [options]
+ * @param {string} [options.file] 持久化 JSON 檔；存在時載入，每次變更後寫回
+ */
+function createClientRegistry(options = {}) {
+  const clients = new Map();
+  // clientId → { windowStart, count }
+  const usage = new Map();
+
+  if (options.file && fs.existsSync(options.file)) {
+    for (const client of JSON.parse(fs.readFileSync(options.file, "utf8"))) {
+      clients.set(client.id, client);
+    }
+  }
+
+  function save() {
+    if (!options.file) return;
+    fs.writeFileSync(options.file, JSON.stringify([...clients.values()], null, 2));
+  }
+
+  function applySpec(client, spec) {
+    if (spec.name !== undefined) client.name = spec.name;
+    if (spec.issuer !== undefined) client.issuer = spec.issuer;
+    if (spec.certFingerprint !== undefined) {
+      client.certFingerprint = normalizeFingerprint(spec.certFingerprint);
+    }
+    if (spec.quota !== undefined) client.quota = { ...DEFAULT_QUOTA, ...spec.quota };
+    if (spec.maxAmount !== undefined) client.maxAmount = BigInt(spec.maxAmount).toString();
+    if (spec.allowedProofTypes !== undefined) {
+      client.allowedProofTypes = [...spec.allowedProofTypes];
+    }
+    if (spec.disabled !== undefined) client.disabled = Boolean(spec.disabled);
+  }
+
+  /**
+   * 對外顯示用（不含 apiKeyHash）
+   */
+  function publicView(client) {
+    const { apiKeyHash, ...rest } = client;
+    return rest;
+  }
+
+  return {
+    /**
+     * 新增 client
+     * @returns {{ client: object, apiKey: string }} apiKey 只在此回傳一次
+     */
+    add(spec) {
+      if (!spec || !spec.name) throw new Error("missing client name");
+      const id = spec.id || crypto.randomBytes(8).toString("hex");
+      if (clients.has(id)) throw new Error(`client ${id} already exists`);
+
+      const apiKey = `gk_${crypto.randomBytes(24).toString("hex")}`;
+      const client = {
+        id,
+        name: spec.name,
+        issuer: null,
+        apiKeyHash: hashApiKey(apiKey),
+        certFingerprint: null,
+        quota: { ...DEFAULT_QUOTA },
+        maxAmount: "0",
+        allowedProofTypes: [...DEFAULT_PROOF_TYPES],
+        disabled: false,
+      };
+      applySpec(client, spec);
+      clients.set(id, client);
+      save();
+      return { client: publicView(client), apiKey };
+    },
+
+    update(id, patch) {
+      const client = clients.get(id);
+      if (!client) return null;
+      applySpec(client, patch);
+      save();
+      return publicView(client);
+    },
+
+    remove(id) {
+      const removed = clients.delete(id);
+      usage.delete(id);
+      if (removed) save();
+      return removed;
+    },
+
+    get(id) {
+      const client = clients.get(id);
+      return client ? publicView(client) : null;
+    },
+
+    list() {
+      return [...clients.values()].map(publicView);
+    },
+
+    /**
+     * 以 API key 或 TLS client 憑證辨識 client
+     * @returns {object|null} 停用或未知時回傳 null
+     */
+    authenticate(req) {
+      const apiKey = readApiKey(req);
+      const cert =
+        typeof req.socket.getPeerCertificate === "function" && req.socket.authorized
+          ? req.socket.getPeerCertificate()
+          : null;
+      const fingerprint = cert && normalizeFingerprint(cert.fingerprint256);
+
+      for (const client of clients.values()) {
+        if (client.disabled) continue;
+        if (apiKey && client.apiKeyHash === hashApiKey(apiKey)) return publicView(client);
+        if (fingerprint && client.certFingerprint === fingerprint) return publicView(client);
+      }
+      return null;
+    },
+
+    /**
+     * 消耗配額；剩餘額度不足 cost 時整筆拒絕、不扣除
+     * @param {string} clientId
+     * @param {number} [cost] 本次請求計數（批次簽發為筆數）
+     * @returns {{ ok: boolean, limit: number, remaining: number, resetAt: number }}
+     */
+    consume(clientId, cost = 1) {
+      const client = clients.get(clientId);
+      const { requests, windowMs } = client.quota;
+      const now = Date.now();
+
+      let entry = usage.get(clientId);
+      if (!entry || now - entry.windowStart >= windowMs) {
+        entry = { windowStart: now, count: 0 };
+        usage.set(clientId, entry);
+      }
+      const resetAt = entry.windowStart + windowMs;
+
+      if (requests > 0 && entry.count + cost > requests) {
+        return { ok: false, limit: requests, remaining: requests - entry.count, resetAt };
+      }
+      entry.count += cost;
+      return {
+        ok: true,
+        limit: requests,
+        remaining: requests > 0 ? requests - entry.count : Infinity,
+        resetAt,
+      };
+    },
+  };
+}
+
+module.exports = {
+  createClientRegistry,
+  hashApiKey,
+};
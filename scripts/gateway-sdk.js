@@ -0,0 +1,113 @@
+/**
+ * Gateway SDK — compliance gateway 的 JS client，方法由 OpenAPI 文件的 operationId 產生
+ *
+ *   const { createGatewayClient } = require("./scripts/gateway-sdk");
+ *   const gateway = createGatewayClient({ baseUrl: "http://127.0.0.1:8765", apiKey });
+ *   const proof = await gateway.issueProof({ user, amount: "100", tokenId: "1" });
+ *   const status = await gateway.getProof(proof.credentialHash);
+ *   await gateway.revokeProof(proof.credentialHash, { reason: "KYC expired" });
+ *
+ * 呼叫方式：path 參數依路徑順序放在前面，有 request body 的 operation 最後一個參數為 body。
+ * 2xx 回傳解析後的 JSON；其他狀態丟出 GatewayError（帶 status / code / body）。
+ * validateResponses: true 時依文件驗證回應，不符丟出 GatewayError（code = "INVALID_RESPONSE"）。
+ */
+
+const { listOperations, loadSpec, validateRequest, validateResponse } = require("./openapi");
+
+class GatewayError extends Error {
+  constructor(message, { status, code, body, details } = {}) {
+    super(message);
+    this.name = "GatewayError";
+    this.status = status;
+    this.code = code;
+    this.body = body;
+    this.details = details;
+  }
+}
+
+function pathParamNames(template) {
+  return [...template.matchAll(/\{(\w+)\}/g)].map((m) => m[1]);
+}
+
+/**
+ * 建立 client
+ *
+ * @param {object} options
+ * @param {string} options.baseUrl gateway base URL（例如 http://127.0.0.1:8765）
+ * @param {string} [options.apiKey] client API key（以 X-API-Key 送出）
+ * @param {string} [options.adminToken] 管理路由 token（以 X-Admin-Token 送出）
+ * @param {boolean} [options.validateRequests] 送出前先依文件驗證，不符時不送出
+ * @param {boolean} [options.validateResponses] 依文件驗證回應
+ * @param {object} [options.spec] OpenAPI 文件，預設載入 docs/openapi/compliance-gateway.v1.json
+ */
+function createGatewayClient(options) {
+  const spec = options.spec || loadSpec();
+  const baseUrl = options.baseUrl.replace(/\/+$/, "");
+  const client = {};
+
+  for (const { operationId, method, path, operation } of listOperations(spec)) {
+    const names = pathParamNames(path);
+
+    client[operationId] = async (...args) => {
+      const params = {};
+      names.forEach((name, i) => {
+        params[name] = String(args[i]);
+      });
+      const body = operation.requestBody ? args[names.length] : undefined;
+
+      if (options.validateRequests) {
+        const details = validateRequest(spec, operation, params, body);
+        if (details.length > 0) {
+          throw new GatewayError(`${operationId}: invalid request`, {
+            code: "VALIDATION_ERROR",
+            details,
+          });
+        }
+      }
+
+      const url =
+        baseUrl + path.replace(/\{(\w+)\}/g, (_, name) => encodeURIComponent(params[name]));
+      const headers = {};
+      if (body !== undefined) headers["Content-Type"] = "application/json";
+      if (options.apiKey) headers["X-API-Key"] = options.apiKey;
+      if (options.adminToken) headers["X-Admin-Token"] = options.adminToken;
+
+      const res = await fetch(url, {
+        method,
+        headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+      });
+      const text = await res.text();
+      const payload = text ? JSON.parse(text) : null;
+
+      if (options.validateResponses) {
+        const details = validateResponse(spec, operation, res.status, payload);
+        if (details.length > 0) {
+          throw new GatewayError(`${operationId}: response does not match spec`, {
+            status: res.status,
+            code: "INVALID_RESPONSE",
+            body: payload,
+            details,
+          });
+        }
+      }
+
+      if (res.status < 200 || res.status >= 300) {
+        throw new GatewayError((payload && payload.error) || `HTTP ${res.status}`, {
+          status: res.status,
+          code: payload && payload.code,
+          body: payload,
+          details: payload && payload.details,
+        });
+      }
+      return payload;
+    };
+  }
+
+  return client;
+}
+
+module.exports = {
+  GatewayError,
+  createGatewayClient,
+};
@@ -0,0 +1,294 @@
+/**
+ * Gateway Signer — compliance gateway 的簽署後端
+ *
+ * 後端（loadSigner 的 config.type）：
+ *   - memory   ：私鑰放在 gateway 行程記憶體（測試 / 開發用）
+ *   - keystore ：加密 JSON keystore（ethers / geth 格式），啟動時提供 passphrase 解密
+ *   - remote   ：私鑰留在獨立的 signer 行程，gateway 經 Unix socket 請它簽章
+ * 三者都回傳 ethers Signer（有同步可讀的 address），createServer 直接使用。
+ *
+ * Remote signer 協定：每個請求一條連線，送一行 JSON、收一行 JSON
+ *   → { method: "address" }                                   ← { result: "0x…" }
+ *   → { method: "signTypedData", params: [domain, types, value] } ← { result: "0x…" }
+ *   → { method: "signTransaction", params: [unsignedSerialized] } ← { result: "0x…" }
+ *   失敗時 ← { error: "…" }
+ * signer 行程只簽 allowedTypes 內的 EIP-712 型別（預設僅 ProofSet）；
+ * 交易簽章（鏈上撤銷、稽核錨定）須以 allowTransactions 明確開啟。
+ *
+ * 啟動 signer 行程：
+ *   SIGNER_KEYSTORE=key.json SIGNER_KEYSTORE_PASSPHRASE_FILE=/run/secrets/pass \
+ *     node scripts/gateway-signer.js serve /run/gl1/signer.sock [--allow-tx]
+ *
+ * 開發用預設金鑰（hardhat 助記詞導出的帳戶）只能在 devMode 下使用。
+ */
+
+const fs = require("fs");
+const net = require("net");
+const readline = require("readline");
+const { ethers } = require("ethers");
+
+// hardhat / anvil 預設助記詞，前 20 個帳戶是公開已知的開發金鑰
+const DEV_MNEMONIC = "test test test test test test test test test test test junk";
+const DEV_ACCOUNT_COUNT = 20;
+const DEV_PRIVATE_KEY = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+
+let devAddresses = null;
+
+/**
+ * 是否為公開的開發帳戶
+ */
+function isDevAddress(address) {
+  if (!devAddresses) {
+    const root = ethers.HDNodeWallet.fromPhrase(DEV_MNEMONIC, undefined, "m/44'/60'/0'/0");
+    devAddresses = new Set();
+    for (let i = 0; i < DEV_ACCOUNT_COUNT; i++) {
+      devAddresses.add(root.deriveChild(i).address.toLowerCase());
+    }
+  }
+  return devAddresses.has(address.toLowerCase());
+}
+
+/**
+ * JSON 序列化時把 BigInt 轉字串（typed data 的 uint 欄位）
+ */
+function toJSON(value) {
+  return JSON.stringify(value, (_, v) => (typeof v === "bigint" ? v.toString() : v));
+}
+
+function socketCall(socketPath, request) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection(socketPath);
+    let buffer = "";
+    socket.setEncoding("utf8");
+    socket.on("connect", () => socket.write(toJSON(request) + "\n"));
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      const newline = buffer.indexOf("\n");
+      if (newline < 0) return;
+      socket.end();
+      let response;
+      try {
+        response = JSON.parse(buffer.slice(0, newline));
+      } catch (err) {
+        reject(new Error("remote signer: malformed response"));
+        return;
+      }
+      if (response.error) reject(new Error(`remote signer: ${response.error}`));
+      else resolve(response.result);
+    });
+    socket.on("error", reject);
+  });
+}
+
+/**
+ * 經 Unix socket 轉送簽章的 ethers Signer
+ */
+class RemoteSigner extends ethers.AbstractSigner {
+  constructor(socketPath, address, provider = null) {
+    super(provider);
+    this.socketPath = socketPath;
+    this.address = address;
+  }
+
+  /**
+   * 連線並向 signer 行程取得地址
+   */
+  static async connectSocket(socketPath, provider = null) {
+    const address = await socketCall(socketPath, { method: "address" });
+    return new RemoteSigner(socketPath, ethers.getAddress(address), provider);
+  }
+
+  connect(provider) {
+    return new RemoteSigner(this.socketPath, this.address, provider);
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  async signTransaction(tx) {
+    const unsigned = ethers.Transaction.from(tx).unsignedSerialized;
+    return socketCall(this.socketPath, { method: "signTransaction", params: [unsigned] });
+  }
+
+  async signMessage() {
+    throw new Error("remote signer: signMessage not supported");
+  }
+
+  async signTypedData(domain, types, value) {
+    return socketCall(this.socketPath, {
+      method: "signTypedData",
+      params: [domain, types, value],
+    });
+  }
+}
+
+/**
+ * 依設定建立簽署者
+ *
+ * @param {object} config
+ * @param {"memory"|"keystore"|"remote"} config.type
+ * @param {string} [config.privateKey] memory：私鑰
+ * @param {string} [config.path] keystore：加密 JSON 路徑
+ * @param {string} [config.passphrase] keystore：解密用 passphrase
+ * @param {string} [config.socketPath] remote：signer 行程的 Unix socket
+ * @returns {Promise<ethers.Signer>} 具 address 屬性的 Signer
+ */
+async function loadSigner(config) {
+  switch (config.type) {
+    case "memory":
+      return new ethers.Wallet(config.privateKey);
+    case "keystore":
+      if (config.passphrase === undefined) throw new Error("keystore passphrase required");
+      return ethers.Wallet.fromEncryptedJson(
+        fs.readFileSync(config.path, "utf8"),
+        config.passphrase,
+      );
+    case "remote":
+      return RemoteSigner.connectSocket(config.socketPath);
+    default:
+      throw new Error(`unknown signer backend: ${config.type}`);
+  }
+}
+
+/**
+ * 啟動 signer 行程的 socket 服務
+ *
+ * @param {ethers.Wallet} wallet 持有私鑰的 wallet
+ * @param {object} options
+ * @param {string} options.socketPath Unix socket 路徑（啟動時移除殘留檔，權限設為 0600）
+ * @param {string[]} [options.allowedTypes] 可簽的 EIP-712 primary type，預設 ["ProofSet"]
+ * @param {boolean} [options.allowTransactions] 是否簽交易
+ * @returns {Promise<net.Server>} 已開始 listen 的 server
+ */
+async function serveSigner(wallet, options) {
+  const allowedTypes = options.allowedTypes || ["ProofSet"];
+
+  async function handle(request) {
+    switch (request.method) {
+      case "address":
+        return wallet.address;
+      case "signTypedData": {
+        const [domain, types, value] = request.params;
+        const primaryType = ethers.TypedDataEncoder.getPrimaryType(types);
+        if (!allowedTypes.includes(primaryType)) {
+          throw new Error(`typed data ${primaryType} not allowed`);
+        }
+        return wallet.signTypedData(domain, types, value);
+      }
+      case "signTransaction":
+        if (!options.allowTransactions) throw new Error("transactions not allowed");
+        return wallet.signTransaction(ethers.Transaction.from(request.params[0]));
+      default:
+        throw new Error(`unknown method ${request.method}`);
+    }
+  }
+
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let handled = false;
+    socket.setEncoding("utf8");
+    socket.on("data", async (chunk) => {
+      if (handled) return;
+      buffer += chunk;
+      const newline = buffer.indexOf("\n");
+      if (newline < 0) return;
+      handled = true;
+      let response;
+      try {
+        response = { result: await handle(JSON.parse(buffer.slice(0, newline))) };
+      } catch (err) {
+        response = { error: err.shortMessage || err.message };
+      }
+      socket.end(JSON.stringify(response) + "\n");
+    });
+    socket.on("error", () => {});
+  });
+
+  if (fs.existsSync(options.socketPath)) fs.unlinkSync(options.socketPath);
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(options.socketPath, resolve);
+  });
+  fs.chmodSync(options.socketPath, 0o600);
+  return server;
+}
+
+/**
+ * 讀取 keystore passphrase：環境變數、檔案，或互動輸入
+ */
+async function readPassphrase({ env, file, prompt }) {
+  if (env !== undefined) return env;
+  if (file) return fs.readFileSync(file, "utf8").replace(/\r?\n$/, "");
+  if (!process.stdin.isTTY) throw new Error("keystore passphrase required");
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  try {
+    return await new Promise((resolve) => rl.question(prompt, resolve));
+  } finally {
+    rl.close();
+  }
+}
+
+/**
+ * 依環境變數建立簽署者（compliance-gateway.js 與 signer 行程共用）
+ *
+ *   <prefix>_SIGNER_SOCKET    remote：signer 行程的 Unix socket（remote = false 時忽略）
+ *   <prefix>_KEYSTORE         keystore：加密 JSON 路徑
+ *   <prefix>_KEYSTORE_PASSPHRASE / <prefix>_KEYSTORE_PASSPHRASE_FILE
+ *                             keystore passphrase（都未設定時互動輸入）
+ *   <prefix>_PRIVATE_KEY      memory：私鑰
+ * 都未設定時，devMode 下使用 hardhat account[0]，否則丟錯。
+ */
+async function signerFromEnv(env, { prefix, devMode, remote = true }) {
+  if (remote && env[`${prefix}_SIGNER_SOCKET`]) {
+    return loadSigner({ type: "remote", socketPath: env[`${prefix}_SIGNER_SOCKET`] });
+  }
+  if (env[`${prefix}_KEYSTORE`]) {
+    const passphrase = await readPassphrase({
+      env: env[`${prefix}_KEYSTORE_PASSPHRASE`],
+      file: env[`${prefix}_KEYSTORE_PASSPHRASE_FILE`],
+      prompt: `keystore passphrase (${env[`${prefix}_KEYSTORE`]}): `,
+    });
+    return loadSigner({ type: "keystore", path: env[`${prefix}_KEYSTORE`], passphrase });
+  }
+  if (env[`${prefix}_PRIVATE_KEY`]) {
+    return loadSigner({ type: "memory", privateKey: env[`${prefix}_PRIVATE_KEY`] });
+  }
+  if (devMode) return loadSigner({ type: "memory", privateKey: DEV_PRIVATE_KEY });
+  throw new Error(
+    `no signer configured: set ${prefix}_KEYSTORE or ${prefix}_PRIVATE_KEY` +
+      (remote ? ` (or ${prefix}_SIGNER_SOCKET)` : ""),
+  );
+}
+
+module.exports = {
+  DEV_PRIVATE_KEY,
+  RemoteSigner,
+  isDevAddress,
+  loadSigner,
+  serveSigner,
+  signerFromEnv,
+};
+
+if (require.main === module) {
+  const [command, socketPath, ...flags] = process.argv.slice(2);
+  if (command !== "serve" || !socketPath) {
+    console.error("usage: node scripts/gateway-signer.js serve <socket> [--allow-tx] [--dev]");
+    process.exit(2);
+  }
+  const devMode = flags.includes("--dev");
+
+  signerFromEnv(process.env, { prefix: "SIGNER", devMode, remote: false })
+    .then(async (wallet) => {
+      if (isDevAddress(wallet.address) && !devMode) {
+        throw new Error("refusing to serve a development key without --dev");
+      }
+      await serveSigner(wallet, { socketPath, allowTransactions: flags.includes("--allow-tx") });
+      console.log(`[signer] listening ${socketPath} | address=${wallet.address}`);
+    })
+    .catch((err) => {
+      console.error(`[signer] ${err.message}`);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,44 @@
+/**
+ * Linked Libraries — 部署 GL1PolicyManager / GL1PolicyWrapper 所需的外部函式庫並回傳已連結的 factory
+ *
+ * 兩個合約的配置與驗章邏輯拆到外部函式庫（以 DELEGATECALL 執行），部署前須先連結：
+ *   - GL1PolicyManager：PolicyRules（規則集 / 群組 / 規則清單設定）、OffChainVerdicts（鏈下裁決驗章）
+ *   - GL1PolicyWrapper：ProofSets（ProofSet 驗證與簽署者管理）
+ *
+ * 函式庫無狀態，每次呼叫都部署一份新的即可（測試各自的 fixture 互不影響）。
+ *
+ * 用法：
+ *   const { getPolicyManagerFactory } = require("./libraries");
+ *   const GL1PolicyManager = await getPolicyManagerFactory();
+ *   const policyManager = await GL1PolicyManager.deploy(ace, ccid, offChainEngine);
+ */
+
+const { ethers } = require("hardhat");
+
+async function deployLibraries(names) {
+  const libraries = {};
+  for (const name of names) {
+    const library = await (await ethers.getContractFactory(name)).deploy();
+    await library.waitForDeployment();
+    libraries[name] = await library.getAddress();
+  }
+  return libraries;
+}
+
+async function getPolicyManagerFactory() {
+  return ethers.getContractFactory("GL1PolicyManager", {
+    libraries: await deployLibraries(["PolicyRules", "OffChainVerdicts"]),
+  });
+}
+
+async function getPolicyWrapperFactory() {
+  return ethers.getContractFactory("GL1PolicyWrapper", {
+    libraries: await deployLibraries(["ProofSets"]),
+  });
+}
+
+module.exports = {
+  deployLibraries,
+  getPolicyManagerFactory,
+  getPolicyWrapperFactory,
+};
@@ -0,0 +1,207 @@
+/**
+ * Name Screening — 以姓名 / 出生日期 / 國籍比對制裁名單並計算風險分數
+ *
+ * 分數（0–100）：
+ *   地址完全命中                     → 100
+ *   姓名相似度 ≥ nameThreshold 時     → 100 × (0.7 × 姓名 + 0.2 × 出生日期 + 0.1 × 國籍)
+ *     出生日期：相同 1、同年 0.5、任一方缺資料 0.5、不符 0
+ *     國籍：相同 1、任一方缺資料 0.5、不符 0
+ *   取所有條目中的最高分
+ *
+ * 分數區間（risk band）：
+ *   score <  referScore → LOW  直接簽發（proofType = AML_LOW）
+ *   score <  denyScore  → EDD  轉人工審查，核准後簽發（proofType = AML_EDD）
+ *   score >= denyScore  → DENY 拒絕
+ */
+
+const ALGORITHMS = {
+  "jaro-winkler": jaroWinkler,
+  levenshtein: levenshteinSimilarity,
+};
+
+const DEFAULT_SCREENING = {
+  algorithm: "jaro-winkler",
+  nameThreshold: 0.85,
+  referScore: 65,
+  denyScore: 90,
+};
+
+/**
+ * 姓名正規化：去除重音與標點、轉小寫、合併空白
+ */
+function normalizeName(name) {
+  return String(name || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+function jaro(a, b) {
+  if (a === b) return 1;
+  if (a.length === 0 || b.length === 0) return 0;
+
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+
+  let matches = 0;
+  for (let i = 0; i < a.length; i++) {
+    const from = Math.max(0, i - window);
+    const to = Math.min(b.length, i + window + 1);
+    for (let j = from; j < to; j++) {
+      if (!bMatched[j] && a[i] === b[j]) {
+        aMatched[i] = true;
+        bMatched[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+
+  return (
+    (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3
+  );
+}
+
+/**
+ * Jaro-Winkler 相似度（0–1），共同前綴最多計 4 字元
+ */
+function jaroWinkler(a, b) {
+  const j = jaro(a, b);
+  let prefix = 0;
+  while (prefix < 4 && prefix < a.length && a[prefix] === b[prefix]) prefix++;
+  return j + prefix * 0.1 * (1 - j);
+}
+
+/**
+ * Levenshtein 相似度（0–1）= 1 − 編輯距離 / 較長字串長度
+ */
+function levenshteinSimilarity(a, b) {
+  if (a === b) return 1;
+  const maxLen = Math.max(a.length, b.length);
+  if (maxLen === 0) return 1;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = curr;
+  }
+  return 1 - prev[b.length] / maxLen;
+}
+
+/**
+ * 姓名相似度：同時比對原字序與 token 排序後字序（處理「姓 名」/「名 姓」），取較高者
+ */
+function nameSimilarity(a, b, algorithm = DEFAULT_SCREENING.algorithm) {
+  const compare = ALGORITHMS[algorithm];
+  if (!compare) throw new Error(`unknown screening algorithm: ${algorithm}`);
+
+  const x = normalizeName(a);
+  const y = normalizeName(b);
+  if (!x || !y) return 0;
+  const sorted = (s) => s.split(" ").sort().join(" ");
+  return Math.max(compare(x, y), compare(sorted(x), sorted(y)));
+}
+
+const MONTHS = {
+  jan: "01", feb: "02", mar: "03", apr: "04", may: "05", jun: "06",
+  jul: "07", aug: "08", sep: "09", oct: "10", nov: "11", dec: "12",
+};
+
+/**
+ * 出生日期正規化為 YYYY-MM-DD 或 YYYY（接受 ISO 與 OFAC 的 "12 Jan 1970"）
+ */
+function normalizeDob(value) {
+  if (!value) return null;
+  const text = String(value).trim();
+
+  let m = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (m) return text;
+  m = text.match(/^(\d{1,2}) ([A-Za-z]{3})[a-z]* (\d{4})$/);
+  if (m && MONTHS[m[2].toLowerCase()]) {
+    return `${m[3]}-${MONTHS[m[2].toLowerCase()]}-${m[1].padStart(2, "0")}`;
+  }
+  m = text.match(/^(\d{4})$/) || text.match(/(\d{4})$/);
+  return m ? m[1] : null;
+}
+
+function dobScore(a, b) {
+  const x = normalizeDob(a);
+  const y = normalizeDob(b);
+  if (!x || !y) return 0.5;
+  if (x === y) return 1;
+  return x.slice(0, 4) === y.slice(0, 4) ? 0.5 : 0;
+}
+
+function countryScore(a, b) {
+  if (!a || !b) return 0.5;
+  return a.trim().toUpperCase() === b.trim().toUpperCase() ? 1 : 0;
+}
+
+function bandFor(score, config) {
+  if (score >= config.denyScore) return "DENY";
+  if (score >= config.referScore) return "EDD";
+  return "LOW";
+}
+
+/**
+ * 篩查客戶
+ *
+ * @param {{ address?: string, name?: string, dob?: string, country?: string }} customer
+ * @param {object} list createSanctionsList 建立的名單
+ * @param {object} [options] 覆寫 DEFAULT_SCREENING
+ * @returns {{ score: number, band: "LOW"|"EDD"|"DENY", matches: object[] }}
+ */
+function screenCustomer(customer, list, options = {}) {
+  const config = { ...DEFAULT_SCREENING, ...options };
+  const matches = [];
+
+  if (customer.address && list.has(customer.address)) {
+    matches.push({ ...list.get(customer.address), score: 100, reason: "address" });
+  }
+
+  if (customer.name) {
+    for (const person of list.persons()) {
+      const similarity = nameSimilarity(customer.name, person.name, config.algorithm);
+      if (similarity < config.nameThreshold) continue;
+
+      const score = Math.round(
+        100 *
+          (0.7 * similarity +
+            0.2 * dobScore(customer.dob, person.dob) +
+            0.1 * countryScore(customer.country, person.country)),
+      );
+      matches.push({ ...person, score, similarity, reason: "name" });
+    }
+  }
+
+  matches.sort((a, b) => b.score - a.score);
+  const score = matches.length > 0 ? matches[0].score : 0;
+  return { score, band: bandFor(score, config), matches };
+}
+
+module.exports = {
+  DEFAULT_SCREENING,
+  jaroWinkler,
+  levenshteinSimilarity,
+  nameSimilarity,
+  normalizeDob,
+  normalizeName,
+  screenCustomer,
+};
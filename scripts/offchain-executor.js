@@ -0,0 +1,266 @@
+/**
+ * Off-chain Rule Executor — GL1PolicyManager 鏈下規則（isOnChain = false）的本地執行器
+ *
+ * 正式環境由 Chainlink Functions 等 oracle 擔任；此處以 Node 行程代替，供開發與測試使用。
+ *
+ * 流程：
+ *   1. 以 eth_getLogs 輪詢 OffChainRuleRequested（只處理 executor = 本簽署者的請求）
+ *   2. 以 evaluate(request) 評估規則，得到 { passed, reason }
+ *   3. 以 EIP-712 簽署 OffChainVerdict(requestId, ruleSetId, passed, reason)
+ *      （domain：GL1PolicyManager / 1 / chainId / manager 地址）
+ *   4. 呼叫 fulfillOffChainRule 回報；manager 收齊裁決後回呼 wrapper 放行或退回
+ * 逾時未回報的請求由任何人呼叫 expireOffChainRequest 結案（expireOverdue 時由本執行器代為呼叫）。
+ *
+ * 啟動：
+ *   POLICY_MANAGER=0x… EXECUTOR_KEYSTORE=key.json node scripts/offchain-executor.js
+ *
+ * 環境變數：
+ *   RPC_URL                  JSON-RPC 節點，預設 http://127.0.0.1:8545
+ *   POLICY_MANAGER           GL1PolicyManager 地址
+ *   EXECUTOR_KEYSTORE / EXECUTOR_PRIVATE_KEY
+ *                            executor 簽署者（見 gateway-signer.js 的 signerFromEnv）
+ *   EXECUTOR_DEV_MODE=1      允許使用 hardhat 開發金鑰
+ *   EXECUTOR_MAX_AMOUNT      本地規則：單筆金額上限（wei，未設定不限）
+ *   EXECUTOR_DENY_LIST       本地規則：拒絕的地址（逗號分隔）
+ *   EXECUTOR_FROM_BLOCK      起始區塊，預設 0
+ *   EXECUTOR_POLL_INTERVAL   輪詢間隔（毫秒），預設 2000
+ */
+
+const { ethers } = require("ethers");
+const { isDevAddress, signerFromEnv } = require("./gateway-signer");
+
+const MANAGER_ABI = [
+  "event OffChainRuleRequested(bytes32 indexed requestId, bytes32 indexed ruleSetId, address indexed executor, address from, address to, uint256 tokenId, uint256 amount, bytes32 jurisdiction, uint256 deadline)",
+  "function fulfillOffChainRule(bytes32 requestId, bytes32 ruleSetId, bool passed, string reason, bytes signature)",
+  "function expireOffChainRequest(bytes32 requestId)",
+  "function awaitingVerdict(bytes32 requestId, bytes32 ruleSetId) view returns (bool)",
+  "function offChainRequests(bytes32 requestId) view returns (address requester, address from, address to, uint256 tokenId, address asset, uint256 amount, bytes32 jurisdiction, uint256 deadline, uint256 remaining, uint8 status)",
+];
+
+// OffChainRequestStatus.PENDING
+const STATUS_PENDING = 1n;
+
+// EIP-712 型別（須與 GL1PolicyManager.OFFCHAIN_VERDICT_TYPEHASH 一致）
+const VERDICT_TYPES = {
+  OffChainVerdict: [
+    { name: "requestId", type: "bytes32" },
+    { name: "ruleSetId", type: "bytes32" },
+    { name: "passed", type: "bool" },
+    { name: "reason", type: "string" },
+  ],
+};
+
+function verdictDomain(chainId, verifyingContract) {
+  return { name: "GL1PolicyManager", version: "1", chainId, verifyingContract };
+}
+
+/**
+ * 本地規則（開發用的鏈下規則替身）
+ *
+ * @param {object} [options]
+ * @param {bigint|string} [options.maxAmount] 單筆金額上限
+ * @param {string[]} [options.denyList] 拒絕的地址（from 或 to 任一命中即拒絕）
+ * @returns {(request: object) => { passed: boolean, reason: string }}
+ */
+function createLocalRules(options = {}) {
+  const maxAmount =
+    options.maxAmount !== undefined && options.maxAmount !== "" ? BigInt(options.maxAmount) : null;
+  const denyList = new Set((options.denyList || []).map((address) => address.toLowerCase()));
+
+  return (request) => {
+    if (denyList.has(request.from.toLowerCase()) || denyList.has(request.to.toLowerCase())) {
+      return { passed: false, reason: "Counterparty on off-chain deny list" };
+    }
+    if (maxAmount !== null && request.amount > maxAmount) {
+      return { passed: false, reason: "Amount exceeds off-chain limit" };
+    }
+    return { passed: true, reason: "" };
+  };
+}
+
+/**
+ * 建立執行器
+ *
+ * @param {object} options
+ * @param {ethers.Provider} options.provider JSON-RPC provider
+ * @param {string} options.manager GL1PolicyManager 地址
+ * @param {ethers.Signer} options.signer executor 簽署者（地址須為規則註冊的 executorAddress），
+ *                                       未連 provider 時以 options.provider 連線送交易
+ * @param {(request: object) => ({ passed: boolean, reason?: string }|Promise<object>)} [options.evaluate]
+ *        規則評估函式，預設 createLocalRules()（全部通過）
+ * @param {number} [options.fromBlock] 起始區塊，預設 0
+ * @param {number} [options.maxBlockRange] 單次 getLogs 的區塊範圍，預設 2000
+ * @param {boolean} [options.expireOverdue] 是否代為結案已逾時的請求
+ * @param {number} [options.intervalMs] 輪詢間隔；未設定時只能手動呼叫 poll()
+ */
+function createOffChainExecutor(options) {
+  const { provider } = options;
+  const signer = options.signer.provider ? options.signer : options.signer.connect(provider);
+  const managerAddress = ethers.getAddress(options.manager);
+  const manager = new ethers.Contract(managerAddress, MANAGER_ABI, signer);
+  const evaluate = options.evaluate || createLocalRules();
+  const maxBlockRange = options.maxBlockRange || 2000;
+
+  let cursor = (options.fromBlock || 0) - 1;
+  let executorAddress = null;
+  let domain = null;
+  let pending = Promise.resolve();
+  let timer = null;
+
+  // 已見過但尚未結案的請求（requestId → deadline），供 expireOverdue 使用
+  const open = new Map();
+
+  async function init() {
+    if (domain) return;
+    executorAddress = await signer.getAddress();
+    const { chainId } = await provider.getNetwork();
+    domain = verdictDomain(chainId, managerAddress);
+  }
+
+  async function handle(event) {
+    const { requestId, ruleSetId, from, to, tokenId, amount, jurisdiction, deadline } = event.args;
+    if (!(await manager.awaitingVerdict(requestId, ruleSetId))) return null;
+
+    const request = { requestId, ruleSetId, from, to, tokenId, amount, jurisdiction, deadline };
+    const verdict = await evaluate(request);
+    const passed = Boolean(verdict.passed);
+    const reason = verdict.reason || "";
+
+    const signature = await signer.signTypedData(domain, VERDICT_TYPES, {
+      requestId,
+      ruleSetId,
+      passed,
+      reason,
+    });
+    const tx = await manager.fulfillOffChainRule(requestId, ruleSetId, passed, reason, signature);
+    await tx.wait();
+    return { requestId, ruleSetId, passed, reason, txHash: tx.hash };
+  }
+
+  async function expire() {
+    const expired = [];
+    const { timestamp } = await provider.getBlock("latest");
+    for (const [requestId, deadline] of open) {
+      const request = await manager.offChainRequests(requestId);
+      if (request.status !== STATUS_PENDING) {
+        open.delete(requestId);
+        continue;
+      }
+      if (BigInt(timestamp) <= deadline) continue;
+      await (await manager.expireOffChainRequest(requestId)).wait();
+      open.delete(requestId);
+      expired.push(requestId);
+    }
+    return expired;
+  }
+
+  async function pollOnce() {
+    await init();
+    const target = await provider.getBlockNumber();
+    const verdicts = [];
+    const errors = [];
+
+    while (cursor < target) {
+      const from = cursor + 1;
+      const to = Math.min(target, from + maxBlockRange - 1);
+      const events = await manager.queryFilter(
+        manager.filters.OffChainRuleRequested(null, null, executorAddress),
+        from,
+        to,
+      );
+      for (const event of events) {
+        const { requestId, ruleSetId, deadline } = event.args;
+        try {
+          const verdict = await handle(event);
+          if (verdict) verdicts.push(verdict);
+          if (options.expireOverdue && (!verdict || verdict.passed)) open.set(requestId, deadline);
+        } catch (err) {
+          errors.push({ requestId, ruleSetId, error: err.shortMessage || err.message });
+          if (options.expireOverdue) open.set(requestId, deadline);
+        }
+      }
+      cursor = to;
+    }
+
+    const expired = options.expireOverdue ? await expire() : [];
+    return { block: cursor, verdicts, errors, expired };
+  }
+
+  const executor = {
+    /**
+     * 處理到最新區塊的請求；同一時間只會有一個 poll 在跑
+     * @returns {Promise<{ block: number, verdicts: object[], errors: object[], expired: string[] }>}
+     */
+    poll() {
+      const result = pending.then(pollOnce);
+      pending = result.catch(() => {});
+      return result;
+    },
+
+    close() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+  };
+
+  if (options.intervalMs) {
+    let polling = false;
+    timer = setInterval(async () => {
+      if (polling) return;
+      polling = true;
+      try {
+        const { verdicts, errors } = await executor.poll();
+        for (const v of verdicts) {
+          console.log(`[executor] ${v.requestId} ${v.passed ? "PASS" : "FAIL"} ${v.reason}`);
+        }
+        for (const e of errors) console.error(`[executor] ${e.requestId} ${e.error}`);
+      } catch (err) {
+        console.error(`[executor] poll failed: ${err.shortMessage || err.message}`);
+      } finally {
+        polling = false;
+      }
+    }, options.intervalMs);
+  }
+
+  return executor;
+}
+
+module.exports = {
+  VERDICT_TYPES,
+  createLocalRules,
+  createOffChainExecutor,
+  verdictDomain,
+};
+
+if (require.main === module) {
+  const env = process.env;
+  const devMode = env.EXECUTOR_DEV_MODE === "1";
+
+  async function main() {
+    if (!env.POLICY_MANAGER) throw new Error("POLICY_MANAGER is required");
+    const provider = new ethers.JsonRpcProvider(env.RPC_URL || "http://127.0.0.1:8545");
+    const signer = await signerFromEnv(env, { prefix: "EXECUTOR", devMode, remote: false });
+    if (isDevAddress(signer.address) && !devMode) {
+      throw new Error("refusing to start with a development key outside dev mode");
+    }
+
+    createOffChainExecutor({
+      provider,
+      manager: env.POLICY_MANAGER,
+      signer,
+      evaluate: createLocalRules({
+        maxAmount: env.EXECUTOR_MAX_AMOUNT,
+        denyList: env.EXECUTOR_DENY_LIST ? env.EXECUTOR_DENY_LIST.split(",") : [],
+      }),
+      fromBlock: Number(env.EXECUTOR_FROM_BLOCK || 0),
+      expireOverdue: true,
+      intervalMs: Number(env.EXECUTOR_POLL_INTERVAL || 2000),
+    });
+    console.log(`[executor] watching ${env.POLICY_MANAGER} | executor=${signer.address}`);
+  }
+
+  main().catch((err) => {
+    console.error(`[executor] ${err.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,227 @@
+/**
+ * OpenAPI — 載入 compliance gateway 的 OpenAPI 文件（docs/openapi/compliance-gateway.v1.json），
+ * 供 gateway 路由比對與請求驗證、SDK 產生方法、測試驗證回應格式共用。
+ *
+ * 只實作 gateway 文件用到的 JSON Schema 子集：
+ *   $ref（僅限 #/components/...）、type（可為陣列）、enum、pattern、minLength / maxLength、
+ *   minimum、required、properties、additionalProperties: false、items、minItems / maxItems、allOf
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const SPEC_PATH = path.join(__dirname, "..", "docs", "openapi", "compliance-gateway.v1.json");
+const METHODS = ["get", "post", "put", "patch", "delete"];
+
+function loadSpec(file = SPEC_PATH) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function resolveRef(spec, node) {
+  while (node && node.$ref) {
+    if (!node.$ref.startsWith("#/")) throw new Error(`unsupported $ref: ${node.$ref}`);
+    const target = node.$ref
+      .slice(2)
+      .split("/")
+      .reduce((obj, key) => (obj ? obj[key] : undefined), spec);
+    if (!target) throw new Error(`unresolved $ref: ${node.$ref}`);
+    // $ref 旁的關鍵字（例如 required）覆寫被引用的 schema
+    const { $ref, ...siblings } = node;
+    node = { ...target, ...siblings };
+  }
+  return node;
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "integer" || actual === "number";
+  return actual === type;
+}
+
+/**
+ * 依 schema 驗證值
+ * @returns {{ path: string, message: string }[]} 空陣列表示通過
+ */
+function validate(spec, schema, value, at = "") {
+  const errors = [];
+  const s = resolveRef(spec, schema);
+  const here = at || "/";
+
+  if (s.allOf) {
+    for (const part of s.allOf) errors.push(...validate(spec, part, value, at));
+  }
+
+  if (s.type !== undefined) {
+    const types = Array.isArray(s.type) ? s.type : [s.type];
+    if (!types.some((t) => matchesType(value, t))) {
+      errors.push({ path: here, message: `must be ${types.join(" or ")}` });
+      return errors;
+    }
+  }
+  if (s.enum && !s.enum.includes(value)) {
+    errors.push({ path: here, message: `must be one of ${s.enum.join(", ")}` });
+  }
+
+  if (typeof value === "string") {
+    if (s.pattern && !new RegExp(s.pattern).test(value)) {
+      errors.push({ path: here, message: `must match ${s.pattern}` });
+    }
+    if (s.minLength !== undefined && value.length < s.minLength) {
+      errors.push({ path: here, message: `must be at least ${s.minLength} characters` });
+    }
+    if (s.maxLength !== undefined && value.length > s.maxLength) {
+      errors.push({ path: here, message: `must be at most ${s.maxLength} characters` });
+    }
+  }
+  if (typeof value === "number" && s.minimum !== undefined && value < s.minimum) {
+    errors.push({ path: here, message: `must be >= ${s.minimum}` });
+  }
+
+  if (Array.isArray(value)) {
+    if (s.minItems !== undefined && value.length < s.minItems) {
+      errors.push({ path: here, message: `must have at least ${s.minItems} items` });
+    }
+    if (s.maxItems !== undefined && value.length > s.maxItems) {
+      errors.push({ path: here, message: `must have at most ${s.maxItems} items` });
+    }
+    if (s.items) {
+      value.forEach((item, i) => errors.push(...validate(spec, s.items, item, `${at}/${i}`)));
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of s.required || []) {
+      if (value[key] === undefined) errors.push({ path: `${at}/${key}`, message: "is required" });
+    }
+    const properties = s.properties || {};
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validate(spec, properties[key], item, `${at}/${key}`));
+      } else if (s.additionalProperties === false) {
+        errors.push({ path: `${at}/${key}`, message: "is not allowed" });
+      }
+    }
+  }
+
+  return errors;
+}
+
+function compilePath(template) {
+  const names = [];
+  const source = template.replace(/[.*+?^$()|[\]\\]/g, "\\$&").replace(/\{(\w+)\}/g, (_, name) => {
+    names.push(name);
+    return "([^/]+)";
+  });
+  return { regex: new RegExp(`^${source}$`), names };
+}
+
+/**
+ * 列出文件中所有 operation
+ * @returns {{ operationId: string, method: string, path: string, operation: object }[]}
+ */
+function listOperations(spec) {
+  const operations = [];
+  for (const [template, item] of Object.entries(spec.paths)) {
+    for (const method of METHODS) {
+      if (item[method]) {
+        operations.push({
+          operationId: item[method].operationId,
+          method: method.toUpperCase(),
+          path: template,
+          operation: item[method],
+        });
+      }
+    }
+  }
+  return operations;
+}
+
+/**
+ * 建立路由器：依文件的 path template 比對請求
+ *
+ * match() 回傳：
+ *   { operationId, operation, params }  找到對應 operation
+ *   { status: 404 }                     路徑不存在
+ *   { status: 405, allow: [...] }       路徑存在但方法不支援
+ */
+function createRouter(spec) {
+  const routes = Object.entries(spec.paths).map(([template, item]) => ({
+    template,
+    item,
+    ...compilePath(template),
+  }));
+
+  return {
+    match(method, pathname) {
+      for (const route of routes) {
+        const m = route.regex.exec(pathname);
+        if (!m) continue;
+
+        const operation = route.item[method.toLowerCase()];
+        if (!operation) {
+          const allow = METHODS.filter((x) => route.item[x]).map((x) => x.toUpperCase());
+          return { status: 405, allow };
+        }
+        const params = {};
+        route.names.forEach((name, i) => {
+          params[name] = decodeURIComponent(m[i + 1]);
+        });
+        return { operationId: operation.operationId, operation, params };
+      }
+      return { status: 404 };
+    },
+  };
+}
+
+/**
+ * 驗證請求的 path 參數與 JSON body
+ * @param {object} operation 文件中的 operation
+ * @param {object} params path 參數
+ * @param {*} body 已解析的 JSON body（無 body 時為 undefined）
+ * @returns {{ path: string, message: string }[]}
+ */
+function validateRequest(spec, operation, params, body) {
+  const errors = [];
+  for (const parameter of (operation.parameters || []).map((p) => resolveRef(spec, p))) {
+    if (parameter.in !== "path") continue;
+    errors.push(...validate(spec, parameter.schema, params[parameter.name], `{${parameter.name}}`));
+  }
+
+  const requestBody = operation.requestBody && resolveRef(spec, operation.requestBody);
+  if (requestBody) {
+    if (body === undefined) {
+      if (requestBody.required) errors.push({ path: "/", message: "request body is required" });
+    } else {
+      errors.push(...validate(spec, requestBody.content["application/json"].schema, body));
+    }
+  }
+  return errors;
+}
+
+/**
+ * 驗證回應 body（測試與 SDK 使用）；文件未列出的狀態碼視為錯誤
+ */
+function validateResponse(spec, operation, status, body) {
+  const response = operation.responses[String(status)];
+  if (!response) return [{ path: "/", message: `undocumented status ${status}` }];
+  const content = resolveRef(spec, response).content;
+  if (!content) return [];
+  return validate(spec, content["application/json"].schema, body);
+}
+
+module.exports = {
+  SPEC_PATH,
+  createRouter,
+  listOperations,
+  loadSpec,
+  validate,
+  validateRequest,
+  validateResponse,
+};
@@ -0,0 +1,572 @@
+/**
+ * Policy as Code — 以宣告式政策檔描述管轄區配置，與鏈上狀態比對後產生 / 送出收斂所需的交易
+ *
+ * 政策檔（YAML 或 JSON，依副檔名判斷）：
+ *
+ *   contracts:
+ *     policyManager: "${POLICY_MANAGER}"
+ *     wrapper: "${POLICY_WRAPPER}"          # fx 段落需要
+ *     timelock: "${POLICY_TIMELOCK}"        # 設定時，Policy Manager 的變更改以 timelock.propose 排程
+ *   rules:
+ *     RULE_WHITELIST:                       # 規則集 ID = keccak256(名稱)，或以 id 指定 bytes32
+ *       type: WHITELIST
+ *       address: "${WHITELIST_RULE}"
+ *       priority: 1
+ *       onChain: true                       # 預設 true
+ *       active: true                        # 預設 true
+ *       params: { enabled: true }           # 規則合約參數：讀 <name>()（enabled 讀 isEnabled()），寫 set<Name>(value)
+ *       whitelist:                          # WhitelistRule 商家白名單（多的移除、少的加入）
+ *         - { address: "0x…", name: "Singapore Coffee", category: "F&B" }
+ *     RULE_FX:
+ *       type: FX_LIMIT
+ *       address: "${FX_LIMIT_RULE}"
+ *       priority: 2
+ *       params: { dailyLimit: "1000e18" }   # 整數可寫成 "<數字>e<位數>"
+ *   jurisdictions:
+ *     SG: { enabled: true, rules: [RULE_WHITELIST, RULE_FX] }
+ *   fx:
+ *     rateProvider: "${FX_PROVIDER}"
+ *     enabled: true
+ *     currencies: { "${TWD_TOKEN}": TWD }   # 幣別代碼 = keccak256(代碼)
+ *   roles:                                  # 合約別名（policyManager / wrapper / timelock / 規則名稱）→ 角色 → 成員
+ *     RULE_FX: { POLICY_MANAGER_ROLE: ["${POLICY_MANAGER}"] }
+ *
+ * 字串中的 ${NAME} 以環境變數（或 loadPolicy 的 vars）代入。
+ *
+ * 比對規則：
+ *   - 規則集註冊後不可修改（type / onChain / address / priority 不同時列為 conflict，須換新 ID）
+ *   - 鏈上已註冊但政策檔未列出的規則集列為 unmanaged，不自動停用
+ *   - 角色成員由 RoleGranted / RoleRevoked 事件重播得出，多的撤銷（排在最後）、少的授予
+ *   - 已在 timelock 排隊、內容相同的變更不重複排程（列為 queued）
+ *
+ * 用法：
+ *   node scripts/policy-as-code.js plan  <policy.yaml> [--out plan.json]
+ *   node scripts/policy-as-code.js apply <policy.yaml> [--dry-run]
+ *
+ * 環境變數：
+ *   RPC_URL                  JSON-RPC 節點，預設 http://127.0.0.1:8545
+ *   POLICY_KEYSTORE / POLICY_PRIVATE_KEY
+ *                            apply 的簽署者（見 gateway-signer.js 的 signerFromEnv）
+ *   POLICY_DEV_MODE=1        允許使用 hardhat 開發金鑰
+ *   POLICY_FROM_BLOCK        重播角色 / timelock 事件的起始區塊，預設 0
+ */
+
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { ethers } = require("ethers");
+const { isDevAddress, signerFromEnv } = require("./gateway-signer");
+
+const MANAGER_ABI = [
+  "function ruleSets(bytes32) view returns (address executorAddress, bool isOnChain, bool isActive, bool hasAfterTransferHook, uint8 interfaceVersion, uint8 index, uint32 priority, bytes32 ruleType)",
+  "function activeRuleSets(uint256) view returns (bytes32)",
+  "function getActiveRuleSetCount() view returns (uint256)",
+  "function jurisdictionRules(bytes32, uint256) view returns (bytes32)",
+  "function getJurisdictionRuleCount(bytes32) view returns (uint256)",
+  "function jurisdictionEnabled(bytes32) view returns (bool)",
+  "function registerRuleSet(bytes32 ruleSetId, string ruleType, bool isOnChain, address executorAddress, uint256 priority)",
+  "function setRuleSetActive(bytes32 ruleSetId, bool isActive)",
+  "function setJurisdictionRules(bytes32 jurisdictionCode, bytes32[] ruleSetIds)",
+  "function setJurisdictionEnabled(bytes32 jurisdictionCode, bool enabled)",
+];
+
+const WRAPPER_ABI = [
+  "function fxRateProvider() view returns (address)",
+  "function fxEnabled() view returns (bool)",
+  "function assetCurrency(address) view returns (bytes32)",
+  "function setFXRateProvider(address provider)",
+  "function setFXEnabled(bool enabled)",
+  "function setAssetCurrency(address asset, bytes32 currency)",
+];
+
+const TIMELOCK_ABI = [
+  "event ChangeProposed(bytes32 indexed changeId, bytes32 indexed subject, address indexed proposer, bytes data, uint256 effectiveAt)",
+  "function minDelay() view returns (uint256)",
+  "function getChange(bytes32 changeId) view returns (tuple(bytes data, bytes32 subject, address proposer, uint64 effectiveAt, uint64 appliedBlock, uint256 version, uint8 status))",
+  "function propose(bytes data, uint256 effectiveAt) returns (bytes32 changeId)",
+];
+
+const WHITELIST_ABI = [
+  "function getWhitelistCount() view returns (uint256)",
+  "function getWhitelistedAddresses(uint256 offset, uint256 limit) view returns (address[])",
+  "function addToWhitelist(address merchant, string name, string category)",
+  "function removeFromWhitelist(address merchant)",
+];
+
+const ACCESS_CONTROL_ABI = [
+  "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+  "function hasRole(bytes32 role, address account) view returns (bool)",
+  "function grantRole(bytes32 role, address account)",
+  "function revokeRole(bytes32 role, address account)",
+];
+
+// PolicyTimelock.ChangeStatus.QUEUED
+const CHANGE_QUEUED = 1n;
+
+// 參數名稱與 getter 不一致的例外
+const PARAM_GETTERS = { enabled: "isEnabled" };
+
+// 排程時在 minDelay 之外多留的秒數（交易上鏈前時間會前進）
+const DEFAULT_DELAY_MARGIN = 300;
+
+const BYTES32_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+/**
+ * 代入 ${NAME}
+ */
+function interpolate(value, vars) {
+  if (typeof value === "string") {
+    return value.replace(/\$\{(\w+)\}/g, (_, name) => {
+      if (vars[name] === undefined) throw new Error(`policy: variable ${name} is not set`);
+      return vars[name];
+    });
+  }
+  if (Array.isArray(value)) return value.map((item) => interpolate(item, vars));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [interpolate(key, vars), interpolate(item, vars)]),
+    );
+  }
+  return value;
+}
+
+/**
+ * 讀取政策檔（.yaml / .yml / .json）
+ *
+ * @param {string} file 政策檔路徑
+ * @param {object} [options]
+ * @param {object} [options.vars] ${NAME} 代入值，預設 process.env
+ * @returns {object} 正規化後的政策（見 normalizePolicy）
+ */
+function loadPolicy(file, options = {}) {
+  const text = fs.readFileSync(file, "utf8");
+  const ext = path.extname(file).toLowerCase();
+  const raw = ext === ".json" ? JSON.parse(text) : yaml.load(text);
+  return normalizePolicy(interpolate(raw || {}, options.vars || process.env));
+}
+
+function toId(value) {
+  return BYTES32_PATTERN.test(value) ? value.toLowerCase() : ethers.keccak256(ethers.toUtf8Bytes(value));
+}
+
+function toBigInt(value) {
+  if (typeof value === "string") {
+    const match = value.trim().match(/^(\d+)e(\d+)$/);
+    if (match) return BigInt(match[1]) * 10n ** BigInt(match[2]);
+  }
+  return BigInt(value);
+}
+
+function toAddress(value, where) {
+  try {
+    return ethers.getAddress(String(value).toLowerCase());
+  } catch (err) {
+    throw new Error(`policy: ${where} is not an address (${value})`);
+  }
+}
+
+function capitalize(name) {
+  return name[0].toUpperCase() + name.slice(1);
+}
+
+/**
+ * 正規化政策：名稱轉 bytes32、地址轉 checksum、數值轉 BigInt，並檢查引用
+ */
+function normalizePolicy(raw) {
+  const contracts = raw.contracts || {};
+  if (!contracts.policyManager) throw new Error("policy: contracts.policyManager is required");
+
+  const policy = {
+    contracts: Object.fromEntries(
+      Object.entries(contracts).map(([alias, address]) => [alias, toAddress(address, `contracts.${alias}`)]),
+    ),
+    rules: [],
+    jurisdictions: [],
+    fx: null,
+    roles: [],
+  };
+
+  const ruleIds = new Map();
+  for (const [name, rule] of Object.entries(raw.rules || {})) {
+    if (!rule.type) throw new Error(`policy: rules.${name}.type is required`);
+    if (ethers.toUtf8Bytes(rule.type).length > 31) {
+      throw new Error(`policy: rules.${name}.type must be at most 31 bytes`);
+    }
+    const id = rule.id ? toId(rule.id) : toId(name);
+    ruleIds.set(name, id);
+    policy.rules.push({
+      name,
+      id,
+      type: rule.type,
+      onChain: rule.onChain !== false,
+      address: toAddress(rule.address, `rules.${name}.address`),
+      priority: toBigInt(rule.priority || 0),
+      active: rule.active !== false,
+      params: Object.entries(rule.params || {}).map(([param, value]) => ({
+        name: param,
+        value: typeof value === "boolean" ? value : toBigInt(value),
+      })),
+      whitelist: rule.whitelist
+        ? rule.whitelist.map((entry, i) => ({
+            address: toAddress(entry.address, `rules.${name}.whitelist[${i}].address`),
+            name: entry.name || "",
+            category: entry.category || "",
+          }))
+        : null,
+    });
+  }
+
+  for (const [code, jurisdiction] of Object.entries(raw.jurisdictions || {})) {
+    const rules = (jurisdiction.rules || []).map((name) => {
+      if (ruleIds.has(name)) return ruleIds.get(name);
+      if (BYTES32_PATTERN.test(name)) return name.toLowerCase();
+      throw new Error(`policy: jurisdictions.${code} references unknown rule ${name}`);
+    });
+    policy.jurisdictions.push({
+      code,
+      id: BYTES32_PATTERN.test(code) ? code.toLowerCase() : ethers.encodeBytes32String(code),
+      enabled: jurisdiction.enabled !== false,
+      rules,
+    });
+  }
+
+  if (raw.fx) {
+    if (!policy.contracts.wrapper) throw new Error("policy: fx requires contracts.wrapper");
+    policy.fx = {
+      rateProvider: raw.fx.rateProvider ? toAddress(raw.fx.rateProvider, "fx.rateProvider") : null,
+      enabled: raw.fx.enabled === undefined ? null : Boolean(raw.fx.enabled),
+      currencies: Object.entries(raw.fx.currencies || {}).map(([asset, currency]) => ({
+        asset: toAddress(asset, "fx.currencies"),
+        code: currency,
+        currency: toId(currency),
+      })),
+    };
+  }
+
+  const ruleAddresses = new Map(policy.rules.map((rule) => [rule.name, rule.address]));
+  for (const [alias, roles] of Object.entries(raw.roles || {})) {
+    const target = policy.contracts[alias] || ruleAddresses.get(alias);
+    if (!target) throw new Error(`policy: roles.${alias} is not a known contract`);
+    for (const [role, members] of Object.entries(roles || {})) {
+      policy.roles.push({
+        alias,
+        target,
+        role,
+        roleId: role === "DEFAULT_ADMIN_ROLE" ? ethers.ZeroHash : toId(role),
+        members: (members || []).map((member) => toAddress(member, `roles.${alias}.${role}`)),
+      });
+    }
+  }
+
+  return policy;
+}
+
+/**
+ * 由 RoleGranted / RoleRevoked 重播角色成員
+ */
+async function roleMembers(contract, roleId, fromBlock) {
+  const [granted, revoked] = await Promise.all([
+    contract.queryFilter(contract.filters.RoleGranted(roleId), fromBlock),
+    contract.queryFilter(contract.filters.RoleRevoked(roleId), fromBlock),
+  ]);
+  const candidates = new Set([...granted, ...revoked].map((log) => log.args.account));
+  const members = [];
+  for (const account of candidates) {
+    if (await contract.hasRole(roleId, account)) members.push(account);
+  }
+  return members;
+}
+
+/**
+ * 比對政策與鏈上狀態，產生收斂計畫
+ *
+ * @param {object} options
+ * @param {ethers.Provider} options.provider JSON-RPC provider
+ * @param {object} options.policy loadPolicy / normalizePolicy 的結果
+ * @param {number} [options.fromBlock] 重播角色與 timelock 事件的起始區塊，預設 0
+ * @param {number} [options.effectiveAt] timelock 排程的生效時間，預設 最新區塊時間 + minDelay + 300 秒
+ * @returns {Promise<{ actions: object[], conflicts: string[], unmanaged: string[], queued: string[] }>}
+ *          actions 依序送出；每筆 { contract, to, method, args, data, description, via }
+ */
+async function planPolicy(options) {
+  const { provider, policy } = options;
+  const fromBlock = options.fromBlock || 0;
+  const manager = new ethers.Contract(policy.contracts.policyManager, MANAGER_ABI, provider);
+  const plan = { actions: [], conflicts: [], unmanaged: [], queued: [] };
+  const grants = [];
+  const revokes = [];
+
+  // timelock：排隊中的變更（data → true）與生效時間
+  let timelock = null;
+  let effectiveAt = null;
+  const pendingChanges = new Set();
+  if (policy.contracts.timelock) {
+    timelock = new ethers.Contract(policy.contracts.timelock, TIMELOCK_ABI, provider);
+    const { timestamp } = await provider.getBlock("latest");
+    effectiveAt =
+      options.effectiveAt || timestamp + Number(await timelock.minDelay()) + DEFAULT_DELAY_MARGIN;
+    for (const log of await timelock.queryFilter(timelock.filters.ChangeProposed(), fromBlock)) {
+      const change = await timelock.getChange(log.args.changeId);
+      if (change.status === CHANGE_QUEUED) pendingChanges.add(change.data.toLowerCase());
+    }
+  }
+
+  function push(contract, target, abi, method, args, description, list = plan.actions) {
+    const data = new ethers.Interface(abi).encodeFunctionData(method, args);
+    list.push({ contract, to: target, method, args, data, description, via: "direct" });
+  }
+
+  // Policy Manager 的變更：有 timelock 時改為 propose
+  function pushManager(method, args, description) {
+    if (!timelock) {
+      push("policyManager", policy.contracts.policyManager, MANAGER_ABI, method, args, description);
+      return;
+    }
+    const inner = manager.interface.encodeFunctionData(method, args);
+    if (pendingChanges.has(inner.toLowerCase())) {
+      plan.queued.push(description);
+      return;
+    }
+    plan.actions.push({
+      contract: "timelock",
+      to: policy.contracts.timelock,
+      method: "propose",
+      args: [inner, effectiveAt],
+      data: timelock.interface.encodeFunctionData("propose", [inner, effectiveAt]),
+      description: `${description} (effective ${new Date(effectiveAt * 1000).toISOString()})`,
+      via: "timelock",
+    });
+  }
+
+  // ── 規則集 ──
+  for (const rule of policy.rules) {
+    const current = await manager.ruleSets(rule.id);
+    if (current.executorAddress === ethers.ZeroAddress) {
+      pushManager(
+        "registerRuleSet",
+        [rule.id, rule.type, rule.onChain, rule.address, rule.priority],
+        `register rule set ${rule.name} (${rule.type}, priority ${rule.priority})`,
+      );
+      if (!rule.active) pushManager("setRuleSetActive", [rule.id, false], `deactivate rule set ${rule.name}`);
+      continue;
+    }
+
+    const drift = [];
+    const currentType = ethers.decodeBytes32String(current.ruleType);
+    if (currentType !== rule.type) drift.push(`type ${currentType} → ${rule.type}`);
+    if (current.isOnChain !== rule.onChain) drift.push(`onChain ${current.isOnChain} → ${rule.onChain}`);
+    if (current.executorAddress !== rule.address) drift.push(`address ${current.executorAddress} → ${rule.address}`);
+    if (current.priority !== rule.priority) drift.push(`priority ${current.priority} → ${rule.priority}`);
+    if (drift.length > 0) {
+      plan.conflicts.push(
+        `rule set ${rule.name} is registered with different settings (${drift.join(", ")}); register it under a new id`,
+      );
+    }
+    if (current.isActive !== rule.active) {
+      pushManager(
+        "setRuleSetActive",
+        [rule.id, rule.active],
+        `${rule.active ? "activate" : "deactivate"} rule set ${rule.name}`,
+      );
+    }
+  }
+
+  const declared = new Set(policy.rules.map((rule) => rule.id));
+  const activeCount = await manager.getActiveRuleSetCount();
+  for (let i = 0n; i < activeCount; i++) {
+    const id = await manager.activeRuleSets(i);
+    if (!declared.has(id.toLowerCase())) {
+      const { ruleType } = await manager.ruleSets(id);
+      plan.unmanaged.push(`rule set ${id} (${ethers.decodeBytes32String(ruleType)})`);
+    }
+  }
+
+  // ── 管轄區 ──
+  for (const jurisdiction of policy.jurisdictions) {
+    const count = await manager.getJurisdictionRuleCount(jurisdiction.id);
+    const rules = [];
+    for (let i = 0n; i < count; i++) rules.push((await manager.jurisdictionRules(jurisdiction.id, i)).toLowerCase());
+    let enabled = await manager.jurisdictionEnabled(jurisdiction.id);
+
+    if (rules.join(",") !== jurisdiction.rules.join(",")) {
+      pushManager(
+        "setJurisdictionRules",
+        [jurisdiction.id, jurisdiction.rules],
+        `set ${jurisdiction.code} rules (${jurisdiction.rules.length})`,
+      );
+      // setJurisdictionRules 同時啟用管轄區
+      enabled = true;
+    }
+    if (enabled !== jurisdiction.enabled) {
+      pushManager(
+        "setJurisdictionEnabled",
+        [jurisdiction.id, jurisdiction.enabled],
+        `${jurisdiction.enabled ? "enable" : "disable"} jurisdiction ${jurisdiction.code}`,
+      );
+    }
+  }
+
+  // ── 規則參數與白名單 ──
+  for (const rule of policy.rules) {
+    for (const param of rule.params) {
+      const type = typeof param.value === "boolean" ? "bool" : "uint256";
+      const getter = PARAM_GETTERS[param.name] || param.name;
+      const setter = `set${capitalize(param.name)}`;
+      const abi = [`function ${getter}() view returns (${type})`, `function ${setter}(${type})`];
+      const current = await new ethers.Contract(rule.address, abi, provider)[getter]();
+      if (current !== param.value) {
+        push(rule.name, rule.address, abi, setter, [param.value], `${rule.name}.${setter}(${param.value})`);
+      }
+    }
+
+    if (rule.whitelist) {
+      const whitelist = new ethers.Contract(rule.address, WHITELIST_ABI, provider);
+      const current = await whitelist.getWhitelistedAddresses(0, await whitelist.getWhitelistCount());
+      const wanted = new Set(rule.whitelist.map((entry) => entry.address));
+      for (const entry of rule.whitelist) {
+        if (current.includes(entry.address)) continue;
+        push(
+          rule.name,
+          rule.address,
+          WHITELIST_ABI,
+          "addToWhitelist",
+          [entry.address, entry.name, entry.category],
+          `${rule.name}: whitelist ${entry.address} (${entry.name})`,
+        );
+      }
+      for (const address of current) {
+        if (wanted.has(address)) continue;
+        push(rule.name, rule.address, WHITELIST_ABI, "removeFromWhitelist", [address], `${rule.name}: remove ${address}`);
+      }
+    }
+  }
+
+  // ── FX ──
+  if (policy.fx) {
+    const target = policy.contracts.wrapper;
+    const wrapper = new ethers.Contract(target, WRAPPER_ABI, provider);
+    if (policy.fx.rateProvider && (await wrapper.fxRateProvider()) !== policy.fx.rateProvider) {
+      push("wrapper", target, WRAPPER_ABI, "setFXRateProvider", [policy.fx.rateProvider], `set FX rate provider ${policy.fx.rateProvider}`);
+    }
+    for (const { asset, code, currency } of policy.fx.currencies) {
+      if ((await wrapper.assetCurrency(asset)).toLowerCase() === currency) continue;
+      push("wrapper", target, WRAPPER_ABI, "setAssetCurrency", [asset, currency], `set currency of ${asset} to ${code}`);
+    }
+    if (policy.fx.enabled !== null && (await wrapper.fxEnabled()) !== policy.fx.enabled) {
+      push("wrapper", target, WRAPPER_ABI, "setFXEnabled", [policy.fx.enabled], `${policy.fx.enabled ? "enable" : "disable"} FX conversion`);
+    }
+  }
+
+  // ── 角色：授予先於撤銷，撤銷排在整個計畫最後 ──
+  for (const { alias, target, role, roleId, members } of policy.roles) {
+    const contract = new ethers.Contract(target, ACCESS_CONTROL_ABI, provider);
+    const current = await roleMembers(contract, roleId, fromBlock);
+    for (const member of members) {
+      if (await contract.hasRole(roleId, member)) continue;
+      push(alias, target, ACCESS_CONTROL_ABI, "grantRole", [roleId, member], `${alias}: grant ${role} to ${member}`, grants);
+    }
+    for (const member of current) {
+      if (members.includes(member)) continue;
+      push(alias, target, ACCESS_CONTROL_ABI, "revokeRole", [roleId, member], `${alias}: revoke ${role} from ${member}`, revokes);
+    }
+  }
+  plan.actions.push(...grants, ...revokes);
+
+  return plan;
+}
+
+/**
+ * 依序送出計畫中的交易；任一筆失敗即停止並丟錯（已送出的交易不回滾）
+ *
+ * @param {{ actions: object[] }} plan planPolicy 的結果
+ * @param {ethers.Signer} signer 須持有各合約對應的管理角色（有 timelock 時為 PROPOSER_ROLE）
+ * @param {object} [options]
+ * @param {(action: object, receipt: object) => void} [options.onApplied] 每筆交易確認後呼叫
+ * @returns {Promise<object[]>} 交易收據
+ */
+async function applyPlan(plan, signer, options = {}) {
+  const receipts = [];
+  for (const action of plan.actions) {
+    let receipt;
+    try {
+      receipt = await (await signer.sendTransaction({ to: action.to, data: action.data })).wait();
+    } catch (err) {
+      throw new Error(`policy: ${action.description} failed: ${err.shortMessage || err.message}`);
+    }
+    receipts.push(receipt);
+    if (options.onApplied) options.onApplied(action, receipt);
+  }
+  return receipts;
+}
+
+/**
+ * 計畫的文字輸出（dry-run / plan）
+ */
+function formatPlan(plan) {
+  const lines = [];
+  if (plan.actions.length === 0) lines.push("No changes. On-chain configuration matches the policy.");
+  plan.actions.forEach((action, i) => {
+    const via = action.via === "timelock" ? " [timelock]" : "";
+    lines.push(`${String(i + 1).padStart(3)}. ${action.description}${via}`);
+    lines.push(`     ${action.contract}.${action.method} → ${action.to}`);
+  });
+  for (const item of plan.queued) lines.push(`  queued: ${item}`);
+  for (const item of plan.unmanaged) lines.push(`  unmanaged: ${item}`);
+  for (const item of plan.conflicts) lines.push(`  CONFLICT: ${item}`);
+  return lines.join("\n");
+}
+
+module.exports = {
+  applyPlan,
+  formatPlan,
+  loadPolicy,
+  normalizePolicy,
+  planPolicy,
+};
+
+if (require.main === module) {
+  const env = process.env;
+  const [command, file, ...flags] = process.argv.slice(2);
+  const outIndex = flags.indexOf("--out");
+  const devMode = env.POLICY_DEV_MODE === "1";
+
+  if (!["plan", "apply"].includes(command) || !file) {
+    console.error("usage: node scripts/policy-as-code.js plan|apply <policy.yaml|json> [--dry-run] [--out plan.json]");
+    process.exit(2);
+  }
+
+  async function main() {
+    const provider = new ethers.JsonRpcProvider(env.RPC_URL || "http://127.0.0.1:8545");
+    const policy = loadPolicy(file);
+    const plan = await planPolicy({ provider, policy, fromBlock: Number(env.POLICY_FROM_BLOCK || 0) });
+    console.log(formatPlan(plan));
+
+    if (outIndex >= 0) {
+      const out = flags[outIndex + 1];
+      const { chainId } = await provider.getNetwork();
+      const transactions = plan.actions.map(({ to, data, description }) => ({ to, data, description }));
+      fs.writeFileSync(out, JSON.stringify({ chainId: chainId.toString(), transactions }, null, 2));
+      console.log(`[policy] wrote ${transactions.length} transactions to ${out}`);
+    }
+
+    if (plan.conflicts.length > 0) {
+      throw new Error(`${plan.conflicts.length} conflict(s) must be resolved in the policy file`);
+    }
+    if (command !== "apply" || flags.includes("--dry-run") || plan.actions.length === 0) return;
+
+    const signer = (await signerFromEnv(env, { prefix: "POLICY", devMode, remote: false })).connect(provider);
+    if (isDevAddress(signer.address) && !devMode) {
+      throw new Error("refusing to apply with a development key outside dev mode");
+    }
+    await applyPlan(plan, signer, {
+      onApplied: (action, receipt) => console.log(`[policy] ✓ ${action.description} (${receipt.hash})`),
+    });
+    console.log(`[policy] applied ${plan.actions.length} transactions`);
+  }
+
+  main().catch((err) => {
+    console.error(`[policy] ${err.message}`);
+    process.exit(1);
+  });
+}
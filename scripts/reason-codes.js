@@ -0,0 +1,294 @@
+/**
+ * Reason Codes — 合規裁決數字原因碼的中英文對照與解碼
+ *
+ * 與 contracts/libraries/ReasonCodes.sol 保持一致：
+ *   1xxx 身份 / 管轄區、2xxx 規則引擎、3xxx 白名單、4xxx 外匯、5xxx AML、6xxx 抵押品 / 現金、7xxx 緊急熔斷、
+ *   9999 未登記的原因（第三方規則、鏈下裁決的自由文字；以 GL1PolicyManager.setReasonCode 登記）
+ *
+ * 可解碼：
+ *   - PBMToken 的 ComplianceCheckFailed(from, to, tokenId, amount, ruleSetId, reasonCode) revert
+ *   - GL1PolicyManager 的 ComplianceDecision 決策紀錄（套用的規則、擋下的規則集與原因碼）
+ *
+ * 用法：
+ *   node scripts/reason-codes.js                 列出所有原因碼
+ *   node scripts/reason-codes.js 4001            查詢原因碼
+ *   node scripts/reason-codes.js 0x<revert data> 解碼 ComplianceCheckFailed
+ */
+
+const { ethers } = require("ethers");
+
+// 身份驗證未通過、轉帳熔斷時 ruleSetId 為這兩個值（不是已註冊的規則集）
+const IDENTITY_CHECK = ethers.id("IDENTITY_CHECK");
+const CIRCUIT_BREAKER = ethers.id("CIRCUIT_BREAKER");
+
+// code → { name, reason（鏈上原因字串）, zh, en }
+const REASON_CODES = {
+  0: { name: "NONE", reason: "", zh: "通過", en: "Passed" },
+  1001: {
+    name: "JURISDICTION_NOT_ENABLED",
+    reason: "Jurisdiction not enabled",
+    zh: "管轄區未啟用",
+    en: "Jurisdiction not enabled",
+  },
+  1002: {
+    name: "SENDER_IDENTITY_FAILED",
+    reason: "Sender identity verification failed",
+    zh: "發送方身份驗證未通過",
+    en: "Sender identity verification failed",
+  },
+  1003: {
+    name: "RECIPIENT_IDENTITY_FAILED",
+    reason: "Recipient identity verification failed",
+    zh: "接收方身份驗證未通過",
+    en: "Recipient identity verification failed",
+  },
+  1004: {
+    name: "SANCTIONED_ADDRESS",
+    reason: "Address on sanctions list",
+    zh: "地址在制裁名單上",
+    en: "Address is on a sanctions list",
+  },
+  2001: {
+    name: "RULE_EXECUTION_FAILED",
+    reason: "Rule execution failed",
+    zh: "規則合約執行失敗",
+    en: "Rule contract call failed",
+  },
+  2002: {
+    name: "OFFCHAIN_VERDICT_REQUIRED",
+    reason: "Off-chain verdict required",
+    zh: "須等待鏈下規則裁決",
+    en: "Off-chain rule verdict required",
+  },
+  2003: {
+    name: "NEGATED_GROUP_PASSED",
+    reason: "Negated rule group passed",
+    zh: "NOT 群組內的規則皆通過",
+    en: "Negated rule group passed",
+  },
+  2004: {
+    name: "OFFCHAIN_VERDICT_TIMEOUT",
+    reason: "Off-chain verdict timeout",
+    zh: "鏈下規則裁決逾時",
+    en: "Off-chain verdict timed out",
+  },
+  3001: {
+    name: "RECIPIENT_NOT_WHITELISTED",
+    reason: "Recipient not in whitelist",
+    zh: "收款方不在商家白名單",
+    en: "Recipient is not a whitelisted merchant",
+  },
+  3002: {
+    name: "MERCHANT_DEACTIVATED",
+    reason: "Merchant is deactivated",
+    zh: "商家已停用",
+    en: "Merchant is deactivated",
+  },
+  4001: {
+    name: "FX_LIMIT_EXCEEDED",
+    reason: "FX_LIMIT_EXCEEDED",
+    zh: "超過每日外匯額度",
+    en: "Daily FX limit exceeded",
+  },
+  5001: {
+    name: "AML_REVIEW_REQUIRED",
+    reason: "AML_REVIEW_REQUIRED",
+    zh: "金額達 AML 門檻，須人工審查",
+    en: "Amount requires AML review",
+  },
+  6001: {
+    name: "COLLATERAL_NOT_ALLOWED",
+    reason: "Collateral asset not allowed",
+    zh: "抵押品資產不在允許清單",
+    en: "Collateral asset not allowed",
+  },
+  6002: {
+    name: "COLLATERAL_PRICE_NOT_SET",
+    reason: "Collateral price not set",
+    zh: "抵押品未設定價格",
+    en: "Collateral price not set",
+  },
+  6003: {
+    name: "INSUFFICIENT_COLLATERAL",
+    reason: "Insufficient collateral value",
+    zh: "抵押品價值不足",
+    en: "Insufficient collateral value",
+  },
+  6004: {
+    name: "LOAN_OBLIGATION_NOT_SET",
+    reason: "Loan obligation not set",
+    zh: "借款人未登記貸款義務",
+    en: "Borrower has no registered loan obligation",
+  },
+  6101: {
+    name: "CASH_ASSET_NOT_ALLOWED",
+    reason: "Cash asset not allowed",
+    zh: "現金資產不在允許清單",
+    en: "Cash asset not allowed",
+  },
+  6102: {
+    name: "INSUFFICIENT_CASH",
+    reason: "Insufficient cash balance",
+    zh: "現金餘額不足",
+    en: "Insufficient cash balance",
+  },
+  6103: {
+    name: "CASH_OBLIGATION_NOT_SET",
+    reason: "Cash obligation not set",
+    zh: "貸款人未登記應備現金",
+    en: "Lender has no registered cash obligation",
+  },
+  7001: {
+    name: "TRANSFER_HALTED",
+    reason: "Transfers halted",
+    zh: "監理機關已暫停此管轄區或此 PBM 的轉帳",
+    en: "Transfers halted by the regulator's circuit breaker",
+  },
+  9999: {
+    name: "UNKNOWN",
+    reason: null,
+    zh: "未登記的原因",
+    en: "Unregistered reason",
+  },
+};
+
+const ERRORS_ABI = [
+  "error ComplianceCheckFailed(address from, address to, uint256 tokenId, uint256 amount, bytes32 ruleSetId, uint16 reasonCode)",
+  "event ComplianceDecision(address indexed from, address indexed to, uint256 indexed tokenId, bool passed, bytes32 blockedBy, uint256 appliedRules, bytes32 blockingRuleSetId, uint16 reasonCode)",
+];
+
+const iface = new ethers.Interface(ERRORS_ABI);
+
+/**
+ * 原因碼的說明：{ code, name, zh, en }；表中沒有的代碼視為 UNKNOWN（保留原代碼）
+ */
+function describeReasonCode(code) {
+  const numeric = Number(code);
+  const entry = REASON_CODES[numeric] || REASON_CODES[9999];
+  return { code: numeric, name: entry.name, zh: entry.zh, en: entry.en };
+}
+
+/**
+ * 原因碼的訊息
+ * @param lang "zh"（預設）或 "en"
+ */
+function reasonMessage(code, lang = "zh") {
+  const description = describeReasonCode(code);
+  return lang === "en" ? description.en : description.zh;
+}
+
+/**
+ * 與 GL1PolicyManager.reasonCodeOf 的預設登記相同：空字串為 0，表中沒有的原因為 9999
+ */
+function reasonCodeOf(reason) {
+  if (!reason) return 0;
+  for (const [code, entry] of Object.entries(REASON_CODES)) {
+    if (entry.reason === reason) return Number(code);
+  }
+  return 9999;
+}
+
+/**
+ * 規則集 ID 的顯示名稱：身份驗證為 IDENTITY_CHECK、熔斷為 CIRCUIT_BREAKER，否則查 names（ruleSetId → 名稱）
+ */
+function ruleLabel(ruleSetId, names = {}) {
+  if (ruleSetId === IDENTITY_CHECK) return "IDENTITY_CHECK";
+  if (ruleSetId === CIRCUIT_BREAKER) return "CIRCUIT_BREAKER";
+  if (ruleSetId === ethers.ZeroHash) return null;
+  return names[ruleSetId] || ruleSetId;
+}
+
+/**
+ * 解碼 PBMToken 的 revert data
+ * @param data revert data（hex），或帶 data / error.data 的 ethers 錯誤
+ * @param names 選用，ruleSetId → 規則名稱
+ * @returns ComplianceCheckFailed 的欄位與中英文訊息；不是合規錯誤時為 null
+ */
+function decodeComplianceError(data, names = {}) {
+  const hex = typeof data === "string" ? data : data?.data || data?.error?.data;
+  if (!hex) return null;
+
+  let parsed;
+  try {
+    parsed = iface.parseError(hex);
+  } catch {
+    return null;
+  }
+  if (!parsed || parsed.name !== "ComplianceCheckFailed") return null;
+
+  const { from, to, tokenId, amount, ruleSetId, reasonCode } = parsed.args;
+  return {
+    from,
+    to,
+    tokenId,
+    amount,
+    ruleSetId,
+    rule: ruleLabel(ruleSetId, names),
+    ...describeReasonCode(reasonCode),
+  };
+}
+
+/**
+ * 解碼 ComplianceDecision 決策紀錄
+ * @param log 交易收據中的 log（topics / data）
+ * @param names 選用，ruleSetId → 規則名稱
+ * @returns { from, to, tokenId, passed, blockedBy, appliedRules, blockingRuleSetId, rule, code, name, zh, en }；
+ *          不是決策紀錄時為 null。appliedRules 以 GL1PolicyManager.appliedRuleTypes 轉為名稱，
+ *          每條規則的裁決以 previewTransfer 重現
+ */
+function decodeComplianceDecision(log, names = {}) {
+  let parsed;
+  try {
+    parsed = iface.parseLog(log);
+  } catch {
+    return null;
+  }
+  if (!parsed || parsed.name !== "ComplianceDecision") return null;
+
+  const { from, to, tokenId, passed, blockedBy, appliedRules, blockingRuleSetId, reasonCode } = parsed.args;
+  return {
+    from,
+    to,
+    tokenId,
+    passed,
+    blockedBy: blockedBy === ethers.ZeroHash ? null : ethers.decodeBytes32String(blockedBy),
+    appliedRules,
+    blockingRuleSetId,
+    rule: ruleLabel(blockingRuleSetId, names),
+    ...describeReasonCode(reasonCode),
+  };
+}
+
+module.exports = {
+  CIRCUIT_BREAKER,
+  IDENTITY_CHECK,
+  REASON_CODES,
+  decodeComplianceDecision,
+  decodeComplianceError,
+  describeReasonCode,
+  reasonCodeOf,
+  reasonMessage,
+};
+
+if (require.main === module) {
+  const [arg] = process.argv.slice(2);
+
+  if (!arg) {
+    for (const code of Object.keys(REASON_CODES)) {
+      const { name, zh, en } = describeReasonCode(code);
+      console.log(`${code.padStart(4)}  ${name.padEnd(26)} ${zh} / ${en}`);
+    }
+  } else if (/^\d+$/.test(arg)) {
+    const { code, name, zh, en } = describeReasonCode(arg);
+    console.log(`${code} ${name}: ${zh} / ${en}`);
+  } else {
+    const decoded = decodeComplianceError(arg);
+    if (!decoded) {
+      console.error("[reason-codes] not a ComplianceCheckFailed revert");
+      process.exit(1);
+    }
+    console.log(`[reason-codes] ${decoded.from} → ${decoded.to} tokenId ${decoded.tokenId} amount ${decoded.amount}`);
+    console.log(`[reason-codes] rule ${decoded.rule || "-"}: ${decoded.code} ${decoded.name}`);
+    console.log(`[reason-codes] ${decoded.zh} / ${decoded.en}`);
+  }
+}
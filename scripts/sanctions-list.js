@@ -0,0 +1,351 @@
+/**
+ * Sanctions List — compliance gateway 使用的制裁 / AML 名單
+ *
+ * 支援格式（依副檔名判斷，或以 { path, format } 指定）：
+ *   - CSV  ：有表頭時取 address / name / dob（或 date_of_birth）/ country 欄位；
+ *            無表頭時取每列第一個地址
+ *   - JSON ：["0x…", …]、[{ address, name, dob, country }, …] 或 { addresses: [...] } / { entries: [...] }
+ *   - XML  ：OFAC SDN 匯出格式，取 <idType>Digital Currency Address - …</idType> 的 <idNumber>，
+ *            以及姓名、<dateOfBirth>、國籍 / 地址國別
+ *
+ * 有地址的條目進入地址索引；有姓名的條目（不論有無地址）供 name-screening.js 做姓名比對。
+ *
+ * 地址一律正規化為小寫（checksum 錯誤的混合大小寫地址也接受），建立 Map 索引查詢。
+ * 檔案變更時重新載入：新索引建好後才整批替換，進行中的請求仍使用舊索引完成比對；
+ * 解析失敗時保留舊名單。
+ *
+ * mode: "linear" 保留原本 lookupAML 的全表掃描，用於重現 M5/M6 延遲數據。
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const ADDRESS_PATTERN = /^0x[0-9a-f]{40}$/;
+
+/**
+ * 正規化為小寫地址；不驗 checksum（名單來源常有大小寫不一致），格式不符回傳 null
+ */
+function normalizeAddress(value) {
+  if (typeof value !== "string") return null;
+  const lower = value.trim().toLowerCase();
+  return ADDRESS_PATTERN.test(lower) ? lower : null;
+}
+
+/**
+ * 拆解單行 CSV（支援雙引號與 "" 跳脫）
+ */
+function splitCSVLine(line) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      cells.push(cell.trim());
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+/**
+ * @returns {{ address: string|null, name: string|null, dob: string|null, country: string|null }[]}
+ */
+function parseCSV(text) {
+  const rows = text
+    .split(/\r?\n/)
+    .filter((line) => line.trim() !== "" && !line.startsWith("#"))
+    .map(splitCSVLine);
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map((h) => h.toLowerCase());
+  const col = (...names) => header.findIndex((h) => names.includes(h));
+  const addressCol = col("address");
+  const nameCol = col("name");
+  const dobCol = col("dob", "date_of_birth");
+  const countryCol = col("country");
+  const hasHeader = addressCol >= 0 || nameCol >= 0;
+  const cell = (row, i) => (i >= 0 && row[i] ? row[i] : null);
+
+  const entries = [];
+  for (const row of hasHeader ? rows.slice(1) : rows) {
+    let address = null;
+    if (hasHeader) {
+      address = normalizeAddress(cell(row, addressCol));
+    } else {
+      for (const value of row) {
+        address = normalizeAddress(value);
+        if (address) break;
+      }
+    }
+    const name = cell(row, nameCol);
+    if (address || name) {
+      entries.push({ address, name, dob: cell(row, dobCol), country: cell(row, countryCol) });
+    }
+  }
+  return entries;
+}
+
+function parseJSON(text) {
+  const data = JSON.parse(text);
+  const items = Array.isArray(data) ? data : data.entries || data.addresses || [];
+
+  const entries = [];
+  for (const item of items) {
+    if (typeof item === "string") {
+      const address = normalizeAddress(item);
+      if (address) entries.push({ address, name: null, dob: null, country: null });
+      continue;
+    }
+    const address = normalizeAddress(item.address);
+    if (address || item.name) {
+      entries.push({
+        address,
+        name: item.name || null,
+        dob: item.dob || null,
+        country: item.country || null,
+      });
+    }
+  }
+  return entries;
+}
+
+function xmlText(block, tag) {
+  const match = block.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * 解析 OFAC SDN XML（sdnEntry → idList → id）
+ */
+function parseOFACXML(text) {
+  const entries = [];
+  for (const [sdn] of text.matchAll(/<sdnEntry>[\s\S]*?<\/sdnEntry>/g)) {
+    const name =
+      [xmlText(sdn, "firstName"), xmlText(sdn, "lastName")]
+        .filter(Boolean)
+        .join(" ") || null;
+    const dob = xmlText(sdn, "dateOfBirth");
+    const country = xmlText(sdn, "country");
+
+    const addresses = [];
+    for (const [id] of sdn.matchAll(/<id>[\s\S]*?<\/id>/g)) {
+      const idType = xmlText(id, "idType") || "";
+      if (!idType.startsWith("Digital Currency Address")) continue;
+      const address = normalizeAddress(xmlText(id, "idNumber"));
+      if (address) addresses.push(address);
+    }
+
+    if (addresses.length === 0 && name) {
+      entries.push({ address: null, name, dob, country });
+    }
+    for (const address of addresses) {
+      entries.push({ address, name, dob, country });
+    }
+  }
+  return entries;
+}
+
+const PARSERS = {
+  csv: parseCSV,
+  json: parseJSON,
+  xml: parseOFACXML,
+};
+
+function resolveSource(source) {
+  const spec = typeof source === "string" ? { path: source } : source;
+  const format = (spec.format || path.extname(spec.path).slice(1)).toLowerCase();
+  if (!PARSERS[format]) {
+    throw new Error(`unsupported sanctions list format: ${spec.path}`);
+  }
+  return { path: spec.path, format };
+}
+
+/**
+ * 建立名單
+ *
+ * @param {object} [options]
+ * @param {(string|{path: string, format: string})[]} [options.files] 名單檔案
+ * @param {Iterable<string>} [options.addresses] 額外地址（例如 generateAMLList 的模擬名單）
+ * @param {"indexed"|"linear"} [options.mode] 查詢方式，預設 indexed
+ * @param {boolean} [options.watch] 檔案變更時自動重新載入
+ * @param {number} [options.interval] 檔案輪詢間隔（毫秒），預設 1000
+ * @param {(err: Error|null, list: object) => void} [options.onReload] 每次重新載入後呼叫
+ */
+function createSanctionsList(options = {}) {
+  const sources = (options.files || []).map(resolveSource);
+  const extra = options.addresses || [];
+  const mode = options.mode || "indexed";
+  if (mode !== "indexed" && mode !== "linear") {
+    throw new Error(`unknown lookup mode: ${mode}`);
+  }
+
+  // 目前生效的快照（address → name|null，persons 為有姓名的條目）；reload 成功時整個替換
+  let current = { index: new Map(), persons: [], version: 0, loadedAt: null };
+  let pending = Promise.resolve();
+  let timer = null;
+
+  // 每個檔案上次載入時的 mtime/size；輪詢時與此比較，載入與開始監看之間的變更也不會漏掉
+  let stamps = [];
+
+  function stamp(stat) {
+    return `${stat.mtimeMs}:${stat.size}`;
+  }
+
+  function build(texts) {
+    const index = new Map();
+    const persons = [];
+    for (const value of extra) {
+      const address = normalizeAddress(value);
+      if (address) index.set(address, null);
+    }
+    sources.forEach((source, i) => {
+      for (const entry of PARSERS[source.format](texts[i])) {
+        if (entry.address && !index.get(entry.address)) index.set(entry.address, entry.name);
+        if (entry.name) persons.push(entry);
+      }
+    });
+    current = { index, persons, version: current.version + 1, loadedAt: Date.now() };
+  }
+
+  function loadSync() {
+    stamps = sources.map((source) => stamp(fs.statSync(source.path)));
+    build(sources.map((source) => fs.readFileSync(source.path, "utf8")));
+  }
+
+  async function load() {
+    const stats = await Promise.all(sources.map((source) => fs.promises.stat(source.path)));
+    stamps = stats.map(stamp);
+    build(
+      await Promise.all(sources.map((source) => fs.promises.readFile(source.path, "utf8"))),
+    );
+  }
+
+  async function changed() {
+    const stats = await Promise.all(sources.map((source) => fs.promises.stat(source.path)));
+    return stats.some((stat, i) => stamp(stat) !== stamps[i]);
+  }
+
+  const list = {
+    mode,
+
+    /**
+     * 是否命中名單（輸入地址大小寫不拘）
+     */
+    has(address) {
+      const target = normalizeAddress(address);
+      if (!target) return false;
+      const { index } = current;
+      if (mode === "indexed") return index.has(target);
+
+      let found = false;
+      for (const key of index.keys()) {
+        if (key === target) {
+          found = true;
+          // 不 break — 維持與 lookupAML 相同的 worst-case 掃描成本
+        }
+      }
+      return found;
+    },
+
+    /**
+     * 取得命中條目 { address, name }，未命中回傳 null
+     */
+    get(address) {
+      const target = normalizeAddress(address);
+      if (!target || !current.index.has(target)) return null;
+      return { address: target, name: current.index.get(target) };
+    },
+
+    get size() {
+      return current.index.size;
+    },
+
+    *entries() {
+      for (const [address, name] of current.index) yield { address, name };
+    },
+
+    /**
+     * 有姓名的條目 { address, name, dob, country }（含無地址者），供姓名比對
+     */
+    persons() {
+      return current.persons;
+    },
+
+    stats() {
+      return {
+        mode,
+        size: current.index.size,
+        version: current.version,
+        loadedAt: current.loadedAt,
+        files: sources.map((s) => s.path),
+      };
+    },
+
+    /**
+     * 重新載入所有檔案；同一時間只會有一個 reload 在跑
+     */
+    reload() {
+      pending = pending.then(async () => {
+        try {
+          await load();
+          if (options.onReload) options.onReload(null, list);
+        } catch (err) {
+          if (options.onReload) options.onReload(err, list);
+          throw err;
+        }
+      });
+      const result = pending;
+      pending = pending.catch(() => {});
+      return result;
+    },
+
+    close() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+  };
+
+  loadSync();
+
+  if (options.watch && sources.length > 0) {
+    let polling = false;
+    timer = setInterval(async () => {
+      if (polling) return;
+      polling = true;
+      try {
+        // 解析失敗保留舊名單，錯誤交給 onReload
+        if (await changed()) await list.reload();
+      } catch (err) {
+        // 檔案暫時不存在（例如編輯器以 rename 方式存檔）時等下一輪
+      } finally {
+        polling = false;
+      }
+    }, options.interval || 1000);
+    timer.unref();
+  }
+
+  return list;
+}
+
+module.exports = {
+  createSanctionsList,
+  normalizeAddress,
+  parseCSV,
+  parseJSON,
+  parseOFACXML,
+};
@@ -0,0 +1,327 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { CIRCUIT_BREAKER } = require("../scripts/reason-codes");
+const {
+  getPolicyManagerFactory,
+  getPolicyWrapperFactory,
+} = require("../scripts/libraries");
+
+describe("Circuit Breaker（緊急熔斷）", function () {
+  let circuitBreaker;
+  let policyWrapper;
+  let pbmToken;
+  let mockTWD;
+  let mockCNY;
+  let mockSGD;
+
+  let owner;
+  let tourist;
+  let merchant;
+  let outsider;
+  let snapshot;
+
+  const JURISDICTION_SG = ethers.encodeBytes32String("SG");
+  const SGD = ethers.keccak256(ethers.toUtf8Bytes("SGD"));
+  const TWD = ethers.keccak256(ethers.toUtf8Bytes("TWD"));
+  const CNY = ethers.keccak256(ethers.toUtf8Bytes("CNY"));
+
+  // ICircuitBreaker.Operation 的位元遮罩
+  const WRAP = 1 << 0;
+  const UNWRAP = 1 << 1;
+  const TRANSFER = 1 << 2;
+  const FX_PAYMENT = 1 << 3;
+  const SETTLEMENT = 1 << 4;
+
+  const emptyProof = {
+    proofType: ethers.encodeBytes32String("KYC"),
+    credentialHash: ethers.keccak256(ethers.toUtf8Bytes("credential")),
+    issuedAt: Math.floor(Date.now() / 1000) - 3600,
+    expiresAt: Math.floor(Date.now() / 1000) + 86400,
+    issuer: ethers.ZeroAddress,
+    subject: ethers.ZeroAddress,
+    counterparty: ethers.ZeroAddress,
+    tokenId: 0,
+    maxAmount: 0,
+    maxUses: 0,
+    amountBudget: 0,
+    signature: "0x",
+  };
+
+  async function wrapTWD(amount) {
+    await mockTWD.connect(tourist).approve(await policyWrapper.getAddress(), amount);
+    await policyWrapper
+      .connect(tourist)
+      .wrap(0, await mockTWD.getAddress(), 0, amount, emptyProof);
+    return policyWrapper.computePBMTokenId(0, await mockTWD.getAddress(), 0);
+  }
+
+  // 每個測試都重新部署整組合約、自動熔斷測試會推進時間；結束後還原，避免鏈上時間領先之後的測試
+  before(async function () {
+    snapshot = await ethers.provider.send("evm_snapshot", []);
+  });
+
+  after(async function () {
+    await ethers.provider.send("evm_revert", [snapshot]);
+  });
+
+  beforeEach(async function () {
+    [owner, tourist, merchant, outsider] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockTWD = await MockERC20.deploy("Mock TWDT", "MTWDT");
+    mockCNY = await MockERC20.deploy("Mock CNYT", "MCNYT");
+    mockSGD = await MockERC20.deploy("Mock XSGD", "MXSGD");
+    const MockFXRateProvider = await ethers.getContractFactory("MockFXRateProvider");
+    const mockFXProvider = await MockFXRateProvider.deploy();
+    await Promise.all(
+      [mockTWD, mockCNY, mockSGD, mockFXProvider].map((contract) => contract.waitForDeployment()),
+    );
+
+    const CCIDRegistry = await ethers.getContractFactory("CCIDRegistry");
+    const ccidRegistry = await CCIDRegistry.deploy();
+    await ccidRegistry.waitForDeployment();
+
+    const GL1PolicyManager = await getPolicyManagerFactory();
+    const policyManager = await GL1PolicyManager.deploy(
+      owner.address,
+      await ccidRegistry.getAddress(),
+      owner.address,
+    );
+    await policyManager.waitForDeployment();
+
+    const PBMToken = await ethers.getContractFactory("PBMToken");
+    pbmToken = await PBMToken.deploy(owner.address);
+    await pbmToken.waitForDeployment();
+
+    const GL1PolicyWrapper = await getPolicyWrapperFactory();
+    policyWrapper = await GL1PolicyWrapper.deploy(
+      JURISDICTION_SG,
+      await policyManager.getAddress(),
+      await pbmToken.getAddress(),
+      owner.address,
+    );
+    await policyWrapper.waitForDeployment();
+    await pbmToken.updateWrapper(await policyWrapper.getAddress());
+
+    const CircuitBreaker = await ethers.getContractFactory("CircuitBreaker");
+    circuitBreaker = await CircuitBreaker.deploy();
+    await circuitBreaker.waitForDeployment();
+    await policyWrapper.setCircuitBreaker(await circuitBreaker.getAddress());
+
+    await policyWrapper.setFXRateProvider(await mockFXProvider.getAddress());
+    await policyWrapper.setFXEnabled(true);
+    await policyWrapper.setAssetCurrency(await mockTWD.getAddress(), TWD);
+    await policyWrapper.setAssetCurrency(await mockCNY.getAddress(), CNY);
+    await policyWrapper.setAssetCurrency(await mockSGD.getAddress(), SGD);
+
+    await policyWrapper.setComplianceExemption(tourist.address, true);
+    await policyWrapper.setComplianceExemption(merchant.address, true);
+
+    await mockTWD.mint(tourist.address, ethers.parseEther("100000"));
+    await mockCNY.mint(tourist.address, ethers.parseEther("10000"));
+    await mockSGD.mint(await policyWrapper.getAddress(), ethers.parseEther("10000"));
+  });
+
+  it("暫停管轄區的 wrap 時不影響 unwrap，恢復後可再 wrap；僅監理機關可操作", async function () {
+    const amount = ethers.parseEther("1000");
+    const tokenId = await wrapTWD(amount);
+
+    await expect(circuitBreaker.haltJurisdiction(JURISDICTION_SG, WRAP))
+      .to.emit(circuitBreaker, "JurisdictionHalted")
+      .withArgs(JURISDICTION_SG, WRAP, owner.address);
+    expect(await circuitBreaker.isHalted(0, JURISDICTION_SG, tokenId)).to.equal(true);
+
+    await mockTWD.connect(tourist).approve(await policyWrapper.getAddress(), amount);
+    await expect(
+      policyWrapper.connect(tourist).wrap(0, await mockTWD.getAddress(), 0, amount, emptyProof),
+    )
+      .to.be.revertedWithCustomError(circuitBreaker, "WrapHalted")
+      .withArgs(JURISDICTION_SG, tokenId);
+
+    const cnyTokenId = await policyWrapper.computePBMTokenId(0, await mockCNY.getAddress(), 0);
+    await mockCNY.connect(tourist).approve(await policyWrapper.getAddress(), amount);
+    await expect(
+      policyWrapper
+        .connect(tourist)
+        .wrapWithFXConversion(await mockCNY.getAddress(), amount, SGD, emptyProof),
+    )
+      .to.be.revertedWithCustomError(circuitBreaker, "WrapHalted")
+      .withArgs(JURISDICTION_SG, cnyTokenId);
+
+    // 其他操作照常
+    await policyWrapper.connect(tourist).unwrap(tokenId, amount / 2n, tourist.address);
+    expect(await pbmToken.balanceOf(tourist.address, tokenId)).to.equal(amount / 2n);
+
+    await expect(
+      circuitBreaker.connect(outsider).resumeJurisdiction(JURISDICTION_SG, WRAP),
+    ).to.be.revertedWithCustomError(circuitBreaker, "AccessControlUnauthorizedAccount");
+    await expect(
+      circuitBreaker.connect(outsider).haltToken(tokenId, UNWRAP),
+    ).to.be.revertedWithCustomError(circuitBreaker, "AccessControlUnauthorizedAccount");
+    await expect(circuitBreaker.haltJurisdiction(JURISDICTION_SG, 0)).to.be.revertedWith(
+      "No operations",
+    );
+
+    await circuitBreaker.resumeJurisdiction(JURISDICTION_SG, WRAP);
+    await policyWrapper.connect(tourist).wrap(0, await mockTWD.getAddress(), 0, amount, emptyProof);
+    expect(await pbmToken.balanceOf(tourist.address, tokenId)).to.equal(amount + amount / 2n);
+  });
+
+  it("暫停單一 tokenId 的轉帳：PBM 轉帳以熔斷原因碼拒絕，其他 tokenId 不受影響", async function () {
+    const amount = ethers.parseEther("1000");
+    const tokenId = await wrapTWD(amount);
+    await mockCNY.connect(tourist).approve(await policyWrapper.getAddress(), amount);
+    await policyWrapper.connect(tourist).wrap(0, await mockCNY.getAddress(), 0, amount, emptyProof);
+    const cnyTokenId = await policyWrapper.computePBMTokenId(0, await mockCNY.getAddress(), 0);
+
+    await expect(circuitBreaker.haltToken(tokenId, TRANSFER))
+      .to.emit(circuitBreaker, "TokenHalted")
+      .withArgs(tokenId, TRANSFER, owner.address);
+
+    // 豁免地址與關閉合規檢查都不能繞過熔斷
+    await expect(
+      pbmToken
+        .connect(tourist)
+        .safeTransferFrom(tourist.address, merchant.address, tokenId, 100, "0x"),
+    )
+      .to.be.revertedWithCustomError(pbmToken, "ComplianceCheckFailed")
+      .withArgs(tourist.address, merchant.address, tokenId, 100, CIRCUIT_BREAKER, 7001);
+    await policyWrapper.setComplianceEnabled(false);
+    await expect(
+      pbmToken
+        .connect(tourist)
+        .safeTransferFrom(tourist.address, merchant.address, tokenId, 100, "0x"),
+    ).to.be.revertedWithCustomError(pbmToken, "ComplianceCheckFailed");
+    expect(await pbmToken.canTransfer(tourist.address, merchant.address, tokenId, 100)).to.equal(
+      false,
+    );
+
+    await expect(
+      policyWrapper
+        .connect(tourist)
+        .safeTransferFromWithProof(tourist.address, merchant.address, tokenId, 100, emptyProof),
+    )
+      .to.be.revertedWithCustomError(circuitBreaker, "TransferHalted")
+      .withArgs(JURISDICTION_SG, tokenId);
+    await expect(
+      policyWrapper.previewTransferCompliance(tourist.address, merchant.address, tokenId, 100),
+    ).to.be.revertedWithCustomError(circuitBreaker, "TransferHalted");
+
+    await pbmToken
+      .connect(tourist)
+      .safeTransferFrom(tourist.address, merchant.address, cnyTokenId, 100, "0x");
+    expect(await pbmToken.balanceOf(merchant.address, cnyTokenId)).to.equal(100);
+
+    await expect(circuitBreaker.resumeToken(tokenId, TRANSFER))
+      .to.emit(circuitBreaker, "TokenResumed")
+      .withArgs(tokenId, TRANSFER, owner.address);
+    await pbmToken
+      .connect(tourist)
+      .safeTransferFrom(tourist.address, merchant.address, tokenId, 100, "0x");
+    expect(await pbmToken.balanceOf(merchant.address, tokenId)).to.equal(100);
+  });
+
+  it("FX 支付與結算可分別暫停", async function () {
+    const price = ethers.parseEther("100");
+    await mockTWD.connect(tourist).approve(await policyWrapper.getAddress(), ethers.parseEther("10000"));
+    const tokenId = await policyWrapper.computePBMTokenId(0, await mockTWD.getAddress(), 0);
+
+    await circuitBreaker.haltJurisdiction(JURISDICTION_SG, FX_PAYMENT);
+    await expect(
+      policyWrapper
+        .connect(tourist)
+        .payWithFXConversion(price, SGD, await mockTWD.getAddress(), merchant.address, emptyProof),
+    )
+      .to.be.revertedWithCustomError(circuitBreaker, "FXPaymentHalted")
+      .withArgs(JURISDICTION_SG, tokenId);
+
+    await circuitBreaker.resumeJurisdiction(JURISDICTION_SG, FX_PAYMENT);
+    await policyWrapper
+      .connect(tourist)
+      .payWithFXConversion(price, SGD, await mockTWD.getAddress(), merchant.address, emptyProof);
+    const received = await pbmToken.balanceOf(merchant.address, tokenId);
+    expect(received).to.be.gt(0);
+
+    await circuitBreaker.haltToken(tokenId, SETTLEMENT);
+    await expect(
+      policyWrapper
+        .connect(merchant)
+        .settleCrossBorderPayment(tokenId, received, await mockSGD.getAddress(), merchant.address),
+    )
+      .to.be.revertedWithCustomError(circuitBreaker, "SettlementHalted")
+      .withArgs(JURISDICTION_SG, tokenId);
+
+    await circuitBreaker.resumeToken(tokenId, SETTLEMENT);
+    await policyWrapper
+      .connect(merchant)
+      .settleCrossBorderPayment(tokenId, received, await mockSGD.getAddress(), merchant.address);
+    expect(await mockSGD.balanceOf(merchant.address)).to.be.gt(0);
+  });
+
+  describe("自動熔斷", function () {
+    let amlRule;
+
+    const AML_REPORT = ethers.keccak256(ethers.toUtf8Bytes("AML_REPORT"));
+    const LARGE = ethers.parseEther("1000");
+
+    beforeEach(async function () {
+      const AMLThresholdRule = await ethers.getContractFactory("AMLThresholdRule");
+      amlRule = await AMLThresholdRule.deploy();
+      await amlRule.waitForDeployment();
+      await amlRule.grantRole(await amlRule.POLICY_MANAGER_ROLE(), owner.address);
+      await amlRule.setLargeTransactionThreshold(LARGE);
+      await amlRule.setCircuitBreaker(await circuitBreaker.getAddress());
+    });
+
+    it("時間窗口內的 AML 申報達門檻時暫停管轄區，窗口過期重新計數", async function () {
+      const amlAddress = await amlRule.getAddress();
+      await circuitBreaker.grantRole(await circuitBreaker.REPORTER_ROLE(), amlAddress);
+      await expect(
+        circuitBreaker.setAutoTrip(amlAddress, AML_REPORT, JURISDICTION_SG, TRANSFER | WRAP, 3, 3600),
+      )
+        .to.emit(circuitBreaker, "AutoTripConfigured")
+        .withArgs(amlAddress, AML_REPORT, JURISDICTION_SG, TRANSFER | WRAP, 3, 3600);
+      await expect(
+        circuitBreaker.setAutoTrip(amlAddress, AML_REPORT, JURISDICTION_SG, 0, 3, 3600),
+      ).to.be.revertedWith("Invalid auto trip");
+
+      await amlRule.afterTransfer(tourist.address, merchant.address, LARGE);
+      await amlRule.afterTransfer(tourist.address, merchant.address, LARGE);
+
+      // 窗口過期：前兩筆不再計入
+      await ethers.provider.send("evm_increaseTime", [3601]);
+      await ethers.provider.send("evm_mine", []);
+      await expect(amlRule.afterTransfer(tourist.address, merchant.address, LARGE))
+        .to.emit(circuitBreaker, "IncidentRecorded")
+        .withArgs(amlAddress, AML_REPORT, 1);
+      await amlRule.afterTransfer(tourist.address, merchant.address, LARGE);
+      expect(await circuitBreaker.jurisdictionHalts(JURISDICTION_SG)).to.equal(0);
+
+      await expect(amlRule.afterTransfer(tourist.address, merchant.address, LARGE))
+        .to.emit(circuitBreaker, "AutoTripped")
+        .withArgs(amlAddress, AML_REPORT, JURISDICTION_SG, TRANSFER | WRAP, 3);
+      expect(await circuitBreaker.jurisdictionHalts(JURISDICTION_SG)).to.equal(TRANSFER | WRAP);
+      expect(await amlRule.getReportCount()).to.equal(5);
+
+      await mockTWD.connect(tourist).approve(await policyWrapper.getAddress(), LARGE);
+      await expect(
+        policyWrapper.connect(tourist).wrap(0, await mockTWD.getAddress(), 0, LARGE, emptyProof),
+      ).to.be.revertedWithCustomError(circuitBreaker, "WrapHalted");
+    });
+
+    it("回報失敗時保留申報記錄並發出 IncidentReportFailed", async function () {
+      // AML 規則沒有 REPORTER_ROLE
+      const tx = amlRule.afterTransfer(tourist.address, merchant.address, LARGE);
+      await expect(tx).to.emit(amlRule, "LargeTransactionDetected");
+      await expect(tx).to.emit(amlRule, "IncidentReportFailed");
+      expect(await amlRule.getReportCount()).to.equal(1);
+
+      // 未設定自動熔斷時只記錄事件
+      await circuitBreaker.grantRole(await circuitBreaker.REPORTER_ROLE(), await amlRule.getAddress());
+      await expect(amlRule.afterTransfer(tourist.address, merchant.address, LARGE))
+        .to.emit(circuitBreaker, "IncidentRecorded")
+        .withArgs(await amlRule.getAddress(), AML_REPORT, 0);
+      expect(await circuitBreaker.jurisdictionHalts(JURISDICTION_SG)).to.equal(0);
+    });
+  });
+});
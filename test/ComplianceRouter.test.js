@@ -0,0 +1,239 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { proofDomain, PROOF_SET_TYPES } = require("../scripts/compliance-gateway");
+const {
+  getPolicyManagerFactory,
+  getPolicyWrapperFactory,
+} = require("../scripts/libraries");
+
+describe("Compliance Router（混合合規路徑）", function () {
+  let policyManager;
+  let policyWrapper;
+  let pbmToken;
+  let router;
+  let whitelist;
+  let amlRule;
+  let pbmTokenId;
+
+  let owner;
+  let alice;
+  let merchant;
+  let stranger;
+
+  const JURISDICTION_TW = ethers.encodeBytes32String("TW");
+  const TIER_STANDARD = ethers.keccak256(ethers.toUtf8Bytes("TIER_STANDARD"));
+  const IDENTITY_HASH = ethers.keccak256(ethers.toUtf8Bytes("KYC_HASH"));
+  const RULE_WHITELIST = ethers.keccak256(ethers.toUtf8Bytes("RULE_WHITELIST"));
+  const RULE_AML = ethers.keccak256(ethers.toUtf8Bytes("RULE_AML"));
+  const RULE_OFFCHAIN = ethers.keccak256(ethers.toUtf8Bytes("RULE_OFFCHAIN"));
+
+  // IComplianceRouter.Route
+  const Route = { UNSET: 0, PROOF: 1, HYBRID: 2, ON_CHAIN: 3 };
+
+  const amount = ethers.parseEther("10");
+  let proofNonce = 0;
+
+  // 以 owner（wrapper 的 trustedSigner）簽署綁定 alice → to 的 ProofSet
+  async function transferProof(to) {
+    const now = (await ethers.provider.getBlock("latest")).timestamp;
+    const proofData = {
+      proofType: ethers.encodeBytes32String("AML"),
+      credentialHash: ethers.keccak256(ethers.toUtf8Bytes(`route-${proofNonce++}`)),
+      issuedAt: now - 60,
+      expiresAt: now + 3600,
+      issuer: owner.address,
+      subject: alice.address,
+      counterparty: to.address,
+      tokenId: pbmTokenId,
+      maxAmount: amount,
+      maxUses: 1,
+      amountBudget: 0,
+    };
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = proofDomain(chainId, await policyWrapper.getAddress());
+    const signature = await owner.signTypedData(domain, PROOF_SET_TYPES, proofData);
+    return { ...proofData, signature };
+  }
+
+  async function transferWithProof(to) {
+    return policyWrapper
+      .connect(alice)
+      .safeTransferFromWithProof(alice.address, to.address, pbmTokenId, amount, await transferProof(to));
+  }
+
+  let snapshot;
+
+  // 每個測試都重新部署整組合約；結束後還原，避免鏈上時間領先之後的測試
+  before(async function () {
+    snapshot = await ethers.provider.send("evm_snapshot", []);
+  });
+
+  after(async function () {
+    await ethers.provider.send("evm_revert", [snapshot]);
+  });
+
+  beforeEach(async function () {
+    [owner, alice, merchant, stranger] = await ethers.getSigners();
+
+    const CCIDRegistry = await ethers.getContractFactory("CCIDRegistry");
+    const ccidRegistry = await CCIDRegistry.deploy();
+    await ccidRegistry.waitForDeployment();
+    for (const account of [alice, merchant, stranger]) {
+      await ccidRegistry.registerIdentity(account.address, IDENTITY_HASH, TIER_STANDARD);
+      await ccidRegistry.approveJurisdiction(account.address, JURISDICTION_TW);
+    }
+
+    const GL1PolicyManager = await getPolicyManagerFactory();
+    policyManager = await GL1PolicyManager.deploy(
+      owner.address,
+      await ccidRegistry.getAddress(),
+      owner.address,
+    );
+    await policyManager.waitForDeployment();
+
+    const PBMToken = await ethers.getContractFactory("PBMToken");
+    pbmToken = await PBMToken.deploy(owner.address);
+    await pbmToken.waitForDeployment();
+
+    const GL1PolicyWrapper = await getPolicyWrapperFactory();
+    policyWrapper = await GL1PolicyWrapper.deploy(
+      JURISDICTION_TW,
+      await policyManager.getAddress(),
+      await pbmToken.getAddress(),
+      owner.address,
+    );
+    await policyWrapper.waitForDeployment();
+    await pbmToken.updateWrapper(await policyWrapper.getAddress());
+    await policyManager.grantRole(
+      await policyManager.TRANSFER_REPORTER_ROLE(),
+      await policyWrapper.getAddress(),
+    );
+
+    // 管轄區規則：商家白名單 + AML 累計（有 afterTransfer 記帳）
+    const WhitelistRule = await ethers.getContractFactory("WhitelistRule");
+    whitelist = await WhitelistRule.deploy();
+    await whitelist.waitForDeployment();
+    await whitelist.addToWhitelist(merchant.address, "Taipei Coffee", "F&B");
+
+    const AMLThresholdRule = await ethers.getContractFactory("AMLThresholdRule");
+    amlRule = await AMLThresholdRule.deploy();
+    await amlRule.waitForDeployment();
+    await amlRule.grantRole(await amlRule.POLICY_MANAGER_ROLE(), await policyManager.getAddress());
+
+    await policyManager.registerRuleSet(RULE_WHITELIST, "WHITELIST", true, await whitelist.getAddress(), 1);
+    await policyManager.registerRuleSet(RULE_AML, "AML", true, await amlRule.getAddress(), 2);
+    await policyManager.registerRuleSet(RULE_OFFCHAIN, "SANCTIONS", false, owner.address, 3);
+    await policyManager.setJurisdictionRules(JURISDICTION_TW, [RULE_WHITELIST, RULE_AML]);
+    await policyManager.setJurisdictionEnabled(JURISDICTION_TW, true);
+
+    const ComplianceRouter = await ethers.getContractFactory("ComplianceRouter");
+    router = await ComplianceRouter.deploy(await policyManager.getAddress());
+    await router.waitForDeployment();
+
+    // alice 暫時豁免以 wrap 取得 PBM
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const cash = await MockERC20.deploy("Cash", "CASH");
+    await cash.waitForDeployment();
+    await cash.mint(alice.address, ethers.parseEther("1000"));
+    await cash.connect(alice).approve(await policyWrapper.getAddress(), ethers.MaxUint256);
+    await policyWrapper.setComplianceExemption(alice.address, true);
+    const emptyProof = {
+      proofType: ethers.encodeBytes32String("KYC"),
+      credentialHash: ethers.ZeroHash,
+      issuedAt: 0,
+      expiresAt: 0,
+      issuer: ethers.ZeroAddress,
+      subject: ethers.ZeroAddress,
+      counterparty: ethers.ZeroAddress,
+      tokenId: 0,
+      maxAmount: 0,
+      maxUses: 0,
+      amountBudget: 0,
+      signature: "0x",
+    };
+    await policyWrapper
+      .connect(alice)
+      .wrap(0, await cash.getAddress(), 0, ethers.parseEther("1000"), emptyProof);
+    await policyWrapper.setComplianceExemption(alice.address, false);
+    pbmTokenId = await policyWrapper.computePBMTokenId(0, await cash.getAddress(), 0);
+  });
+
+  it("HYBRID 路徑在鏈上執行指定規則，ProofSet 涵蓋其餘；轉帳後規則記帳", async function () {
+    // 未設定 router：ProofSet 涵蓋全部檢查，非白名單商家也能收款
+    await transferWithProof(stranger);
+    expect(await pbmToken.balanceOf(stranger.address, pbmTokenId)).to.equal(amount);
+
+    await expect(policyWrapper.setComplianceRouter(await router.getAddress()))
+      .to.emit(policyWrapper, "ComplianceRouterUpdated")
+      .withArgs(ethers.ZeroAddress, await router.getAddress());
+    await expect(router.setJurisdictionRoute(JURISDICTION_TW, Route.HYBRID, [RULE_WHITELIST]))
+      .to.emit(router, "JurisdictionRouteSet")
+      .withArgs(JURISDICTION_TW, Route.HYBRID, [RULE_WHITELIST]);
+
+    await expect(transferWithProof(stranger))
+      .to.be.revertedWithCustomError(router, "OnChainRuleFailed")
+      .withArgs(RULE_WHITELIST, 3001, "Recipient not in whitelist");
+
+    await transferWithProof(merchant);
+    expect(await pbmToken.balanceOf(merchant.address, pbmTokenId)).to.equal(amount);
+    // 不論路徑都記帳：設定 router 前轉給 stranger 的一筆也計入
+    const [totalAmount, transactionCount] = await amlRule.getCumulativeInfo(alice.address);
+    expect(totalAmount).to.equal(amount * 2n);
+    expect(transactionCount).to.equal(2);
+
+    // 停用中的規則略過
+    await policyManager.setRuleSetActive(RULE_WHITELIST, false);
+    await transferWithProof(stranger);
+    expect(await pbmToken.balanceOf(stranger.address, pbmTokenId)).to.equal(amount * 2n);
+  });
+
+  it("tokenId 的路徑優先於管轄區；ON_CHAIN 拒絕 ProofSet 轉帳", async function () {
+    await policyWrapper.setComplianceRouter(await router.getAddress());
+    await router.setJurisdictionRoute(JURISDICTION_TW, Route.HYBRID, [RULE_WHITELIST]);
+
+    await expect(router.setTokenRoute(pbmTokenId, Route.ON_CHAIN, []))
+      .to.emit(router, "TokenRouteSet")
+      .withArgs(pbmTokenId, Route.ON_CHAIN, []);
+    await expect(transferWithProof(merchant))
+      .to.be.revertedWithCustomError(router, "ProofPathDisabled")
+      .withArgs(JURISDICTION_TW, pbmTokenId);
+
+    // 鏈上規則鏈路徑不受影響
+    await pbmToken.connect(alice).safeTransferFrom(alice.address, merchant.address, pbmTokenId, amount, "0x");
+    expect(await pbmToken.balanceOf(merchant.address, pbmTokenId)).to.equal(amount);
+
+    await router.setTokenRoute(pbmTokenId, Route.PROOF, []);
+    const [route, onChainRules] = await router.resolveRoute(JURISDICTION_TW, pbmTokenId);
+    expect(route).to.equal(Route.PROOF);
+    expect(onChainRules).to.deep.equal([]);
+    await transferWithProof(stranger);
+    expect(await pbmToken.balanceOf(stranger.address, pbmTokenId)).to.equal(amount);
+
+    // UNSET 清除後沿用管轄區，兩者皆未設定時為 PROOF
+    await router.setTokenRoute(pbmTokenId, Route.UNSET, []);
+    expect((await router.resolveRoute(JURISDICTION_TW, pbmTokenId))[0]).to.equal(Route.HYBRID);
+    await router.setJurisdictionRoute(JURISDICTION_TW, Route.UNSET, []);
+    expect((await router.resolveRoute(JURISDICTION_TW, pbmTokenId))[0]).to.equal(Route.PROOF);
+  });
+
+  it("路徑設定須指定已註冊的鏈上規則，僅限 ROUTE_ADMIN_ROLE", async function () {
+    await expect(router.setJurisdictionRoute(JURISDICTION_TW, Route.HYBRID, [])).to.be.revertedWith(
+      "HYBRID requires on-chain rules",
+    );
+    await expect(
+      router.setJurisdictionRoute(JURISDICTION_TW, Route.PROOF, [RULE_WHITELIST]),
+    ).to.be.revertedWith("On-chain rules require HYBRID");
+    await expect(
+      router.setTokenRoute(pbmTokenId, Route.HYBRID, [ethers.id("RULE_MISSING")]),
+    ).to.be.revertedWith("Rule set not found");
+    await expect(
+      router.setTokenRoute(pbmTokenId, Route.HYBRID, [RULE_WHITELIST, RULE_OFFCHAIN]),
+    ).to.be.revertedWith("Rule set not on-chain");
+    await expect(
+      router.connect(stranger).setTokenRoute(pbmTokenId, Route.ON_CHAIN, []),
+    ).to.be.revertedWithCustomError(router, "AccessControlUnauthorizedAccount");
+    await expect(
+      policyWrapper.connect(stranger).setComplianceRouter(await router.getAddress()),
+    ).to.be.revertedWithCustomError(policyWrapper, "AccessControlUnauthorizedAccount");
+  });
+});
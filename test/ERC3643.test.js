@@ -1,5 +1,9 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const {
+  getPolicyManagerFactory,
+  getPolicyWrapperFactory,
+} = require("../scripts/libraries");
 
 describe("ERC-3643 Security Token", function () {
   let ccidRegistry;
@@ -370,13 +374,18 @@ describe("ERC-3643 Security Token", function () {
       issuedAt: Math.floor(Date.now() / 1000) - 3600,
       expiresAt: Math.floor(Date.now() / 1000) + 86400,
       issuer: ethers.ZeroAddress,
+      subject: ethers.ZeroAddress,
+      counterparty: ethers.ZeroAddress,
+      tokenId: 0,
+      maxAmount: 0,
+      maxUses: 0,
+      amountBudget: 0,
       signature: "0x",
     };
 
     beforeEach(async function () {
       // 部署 PBM 生態系統
-      const GL1PolicyManager =
-        await ethers.getContractFactory("GL1PolicyManager");
+      const GL1PolicyManager = await getPolicyManagerFactory();
       policyManager = await GL1PolicyManager.deploy(
         owner.address,
         await ccidRegistry.getAddress(),
@@ -388,8 +397,7 @@ describe("ERC-3643 Security Token", function () {
       pbmToken = await PBMToken.deploy(owner.address);
       await pbmToken.waitForDeployment();
 
-      const GL1PolicyWrapper =
-        await ethers.getContractFactory("GL1PolicyWrapper");
+      const GL1PolicyWrapper = await getPolicyWrapperFactory();
       policyWrapper = await GL1PolicyWrapper.deploy(
         JURISDICTION_TW,
         await policyManager.getAddress(),
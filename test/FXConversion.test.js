@@ -1,5 +1,9 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const {
+  getPolicyManagerFactory,
+  getPolicyWrapperFactory,
+} = require("../scripts/libraries");
 
 describe("FX Conversion for Cross-Border Payments", function () {
   let policyWrapper;
@@ -51,8 +55,7 @@ describe("FX Conversion for Cross-Border Payments", function () {
     const ccidRegistry = await CCIDRegistry.deploy();
     await ccidRegistry.waitForDeployment();
 
-    const GL1PolicyManager =
-      await ethers.getContractFactory("GL1PolicyManager");
+    const GL1PolicyManager = await getPolicyManagerFactory();
     const policyManagerContract = await GL1PolicyManager.deploy(
       owner.address,
       await ccidRegistry.getAddress(),
@@ -66,8 +69,7 @@ describe("FX Conversion for Cross-Border Payments", function () {
     await pbmToken.waitForDeployment();
 
     // 部署 GL1PolicyWrapper
-    const GL1PolicyWrapper =
-      await ethers.getContractFactory("GL1PolicyWrapper");
+    const GL1PolicyWrapper = await getPolicyWrapperFactory();
     policyWrapper = await GL1PolicyWrapper.deploy(
       JURISDICTION_SG,
       await policyManagerContract.getAddress(),
@@ -134,6 +136,12 @@ describe("FX Conversion for Cross-Border Payments", function () {
       issuedAt: Math.floor(Date.now() / 1000) - 3600,
       expiresAt: Math.floor(Date.now() / 1000) + 86400,
       issuer: ethers.ZeroAddress,
+      subject: ethers.ZeroAddress,
+      counterparty: ethers.ZeroAddress,
+      tokenId: 0,
+      maxAmount: 0,
+      maxUses: 0,
+      amountBudget: 0,
       signature: "0x",
     };
 
@@ -249,6 +257,12 @@ describe("FX Conversion for Cross-Border Payments", function () {
       issuedAt: Math.floor(Date.now() / 1000) - 3600,
       expiresAt: Math.floor(Date.now() / 1000) + 86400,
       issuer: ethers.ZeroAddress,
+      subject: ethers.ZeroAddress,
+      counterparty: ethers.ZeroAddress,
+      tokenId: 0,
+      maxAmount: 0,
+      maxUses: 0,
+      amountBudget: 0,
       signature: "0x",
     };
 
@@ -332,6 +346,12 @@ describe("FX Conversion for Cross-Border Payments", function () {
       issuedAt: Math.floor(Date.now() / 1000) - 3600,
       expiresAt: Math.floor(Date.now() / 1000) + 86400,
       issuer: ethers.ZeroAddress,
+      subject: ethers.ZeroAddress,
+      counterparty: ethers.ZeroAddress,
+      tokenId: 0,
+      maxAmount: 0,
+      maxUses: 0,
+      amountBudget: 0,
       signature: "0x",
     };
 
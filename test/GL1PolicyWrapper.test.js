@@ -1,5 +1,26 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const {
+  combineSignatures,
+  proofDomain,
+  PROOF_SET_TYPES,
+} = require("../scripts/compliance-gateway");
+const {
+  VERDICT_TYPES,
+  createLocalRules,
+  createOffChainExecutor,
+  verdictDomain,
+} = require("../scripts/offchain-executor");
+const {
+  IDENTITY_CHECK,
+  REASON_CODES,
+  decodeComplianceDecision,
+  decodeComplianceError,
+} = require("../scripts/reason-codes");
+const {
+  getPolicyManagerFactory,
+  getPolicyWrapperFactory,
+} = require("../scripts/libraries");
 
 describe("GL1 PBM Policy Wrapper", function () {
   let ccidRegistry;
@@ -25,24 +46,30 @@ describe("GL1 PBM Policy Wrapper", function () {
     ERC1155: 2,
   };
 
-  // 輔助函數：用指定 signer 簽署 ProofSet
-  async function signProof(signer, proofData) {
-    const messageHash = ethers.keccak256(
-      ethers.AbiCoder.defaultAbiCoder().encode(
-        ["bytes32", "bytes32", "uint256", "uint256", "address"],
-        [
-          proofData.proofType,
-          proofData.credentialHash,
-          proofData.issuedAt,
-          proofData.expiresAt,
-          proofData.issuer,
-        ],
-      ),
+  // 輔助函數：用指定 signer 以 EIP-712 簽署 ProofSet
+  async function signProof(signer, proofData, verifyingContract) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = proofDomain(
+      chainId,
+      verifyingContract || (await policyWrapper.getAddress()),
+    );
+    const signature = await signer.signTypedData(
+      domain,
+      PROOF_SET_TYPES,
+      proofData,
     );
-    const signature = await signer.signMessage(ethers.getBytes(messageHash));
     return { ...proofData, signature };
   }
 
+  // 輔助函數：mockERC20 對應的 PBM tokenId
+  async function erc20PBMTokenId() {
+    return policyWrapper.computePBMTokenId(
+      AssetType.ERC20,
+      await mockERC20.getAddress(),
+      0,
+    );
+  }
+
   beforeEach(async function () {
     [owner, lender, borrower, regulator] = await ethers.getSigners();
 
@@ -67,8 +94,7 @@ describe("GL1 PBM Policy Wrapper", function () {
     await ccidRegistry.waitForDeployment();
 
     // 部署 GL1PolicyManager
-    const GL1PolicyManager =
-      await ethers.getContractFactory("GL1PolicyManager");
+    const GL1PolicyManager = await getPolicyManagerFactory();
     policyManager = await GL1PolicyManager.deploy(
       owner.address, // Mock Chainlink ACE
       await ccidRegistry.getAddress(),
@@ -86,8 +112,7 @@ describe("GL1 PBM Policy Wrapper", function () {
     await pbmToken.waitForDeployment();
 
     // 部署 GL1PolicyWrapper（owner 同時作為 trustedSigner）
-    const GL1PolicyWrapper =
-      await ethers.getContractFactory("GL1PolicyWrapper");
+    const GL1PolicyWrapper = await getPolicyWrapperFactory();
     policyWrapper = await GL1PolicyWrapper.deploy(
       JURISDICTION_TW,
       await policyManager.getAddress(),
@@ -96,8 +121,12 @@ describe("GL1 PBM Policy Wrapper", function () {
     );
     await policyWrapper.waitForDeployment();
 
-    // 更新 PBMToken 的 wrapper
+    // 更新 PBMToken 的 wrapper；wrapper 回報轉帳完成讓規則記帳
     await pbmToken.updateWrapper(await policyWrapper.getAddress());
+    await policyManager.grantRole(
+      await policyManager.TRANSFER_REPORTER_ROLE(),
+      await policyWrapper.getAddress(),
+    );
 
     // 配置管轄區
     await policyManager.setJurisdictionEnabled(JURISDICTION_TW, true);
@@ -129,6 +158,12 @@ describe("GL1 PBM Policy Wrapper", function () {
       issuedAt: Math.floor(Date.now() / 1000) - 3600,
       expiresAt: Math.floor(Date.now() / 1000) + 86400,
       issuer: ethers.ZeroAddress,
+      subject: ethers.ZeroAddress,
+      counterparty: ethers.ZeroAddress,
+      tokenId: 0,
+      maxAmount: 0,
+      maxUses: 0,
+      amountBudget: 0,
       signature: "0x",
     };
 
@@ -198,6 +233,12 @@ describe("GL1 PBM Policy Wrapper", function () {
       issuedAt: Math.floor(Date.now() / 1000) - 3600,
       expiresAt: Math.floor(Date.now() / 1000) + 86400,
       issuer: ethers.ZeroAddress,
+      subject: ethers.ZeroAddress,
+      counterparty: ethers.ZeroAddress,
+      tokenId: 0,
+      maxAmount: 0,
+      maxUses: 0,
+      amountBudget: 0,
       signature: "0x",
     };
 
@@ -248,6 +289,12 @@ describe("GL1 PBM Policy Wrapper", function () {
       issuedAt: Math.floor(Date.now() / 1000) - 3600,
       expiresAt: Math.floor(Date.now() / 1000) + 86400,
       issuer: ethers.ZeroAddress,
+      subject: ethers.ZeroAddress,
+      counterparty: ethers.ZeroAddress,
+      tokenId: 0,
+      maxAmount: 0,
+      maxUses: 0,
+      amountBudget: 0,
       signature: "0x",
     };
 
@@ -296,6 +343,12 @@ describe("GL1 PBM Policy Wrapper", function () {
       issuedAt: Math.floor(Date.now() / 1000) - 3600,
       expiresAt: Math.floor(Date.now() / 1000) + 86400,
       issuer: ethers.ZeroAddress,
+      subject: ethers.ZeroAddress,
+      counterparty: ethers.ZeroAddress,
+      tokenId: 0,
+      maxAmount: 0,
+      maxUses: 0,
+      amountBudget: 0,
       signature: "0x",
     };
 
@@ -352,6 +405,12 @@ describe("GL1 PBM Policy Wrapper", function () {
         issuedAt: Math.floor(Date.now() / 1000) - 3600,
         expiresAt: Math.floor(Date.now() / 1000) + 86400,
         issuer: owner.address,
+        subject: lender.address,
+        counterparty: ethers.ZeroAddress,
+        tokenId: await erc20PBMTokenId(),
+        maxAmount: amount,
+        maxUses: 0,
+        amountBudget: 0,
       };
       const signedProof = await signProof(owner, proofData);
 
@@ -392,6 +451,12 @@ describe("GL1 PBM Policy Wrapper", function () {
         issuedAt: Math.floor(Date.now() / 1000) - 3600,
         expiresAt: Math.floor(Date.now() / 1000) + 86400,
         issuer: owner.address,
+        subject: lender.address,
+        counterparty: ethers.ZeroAddress,
+        tokenId: await erc20PBMTokenId(),
+        maxAmount: amount,
+        maxUses: 0,
+        amountBudget: 0,
       };
       const badProof = await signProof(borrower, proofData);
 
@@ -423,6 +488,12 @@ describe("GL1 PBM Policy Wrapper", function () {
         issuedAt: Math.floor(Date.now() / 1000) - 7200,
         expiresAt: Math.floor(Date.now() / 1000) - 3600, // 已過期
         issuer: owner.address,
+        subject: lender.address,
+        counterparty: ethers.ZeroAddress,
+        tokenId: await erc20PBMTokenId(),
+        maxAmount: amount,
+        maxUses: 0,
+        amountBudget: 0,
       };
       const expiredProof = await signProof(owner, proofData);
 
@@ -452,6 +523,12 @@ describe("GL1 PBM Policy Wrapper", function () {
         issuedAt: Math.floor(Date.now() / 1000) - 3600,
         expiresAt: Math.floor(Date.now() / 1000) + 86400,
         issuer: ethers.ZeroAddress,
+        subject: ethers.ZeroAddress,
+        counterparty: ethers.ZeroAddress,
+        tokenId: 0,
+        maxAmount: 0,
+        maxUses: 0,
+        amountBudget: 0,
         signature: "0x",
       };
 
@@ -493,6 +570,12 @@ describe("GL1 PBM Policy Wrapper", function () {
         issuedAt: Math.floor(Date.now() / 1000) - 3600,
         expiresAt: Math.floor(Date.now() / 1000) + 86400,
         issuer: regulator.address,
+        subject: lender.address,
+        counterparty: ethers.ZeroAddress,
+        tokenId: await erc20PBMTokenId(),
+        maxAmount: amount,
+        maxUses: 0,
+        amountBudget: 0,
       };
       const newSignerProof = await signProof(regulator, proofData);
 
@@ -520,6 +603,1860 @@ describe("GL1 PBM Policy Wrapper", function () {
     });
   });
 
+  describe("ProofSet 操作綁定 (EIP-712)", function () {
+    const amount = ethers.parseEther("1000");
+
+    async function lenderProof(overrides = {}) {
+      return {
+        proofType: ethers.encodeBytes32String("KYC"),
+        credentialHash: ethers.keccak256(
+          ethers.toUtf8Bytes("credential_lender"),
+        ),
+        issuedAt: Math.floor(Date.now() / 1000) - 3600,
+        expiresAt: Math.floor(Date.now() / 1000) + 86400,
+        issuer: owner.address,
+        subject: lender.address,
+        counterparty: ethers.ZeroAddress,
+        tokenId: await erc20PBMTokenId(),
+        maxAmount: amount,
+        maxUses: 0,
+        amountBudget: 0,
+        ...overrides,
+      };
+    }
+
+    beforeEach(async function () {
+      await mockERC20
+        .connect(lender)
+        .approve(await policyWrapper.getAddress(), ethers.MaxUint256);
+      await mockERC20
+        .connect(borrower)
+        .approve(await policyWrapper.getAddress(), ethers.MaxUint256);
+    });
+
+    it("他人的 ProofSet 不能用於自己的 wrap", async function () {
+      const proof = await signProof(owner, await lenderProof());
+
+      await expect(
+        policyWrapper
+          .connect(borrower)
+          .wrap(
+            AssetType.ERC20,
+            await mockERC20.getAddress(),
+            0,
+            amount,
+            proof,
+          ),
+      ).to.be.revertedWith("Proof subject mismatch");
+    });
+
+    it("超過 maxAmount 的 wrap 應被拒絕", async function () {
+      const proof = await signProof(owner, await lenderProof());
+
+      await expect(
+        policyWrapper
+          .connect(lender)
+          .wrap(
+            AssetType.ERC20,
+            await mockERC20.getAddress(),
+            0,
+            amount + 1n,
+            proof,
+          ),
+      ).to.be.revertedWith("Proof amount exceeded");
+    });
+
+    it("tokenId 不符的 ProofSet 應被拒絕", async function () {
+      const proof = await signProof(
+        owner,
+        await lenderProof({ tokenId: 1n }),
+      );
+
+      await expect(
+        policyWrapper
+          .connect(lender)
+          .wrap(
+            AssetType.ERC20,
+            await mockERC20.getAddress(),
+            0,
+            amount,
+            proof,
+          ),
+      ).to.be.revertedWith("Proof tokenId mismatch");
+    });
+
+    it("簽給其他 wrapper 的 ProofSet 應被拒絕", async function () {
+      const proof = await signProof(
+        owner,
+        await lenderProof(),
+        regulator.address,
+      );
+
+      await expect(
+        policyWrapper
+          .connect(lender)
+          .wrap(
+            AssetType.ERC20,
+            await mockERC20.getAddress(),
+            0,
+            amount,
+            proof,
+          ),
+      ).to.be.revertedWith("Invalid proof signer");
+    });
+
+    it("safeTransferFromWithProof 須綁定 from/to", async function () {
+      const wrapProof = await signProof(owner, await lenderProof());
+      await policyWrapper
+        .connect(lender)
+        .wrap(
+          AssetType.ERC20,
+          await mockERC20.getAddress(),
+          0,
+          amount,
+          wrapProof,
+        );
+      const pbmTokenId = await erc20PBMTokenId();
+      const transferAmount = ethers.parseEther("100");
+
+      // 綁定 lender → regulator 的證明不能轉給 borrower
+      const toRegulator = await signProof(
+        owner,
+        await lenderProof({
+          credentialHash: ethers.keccak256(ethers.toUtf8Bytes("transfer")),
+          counterparty: regulator.address,
+          maxAmount: transferAmount,
+        }),
+      );
+      await expect(
+        policyWrapper
+          .connect(lender)
+          .safeTransferFromWithProof(
+            lender.address,
+            borrower.address,
+            pbmTokenId,
+            transferAmount,
+            toRegulator,
+          ),
+      ).to.be.revertedWith("Proof counterparty mismatch");
+
+      await policyWrapper
+        .connect(lender)
+        .safeTransferFromWithProof(
+          lender.address,
+          regulator.address,
+          pbmTokenId,
+          transferAmount,
+          toRegulator,
+        );
+      expect(await pbmToken.balanceOf(regulator.address, pbmTokenId)).to.equal(
+        transferAmount,
+      );
+    });
+  });
+
+  describe("ProofSet 轉帳授權（owner / operator / TransferPermit）", function () {
+    const amount = ethers.parseEther("1000");
+    const transferAmount = ethers.parseEther("100");
+    let pbmTokenId;
+    let proofNonce = 0;
+
+    const TRANSFER_PERMIT_TYPES = {
+      TransferPermit: [
+        { name: "owner", type: "address" },
+        { name: "operator", type: "address" },
+        { name: "tokenId", type: "uint256" },
+        { name: "amount", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+      ],
+    };
+
+    // 綁定 lender → regulator 的單次 ProofSet（ProofSet 只證明合規，不代表 lender 同意轉出）
+    async function transferProof() {
+      return signProof(owner, {
+        proofType: ethers.encodeBytes32String("AML"),
+        credentialHash: ethers.keccak256(
+          ethers.toUtf8Bytes(`permit-transfer-${proofNonce++}`),
+        ),
+        issuedAt: Math.floor(Date.now() / 1000) - 3600,
+        expiresAt: Math.floor(Date.now() / 1000) + 86400,
+        issuer: owner.address,
+        subject: lender.address,
+        counterparty: regulator.address,
+        tokenId: pbmTokenId,
+        maxAmount: transferAmount,
+        maxUses: 1,
+        amountBudget: 0,
+      });
+    }
+
+    async function transferAs(caller) {
+      return policyWrapper
+        .connect(caller)
+        .safeTransferFromWithProof(
+          lender.address,
+          regulator.address,
+          pbmTokenId,
+          transferAmount,
+          await transferProof(),
+        );
+    }
+
+    // lender 簽署授權 operator 轉出的 TransferPermit
+    async function signPermit(signer, operator, permitAmount, deadline) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = {
+        name: "PBMToken",
+        version: "1",
+        chainId,
+        verifyingContract: await pbmToken.getAddress(),
+      };
+      return signer.signTypedData(domain, TRANSFER_PERMIT_TYPES, {
+        owner: lender.address,
+        operator: operator.address,
+        tokenId: pbmTokenId,
+        amount: permitAmount,
+        nonce: await pbmToken.nonces(lender.address),
+        deadline,
+      });
+    }
+
+    async function chainNow() {
+      return (await ethers.provider.getBlock("latest")).timestamp;
+    }
+
+    beforeEach(async function () {
+      await mockERC20
+        .connect(lender)
+        .approve(await policyWrapper.getAddress(), ethers.MaxUint256);
+      pbmTokenId = await erc20PBMTokenId();
+      const wrapProof = await signProof(owner, {
+        proofType: ethers.encodeBytes32String("KYC"),
+        credentialHash: ethers.keccak256(ethers.toUtf8Bytes("permit-wrap")),
+        issuedAt: Math.floor(Date.now() / 1000) - 3600,
+        expiresAt: Math.floor(Date.now() / 1000) + 86400,
+        issuer: owner.address,
+        subject: lender.address,
+        counterparty: ethers.ZeroAddress,
+        tokenId: pbmTokenId,
+        maxAmount: amount,
+        maxUses: 0,
+        amountBudget: 0,
+      });
+      await policyWrapper
+        .connect(lender)
+        .wrap(AssetType.ERC20, await mockERC20.getAddress(), 0, amount, wrapProof);
+    });
+
+    it("第三方持有有效 ProofSet 也不能轉走他人的 PBM，核准的 operator 可以", async function () {
+      await expect(transferAs(borrower))
+        .to.be.revertedWithCustomError(pbmToken, "ERC1155MissingApprovalForAll")
+        .withArgs(borrower.address, lender.address);
+
+      await pbmToken.connect(lender).setApprovalForAll(borrower.address, true);
+      await transferAs(borrower);
+      expect(await pbmToken.balanceOf(regulator.address, pbmTokenId)).to.equal(transferAmount);
+
+      await pbmToken.connect(lender).setApprovalForAll(borrower.address, false);
+      await expect(transferAs(borrower)).to.be.revertedWithCustomError(
+        pbmToken,
+        "ERC1155MissingApprovalForAll",
+      );
+
+      await transferAs(lender);
+      expect(await pbmToken.balanceOf(regulator.address, pbmTokenId)).to.equal(transferAmount * 2n);
+    });
+
+    it("TransferPermit 授予限額、限期的轉帳額度，nonce 防止重放", async function () {
+      const deadline = (await chainNow()) + 3600;
+      const signature = await signPermit(lender, borrower, transferAmount, deadline);
+
+      // 任何人都可代為送出 permit
+      await expect(
+        pbmToken
+          .connect(regulator)
+          .permitTransfer(lender.address, borrower.address, pbmTokenId, transferAmount, deadline, signature),
+      )
+        .to.emit(pbmToken, "TransferPermitted")
+        .withArgs(lender.address, borrower.address, pbmTokenId, transferAmount, deadline);
+      expect(await pbmToken.nonces(lender.address)).to.equal(1);
+
+      await transferAs(borrower);
+      expect(await pbmToken.balanceOf(regulator.address, pbmTokenId)).to.equal(transferAmount);
+      const [remaining] = await pbmToken.transferAllowances(lender.address, borrower.address, pbmTokenId);
+      expect(remaining).to.equal(0);
+
+      // 額度用完
+      await expect(transferAs(borrower))
+        .to.be.revertedWithCustomError(pbmToken, "ERC1155MissingApprovalForAll")
+        .withArgs(borrower.address, lender.address);
+
+      // 同一簽章重送：nonce 已使用，還原出的簽署者不符
+      await expect(
+        pbmToken.permitTransfer(lender.address, borrower.address, pbmTokenId, transferAmount, deadline, signature),
+      ).to.be.revertedWithCustomError(pbmToken, "InvalidTransferPermitSigner");
+    });
+
+    it("過期、非 owner 簽署的 permit 被拒絕，額度過期後不能使用", async function () {
+      const expired = (await chainNow()) - 1;
+      await expect(
+        pbmToken.permitTransfer(
+          lender.address,
+          borrower.address,
+          pbmTokenId,
+          transferAmount,
+          expired,
+          await signPermit(lender, borrower, transferAmount, expired),
+        ),
+      )
+        .to.be.revertedWithCustomError(pbmToken, "TransferPermitExpired")
+        .withArgs(expired);
+
+      const deadline = (await chainNow()) + 60;
+      await expect(
+        pbmToken.permitTransfer(
+          lender.address,
+          borrower.address,
+          pbmTokenId,
+          transferAmount,
+          deadline,
+          await signPermit(borrower, borrower, transferAmount, deadline),
+        ),
+      )
+        .to.be.revertedWithCustomError(pbmToken, "InvalidTransferPermitSigner")
+        .withArgs(borrower.address, lender.address);
+
+      await pbmToken.permitTransfer(
+        lender.address,
+        borrower.address,
+        pbmTokenId,
+        transferAmount,
+        deadline,
+        await signPermit(lender, borrower, transferAmount, deadline),
+      );
+      await ethers.provider.send("evm_increaseTime", [61]);
+      await expect(transferAs(borrower)).to.be.revertedWithCustomError(
+        pbmToken,
+        "ERC1155MissingApprovalForAll",
+      );
+    });
+  });
+
+  describe("ProofSet 重放防護與撤銷", function () {
+    const amount = ethers.parseEther("100");
+    const REGULATOR_ROLE = ethers.keccak256(
+      ethers.toUtf8Bytes("REGULATOR_ROLE"),
+    );
+
+    async function lenderProof(overrides = {}) {
+      return signProof(owner, {
+        proofType: ethers.encodeBytes32String("AML"),
+        credentialHash: ethers.keccak256(ethers.toUtf8Bytes("replay")),
+        issuedAt: Math.floor(Date.now() / 1000) - 3600,
+        expiresAt: Math.floor(Date.now() / 1000) + 86400,
+        issuer: owner.address,
+        subject: lender.address,
+        counterparty: ethers.ZeroAddress,
+        tokenId: await erc20PBMTokenId(),
+        maxAmount: amount,
+        maxUses: 0,
+        amountBudget: 0,
+        ...overrides,
+      });
+    }
+
+    async function wrapWith(proof, wrapAmount = amount) {
+      return policyWrapper
+        .connect(lender)
+        .wrap(
+          AssetType.ERC20,
+          await mockERC20.getAddress(),
+          0,
+          wrapAmount,
+          proof,
+        );
+    }
+
+    beforeEach(async function () {
+      await mockERC20
+        .connect(lender)
+        .approve(await policyWrapper.getAddress(), ethers.MaxUint256);
+    });
+
+    it("預設為單次使用，重放應被拒絕", async function () {
+      const proof = await lenderProof();
+      await expect(wrapWith(proof))
+        .to.emit(policyWrapper, "ProofConsumed")
+        .withArgs(proof.credentialHash, lender.address, amount, 1, amount);
+
+      await expect(wrapWith(proof)).to.be.revertedWith(
+        "Proof use limit reached",
+      );
+    });
+
+    it("maxUses 與 amountBudget 限制多次使用", async function () {
+      const proof = await lenderProof({
+        maxUses: 3,
+        amountBudget: ethers.parseEther("150"),
+      });
+
+      await wrapWith(proof, ethers.parseEther("100"));
+      await expect(
+        wrapWith(proof, ethers.parseEther("60")),
+      ).to.be.revertedWith("Proof budget exceeded");
+      await wrapWith(proof, ethers.parseEther("50"));
+
+      const [uses, amountUsed, revoked] = await policyWrapper.getProofStatus(
+        proof.credentialHash,
+      );
+      expect(uses).to.equal(2);
+      expect(amountUsed).to.equal(ethers.parseEther("150"));
+      expect(revoked).to.equal(false);
+    });
+
+    it("監理機關可在到期前撤銷 ProofSet", async function () {
+      await policyWrapper.grantRole(REGULATOR_ROLE, regulator.address);
+      const proof = await lenderProof({ maxUses: 2 });
+      await wrapWith(proof);
+
+      await expect(
+        policyWrapper
+          .connect(regulator)
+          .revokeProof(proof.credentialHash, "KYC withdrawn"),
+      )
+        .to.emit(policyWrapper, "ProofRevoked")
+        .withArgs(proof.credentialHash, regulator.address, "KYC withdrawn");
+
+      await expect(wrapWith(proof)).to.be.revertedWith("Proof revoked");
+    });
+
+    it("簽發 gateway 可撤銷，其他人不可", async function () {
+      const proof = await lenderProof();
+
+      await expect(
+        policyWrapper
+          .connect(borrower)
+          .revokeProof(proof.credentialHash, "nope"),
+      ).to.be.revertedWith("Not authorized to revoke");
+
+      // owner 為 trustedSigner
+      await policyWrapper.revokeProof(proof.credentialHash, "superseded");
+      expect(await policyWrapper.revokedProofs(proof.credentialHash)).to.equal(
+        true,
+      );
+    });
+
+    it("已使用的 ProofSet 只能由其簽署者或監理機關撤銷", async function () {
+      await policyWrapper.setProofSigner(borrower.address, 0, 0);
+      const proof = await lenderProof({ maxUses: 2 });
+      await wrapWith(proof);
+
+      // borrower 為有效簽署者，但未簽署此 ProofSet
+      await expect(
+        policyWrapper
+          .connect(borrower)
+          .revokeProof(proof.credentialHash, "not mine"),
+      ).to.be.revertedWith("Not authorized to revoke");
+
+      await expect(policyWrapper.revokeProof(proof.credentialHash, "superseded"))
+        .to.emit(policyWrapper, "ProofRevoked")
+        .withArgs(proof.credentialHash, owner.address, "superseded");
+
+      await policyWrapper.grantRole(REGULATOR_ROLE, regulator.address);
+      const other = await lenderProof({
+        maxUses: 2,
+        credentialHash: ethers.keccak256(ethers.toUtf8Bytes("replay-2")),
+      });
+      await wrapWith(other);
+      await expect(
+        policyWrapper
+          .connect(regulator)
+          .revokeProof(other.credentialHash, "KYC withdrawn"),
+      ).to.emit(policyWrapper, "ProofRevoked");
+    });
+  });
+
+  describe("ProofSet 門檻簽章與金鑰輪替", function () {
+    const amount = ethers.parseEther("100");
+
+    // 由多位簽署者共同簽署，依地址排序後串接
+    async function multiSignedProof(signers, overrides = {}) {
+      const proofData = {
+        proofType: ethers.encodeBytes32String("AML"),
+        credentialHash: ethers.keccak256(
+          ethers.toUtf8Bytes(`threshold-${Math.random()}`),
+        ),
+        issuedAt: Math.floor(Date.now() / 1000) - 3600,
+        expiresAt: Math.floor(Date.now() / 1000) + 86400,
+        issuer: owner.address,
+        subject: lender.address,
+        counterparty: ethers.ZeroAddress,
+        tokenId: await erc20PBMTokenId(),
+        maxAmount: amount,
+        maxUses: 0,
+        amountBudget: 0,
+        ...overrides,
+      };
+      const signatures = [];
+      for (const signer of signers) {
+        const { signature } = await signProof(signer, proofData);
+        signatures.push({ signer: signer.address, signature });
+      }
+      return { ...proofData, signature: combineSignatures(signatures) };
+    }
+
+    async function wrapWith(proof) {
+      return policyWrapper
+        .connect(lender)
+        .wrap(AssetType.ERC20, await mockERC20.getAddress(), 0, amount, proof);
+    }
+
+    async function latestTimestamp() {
+      return (await ethers.provider.getBlock("latest")).timestamp;
+    }
+
+    beforeEach(async function () {
+      await mockERC20
+        .connect(lender)
+        .approve(await policyWrapper.getAddress(), ethers.MaxUint256);
+    });
+
+    it("2-of-2 門檻需兩位簽署者", async function () {
+      await policyWrapper.setProofSigner(regulator.address, 0, 0);
+      await expect(policyWrapper.setSignerThreshold(2))
+        .to.emit(policyWrapper, "SignerThresholdUpdated")
+        .withArgs(1, 2);
+
+      await expect(
+        wrapWith(await multiSignedProof([owner])),
+      ).to.be.revertedWith("Insufficient proof signers");
+
+      await expect(
+        wrapWith(await multiSignedProof([owner, borrower])),
+      ).to.be.revertedWith("Invalid proof signer");
+
+      await expect(wrapWith(await multiSignedProof([owner, regulator]))).to.emit(
+        policyWrapper,
+        "TokenWrapped",
+      );
+    });
+
+    it("簽章未依地址排序或重複應被拒絕", async function () {
+      await policyWrapper.setProofSigner(regulator.address, 0, 0);
+      await policyWrapper.setSignerThreshold(2);
+
+      const proof = await multiSignedProof([owner, regulator]);
+      const reversed = ethers.concat([
+        ethers.dataSlice(proof.signature, 65),
+        ethers.dataSlice(proof.signature, 0, 65),
+      ]);
+      await expect(
+        wrapWith({ ...proof, signature: reversed }),
+      ).to.be.revertedWith("Proof signers not sorted");
+
+      const { signature, ...proofData } = proof;
+      const single = await signProof(owner, proofData);
+      await expect(
+        wrapWith({
+          ...proof,
+          signature: ethers.concat([single.signature, single.signature]),
+        }),
+      ).to.be.revertedWith("Proof signers not sorted");
+    });
+
+    it("金鑰輪替：重疊期內新舊金鑰皆有效，期滿後舊金鑰失效", async function () {
+      const now = await latestTimestamp();
+
+      // 新金鑰立即生效，舊金鑰保留重疊期
+      await policyWrapper.setProofSigner(regulator.address, 0, 0);
+      await policyWrapper.setProofSigner(owner.address, 0, now + 1000);
+
+      await wrapWith(await multiSignedProof([owner]));
+      await wrapWith(await multiSignedProof([regulator]));
+
+      // 重疊期結束
+      await policyWrapper.setProofSigner(owner.address, 0, now);
+      expect(await policyWrapper.isProofSignerActive(owner.address)).to.equal(
+        false,
+      );
+      await expect(
+        wrapWith(await multiSignedProof([owner])),
+      ).to.be.revertedWith("Proof signer not active");
+
+      // 尚未生效的金鑰同樣被拒絕
+      await policyWrapper.setProofSigner(borrower.address, now + 86400, 0);
+      await expect(
+        wrapWith(await multiSignedProof([borrower])),
+      ).to.be.revertedWith("Proof signer not active");
+    });
+
+    it("移除簽署者不可低於門檻", async function () {
+      await policyWrapper.setProofSigner(regulator.address, 0, 0);
+      await policyWrapper.setSignerThreshold(2);
+      expect(await policyWrapper.getProofSigners()).to.deep.equal([
+        owner.address,
+        regulator.address,
+      ]);
+
+      await expect(
+        policyWrapper.removeProofSigner(regulator.address),
+      ).to.be.revertedWith("Below signer threshold");
+      await expect(policyWrapper.setSignerThreshold(3)).to.be.revertedWith(
+        "Invalid threshold",
+      );
+
+      await policyWrapper.setSignerThreshold(1);
+      await expect(policyWrapper.removeProofSigner(regulator.address))
+        .to.emit(policyWrapper, "ProofSignerRemoved")
+        .withArgs(regulator.address);
+      await expect(
+        wrapWith(await multiSignedProof([regulator])),
+      ).to.be.revertedWith("Invalid proof signer");
+    });
+
+    it("非管理員不能管理簽署者", async function () {
+      await expect(
+        policyWrapper.connect(borrower).setProofSigner(borrower.address, 0, 0),
+      ).to.be.reverted;
+      await expect(
+        policyWrapper.connect(borrower).setSignerThreshold(1),
+      ).to.be.reverted;
+    });
+  });
+
+  describe("鏈下規則非同步執行", function () {
+    const RULE_OFFCHAIN = ethers.keccak256(ethers.toUtf8Bytes("RULE_OFFCHAIN_AML"));
+    const IDENTITY_HASH = ethers.keccak256(ethers.toUtf8Bytes("identity"));
+    const amount = ethers.parseEther("100");
+
+    let executor;
+    let tokenId;
+
+    function runExecutor(evaluate) {
+      return createOffChainExecutor({
+        provider: ethers.provider,
+        manager: policyManager.target,
+        signer: executor,
+        evaluate,
+      }).poll();
+    }
+
+    async function requestIdOf(tx) {
+      const receipt = await tx.wait();
+      const log = receipt.logs
+        .map((l) => {
+          try {
+            return policyWrapper.interface.parseLog(l);
+          } catch (err) {
+            return null;
+          }
+        })
+        .find((parsed) => parsed && parsed.name === "TransferPending");
+      return log.args.requestId;
+    }
+
+    beforeEach(async function () {
+      executor = (await ethers.getSigners())[5];
+
+      const MockChainlinkACE = await ethers.getContractFactory("MockChainlinkACE");
+      const ace = await MockChainlinkACE.deploy();
+      await policyManager.updateChainlinkACE(await ace.getAddress());
+      await ccidRegistry.registerIdentity(lender.address, IDENTITY_HASH, TIER_STANDARD);
+      await ccidRegistry.registerIdentity(borrower.address, IDENTITY_HASH, TIER_STANDARD);
+      await ccidRegistry.approveJurisdiction(lender.address, JURISDICTION_TW);
+      await ccidRegistry.approveJurisdiction(borrower.address, JURISDICTION_TW);
+
+      await policyManager.registerRuleSet(RULE_OFFCHAIN, "OFFCHAIN_AML", false, executor.address, 1);
+      await policyManager.setJurisdictionRules(JURISDICTION_TW, [RULE_OFFCHAIN]);
+      await policyManager.grantRole(
+        await policyManager.OFFCHAIN_REQUESTER_ROLE(),
+        await policyWrapper.getAddress(),
+      );
+
+      // lender 以豁免身分 wrap 後取消豁免，之後的轉帳須跑規則
+      tokenId = await erc20PBMTokenId();
+      await policyWrapper.setComplianceExemption(lender.address, true);
+      await mockERC20.connect(lender).approve(await policyWrapper.getAddress(), amount);
+      await policyWrapper.connect(lender).wrap(AssetType.ERC20, await mockERC20.getAddress(), 0, amount, {
+        proofType: ethers.ZeroHash,
+        credentialHash: ethers.ZeroHash,
+        issuedAt: 0,
+        expiresAt: 0,
+        issuer: ethers.ZeroAddress,
+        subject: ethers.ZeroAddress,
+        counterparty: ethers.ZeroAddress,
+        tokenId: 0,
+        maxAmount: 0,
+        maxUses: 0,
+        amountBudget: 0,
+        signature: "0x",
+      });
+      await policyWrapper.setComplianceExemption(lender.address, false);
+    });
+
+    it("標準轉帳遇到鏈下規則不再默默通過", async function () {
+      const [passed, reason] = await policyManager.executeComplianceRules.staticCall(
+        lender.address,
+        borrower.address,
+        amount,
+        JURISDICTION_TW,
+      );
+      expect(passed).to.equal(false);
+      expect(reason).to.equal("Off-chain verdict required");
+
+      await expect(
+        pbmToken
+          .connect(lender)
+          .safeTransferFrom(lender.address, borrower.address, tokenId, amount, "0x"),
+      ).to.be.revertedWithCustomError(pbmToken, "ComplianceCheckFailed")
+        .withArgs(lender.address, borrower.address, tokenId, amount, RULE_OFFCHAIN, 2002);
+    });
+
+    it("PBM 移入 escrow，executor 通過後放行給接收方", async function () {
+      const tx = policyWrapper.connect(lender).requestTransfer(borrower.address, tokenId, amount);
+      await expect(tx)
+        .to.emit(policyManager, "OffChainRuleRequested")
+        .and.to.emit(policyWrapper, "TransferPending");
+      const requestId = await requestIdOf(await tx);
+
+      expect(await pbmToken.balanceOf(lender.address, tokenId)).to.equal(0);
+      expect(await pbmToken.balanceOf(await policyWrapper.getAddress(), tokenId)).to.equal(amount);
+
+      const { verdicts, errors } = await runExecutor(createLocalRules());
+      expect(errors).to.deep.equal([]);
+      expect(verdicts).to.have.length(1);
+      expect(verdicts[0].requestId).to.equal(requestId);
+      expect(verdicts[0].passed).to.equal(true);
+
+      expect(await pbmToken.balanceOf(borrower.address, tokenId)).to.equal(amount);
+      expect(await pbmToken.balanceOf(await policyWrapper.getAddress(), tokenId)).to.equal(0);
+      expect((await policyManager.offChainRequests(requestId)).status).to.equal(2); // APPROVED
+
+      // 已結案的請求不再接受裁決
+      expect((await runExecutor(createLocalRules())).verdicts).to.have.length(0);
+    });
+
+    it("executor 拒絕時退回發送方", async function () {
+      const requestId = await requestIdOf(
+        await policyWrapper.connect(lender).requestTransfer(borrower.address, tokenId, amount),
+      );
+
+      const { verdicts } = await runExecutor(createLocalRules({ denyList: [borrower.address] }));
+      expect(verdicts[0].passed).to.equal(false);
+      expect(verdicts[0].reason).to.equal("Counterparty on off-chain deny list");
+
+      expect(await pbmToken.balanceOf(lender.address, tokenId)).to.equal(amount);
+      expect(await pbmToken.balanceOf(borrower.address, tokenId)).to.equal(0);
+      expect((await policyManager.offChainRequests(requestId)).status).to.equal(3); // REJECTED
+    });
+
+    it("非 executor 簽署的裁決應被拒絕", async function () {
+      const requestId = await requestIdOf(
+        await policyWrapper.connect(lender).requestTransfer(borrower.address, tokenId, amount),
+      );
+      const { chainId } = await ethers.provider.getNetwork();
+      const verdict = { requestId, ruleSetId: RULE_OFFCHAIN, passed: true, reason: "" };
+      const forged = await lender.signTypedData(
+        verdictDomain(chainId, policyManager.target),
+        VERDICT_TYPES,
+        verdict,
+      );
+
+      await expect(
+        policyManager.connect(lender).fulfillOffChainRule(requestId, RULE_OFFCHAIN, true, "", forged),
+      ).to.be.revertedWith("Invalid verdict signature");
+
+      // 只有 wrapper 能收到回呼
+      await expect(
+        policyWrapper.connect(lender).onOffChainVerdict(requestId, true, ""),
+      ).to.be.revertedWith("Only policy manager");
+    });
+
+    it("逾時後任何人可結案並退回，之後裁決無效", async function () {
+      await policyManager.setOffChainTimeout(60);
+      const requestId = await requestIdOf(
+        await policyWrapper.connect(lender).requestTransfer(borrower.address, tokenId, amount),
+      );
+
+      await expect(policyManager.expireOffChainRequest(requestId)).to.be.revertedWith(
+        "Request not expired",
+      );
+
+      await ethers.provider.send("evm_increaseTime", [61]);
+      await ethers.provider.send("evm_mine", []);
+
+      const { errors } = await runExecutor(createLocalRules());
+      expect(errors[0].error).to.include("Request expired");
+
+      await expect(policyManager.connect(borrower).expireOffChainRequest(requestId))
+        .to.emit(policyManager, "OffChainRequestSettled")
+        .withArgs(requestId, 4, "Off-chain verdict timeout")
+        .and.to.emit(policyWrapper, "PendingTransferSettled")
+        .withArgs(requestId, false, "Off-chain verdict timeout");
+
+      expect(await pbmToken.balanceOf(lender.address, tokenId)).to.equal(amount);
+    });
+  });
+
+  describe("規則群組 (AND / OR / NOT)", function () {
+    const id = (name) => ethers.keccak256(ethers.toUtf8Bytes(name));
+    const Op = { AND: 0, OR: 1, NOT: 2 };
+
+    let merchant;
+    let resident;
+    let outsider;
+    const lists = {};
+
+    // appliedRules 點陣圖轉為規則類型名稱（依註冊順序）
+    async function evaluate(to) {
+      const [passed, reason, appliedRules] = await policyManager.executeComplianceRules.staticCall(
+        lender.address,
+        to,
+        ethers.parseEther("1"),
+        JURISDICTION_TW,
+      );
+      return [passed, reason, await policyManager.appliedRuleTypes(appliedRules), appliedRules];
+    }
+
+    beforeEach(async function () {
+      [, , , , merchant, resident, outsider] = await ethers.getSigners();
+
+      // 每條規則是一份獨立的白名單（檢查接收方）
+      const members = {
+        MERCHANT: [merchant],
+        RESIDENT: [resident, outsider],
+        FX_LIMIT: [resident, merchant],
+        BLOCKLIST: [outsider],
+      };
+      const WhitelistRule = await ethers.getContractFactory("WhitelistRule");
+      let priority = 1;
+      for (const [name, accounts] of Object.entries(members)) {
+        lists[name] = await WhitelistRule.deploy();
+        for (const account of accounts) {
+          await lists[name].addToWhitelist(account.address, name, "test");
+        }
+        await policyManager.registerRuleSet(id(name), name, true, await lists[name].getAddress(), priority++);
+      }
+    });
+
+    it("OR / AND 巢狀：appliedRules 只列出決定結果的分支", async function () {
+      // 白名單商家 OR (居民 AND 未超過 FX 限額)
+      await policyManager.defineRuleGroup(id("RESIDENT_FX"), Op.AND, [id("RESIDENT"), id("FX_LIMIT")]);
+      await expect(
+        policyManager.defineRuleGroup(id("ROOT"), Op.OR, [id("MERCHANT"), id("RESIDENT_FX")]),
+      ).to.emit(policyManager, "RuleGroupDefined");
+      await expect(policyManager.setJurisdictionRuleGroup(JURISDICTION_TW, id("ROOT")))
+        .to.emit(policyManager, "JurisdictionRuleGroupSet")
+        .withArgs(JURISDICTION_TW, id("ROOT"));
+
+      let [passed, reason, applied, bitmap] = await evaluate(merchant.address);
+      expect(passed).to.equal(true);
+      expect(applied).to.deep.equal(["MERCHANT"]);
+      // 點陣圖的位元為規則集的註冊順序
+      const { index } = await policyManager.ruleSets(id("MERCHANT"));
+      expect(await policyManager.activeRuleSets(index)).to.equal(id("MERCHANT"));
+      expect(bitmap).to.equal(1n << index);
+
+      [passed, reason, applied] = await evaluate(resident.address);
+      expect(passed).to.equal(true);
+      expect(applied).to.deep.equal(["RESIDENT", "FX_LIMIT"]);
+
+      // OR 失敗：列出所有分支中決定失敗的規則
+      [passed, reason, applied] = await evaluate(outsider.address);
+      expect(passed).to.equal(false);
+      expect(reason).to.equal("Recipient not in whitelist");
+      expect(applied).to.deep.equal(["MERCHANT", "FX_LIMIT"]);
+
+      const [operator, children, depth] = await policyManager.getRuleGroup(id("ROOT"));
+      expect(operator).to.equal(Op.OR);
+      expect(children).to.deep.equal([id("MERCHANT"), id("RESIDENT_FX")]);
+      expect(depth).to.equal(2);
+    });
+
+    it("NOT 反轉結果，停用的規則不影響所在群組", async function () {
+      await policyManager.defineRuleGroup(id("NOT_BLOCKED"), Op.NOT, [id("BLOCKLIST")]);
+      await policyManager.defineRuleGroup(id("ROOT"), Op.AND, [id("NOT_BLOCKED"), id("RESIDENT")]);
+      await policyManager.setJurisdictionRuleGroup(JURISDICTION_TW, id("ROOT"));
+
+      let [passed, reason, applied] = await evaluate(outsider.address);
+      expect(passed).to.equal(false);
+      expect(reason).to.equal("Negated rule group passed");
+      expect(applied).to.deep.equal(["BLOCKLIST"]);
+
+      [passed, , applied] = await evaluate(resident.address);
+      expect(passed).to.equal(true);
+      expect(applied).to.deep.equal(["RESIDENT", "BLOCKLIST"]);
+
+      // 停用 BLOCKLIST：NOT 分支被略過，不會因此變成通過或失敗
+      await policyManager.setRuleSetActive(id("BLOCKLIST"), false);
+      [passed, , applied] = await evaluate(outsider.address);
+      expect(passed).to.equal(true);
+      expect(applied).to.deep.equal(["RESIDENT"]);
+
+      // 改回平面清單
+      await policyManager.setJurisdictionRuleGroup(JURISDICTION_TW, ethers.ZeroHash);
+      let bitmap;
+      [passed, , applied, bitmap] = await evaluate(outsider.address);
+      expect(passed).to.equal(true);
+      expect(applied).to.deep.equal([]);
+      expect(bitmap).to.equal(0n);
+    });
+
+    it("群組定義檢查", async function () {
+      await expect(
+        policyManager.defineRuleGroup(id("G"), Op.NOT, [id("MERCHANT"), id("RESIDENT")]),
+      ).to.be.revertedWith("NOT takes one child");
+      await expect(policyManager.defineRuleGroup(id("G"), Op.AND, [])).to.be.revertedWith(
+        "Empty rule group",
+      );
+      await expect(policyManager.defineRuleGroup(id("G"), Op.OR, [id("NOPE")])).to.be.revertedWith(
+        "Unknown group child",
+      );
+      await expect(
+        policyManager.defineRuleGroup(id("MERCHANT"), Op.OR, [id("RESIDENT")]),
+      ).to.be.revertedWith("Id used by RuleSet");
+
+      await policyManager.registerRuleSet(id("OFFCHAIN"), "OFFCHAIN", false, owner.address, 9);
+      await expect(
+        policyManager.defineRuleGroup(id("G"), Op.OR, [id("OFFCHAIN")]),
+      ).to.be.revertedWith("Off-chain rule not allowed in group");
+      // 規則類型以 bytes32 字串保存
+      await expect(
+        policyManager.registerRuleSet(id("LONG"), "X".repeat(32), true, owner.address, 10),
+      ).to.be.revertedWith("Rule type too long");
+
+      await policyManager.defineRuleGroup(id("G"), Op.OR, [id("MERCHANT")]);
+      await expect(policyManager.defineRuleGroup(id("G"), Op.AND, [id("RESIDENT")])).to.be.revertedWith(
+        "RuleGroup already exists",
+      );
+      await expect(
+        policyManager.setJurisdictionRuleGroup(JURISDICTION_TW, id("NOPE")),
+      ).to.be.revertedWith("RuleGroup does not exist");
+      await expect(
+        policyManager.connect(lender).defineRuleGroup(id("H"), Op.OR, [id("MERCHANT")]),
+      ).to.be.revertedWithCustomError(policyManager, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("唯讀合規預覽與轉帳後記帳", function () {
+    const RULE_WHITELIST = ethers.keccak256(ethers.toUtf8Bytes("RULE_WHITELIST"));
+    const RULE_AML = ethers.keccak256(ethers.toUtf8Bytes("RULE_AML"));
+    const RULE_FX = ethers.keccak256(ethers.toUtf8Bytes("RULE_FX"));
+    const IDENTITY_HASH = ethers.keccak256(ethers.toUtf8Bytes("identity"));
+    const amount = ethers.parseEther("100");
+
+    let whitelist;
+    let aml;
+    let fx;
+    let outsider;
+    let tokenId;
+
+    async function wrapExempt(token, value) {
+      await policyWrapper.setComplianceExemption(lender.address, true);
+      await token.connect(lender).approve(await policyWrapper.getAddress(), value);
+      await policyWrapper.connect(lender).wrap(AssetType.ERC20, await token.getAddress(), 0, value, {
+        proofType: ethers.ZeroHash,
+        credentialHash: ethers.ZeroHash,
+        issuedAt: 0,
+        expiresAt: 0,
+        issuer: ethers.ZeroAddress,
+        subject: ethers.ZeroAddress,
+        counterparty: ethers.ZeroAddress,
+        tokenId: 0,
+        maxAmount: 0,
+        maxUses: 0,
+        amountBudget: 0,
+        signature: "0x",
+      });
+      await policyWrapper.setComplianceExemption(lender.address, false);
+    }
+
+    beforeEach(async function () {
+      outsider = (await ethers.getSigners())[6];
+
+      const MockChainlinkACE = await ethers.getContractFactory("MockChainlinkACE");
+      const ace = await MockChainlinkACE.deploy();
+      await policyManager.updateChainlinkACE(await ace.getAddress());
+      for (const account of [lender, borrower, outsider]) {
+        await ccidRegistry.registerIdentity(account.address, IDENTITY_HASH, TIER_STANDARD);
+        await ccidRegistry.approveJurisdiction(account.address, JURISDICTION_TW);
+      }
+      await ccidRegistry.setIdentityTag(lender.address, await ccidRegistry.TAG_NON_RESIDENT());
+
+      const WhitelistRule = await ethers.getContractFactory("WhitelistRule");
+      whitelist = await WhitelistRule.deploy();
+      await whitelist.addToWhitelist(borrower.address, "Borrower", "RETAIL");
+
+      const AMLThresholdRule = await ethers.getContractFactory("AMLThresholdRule");
+      aml = await AMLThresholdRule.deploy();
+      await aml.setLargeTransactionThreshold(ethers.parseEther("50"));
+
+      const FXLimitRule = await ethers.getContractFactory("FXLimitRule");
+      fx = await FXLimitRule.deploy(await ccidRegistry.getAddress());
+      await fx.setDailyLimit(ethers.parseEther("150"));
+
+      for (const rule of [aml, fx]) {
+        await rule.grantRole(await rule.POLICY_MANAGER_ROLE(), await policyManager.getAddress());
+      }
+
+      await policyManager.registerRuleSet(RULE_WHITELIST, "WHITELIST", true, await whitelist.getAddress(), 1);
+      await policyManager.registerRuleSet(RULE_AML, "AML", true, await aml.getAddress(), 2);
+      await policyManager.registerRuleSet(RULE_FX, "FX_LIMIT", true, await fx.getAddress(), 3);
+      await policyManager.setJurisdictionRules(JURISDICTION_TW, [RULE_WHITELIST, RULE_AML, RULE_FX]);
+
+      tokenId = await erc20PBMTokenId();
+      await wrapExempt(mockERC20, amount);
+    });
+
+    it("canTransfer 反映規則結果，預覽列出每條規則的裁決", async function () {
+      expect(await pbmToken.canTransfer(lender.address, borrower.address, tokenId, amount)).to.equal(true);
+      expect(await pbmToken.canTransfer(lender.address, outsider.address, tokenId, amount)).to.equal(false);
+
+      const [passed, reason, verdicts] = await policyWrapper.previewTransferCompliance(
+        lender.address,
+        outsider.address,
+        tokenId,
+        amount,
+      );
+      expect(passed).to.equal(false);
+      expect(reason).to.equal("Recipient not in whitelist");
+      expect(
+        verdicts.map((v) => [v.ruleSetId, ethers.decodeBytes32String(v.ruleType), v.passed, v.reason]),
+      ).to.deep.equal([
+        [RULE_WHITELIST, "WHITELIST", false, "Recipient not in whitelist"],
+        [RULE_AML, "AML", true, ""],
+        [RULE_FX, "FX_LIMIT", true, ""],
+      ]);
+
+      // 身份未通過時不跑規則
+      await ccidRegistry.revokeIdentity(outsider.address);
+      const [, identityReason, none] = await policyWrapper.previewTransferCompliance(
+        lender.address,
+        outsider.address,
+        tokenId,
+        amount,
+      );
+      expect(identityReason).to.equal("Recipient identity verification failed");
+      expect(none).to.deep.equal([]);
+
+      // 豁免時直接通過
+      await policyWrapper.setComplianceExemption(outsider.address, true);
+      expect(await pbmToken.canTransfer(lender.address, outsider.address, tokenId, amount)).to.equal(true);
+    });
+
+    it("預覽不寫入狀態，轉帳完成後才記帳，額度用完後預覽改為拒絕", async function () {
+      await policyWrapper.previewTransferCompliance(lender.address, borrower.address, tokenId, amount);
+      await policyManager.previewTransferCompliance(lender.address, borrower.address, amount, JURISDICTION_TW);
+      expect(await aml.getReportCount()).to.equal(0);
+      expect((await aml.getCumulativeInfo(lender.address)).transactionCount).to.equal(0);
+      expect(await fx.getDailyTransferAmount(lender.address)).to.equal(0);
+
+      await expect(
+        pbmToken.connect(lender).safeTransferFrom(lender.address, borrower.address, tokenId, amount, "0x"),
+      )
+        .to.emit(aml, "LargeTransactionDetected")
+        .and.to.emit(fx, "TransferRecorded");
+      expect(await aml.getReportCount()).to.equal(1);
+      const info = await aml.getCumulativeInfo(lender.address);
+      expect(info.totalAmount).to.equal(amount);
+      expect(info.transactionCount).to.equal(1);
+      expect(await fx.getDailyTransferAmount(lender.address)).to.equal(amount);
+
+      // 今日已用 100 / 150，再轉 100 會超過外匯額度
+      const [passed, reason] = await policyWrapper.previewTransferCompliance(
+        lender.address,
+        borrower.address,
+        tokenId,
+        amount,
+      );
+      expect(passed).to.equal(false);
+      expect(reason).to.equal("FX_LIMIT_EXCEEDED");
+    });
+
+    it("批次轉帳每個 tokenId 各記帳一次", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const other = await MockERC20.deploy("Mock SGD", "MSGD");
+      await other.mint(lender.address, amount);
+      await wrapExempt(other, amount);
+      const otherId = await policyWrapper.computePBMTokenId(AssetType.ERC20, await other.getAddress(), 0);
+
+      const part = ethers.parseEther("40");
+      await pbmToken
+        .connect(lender)
+        .safeBatchTransferFrom(lender.address, borrower.address, [tokenId, otherId], [part, part], "0x");
+
+      expect(await fx.getDailyTransferAmount(lender.address)).to.equal(part * 2n);
+      expect((await aml.getCumulativeInfo(lender.address)).transactionCount).to.equal(2);
+    });
+
+    it("只有 manager 能回呼規則記帳，記帳失敗時轉帳回滾", async function () {
+      expect((await policyManager.ruleSets(RULE_FX)).hasAfterTransferHook).to.equal(true);
+      expect((await policyManager.ruleSets(RULE_WHITELIST)).hasAfterTransferHook).to.equal(false);
+
+      await expect(
+        fx.afterTransfer(lender.address, borrower.address, amount),
+      ).to.be.revertedWithCustomError(fx, "AccessControlUnauthorizedAccount");
+      await expect(
+        policyManager.afterTransfer({
+          operator: lender.address,
+          from: lender.address,
+          to: borrower.address,
+          amount,
+          tokenId,
+          asset: await mockERC20.getAddress(),
+          assetTokenId: 0,
+          jurisdiction: JURISDICTION_TW,
+          fromJurisdiction: ethers.ZeroHash,
+          toJurisdiction: ethers.ZeroHash,
+          sourceCurrency: ethers.ZeroHash,
+          targetCurrency: ethers.ZeroHash,
+          data: "0x",
+        }),
+      ).to.be.revertedWithCustomError(policyManager, "AccessControlUnauthorizedAccount");
+      await expect(
+        policyWrapper.afterTransferCompliance(lender.address, lender.address, borrower.address, tokenId, amount, "0x"),
+      ).to.be.revertedWith("Only PBM token");
+
+      // 規則未授權 manager：記帳失敗，轉帳與其他規則的記帳一起回滾
+      await aml.revokeRole(await aml.POLICY_MANAGER_ROLE(), await policyManager.getAddress());
+      await expect(
+        pbmToken.connect(lender).safeTransferFrom(lender.address, borrower.address, tokenId, amount, "0x"),
+      ).to.be.revertedWithCustomError(aml, "AccessControlUnauthorizedAccount");
+      expect(await pbmToken.balanceOf(borrower.address, tokenId)).to.equal(0);
+      expect(await fx.getDailyTransferAmount(lender.address)).to.equal(0);
+      await aml.grantRole(await aml.POLICY_MANAGER_ROLE(), await policyManager.getAddress());
+
+      // wrapper 未持有 TRANSFER_REPORTER_ROLE 同樣回滾，不會悄悄略過記帳
+      const reporterRole = await policyManager.TRANSFER_REPORTER_ROLE();
+      await policyManager.revokeRole(reporterRole, await policyWrapper.getAddress());
+      await expect(
+        pbmToken.connect(lender).safeTransferFrom(lender.address, borrower.address, tokenId, amount, "0x"),
+      ).to.be.revertedWithCustomError(policyManager, "AccessControlUnauthorizedAccount");
+      await policyManager.grantRole(reporterRole, await policyWrapper.getAddress());
+
+      // 壓低 gas 上限讓記帳耗盡 gas：轉帳不能在略過記帳的情況下完成
+      const gas = await pbmToken
+        .connect(lender)
+        .safeTransferFrom.estimateGas(lender.address, borrower.address, tokenId, amount, "0x");
+      for (const limit of [gas - 5000n, gas - 20000n, gas - 40000n]) {
+        await expect(
+          pbmToken
+            .connect(lender)
+            .safeTransferFrom(lender.address, borrower.address, tokenId, amount, "0x", { gasLimit: limit }),
+        ).to.be.reverted;
+      }
+      expect(await pbmToken.balanceOf(borrower.address, tokenId)).to.equal(0);
+
+      await pbmToken.connect(lender).safeTransferFrom(lender.address, borrower.address, tokenId, amount, "0x");
+      expect(await pbmToken.balanceOf(borrower.address, tokenId)).to.equal(amount);
+      expect((await aml.getCumulativeInfo(lender.address)).transactionCount).to.equal(1);
+      expect(await fx.getDailyTransferAmount(lender.address)).to.equal(amount);
+    });
+  });
+
+  describe("規則介面 v2（轉帳上下文）", function () {
+    const RULE_WHITELIST = ethers.keccak256(ethers.toUtf8Bytes("RULE_WHITELIST"));
+    const RULE_AML = ethers.keccak256(ethers.toUtf8Bytes("RULE_AML"));
+    const RULE_COLLATERAL = ethers.keccak256(ethers.toUtf8Bytes("RULE_COLLATERAL"));
+    const IDENTITY_HASH = ethers.keccak256(ethers.toUtf8Bytes("identity"));
+    const amount = ethers.parseEther("100");
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+
+    let whitelist;
+    let collateral;
+    let outsider;
+    let tokenId;
+
+    beforeEach(async function () {
+      outsider = (await ethers.getSigners())[6];
+
+      const MockChainlinkACE = await ethers.getContractFactory("MockChainlinkACE");
+      const ace = await MockChainlinkACE.deploy();
+      await policyManager.updateChainlinkACE(await ace.getAddress());
+      for (const account of [lender, borrower, outsider]) {
+        await ccidRegistry.registerIdentity(account.address, IDENTITY_HASH, TIER_STANDARD);
+        await ccidRegistry.approveJurisdiction(account.address, JURISDICTION_TW);
+      }
+
+      const WhitelistRule = await ethers.getContractFactory("WhitelistRule");
+      whitelist = await WhitelistRule.deploy();
+      await whitelist.addToWhitelist(borrower.address, "Borrower", "RETAIL");
+
+      const CollateralRule = await ethers.getContractFactory("CollateralRule");
+      collateral = await CollateralRule.deploy(15000);
+      await collateral.addCollateral(await mockERC20.getAddress(), ethers.parseEther("1"));
+
+      const AMLThresholdRule = await ethers.getContractFactory("AMLThresholdRule");
+      const aml = await AMLThresholdRule.deploy();
+      await aml.grantRole(await aml.POLICY_MANAGER_ROLE(), await policyManager.getAddress());
+
+      await policyManager.registerRuleSet(RULE_WHITELIST, "WHITELIST", true, await whitelist.getAddress(), 1);
+      await policyManager.registerRuleSet(RULE_AML, "AML", true, await aml.getAddress(), 2);
+      await policyManager.registerRuleSet(RULE_COLLATERAL, "COLLATERAL", true, await collateral.getAddress(), 3);
+      await policyManager.setJurisdictionRules(JURISDICTION_TW, [RULE_WHITELIST, RULE_AML, RULE_COLLATERAL]);
+
+      tokenId = await erc20PBMTokenId();
+      await policyWrapper.setComplianceExemption(lender.address, true);
+      await mockERC20.connect(lender).approve(await policyWrapper.getAddress(), amount);
+      await policyWrapper.connect(lender).wrap(AssetType.ERC20, await mockERC20.getAddress(), 0, amount, {
+        proofType: ethers.ZeroHash,
+        credentialHash: ethers.ZeroHash,
+        issuedAt: 0,
+        expiresAt: 0,
+        issuer: ethers.ZeroAddress,
+        subject: ethers.ZeroAddress,
+        counterparty: ethers.ZeroAddress,
+        tokenId: 0,
+        maxAmount: 0,
+        maxUses: 0,
+        amountBudget: 0,
+        signature: "0x",
+      });
+      await policyWrapper.setComplianceExemption(lender.address, false);
+    });
+
+    it("註冊時以 ERC-165 偵測規則介面版本", async function () {
+      expect((await policyManager.ruleSets(RULE_WHITELIST)).interfaceVersion).to.equal(2);
+      expect((await policyManager.ruleSets(RULE_COLLATERAL)).interfaceVersion).to.equal(2);
+      expect((await policyManager.ruleSets(RULE_AML)).interfaceVersion).to.equal(1);
+    });
+
+    it("白名單管轄區模式取用上下文的管轄區", async function () {
+      await whitelist.setJurisdictionMode(true);
+      await whitelist.setJurisdictionWhitelist(JURISDICTION_TW, outsider.address, true);
+      // 抵押品規則未登記義務時拒絕；登記零貸款讓本測試只看白名單
+      await collateral.setObligation(lender.address, await mockERC20.getAddress(), 0);
+
+      expect(await pbmToken.canTransfer(lender.address, outsider.address, tokenId, amount)).to.equal(true);
+      expect(await pbmToken.canTransfer(lender.address, borrower.address, tokenId, amount)).to.equal(false);
+
+      // v1 入口沒有管轄區資訊，只看全局白名單
+      const [passed] = await whitelist.checkCompliance(lender.address, borrower.address, amount);
+      expect(passed).to.equal(true);
+    });
+
+    it("抵押品規則從上下文取底層資產，貸款金額取自登記的義務", async function () {
+      const asset = await mockERC20.getAddress();
+      const claimedLoan = coder.encode(["uint256"], [ethers.parseEther("30")]);
+
+      // 未登記義務時拒絕，轉帳 data 自稱的貸款金額不被採用
+      await expect(
+        pbmToken.connect(lender).safeTransferFrom(lender.address, borrower.address, tokenId, amount, claimedLoan),
+      ).to.be.revertedWithCustomError(pbmToken, "ComplianceCheckFailed")
+        .withArgs(lender.address, borrower.address, tokenId, amount, RULE_COLLATERAL, 6004);
+
+      // 抵押品 100 × 1.0，最低抵押率 150%：貸款 60 需 90，貸款 80 需 120
+      await expect(collateral.connect(outsider).setObligation(lender.address, asset, ethers.parseEther("80")))
+        .to.be.revertedWithCustomError(collateral, "AccessControlUnauthorizedAccount");
+      await collateral.setObligation(lender.address, asset, ethers.parseEther("80"));
+      await expect(
+        pbmToken.connect(lender).safeTransferFrom(lender.address, borrower.address, tokenId, amount, "0x"),
+      ).to.be.revertedWithCustomError(pbmToken, "ComplianceCheckFailed")
+        .withArgs(lender.address, borrower.address, tokenId, amount, RULE_COLLATERAL, 6003);
+
+      const [, reason, verdicts] = await policyManager.previewTransfer({
+        operator: lender.address,
+        from: lender.address,
+        to: borrower.address,
+        amount,
+        tokenId,
+        asset,
+        assetTokenId: 0,
+        jurisdiction: JURISDICTION_TW,
+        fromJurisdiction: ethers.ZeroHash,
+        toJurisdiction: ethers.ZeroHash,
+        sourceCurrency: ethers.ZeroHash,
+        targetCurrency: ethers.ZeroHash,
+        data: "0x",
+      });
+      expect(reason).to.equal("Insufficient collateral value");
+      expect(verdicts[2].ruleSetId).to.equal(RULE_COLLATERAL);
+
+      // 轉出的不是登記的抵押品資產時不計價值
+      const [otherPassed, otherReason] = await collateral.checkTransfer({
+        operator: lender.address,
+        from: lender.address,
+        to: borrower.address,
+        amount,
+        tokenId,
+        asset: await pbmToken.getAddress(),
+        assetTokenId: 0,
+        jurisdiction: JURISDICTION_TW,
+        fromJurisdiction: ethers.ZeroHash,
+        toJurisdiction: ethers.ZeroHash,
+        sourceCurrency: ethers.ZeroHash,
+        targetCurrency: ethers.ZeroHash,
+        data: "0x",
+      });
+      expect(otherPassed).to.equal(false);
+      expect(otherReason).to.equal("Insufficient collateral value");
+
+      await collateral.setObligation(lender.address, asset, ethers.parseEther("30"));
+      await pbmToken.connect(lender).safeTransferFrom(lender.address, borrower.address, tokenId, amount / 2n, "0x");
+      expect(await pbmToken.balanceOf(borrower.address, tokenId)).to.equal(amount / 2n);
+
+      await collateral.clearObligation(lender.address);
+      await expect(
+        pbmToken.connect(lender).safeTransferFrom(lender.address, borrower.address, tokenId, amount / 2n, "0x"),
+      ).to.be.revertedWithCustomError(pbmToken, "ComplianceCheckFailed")
+        .withArgs(lender.address, borrower.address, tokenId, amount / 2n, RULE_COLLATERAL, 6004);
+    });
+
+    it("Repo 參與方檢查依登記的義務驗證現金與抵押品，未登記時拒絕", async function () {
+      const PartyRole = { LENDER: 1, BORROWER: 2 };
+      const RULE_CASH = ethers.keccak256(ethers.toUtf8Bytes("RULE_CASH"));
+      const asset = await mockERC20.getAddress();
+      const CashAdequacyRule = await ethers.getContractFactory("CashAdequacyRule");
+      const cash = await CashAdequacyRule.deploy();
+      await cash.addCashAsset(asset);
+      await policyManager.registerRuleSet(RULE_CASH, "CASH", true, await cash.getAddress(), 4);
+      await policyManager.setPartyRoleRules(PartyRole.LENDER, [RULE_CASH]);
+      await policyManager.setPartyRoleRules(PartyRole.BORROWER, [RULE_COLLATERAL]);
+      // 參與方檢查以 Policy Manager 為對手方驗證身份
+      await ccidRegistry.registerIdentity(await policyManager.getAddress(), IDENTITY_HASH, TIER_STANDARD);
+      await ccidRegistry.approveJurisdiction(await policyManager.getAddress(), JURISDICTION_TW);
+
+      let [ok, reason] = await policyManager.verifyPartyCompliance.staticCall(outsider.address, PartyRole.LENDER, JURISDICTION_TW);
+      expect([ok, reason]).to.deep.equal([false, "Cash obligation not set"]);
+      [ok, reason] = await policyManager.verifyPartyCompliance.staticCall(borrower.address, PartyRole.BORROWER, JURISDICTION_TW);
+      expect([ok, reason]).to.deep.equal([false, "Loan obligation not set"]);
+
+      // 現金以 ERC-20 餘額計算：outsider 起初沒有現金
+      await cash.setObligation(outsider.address, asset, ethers.parseEther("50"));
+      [ok, reason] = await policyManager.verifyPartyCompliance.staticCall(outsider.address, PartyRole.LENDER, JURISDICTION_TW);
+      expect([ok, reason]).to.deep.equal([false, "Insufficient cash balance"]);
+      await mockERC20.mint(outsider.address, ethers.parseEther("50"));
+      [ok] = await policyManager.verifyPartyCompliance.staticCall(outsider.address, PartyRole.LENDER, JURISDICTION_TW);
+      expect(ok).to.equal(true);
+
+      // 抵押品同樣以持有的資產餘額計價：50 × 1.0 可擔保 33 以內的貸款
+      await collateral.setObligation(outsider.address, asset, ethers.parseEther("40"));
+      [ok, reason] = await policyManager.verifyPartyCompliance.staticCall(outsider.address, PartyRole.BORROWER, JURISDICTION_TW);
+      expect([ok, reason]).to.deep.equal([false, "Insufficient collateral value"]);
+      await collateral.setObligation(outsider.address, asset, ethers.parseEther("30"));
+      [ok] = await policyManager.verifyPartyCompliance.staticCall(outsider.address, PartyRole.BORROWER, JURISDICTION_TW);
+      expect(ok).to.equal(true);
+
+      // v2：轉出的 PBM 包裝現金與 lender 直接持有的現金合計
+      const context = {
+        operator: lender.address,
+        from: lender.address,
+        to: borrower.address,
+        amount,
+        tokenId,
+        asset,
+        assetTokenId: 0,
+        jurisdiction: JURISDICTION_TW,
+        fromJurisdiction: ethers.ZeroHash,
+        toJurisdiction: ethers.ZeroHash,
+        sourceCurrency: ethers.ZeroHash,
+        targetCurrency: ethers.ZeroHash,
+        data: coder.encode(["uint256"], [0]),
+      };
+      expect(await cash.checkTransfer(context)).to.deep.equal([false, "Cash obligation not set"]);
+      const held = await mockERC20.balanceOf(lender.address);
+      await cash.setObligation(lender.address, asset, held + amount);
+      expect(await cash.checkTransfer(context)).to.deep.equal([true, ""]);
+      expect(await cash.checkTransfer({ ...context, amount: amount / 2n })).to.deep.equal([
+        false,
+        "Insufficient cash balance",
+      ]);
+    });
+  });
+
+  describe("PBM 方案規則範圍（tokenId / program / 底層資產）", function () {
+    const RULE_WL_BORROWER = ethers.keccak256(ethers.toUtf8Bytes("RULE_WL_BORROWER"));
+    const RULE_WL_OUTSIDER = ethers.keccak256(ethers.toUtf8Bytes("RULE_WL_OUTSIDER"));
+    const RULE_FX = ethers.keccak256(ethers.toUtf8Bytes("RULE_FX"));
+    const PROGRAM = ethers.keccak256(ethers.toUtf8Bytes("TOURIST_FX_2026"));
+    const IDENTITY_HASH = ethers.keccak256(ethers.toUtf8Bytes("identity"));
+    const Scope = { TOKEN: 0, PROGRAM: 1, ASSET: 2, JURISDICTION: 3 };
+    const amount = ethers.parseEther("100");
+
+    let outsider;
+    let other;
+    let fx;
+    let tokenId;
+    let otherId;
+
+    async function wrapExempt(token, value) {
+      await policyWrapper.setComplianceExemption(lender.address, true);
+      await token.connect(lender).approve(await policyWrapper.getAddress(), value);
+      await policyWrapper.connect(lender).wrap(AssetType.ERC20, await token.getAddress(), 0, value, {
+        proofType: ethers.ZeroHash,
+        credentialHash: ethers.ZeroHash,
+        issuedAt: 0,
+        expiresAt: 0,
+        issuer: ethers.ZeroAddress,
+        subject: ethers.ZeroAddress,
+        counterparty: ethers.ZeroAddress,
+        tokenId: 0,
+        maxAmount: 0,
+        maxUses: 0,
+        amountBudget: 0,
+        signature: "0x",
+      });
+      await policyWrapper.setComplianceExemption(lender.address, false);
+    }
+
+    function assetKey(address) {
+      return ethers.zeroPadValue(address, 32);
+    }
+
+    beforeEach(async function () {
+      outsider = (await ethers.getSigners())[6];
+
+      const MockChainlinkACE = await ethers.getContractFactory("MockChainlinkACE");
+      const ace = await MockChainlinkACE.deploy();
+      await policyManager.updateChainlinkACE(await ace.getAddress());
+      for (const account of [lender, borrower, outsider]) {
+        await ccidRegistry.registerIdentity(account.address, IDENTITY_HASH, TIER_STANDARD);
+        await ccidRegistry.approveJurisdiction(account.address, JURISDICTION_TW);
+      }
+      await ccidRegistry.setIdentityTag(lender.address, await ccidRegistry.TAG_NON_RESIDENT());
+
+      const WhitelistRule = await ethers.getContractFactory("WhitelistRule");
+      const wlBorrower = await WhitelistRule.deploy();
+      await wlBorrower.addToWhitelist(borrower.address, "Borrower", "RETAIL");
+      const wlOutsider = await WhitelistRule.deploy();
+      await wlOutsider.addToWhitelist(outsider.address, "Outsider", "RETAIL");
+
+      const FXLimitRule = await ethers.getContractFactory("FXLimitRule");
+      fx = await FXLimitRule.deploy(await ccidRegistry.getAddress());
+      await fx.setDailyLimit(ethers.parseEther("1000"));
+      await fx.grantRole(await fx.POLICY_MANAGER_ROLE(), await policyManager.getAddress());
+
+      await policyManager.registerRuleSet(RULE_WL_BORROWER, "WHITELIST", true, await wlBorrower.getAddress(), 1);
+      await policyManager.registerRuleSet(RULE_WL_OUTSIDER, "WHITELIST", true, await wlOutsider.getAddress(), 1);
+      await policyManager.registerRuleSet(RULE_FX, "FX_LIMIT", true, await fx.getAddress(), 2);
+      await policyManager.setJurisdictionRules(JURISDICTION_TW, [RULE_WL_BORROWER]);
+
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      other = await MockERC20.deploy("Mock SGD", "MSGD");
+      await other.mint(lender.address, amount);
+
+      tokenId = await erc20PBMTokenId();
+      otherId = await policyWrapper.computePBMTokenId(AssetType.ERC20, await other.getAddress(), 0);
+      await wrapExempt(mockERC20, amount);
+      await wrapExempt(other, amount);
+    });
+
+    it("tokenId → program → 底層資產 → 管轄區，取第一個有設定的範圍", async function () {
+      const asset = await mockERC20.getAddress();
+      const resolve = async () => {
+        const [scope] = await policyManager.resolveRuleScope(tokenId, asset, JURISDICTION_TW);
+        return Number(scope);
+      };
+
+      expect(await resolve()).to.equal(Scope.JURISDICTION);
+      expect(await pbmToken.canTransfer(lender.address, outsider.address, tokenId, amount)).to.equal(false);
+
+      await expect(policyManager.setScopedRules(Scope.ASSET, assetKey(asset), [RULE_WL_OUTSIDER]))
+        .to.emit(policyManager, "ScopedRulesConfigured")
+        .withArgs(Scope.ASSET, assetKey(asset), 1);
+      expect(await resolve()).to.equal(Scope.ASSET);
+      expect(await pbmToken.canTransfer(lender.address, outsider.address, tokenId, amount)).to.equal(true);
+      expect(await pbmToken.canTransfer(lender.address, borrower.address, tokenId, amount)).to.equal(false);
+
+      await policyManager.setTokenProgram([tokenId], PROGRAM);
+      await policyManager.setScopedRules(Scope.PROGRAM, PROGRAM, [RULE_WL_BORROWER]);
+      expect(await resolve()).to.equal(Scope.PROGRAM);
+      expect(await pbmToken.canTransfer(lender.address, outsider.address, tokenId, amount)).to.equal(false);
+
+      await policyManager.setScopedRules(Scope.TOKEN, ethers.toBeHex(tokenId, 32), [RULE_WL_OUTSIDER]);
+      expect(await resolve()).to.equal(Scope.TOKEN);
+      expect(await pbmToken.canTransfer(lender.address, outsider.address, tokenId, amount)).to.equal(true);
+
+      // 清空 tokenId 範圍後退回 program
+      await policyManager.setScopedRules(Scope.TOKEN, ethers.toBeHex(tokenId, 32), []);
+      expect(await resolve()).to.equal(Scope.PROGRAM);
+
+      // 其他底層資產的 PBM 仍適用管轄區規則
+      expect(await pbmToken.canTransfer(lender.address, outsider.address, otherId, amount)).to.equal(false);
+      expect(await pbmToken.canTransfer(lender.address, borrower.address, otherId, amount)).to.equal(true);
+    });
+
+    it("轉帳後記帳依相同範圍的規則", async function () {
+      await policyManager.setTokenProgram([tokenId, otherId], PROGRAM);
+      await policyManager.setScopedRules(Scope.PROGRAM, PROGRAM, [RULE_WL_BORROWER, RULE_FX]);
+      await policyManager.setScopedRules(Scope.TOKEN, ethers.toBeHex(otherId, 32), [RULE_WL_BORROWER]);
+
+      const part = ethers.parseEther("40");
+      await pbmToken
+        .connect(lender)
+        .safeBatchTransferFrom(lender.address, borrower.address, [tokenId, otherId], [part, part], "0x");
+
+      // otherId 的 tokenId 範圍沒有外匯規則，只記帳 tokenId 這筆
+      expect(await fx.getDailyTransferAmount(lender.address)).to.equal(part);
+    });
+
+    it("範圍設定檢查", async function () {
+      await expect(
+        policyManager.setScopedRules(Scope.JURISDICTION, JURISDICTION_TW, [RULE_WL_BORROWER]),
+      ).to.be.revertedWith("Use jurisdiction rules");
+      await expect(
+        policyManager.setScopedRules(Scope.PROGRAM, PROGRAM, [ethers.ZeroHash]),
+      ).to.be.revertedWith("RuleSet does not exist");
+      await expect(
+        policyManager.setScopedRuleGroup(Scope.PROGRAM, PROGRAM, PROGRAM),
+      ).to.be.revertedWith("RuleGroup does not exist");
+      await expect(
+        policyManager.connect(outsider).setTokenProgram([tokenId], PROGRAM),
+      ).to.be.revertedWithCustomError(policyManager, "AccessControlUnauthorizedAccount");
+
+      const [rules, groupId] = await policyManager.getScopedRules(Scope.JURISDICTION, JURISDICTION_TW);
+      expect(rules).to.deep.equal([RULE_WL_BORROWER]);
+      expect(groupId).to.equal(ethers.ZeroHash);
+    });
+  });
+
+  describe("跨法域轉帳（發送方 / 接收方法域）", function () {
+    const JURISDICTION_SG = ethers.encodeBytes32String("SG");
+    const RULE_TW = ethers.keccak256(ethers.toUtf8Bytes("RULE_TW"));
+    const RULE_SG = ethers.keccak256(ethers.toUtf8Bytes("RULE_SG"));
+    const RULE_SG_INBOUND = ethers.keccak256(ethers.toUtf8Bytes("RULE_SG_INBOUND"));
+    const IDENTITY_HASH = ethers.keccak256(ethers.toUtf8Bytes("identity"));
+    const Role = { SENDER: 0, RECEIVER: 1, HOME: 2 };
+    const amount = ethers.parseEther("100");
+
+    let tourist;
+    let tokenId;
+
+    function context(to) {
+      return {
+        operator: lender.address,
+        from: lender.address,
+        to,
+        amount,
+        tokenId,
+        asset: ethers.ZeroAddress,
+        assetTokenId: 0,
+        jurisdiction: JURISDICTION_TW,
+        fromJurisdiction: ethers.ZeroHash,
+        toJurisdiction: ethers.ZeroHash,
+        sourceCurrency: ethers.ZeroHash,
+        targetCurrency: ethers.ZeroHash,
+        data: "0x",
+      };
+    }
+
+    beforeEach(async function () {
+      tourist = (await ethers.getSigners())[6];
+
+      const MockChainlinkACE = await ethers.getContractFactory("MockChainlinkACE");
+      const ace = await MockChainlinkACE.deploy();
+      await policyManager.updateChainlinkACE(await ace.getAddress());
+      for (const account of [lender, borrower, tourist]) {
+        await ccidRegistry.registerIdentity(account.address, IDENTITY_HASH, TIER_STANDARD);
+      }
+      await ccidRegistry.approveJurisdiction(lender.address, JURISDICTION_TW);
+      await ccidRegistry.approveJurisdiction(borrower.address, JURISDICTION_TW);
+      await ccidRegistry.approveJurisdiction(tourist.address, JURISDICTION_SG);
+
+      // TW 規則放行 tourist，SG 一般規則只放行 borrower
+      const WhitelistRule = await ethers.getContractFactory("WhitelistRule");
+      const twRule = await WhitelistRule.deploy();
+      await twRule.addToWhitelist(borrower.address, "Borrower", "RETAIL");
+      await twRule.addToWhitelist(tourist.address, "Tourist", "RETAIL");
+      const sgRule = await WhitelistRule.deploy();
+      await sgRule.addToWhitelist(borrower.address, "Borrower", "RETAIL");
+      const sgInbound = await WhitelistRule.deploy();
+      await sgInbound.addToWhitelist(tourist.address, "Tourist", "RETAIL");
+
+      await policyManager.registerRuleSet(RULE_TW, "TW_WHITELIST", true, await twRule.getAddress(), 1);
+      await policyManager.registerRuleSet(RULE_SG, "SG_WHITELIST", true, await sgRule.getAddress(), 1);
+      await policyManager.registerRuleSet(RULE_SG_INBOUND, "SG_INBOUND", true, await sgInbound.getAddress(), 1);
+      await policyManager.setJurisdictionRules(JURISDICTION_TW, [RULE_TW]);
+      await policyManager.setJurisdictionRules(JURISDICTION_SG, [RULE_SG]);
+
+      tokenId = await erc20PBMTokenId();
+      await policyWrapper.setComplianceExemption(lender.address, true);
+      await mockERC20.connect(lender).approve(await policyWrapper.getAddress(), amount);
+      await policyWrapper.connect(lender).wrap(AssetType.ERC20, await mockERC20.getAddress(), 0, amount, {
+        proofType: ethers.ZeroHash,
+        credentialHash: ethers.ZeroHash,
+        issuedAt: 0,
+        expiresAt: 0,
+        issuer: ethers.ZeroAddress,
+        subject: ethers.ZeroAddress,
+        counterparty: ethers.ZeroAddress,
+        tokenId: 0,
+        maxAmount: 0,
+        maxUses: 0,
+        amountBudget: 0,
+        signature: "0x",
+      });
+      await policyWrapper.setComplianceExemption(lender.address, false);
+    });
+
+    it("接收方須在所屬管轄區獲核准，未列入候選的管轄區不承認", async function () {
+      const [passed, reason] = await policyManager.checkIdentity(lender.address, tourist.address, JURISDICTION_TW);
+      expect(passed).to.equal(false);
+      expect(reason).to.equal("Recipient identity verification failed");
+      await expect(policyManager.verifyIdentity(lender.address, tourist.address, JURISDICTION_TW))
+        .to.emit(policyManager, "TransferBlocked")
+        .withArgs(lender.address, tourist.address, JURISDICTION_TW, "Recipient identity verification failed");
+
+      await expect(policyManager.setRecognizedJurisdictions([JURISDICTION_SG]))
+        .to.emit(policyManager, "RecognizedJurisdictionsUpdated");
+      expect(
+        await policyManager.resolveTransferJurisdictions(lender.address, tourist.address, JURISDICTION_TW),
+      ).to.deep.equal([JURISDICTION_TW, JURISDICTION_SG]);
+      expect((await policyManager.checkIdentity(lender.address, tourist.address, JURISDICTION_TW))[0]).to.equal(true);
+
+      // SG 停用後不再承認
+      await policyManager.setJurisdictionEnabled(JURISDICTION_SG, false);
+      expect(await policyManager.resolvePartyJurisdiction(tourist.address, JURISDICTION_TW)).to.equal(JURISDICTION_TW);
+    });
+
+    it("依序評估發送方與接收方法域的規則，並記錄擋下轉帳的法域", async function () {
+      await policyManager.setRecognizedJurisdictions([JURISDICTION_SG]);
+
+      // TW 規則通過，SG 規則未通過
+      const [passed, reason, verdicts] = await policyWrapper.previewTransferCompliance(
+        lender.address,
+        tourist.address,
+        tokenId,
+        amount,
+      );
+      expect(passed).to.equal(false);
+      expect(reason).to.equal("Recipient not in whitelist");
+      expect(verdicts.map((v) => [v.ruleSetId, v.passed, v.jurisdiction])).to.deep.equal([
+        [RULE_TW, true, JURISDICTION_TW],
+        [RULE_SG, false, JURISDICTION_SG],
+      ]);
+      await expect(policyManager.executeTransferRules(context(tourist.address)))
+        .to.emit(policyManager, "TransferBlocked")
+        .withArgs(lender.address, tourist.address, JURISDICTION_SG, "Recipient not in whitelist");
+      await expect(
+        pbmToken.connect(lender).safeTransferFrom(lender.address, tourist.address, tokenId, amount, "0x"),
+      ).to.be.revertedWithCustomError(pbmToken, "ComplianceCheckFailed")
+        .withArgs(lender.address, tourist.address, tokenId, amount, RULE_SG, 3001);
+
+      // 國內轉帳只評估 TW
+      const [, , domestic] = await policyWrapper.previewTransferCompliance(
+        lender.address,
+        borrower.address,
+        tokenId,
+        amount,
+      );
+      expect(domestic.map((v) => v.ruleSetId)).to.deep.equal([RULE_TW]);
+    });
+
+    it("跨法域規則取代該法域的一般規則", async function () {
+      await policyManager.setRecognizedJurisdictions([JURISDICTION_SG]);
+      await expect(policyManager.setCrossBorderRules(JURISDICTION_SG, Role.RECEIVER, [RULE_SG_INBOUND]))
+        .to.emit(policyManager, "CrossBorderRulesConfigured")
+        .withArgs(JURISDICTION_SG, Role.RECEIVER, 1);
+      expect(await policyManager.getCrossBorderRules(JURISDICTION_SG, Role.RECEIVER)).to.deep.equal([RULE_SG_INBOUND]);
+
+      await pbmToken.connect(lender).safeTransferFrom(lender.address, tourist.address, tokenId, amount, "0x");
+      expect(await pbmToken.balanceOf(tourist.address, tokenId)).to.equal(amount);
+
+      // 發送方（出境）規則未設定時沿用 TW 一般規則
+      await expect(
+        policyManager.setCrossBorderRules(JURISDICTION_TW, Role.SENDER, [ethers.ZeroHash]),
+      ).to.be.revertedWith("RuleSet does not exist");
+      await expect(
+        policyManager.connect(tourist).setRecognizedJurisdictions([]),
+      ).to.be.revertedWithCustomError(policyManager, "AccessControlUnauthorizedAccount");
+    });
+
+    it("雙方都是外國帳戶時仍評估 wrapper 所屬管轄區的規則", async function () {
+      const visitor = (await ethers.getSigners())[7];
+      await ccidRegistry.registerIdentity(visitor.address, IDENTITY_HASH, TIER_STANDARD);
+      await ccidRegistry.approveJurisdiction(visitor.address, JURISDICTION_SG);
+      await policyManager.setRecognizedJurisdictions([JURISDICTION_SG]);
+      await policyManager.setJurisdictionRules(JURISDICTION_SG, []);
+
+      // SG 沒有規則，TW 規則未放行 visitor
+      const toVisitor = { ...context(visitor.address), from: tourist.address };
+      const [passed, reason, , verdicts] = await policyManager.evaluateTransferRules(toVisitor);
+      expect(passed).to.equal(false);
+      expect(reason).to.equal("Recipient not in whitelist");
+      expect(verdicts.map((v) => [v.ruleSetId, v.passed, v.jurisdiction])).to.deep.equal([
+        [RULE_TW, false, JURISDICTION_TW],
+      ]);
+      await expect(policyManager.executeTransferRules(toVisitor))
+        .to.emit(policyManager, "TransferBlocked")
+        .withArgs(tourist.address, visitor.address, JURISDICTION_TW, "Recipient not in whitelist");
+
+      const toTourist = { ...context(tourist.address), from: visitor.address };
+      expect((await policyManager.evaluateTransferRules(toTourist))[0]).to.equal(true);
+
+      // HOME 角色的跨法域規則取代 TW 一般規則
+      await policyManager.setCrossBorderRules(JURISDICTION_TW, Role.HOME, [RULE_SG_INBOUND]);
+      const [, , , homeVerdicts] = await policyManager.evaluateTransferRules(toTourist);
+      expect(homeVerdicts.map((v) => [v.ruleSetId, v.passed, v.jurisdiction])).to.deep.equal([
+        [RULE_SG_INBOUND, true, JURISDICTION_TW],
+      ]);
+      expect((await policyManager.evaluateTransferRules(toVisitor))[1]).to.equal("Recipient not in whitelist");
+    });
+  });
+
+  describe("數字原因碼與合規決策紀錄", function () {
+    const RULE_WHITELIST = ethers.keccak256(ethers.toUtf8Bytes("RULE_WHITELIST"));
+    const RULE_AML = ethers.keccak256(ethers.toUtf8Bytes("RULE_AML"));
+    const IDENTITY_HASH = ethers.keccak256(ethers.toUtf8Bytes("identity"));
+    const amount = ethers.parseEther("100");
+
+    let outsider;
+    let tokenId;
+
+    function context(to) {
+      return {
+        operator: lender.address,
+        from: lender.address,
+        to,
+        amount,
+        tokenId,
+        asset: ethers.ZeroAddress,
+        assetTokenId: 0,
+        jurisdiction: JURISDICTION_TW,
+        fromJurisdiction: ethers.ZeroHash,
+        toJurisdiction: ethers.ZeroHash,
+        sourceCurrency: ethers.ZeroHash,
+        targetCurrency: ethers.ZeroHash,
+        data: "0x",
+      };
+    }
+
+    // 以 staticCall 取得 PBM 轉帳的 revert data
+    async function transferRevertData(to) {
+      try {
+        await pbmToken
+          .connect(lender)
+          .safeTransferFrom.staticCall(lender.address, to, tokenId, amount, "0x");
+      } catch (err) {
+        return err.data;
+      }
+      throw new Error("transfer did not revert");
+    }
+
+    beforeEach(async function () {
+      outsider = (await ethers.getSigners())[6];
+
+      const MockChainlinkACE = await ethers.getContractFactory("MockChainlinkACE");
+      const ace = await MockChainlinkACE.deploy();
+      await policyManager.updateChainlinkACE(await ace.getAddress());
+      for (const account of [lender, borrower, outsider]) {
+        await ccidRegistry.registerIdentity(account.address, IDENTITY_HASH, TIER_STANDARD);
+        await ccidRegistry.approveJurisdiction(account.address, JURISDICTION_TW);
+      }
+
+      const WhitelistRule = await ethers.getContractFactory("WhitelistRule");
+      const whitelist = await WhitelistRule.deploy();
+      await whitelist.addToWhitelist(borrower.address, "Borrower", "RETAIL");
+      const AMLThresholdRule = await ethers.getContractFactory("AMLThresholdRule");
+      const aml = await AMLThresholdRule.deploy();
+      await aml.setLargeTransactionThreshold(ethers.parseEther("1000"));
+
+      await policyManager.registerRuleSet(RULE_WHITELIST, "WHITELIST", true, await whitelist.getAddress(), 1);
+      await policyManager.registerRuleSet(RULE_AML, "AML", true, await aml.getAddress(), 2);
+      await policyManager.setJurisdictionRules(JURISDICTION_TW, [RULE_WHITELIST, RULE_AML]);
+
+      tokenId = await erc20PBMTokenId();
+      await policyWrapper.setComplianceExemption(lender.address, true);
+      await mockERC20.connect(lender).approve(await policyWrapper.getAddress(), amount);
+      await policyWrapper.connect(lender).wrap(AssetType.ERC20, await mockERC20.getAddress(), 0, amount, {
+        proofType: ethers.ZeroHash,
+        credentialHash: ethers.ZeroHash,
+        issuedAt: 0,
+        expiresAt: 0,
+        issuer: ethers.ZeroAddress,
+        subject: ethers.ZeroAddress,
+        counterparty: ethers.ZeroAddress,
+        tokenId: 0,
+        maxAmount: 0,
+        maxUses: 0,
+        amountBudget: 0,
+        signature: "0x",
+      });
+      await policyWrapper.setComplianceExemption(lender.address, false);
+    });
+
+    it("PBM 轉帳未通過時 revert 帶出擋下的規則與原因碼，JS 可解碼為中英文訊息", async function () {
+      await expect(
+        pbmToken.connect(lender).safeTransferFrom(lender.address, outsider.address, tokenId, amount, "0x"),
+      )
+        .to.be.revertedWithCustomError(pbmToken, "ComplianceCheckFailed")
+        .withArgs(lender.address, outsider.address, tokenId, amount, RULE_WHITELIST, 3001);
+
+      const decoded = decodeComplianceError(await transferRevertData(outsider.address), {
+        [RULE_WHITELIST]: "WHITELIST",
+      });
+      expect(decoded).to.include({
+        to: outsider.address,
+        rule: "WHITELIST",
+        code: 3001,
+        name: "RECIPIENT_NOT_WHITELISTED",
+        zh: "收款方不在商家白名單",
+        en: "Recipient is not a whitelisted merchant",
+      });
+
+      // 身份驗證未通過：ruleSetId 為 IDENTITY_CHECK
+      await ccidRegistry.revokeIdentity(outsider.address);
+      const identity = decodeComplianceError(await transferRevertData(outsider.address));
+      expect(identity).to.include({ ruleSetId: IDENTITY_CHECK, rule: "IDENTITY_CHECK", code: 1003 });
+      expect(decodeComplianceError("0x")).to.equal(null);
+    });
+
+    it("決策紀錄記下套用的規則、擋下的規則集與原因碼，每條規則的裁決由預覽取得", async function () {
+      const [, , verdicts] = await policyWrapper.previewTransferCompliance(
+        lender.address,
+        outsider.address,
+        tokenId,
+        amount,
+      );
+      expect(verdicts.map((v) => [v.ruleSetId, v.reasonCode])).to.deep.equal([
+        [RULE_WHITELIST, 3001n],
+        [RULE_AML, 0n],
+      ]);
+
+      const [, , , blockingRuleSetId, reasonCode] =
+        await policyManager.executeTransferRules.staticCall(context(outsider.address));
+      expect([blockingRuleSetId, reasonCode]).to.deep.equal([RULE_WHITELIST, 3001n]);
+
+      const receipt = await (await policyManager.executeTransferRules(context(outsider.address))).wait();
+      const [decision] = receipt.logs
+        .map((log) => decodeComplianceDecision(log, { [RULE_WHITELIST]: "WHITELIST" }))
+        .filter(Boolean);
+      expect(decision).to.deep.include({
+        from: lender.address,
+        to: outsider.address,
+        tokenId,
+        passed: false,
+        blockedBy: "TW",
+        blockingRuleSetId: RULE_WHITELIST,
+        rule: "WHITELIST",
+        code: 3001,
+        en: "Recipient is not a whitelisted merchant",
+      });
+      expect(await policyManager.appliedRuleTypes(decision.appliedRules)).to.deep.equal(["WHITELIST", "AML"]);
+
+      await expect(policyManager.executeTransferRules(context(borrower.address)))
+        .to.emit(policyManager, "ComplianceDecision")
+        .withArgs(lender.address, borrower.address, tokenId, true, ethers.ZeroHash, 3n, ethers.ZeroHash, 0);
+    });
+
+    it("原因碼對照與 JS 對照表一致，第三方原因可另行登記", async function () {
+      for (const [code, entry] of Object.entries(REASON_CODES)) {
+        if (entry.reason === null) continue;
+        expect(await policyManager.reasonCodeOf(entry.reason), entry.name).to.equal(Number(code));
+      }
+      expect(await policyManager.reasonCodeOf("SANCTIONS_HIT")).to.equal(9999);
+
+      await expect(
+        policyManager.connect(outsider).setReasonCode("SANCTIONS_HIT", 1004),
+      ).to.be.revertedWithCustomError(policyManager, "AccessControlUnauthorizedAccount");
+      await expect(policyManager.setReasonCode("SANCTIONS_HIT", 1004))
+        .to.emit(policyManager, "ReasonCodeSet")
+        .withArgs("SANCTIONS_HIT", 1004);
+      expect(await policyManager.reasonCodeOf("SANCTIONS_HIT")).to.equal(1004);
+    });
+  });
+
   describe("Repo Scenario", function () {
     const emptyProof = {
       proofType: ethers.encodeBytes32String("KYC"),
@@ -527,6 +2464,12 @@ describe("GL1 PBM Policy Wrapper", function () {
       issuedAt: Math.floor(Date.now() / 1000) - 3600,
       expiresAt: Math.floor(Date.now() / 1000) + 86400,
       issuer: ethers.ZeroAddress,
+      subject: ethers.ZeroAddress,
+      counterparty: ethers.ZeroAddress,
+      tokenId: 0,
+      maxAmount: 0,
+      maxUses: 0,
+      amountBudget: 0,
       signature: "0x",
     };
 
@@ -0,0 +1,366 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { VERDICT_TYPES, verdictDomain } = require("../scripts/offchain-executor");
+const {
+  getPolicyManagerFactory,
+  getPolicyWrapperFactory,
+} = require("../scripts/libraries");
+
+describe("PBM Program（有效期間與到期收回）", function () {
+  let ccidRegistry;
+  let policyManager;
+  let policyWrapper;
+  let pbmToken;
+  let cash;
+  let baseTokenId;
+
+  let owner;
+  let issuer;
+  let treasury;
+  let alice;
+  let bob;
+  let merchant;
+  let executor;
+  let snapshot;
+
+  const JURISDICTION_TW = ethers.encodeBytes32String("TW");
+  const PROGRAM_ID = ethers.encodeBytes32String("SUBSIDY_2026");
+
+  const emptyProof = {
+    proofType: ethers.encodeBytes32String("KYC"),
+    credentialHash: ethers.ZeroHash,
+    issuedAt: 0,
+    expiresAt: 0,
+    issuer: ethers.ZeroAddress,
+    subject: ethers.ZeroAddress,
+    counterparty: ethers.ZeroAddress,
+    tokenId: 0,
+    maxAmount: 0,
+    maxUses: 0,
+    amountBudget: 0,
+    signature: "0x",
+  };
+
+  async function now() {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+  }
+
+  async function increaseTimeTo(timestamp) {
+    await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  // 發行者建立計畫，回傳 tokenId 與有效期間
+  async function createProgram(startOffset = 100, duration = 1000) {
+    const startTime = (await now()) + startOffset;
+    const expiry = startTime + duration;
+    const args = [baseTokenId, PROGRAM_ID, startTime, expiry, treasury.address];
+    const tokenId = await policyWrapper.connect(issuer).createProgram.staticCall(...args);
+    await policyWrapper.connect(issuer).createProgram(...args);
+    return { tokenId, startTime, expiry };
+  }
+
+  // 測試會推進鏈上時間；結束後還原，避免鏈上時間領先之後的測試
+  before(async function () {
+    snapshot = await ethers.provider.send("evm_snapshot", []);
+  });
+
+  after(async function () {
+    await ethers.provider.send("evm_revert", [snapshot]);
+  });
+
+  beforeEach(async function () {
+    [owner, issuer, treasury, alice, bob, merchant, executor] = await ethers.getSigners();
+
+    const CCIDRegistry = await ethers.getContractFactory("CCIDRegistry");
+    ccidRegistry = await CCIDRegistry.deploy();
+    await ccidRegistry.waitForDeployment();
+
+    const GL1PolicyManager = await getPolicyManagerFactory();
+    policyManager = await GL1PolicyManager.deploy(
+      owner.address,
+      await ccidRegistry.getAddress(),
+      owner.address,
+    );
+    await policyManager.waitForDeployment();
+
+    const PBMToken = await ethers.getContractFactory("PBMToken");
+    pbmToken = await PBMToken.deploy(owner.address);
+    await pbmToken.waitForDeployment();
+
+    const GL1PolicyWrapper = await getPolicyWrapperFactory();
+    policyWrapper = await GL1PolicyWrapper.deploy(
+      JURISDICTION_TW,
+      await policyManager.getAddress(),
+      await pbmToken.getAddress(),
+      owner.address,
+    );
+    await policyWrapper.waitForDeployment();
+    await pbmToken.updateWrapper(await policyWrapper.getAddress());
+
+    // 本測試只涵蓋計畫的有效期間，不跑規則鏈
+    await policyWrapper.setComplianceEnabled(false);
+    await pbmToken.grantRole(await pbmToken.PROGRAM_ISSUER_ROLE(), issuer.address);
+    await pbmToken.grantRole(await pbmToken.PROGRAM_REDEEMER_ROLE(), merchant.address);
+
+    // 發行者照常 wrap 取得 baseTokenId
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    cash = await MockERC20.deploy("Cash", "CASH");
+    await cash.waitForDeployment();
+    await cash.mint(issuer.address, 1000n);
+    await cash.connect(issuer).approve(await policyWrapper.getAddress(), ethers.MaxUint256);
+    await policyWrapper.connect(issuer).wrap(0, await cash.getAddress(), 0, 1000n, emptyProof);
+    baseTokenId = await policyWrapper.computePBMTokenId(0, await cash.getAddress(), 0);
+  });
+
+  it("開始前可發放、有效期間內才能轉帳，到期後不能轉帳、解包或注資", async function () {
+    const startTime = (await now()) + 100;
+    const expiry = startTime + 1000;
+    const tokenId = ethers.toBigInt(
+      ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["uint256", "bytes32"], [baseTokenId, PROGRAM_ID])),
+    );
+    await expect(
+      policyWrapper.connect(issuer).createProgram(baseTokenId, PROGRAM_ID, startTime, expiry, treasury.address),
+    )
+      .to.emit(pbmToken, "ProgramDefined")
+      .withArgs(tokenId, issuer.address, startTime, expiry, treasury.address, baseTokenId);
+    expect(await policyWrapper.assets(tokenId)).to.deep.equal(await policyWrapper.assets(baseTokenId));
+
+    // 注資：發行者的 baseTokenId 轉換為計畫的代幣
+    await pbmToken.connect(issuer).fundProgram(tokenId, alice.address, 300n);
+    expect(await pbmToken.balanceOf(alice.address, tokenId)).to.equal(300n);
+    expect(await pbmToken.balanceOf(issuer.address, baseTokenId)).to.equal(700n);
+    expect(await pbmToken.totalSupply(tokenId)).to.equal(300n);
+    expect(await pbmToken.totalSupply(baseTokenId)).to.equal(700n);
+
+    // 開始前
+    expect(await pbmToken.isProgramActive(tokenId)).to.equal(false);
+    expect(await pbmToken.canTransfer(alice.address, merchant.address, tokenId, 100n)).to.equal(false);
+    await expect(
+      pbmToken.connect(alice).safeTransferFrom(alice.address, merchant.address, tokenId, 100n, "0x"),
+    )
+      .to.be.revertedWithCustomError(pbmToken, "ProgramNotActive")
+      .withArgs(tokenId, startTime, expiry);
+
+    // 有效期間內：轉帳給商家，商家解包取回底層資產；受補助者不能直接解包
+    await increaseTimeTo(startTime);
+    expect(await pbmToken.isProgramActive(tokenId)).to.equal(true);
+    await expect(policyWrapper.connect(alice).unwrap(tokenId, 100n, alice.address))
+      .to.be.revertedWithCustomError(pbmToken, "AccessControlUnauthorizedAccount")
+      .withArgs(alice.address, await pbmToken.PROGRAM_REDEEMER_ROLE());
+    await pbmToken.connect(alice).safeTransferFrom(alice.address, merchant.address, tokenId, 200n, "0x");
+    await policyWrapper.connect(merchant).unwrap(tokenId, 100n, merchant.address);
+    expect(await cash.balanceOf(merchant.address)).to.equal(100n);
+
+    // 到期後
+    await increaseTimeTo(expiry);
+    expect(await pbmToken.isProgramActive(tokenId)).to.equal(false);
+    await expect(
+      pbmToken.connect(alice).safeTransferFrom(alice.address, merchant.address, tokenId, 100n, "0x"),
+    ).to.be.revertedWithCustomError(pbmToken, "ProgramNotActive");
+    await expect(
+      policyWrapper.connect(merchant).unwrap(tokenId, 100n, merchant.address),
+    ).to.be.revertedWithCustomError(pbmToken, "ProgramNotActive");
+    await expect(
+      pbmToken.connect(issuer).fundProgram(tokenId, bob.address, 100n),
+    ).to.be.revertedWithCustomError(pbmToken, "ProgramNotActive");
+
+    // 不是計畫的 tokenId 不受影響
+    expect(await pbmToken.isProgramActive(baseTokenId)).to.equal(true);
+    await pbmToken.connect(issuer).safeTransferFrom(issuer.address, bob.address, baseTokenId, 100n, "0x");
+  });
+
+  it("發行者分批收回到期餘額，底層資產解包給 sunset 受益人", async function () {
+    const { tokenId, expiry } = await createProgram(0);
+    await pbmToken.connect(issuer).fundProgram(tokenId, alice.address, 300n);
+    await pbmToken.connect(issuer).fundProgram(tokenId, bob.address, 200n);
+    await pbmToken.setFrozenTokens(bob.address, tokenId, 50n);
+
+    await expect(policyWrapper.connect(issuer).reclaimExpired(tokenId, [alice.address]))
+      .to.be.revertedWithCustomError(pbmToken, "ProgramNotExpired")
+      .withArgs(tokenId, expiry);
+
+    await increaseTimeTo(expiry);
+    await expect(policyWrapper.connect(alice).reclaimExpired(tokenId, [alice.address]))
+      .to.be.revertedWithCustomError(pbmToken, "NotProgramIssuer")
+      .withArgs(alice.address, tokenId);
+
+    await expect(policyWrapper.connect(issuer).reclaimExpired(tokenId, [alice.address]))
+      .to.emit(pbmToken, "ProgramReclaimed")
+      .withArgs(tokenId, alice.address, 300n)
+      .and.to.emit(policyWrapper, "TokenUnwrapped")
+      .withArgs(issuer.address, tokenId, 300n, treasury.address);
+    expect(await cash.balanceOf(treasury.address)).to.equal(300n);
+
+    // 第二批：凍結中的餘額不收回，沒有餘額的地址略過
+    await policyWrapper.connect(issuer).reclaimExpired(tokenId, [bob.address, merchant.address, alice.address]);
+    expect(await cash.balanceOf(treasury.address)).to.equal(450n);
+    expect(await pbmToken.balanceOf(bob.address, tokenId)).to.equal(50n);
+    expect(await pbmToken.totalSupply(tokenId)).to.equal(50n);
+
+    // 沒有可收回的餘額時不發出解包事件
+    await expect(policyWrapper.connect(issuer).reclaimExpired(tokenId, [alice.address]))
+      .to.not.emit(policyWrapper, "TokenUnwrapped");
+
+    // 凍結的餘額由監理機關於到期後強制轉移，之後照常收回
+    await pbmToken.forcedTransfer(bob.address, treasury.address, tokenId, 50n);
+    expect(await pbmToken.balanceOf(treasury.address, tokenId)).to.equal(50n);
+    await policyWrapper.connect(issuer).reclaimExpired(tokenId, [treasury.address]);
+    expect(await cash.balanceOf(treasury.address)).to.equal(500n);
+    expect(await pbmToken.totalSupply(tokenId)).to.equal(0);
+  });
+
+  describe("等待鏈下裁決的 escrow", function () {
+    const RULE_OFFCHAIN = ethers.keccak256(ethers.toUtf8Bytes("RULE_OFFCHAIN_AML"));
+    const IDENTITY_HASH = ethers.keccak256(ethers.toUtf8Bytes("identity"));
+    const TIER_STANDARD = ethers.keccak256(ethers.toUtf8Bytes("TIER_STANDARD"));
+
+    async function requestTransfer(tokenId, amount) {
+      const receipt = await (await policyWrapper.connect(alice).requestTransfer(bob.address, tokenId, amount)).wait();
+      return receipt.logs
+        .map((log) => {
+          try {
+            return policyWrapper.interface.parseLog(log);
+          } catch (err) {
+            return null;
+          }
+        })
+        .find((parsed) => parsed && parsed.name === "TransferPending").args.requestId;
+    }
+
+    beforeEach(async function () {
+      const MockChainlinkACE = await ethers.getContractFactory("MockChainlinkACE");
+      const ace = await MockChainlinkACE.deploy();
+      await policyManager.updateChainlinkACE(await ace.getAddress());
+      for (const account of [alice, bob]) {
+        await ccidRegistry.registerIdentity(account.address, IDENTITY_HASH, TIER_STANDARD);
+        await ccidRegistry.approveJurisdiction(account.address, JURISDICTION_TW);
+      }
+      await policyManager.registerRuleSet(RULE_OFFCHAIN, "OFFCHAIN_AML", false, executor.address, 1);
+      await policyManager.setJurisdictionRules(JURISDICTION_TW, [RULE_OFFCHAIN]);
+      await policyManager.grantRole(await policyManager.OFFCHAIN_REQUESTER_ROLE(), await policyWrapper.getAddress());
+    });
+
+    it("計畫在裁決前到期：通過的裁決與逾時結案都退回發送方，之後照常收回", async function () {
+      const { tokenId, startTime, expiry } = await createProgram(100, 1000);
+      await pbmToken.connect(issuer).fundProgram(tokenId, alice.address, 300n);
+      await increaseTimeTo(startTime);
+
+      const approvedId = await requestTransfer(tokenId, 100n);
+      const timedOutId = await requestTransfer(tokenId, 100n);
+      expect(await pbmToken.balanceOf(await policyWrapper.getAddress(), tokenId)).to.equal(200n);
+
+      await increaseTimeTo(expiry);
+
+      // 通過的裁決不再放行給接收方，改退回發送方
+      const verdict = { requestId: approvedId, ruleSetId: RULE_OFFCHAIN, passed: true, reason: "" };
+      const { chainId } = await ethers.provider.getNetwork();
+      const signature = await executor.signTypedData(
+        verdictDomain(chainId, policyManager.target),
+        VERDICT_TYPES,
+        verdict,
+      );
+      await expect(policyManager.fulfillOffChainRule(approvedId, RULE_OFFCHAIN, true, "", signature))
+        .to.emit(policyWrapper, "PendingTransferSettled")
+        .withArgs(approvedId, true, "")
+        .and.to.emit(pbmToken, "ProgramEscrowRefunded")
+        .withArgs(tokenId, alice.address, 100n);
+      expect(await pbmToken.balanceOf(bob.address, tokenId)).to.equal(0);
+
+      await increaseTimeTo((await now()) + Number(await policyManager.offChainTimeout()));
+      await expect(policyManager.expireOffChainRequest(timedOutId))
+        .to.emit(policyWrapper, "PendingTransferSettled")
+        .withArgs(timedOutId, false, "Off-chain verdict timeout")
+        .and.to.not.emit(pbmToken, "ProgramEscrowRefunded");
+
+      expect(await pbmToken.balanceOf(await policyWrapper.getAddress(), tokenId)).to.equal(0);
+      expect(await pbmToken.balanceOf(alice.address, tokenId)).to.equal(300n);
+
+      await policyWrapper.connect(issuer).reclaimExpired(tokenId, [alice.address]);
+      expect(await cash.balanceOf(treasury.address)).to.equal(300n);
+    });
+
+    it("通過的裁決只在實際放行時記帳：到期退回不計入 AML 累計與 FX 每日額度", async function () {
+      const RULE_AML = ethers.keccak256(ethers.toUtf8Bytes("RULE_AML"));
+      const RULE_FX = ethers.keccak256(ethers.toUtf8Bytes("RULE_FX"));
+      const aml = await (await ethers.getContractFactory("AMLThresholdRule")).deploy();
+      const fx = await (await ethers.getContractFactory("FXLimitRule")).deploy(await ccidRegistry.getAddress());
+      for (const rule of [aml, fx]) {
+        await rule.grantRole(await rule.POLICY_MANAGER_ROLE(), await policyManager.getAddress());
+      }
+      await policyManager.registerRuleSet(RULE_AML, "AML", true, await aml.getAddress(), 2);
+      await policyManager.registerRuleSet(RULE_FX, "FX_LIMIT", true, await fx.getAddress(), 3);
+      await policyManager.setJurisdictionRules(JURISDICTION_TW, [RULE_OFFCHAIN, RULE_AML, RULE_FX]);
+      await ccidRegistry.setIdentityTag(alice.address, await ccidRegistry.TAG_NON_RESIDENT());
+
+      const { chainId } = await ethers.provider.getNetwork();
+      async function approve(requestId) {
+        const verdict = { requestId, ruleSetId: RULE_OFFCHAIN, passed: true, reason: "" };
+        const signature = await executor.signTypedData(
+          verdictDomain(chainId, policyManager.target),
+          VERDICT_TYPES,
+          verdict,
+        );
+        return policyManager.fulfillOffChainRule(requestId, RULE_OFFCHAIN, true, "", signature);
+      }
+
+      const { tokenId, startTime, expiry } = await createProgram(100, 1000);
+      await pbmToken.connect(issuer).fundProgram(tokenId, alice.address, 300n);
+      await increaseTimeTo(startTime);
+
+      // 有效期間內通過：放行給接收方並記帳
+      await approve(await requestTransfer(tokenId, 100n));
+      expect(await pbmToken.balanceOf(bob.address, tokenId)).to.equal(100n);
+      expect((await aml.getCumulativeInfo(alice.address)).totalAmount).to.equal(100n);
+      expect(await fx.getDailyTransferAmount(alice.address)).to.equal(100n);
+
+      // 到期後通過：退回發送方，不記帳
+      const refundedId = await requestTransfer(tokenId, 50n);
+      await increaseTimeTo(expiry);
+      // 到期時可能已跨日，以裁決前的數值比較
+      const amlBefore = (await aml.getCumulativeInfo(alice.address)).totalAmount;
+      const fxBefore = await fx.getDailyTransferAmount(alice.address);
+      await expect(approve(refundedId))
+        .to.emit(pbmToken, "ProgramEscrowRefunded")
+        .withArgs(tokenId, alice.address, 50n)
+        .and.to.not.emit(fx, "TransferRecorded");
+      expect(await pbmToken.balanceOf(alice.address, tokenId)).to.equal(200n);
+      expect((await aml.getCumulativeInfo(alice.address)).totalAmount).to.equal(amlBefore);
+      expect(await fx.getDailyTransferAmount(alice.address)).to.equal(fxBefore);
+    });
+  });
+
+  it("建立與注資計畫的檢查", async function () {
+    const startTime = (await now()) + 100;
+    const issuerRole = await pbmToken.PROGRAM_ISSUER_ROLE();
+
+    await expect(
+      policyWrapper.connect(alice).createProgram(baseTokenId, PROGRAM_ID, startTime, startTime + 10, treasury.address),
+    )
+      .to.be.revertedWithCustomError(pbmToken, "AccessControlUnauthorizedAccount")
+      .withArgs(alice.address, issuerRole);
+    await expect(
+      policyWrapper.connect(issuer).createProgram(1n, PROGRAM_ID, startTime, startTime + 10, treasury.address),
+    ).to.be.revertedWith("Unknown PBM tokenId");
+    await expect(
+      policyWrapper.connect(issuer).createProgram(baseTokenId, PROGRAM_ID, startTime, startTime, treasury.address),
+    ).to.be.revertedWith("Invalid program window");
+    await expect(
+      policyWrapper.connect(issuer).createProgram(baseTokenId, PROGRAM_ID, startTime, startTime + 10, ethers.ZeroAddress),
+    ).to.be.revertedWith("Invalid sunset beneficiary");
+    await expect(
+      pbmToken.defineProgram(1n, baseTokenId, issuer.address, startTime, startTime + 10, treasury.address),
+    ).to.be.revertedWithCustomError(pbmToken, "AccessControlUnauthorizedAccount");
+
+    const { tokenId } = await createProgram();
+    await expect(
+      policyWrapper.connect(issuer).createProgram(baseTokenId, PROGRAM_ID, startTime, startTime + 10, treasury.address),
+    ).to.be.revertedWith("Program already exists");
+    await expect(pbmToken.connect(alice).fundProgram(tokenId, alice.address, 1n))
+      .to.be.revertedWithCustomError(pbmToken, "NotProgramIssuer")
+      .withArgs(alice.address, tokenId);
+    await expect(pbmToken.connect(issuer).fundProgram(baseTokenId, alice.address, 1n))
+      .to.be.revertedWithCustomError(pbmToken, "NotProgramIssuer")
+      .withArgs(issuer.address, baseTokenId);
+  });
+});
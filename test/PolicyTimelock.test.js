@@ -0,0 +1,332 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { getPolicyManagerFactory } = require("../scripts/libraries");
+
+describe("PolicyTimelock（規則配置延時生效）", function () {
+  let policyManager;
+  let timelock;
+  let whitelist;
+
+  let owner;
+  let proposer;
+  let guardian;
+  let outsider;
+
+  // 測試會把鏈上時間往後推數天，結束後還原，以免影響其他測試的 proof 有效期
+  let snapshot;
+
+  const DELAY = 2 * 24 * 60 * 60;
+  const JURISDICTION_TW = ethers.encodeBytes32String("TW");
+  const RULE_WHITELIST = ethers.keccak256(ethers.toUtf8Bytes("WHITELIST"));
+  const RULE_AML = ethers.keccak256(ethers.toUtf8Bytes("AML"));
+
+  async function now() {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+  }
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  // 排入變更並回傳 changeId
+  async function propose(data, effectiveAt, signer = proposer) {
+    const tx = await timelock.connect(signer).propose(data, effectiveAt);
+    const receipt = await tx.wait();
+    const event = receipt.logs
+      .map((log) => timelock.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "ChangeProposed");
+    return event.args.changeId;
+  }
+
+  before(async function () {
+    snapshot = await ethers.provider.send("evm_snapshot", []);
+  });
+
+  after(async function () {
+    await ethers.provider.send("evm_revert", [snapshot]);
+  });
+
+  beforeEach(async function () {
+    [owner, proposer, guardian, outsider] = await ethers.getSigners();
+
+    const CCIDRegistry = await ethers.getContractFactory("CCIDRegistry");
+    const ccidRegistry = await CCIDRegistry.deploy();
+    await ccidRegistry.waitForDeployment();
+
+    const GL1PolicyManager = await getPolicyManagerFactory();
+    policyManager = await GL1PolicyManager.deploy(
+      owner.address,
+      await ccidRegistry.getAddress(),
+      owner.address,
+    );
+    await policyManager.waitForDeployment();
+
+    const WhitelistRule = await ethers.getContractFactory("WhitelistRule");
+    whitelist = await WhitelistRule.deploy();
+    await whitelist.waitForDeployment();
+
+    const PolicyTimelock = await ethers.getContractFactory("PolicyTimelock");
+    timelock = await PolicyTimelock.deploy(await policyManager.getAddress(), DELAY);
+    await timelock.waitForDeployment();
+
+    await timelock.grantRole(await timelock.PROPOSER_ROLE(), proposer.address);
+    await timelock.grantRole(await timelock.EMERGENCY_ROLE(), guardian.address);
+
+    // 配置權限移交 timelock
+    await policyManager.setTimelock(await timelock.getAddress());
+  });
+
+  it("變更須等到生效時間才能套用，套用後版本 +1", async function () {
+    const data = policyManager.interface.encodeFunctionData("registerRuleSet", [
+      RULE_WHITELIST,
+      "WHITELIST",
+      true,
+      await whitelist.getAddress(),
+      1,
+    ]);
+
+    // 生效時間早於最短延時
+    await expect(timelock.connect(proposer).propose(data, (await now()) + DELAY - 10))
+      .to.be.revertedWith("Effective time before delay");
+
+    const effectiveAt = (await now()) + DELAY + 60;
+    const changeId = await propose(data, effectiveAt);
+    expect((await timelock.getChange(changeId)).subject).to.equal(RULE_WHITELIST);
+
+    await expect(timelock.execute(changeId)).to.be.revertedWith("Change not yet effective");
+    expect((await policyManager.ruleSets(RULE_WHITELIST)).isActive).to.equal(false);
+
+    await increaseTime(DELAY + 60);
+    await expect(timelock.connect(outsider).execute(changeId))
+      .to.emit(timelock, "ChangeApplied")
+      .withArgs(changeId, RULE_WHITELIST, 1);
+
+    expect((await policyManager.ruleSets(RULE_WHITELIST)).isActive).to.equal(true);
+    expect(await timelock.currentVersion()).to.equal(1);
+    expect(await timelock.versionChange(1)).to.equal(changeId);
+    await expect(timelock.execute(changeId)).to.be.revertedWith("Change not queued");
+
+    // 部署者已無法繞過 timelock
+    await expect(policyManager.setJurisdictionEnabled(JURISDICTION_TW, true)).to.be.reverted;
+  });
+
+  it("延時期間可取消，取消後無法套用", async function () {
+    const data = policyManager.interface.encodeFunctionData("setJurisdictionEnabled", [
+      JURISDICTION_TW,
+      true,
+    ]);
+    const changeId = await propose(data, (await now()) + DELAY + 60);
+
+    await expect(timelock.connect(outsider).cancel(changeId)).to.be.reverted;
+    await expect(timelock.cancel(changeId))
+      .to.emit(timelock, "ChangeCancelled")
+      .withArgs(changeId, owner.address);
+
+    await increaseTime(DELAY + 60);
+    await expect(timelock.execute(changeId)).to.be.revertedWith("Change not queued");
+    await expect(timelock.cancel(changeId)).to.be.revertedWith("Change not queued");
+    expect(await policyManager.jurisdictionEnabled(JURISDICTION_TW)).to.equal(false);
+    expect(await timelock.currentVersion()).to.equal(0);
+  });
+
+  it("可查詢任一區塊適用的配置版本", async function () {
+    const register = (ruleSetId, name, priority) =>
+      whitelist.getAddress().then((address) =>
+        policyManager.interface.encodeFunctionData("registerRuleSet", [
+          ruleSetId,
+          name,
+          true,
+          address,
+          priority,
+        ]),
+      );
+    const setRules = policyManager.interface.encodeFunctionData("setJurisdictionRules", [
+      JURISDICTION_TW,
+      [RULE_WHITELIST, RULE_AML],
+    ]);
+
+    const effectiveAt = (await now()) + DELAY + 60;
+    const ids = [
+      await propose(await register(RULE_WHITELIST, "WHITELIST", 1), effectiveAt),
+      await propose(await register(RULE_AML, "AML", 2), effectiveAt),
+      await propose(setRules, effectiveAt),
+    ];
+    await increaseTime(DELAY + 60);
+
+    const beforeBlock = await ethers.provider.getBlockNumber();
+    const blocks = [];
+    for (const changeId of ids) {
+      const receipt = await (await timelock.execute(changeId)).wait();
+      blocks.push(receipt.blockNumber);
+    }
+
+    expect(await timelock.versionAt(beforeBlock)).to.equal(0);
+    expect(await timelock.versionAt(blocks[0])).to.equal(1);
+    expect(await timelock.versionAt(blocks[1])).to.equal(2);
+    expect(await timelock.versionAt(blocks[2])).to.equal(3);
+
+    // 規則集 / 管轄區各自的版本
+    expect(await timelock.subjectVersionAt(RULE_WHITELIST, blocks[2])).to.equal(1);
+    expect(await timelock.subjectVersionAt(RULE_AML, blocks[0])).to.equal(0);
+    expect(await timelock.subjectVersionAt(RULE_AML, blocks[2])).to.equal(2);
+    expect(await timelock.subjectVersionAt(JURISDICTION_TW, blocks[1])).to.equal(0);
+    expect(await timelock.subjectVersionAt(JURISDICTION_TW, blocks[2])).to.equal(3);
+
+    const change = await timelock.getChange(await timelock.versionChange(3));
+    expect(change.data).to.equal(setRules);
+    expect(change.appliedBlock).to.equal(blocks[2]);
+  });
+
+  it("緊急停用立即生效並記錄版本", async function () {
+    const effectiveAt = (await now()) + DELAY + 60;
+    const ids = [
+      await propose(
+        policyManager.interface.encodeFunctionData("registerRuleSet", [
+          RULE_WHITELIST,
+          "WHITELIST",
+          true,
+          await whitelist.getAddress(),
+          1,
+        ]),
+        effectiveAt,
+      ),
+      await propose(
+        policyManager.interface.encodeFunctionData("setJurisdictionEnabled", [JURISDICTION_TW, true]),
+        effectiveAt,
+      ),
+    ];
+    await increaseTime(DELAY + 60);
+    for (const changeId of ids) await timelock.execute(changeId);
+
+    await expect(timelock.connect(outsider).emergencyDisableRuleSet(RULE_WHITELIST)).to.be.reverted;
+
+    await expect(timelock.connect(guardian).emergencyDisableRuleSet(RULE_WHITELIST))
+      .to.emit(timelock, "EmergencyChangeApplied")
+      .and.to.emit(policyManager, "RuleSetUpdated")
+      .withArgs(RULE_WHITELIST, false);
+    expect((await policyManager.ruleSets(RULE_WHITELIST)).isActive).to.equal(false);
+
+    await timelock.connect(guardian).emergencyDisableJurisdiction(JURISDICTION_TW);
+    expect(await policyManager.jurisdictionEnabled(JURISDICTION_TW)).to.equal(false);
+
+    const block = await ethers.provider.getBlockNumber();
+    expect(await timelock.currentVersion()).to.equal(4);
+    expect(await timelock.subjectVersionAt(JURISDICTION_TW, block)).to.equal(4);
+    expect((await timelock.getChange(await timelock.versionChange(3))).subject).to.equal(RULE_WHITELIST);
+  });
+
+  it("只有 PROPOSER_ROLE 能排入變更，Policy Manager 的錯誤原樣帶回", async function () {
+    const data = policyManager.interface.encodeFunctionData("setRuleSetActive", [RULE_AML, true]);
+    await expect(timelock.connect(outsider).propose(data, (await now()) + DELAY + 60)).to.be.reverted;
+
+    // 未註冊的規則集：套用時失敗，變更維持排隊狀態
+    const changeId = await propose(data, (await now()) + DELAY + 60);
+    await increaseTime(DELAY + 60);
+    await expect(timelock.execute(changeId)).to.be.revertedWith("RuleSet does not exist");
+    expect((await timelock.getChange(changeId)).status).to.equal(1);
+  });
+
+  it("minDelay 只能經排程調整", async function () {
+    await expect(timelock.setMinDelay(0)).to.be.revertedWith("Caller must be timelock");
+
+    const data = timelock.interface.encodeFunctionData("setMinDelay", [DELAY * 2]);
+    await expect(timelock.connect(proposer).propose(data, (await now()) + 60)).to.be.revertedWith(
+      "Effective time before delay",
+    );
+    const changeId = await propose(data, (await now()) + DELAY + 60);
+    await increaseTime(DELAY + 60);
+    await expect(timelock.connect(outsider).execute(changeId))
+      .to.emit(timelock, "MinDelayUpdated")
+      .withArgs(DELAY, DELAY * 2);
+    expect(await timelock.minDelay()).to.equal(DELAY * 2);
+    expect((await timelock.getChange(changeId)).subject).to.equal(ethers.ZeroHash);
+
+    const activate = policyManager.interface.encodeFunctionData("setRuleSetActive", [RULE_AML, true]);
+    await expect(
+      timelock.connect(proposer).propose(activate, (await now()) + DELAY + 60),
+    ).to.be.revertedWith("Effective time before delay");
+  });
+
+  it("移交 timelock 後部署者不能再直接變更配置", async function () {
+    const RULE_ADMIN_ROLE = await policyManager.RULE_ADMIN_ROLE();
+    const JURISDICTION_ADMIN_ROLE = await policyManager.JURISDICTION_ADMIN_ROLE();
+    const timelockAddress = await timelock.getAddress();
+    expect(await policyManager.policyTimelock()).to.equal(timelockAddress);
+    expect(await policyManager.hasRole(RULE_ADMIN_ROLE, owner.address)).to.equal(false);
+    expect(await policyManager.hasRole(JURISDICTION_ADMIN_ROLE, owner.address)).to.equal(false);
+
+    await expect(
+      policyManager.registerRuleSet(RULE_WHITELIST, "WHITELIST", true, await whitelist.getAddress(), 1),
+    )
+      .to.be.revertedWithCustomError(policyManager, "AccessControlUnauthorizedAccount")
+      .withArgs(owner.address, RULE_ADMIN_ROLE);
+    await expect(policyManager.setJurisdictionEnabled(JURISDICTION_TW, false))
+      .to.be.revertedWithCustomError(policyManager, "AccessControlUnauthorizedAccount")
+      .withArgs(owner.address, JURISDICTION_ADMIN_ROLE);
+
+    // DEFAULT_ADMIN_ROLE 不能把配置角色授予回來，也不能再改 timelock
+    await expect(policyManager.grantRole(RULE_ADMIN_ROLE, owner.address)).to.be.revertedWith(
+      "Config roles held by timelock",
+    );
+    await expect(policyManager.setTimelock(outsider.address)).to.be.revertedWith("Timelock already set");
+  });
+
+  it("移交前已授予的其他持有者在移交後無法使用配置角色", async function () {
+    const GL1PolicyManager = await getPolicyManagerFactory();
+    const manager = await GL1PolicyManager.deploy(owner.address, owner.address, owner.address);
+    const RULE_ADMIN_ROLE = await manager.RULE_ADMIN_ROLE();
+    await manager.grantRole(RULE_ADMIN_ROLE, outsider.address);
+
+    await expect(manager.connect(outsider).setTimelock(outsider.address))
+      .to.be.revertedWithCustomError(manager, "AccessControlUnauthorizedAccount")
+      .withArgs(outsider.address, await manager.DEFAULT_ADMIN_ROLE());
+    await manager.setTimelock(await timelock.getAddress());
+
+    await expect(
+      manager.connect(outsider).registerRuleSet(RULE_WHITELIST, "WHITELIST", true, await whitelist.getAddress(), 1),
+    )
+      .to.be.revertedWithCustomError(manager, "AccessControlUnauthorizedAccount")
+      .withArgs(outsider.address, RULE_ADMIN_ROLE);
+  });
+
+  it("subject 依呼叫的函數取得", async function () {
+    const Scope = { TOKEN: 0, PROGRAM: 1 };
+    const PROGRAM = ethers.keccak256(ethers.toUtf8Bytes("TOURIST_2026"));
+    const GROUP = ethers.keccak256(ethers.toUtf8Bytes("GROUP"));
+    const programKey = await policyManager.ruleScopeKey(Scope.PROGRAM, PROGRAM);
+    const tokenKey = await policyManager.ruleScopeKey(Scope.TOKEN, ethers.toBeHex(7n, 32));
+    const encode = (name, args) => policyManager.interface.encodeFunctionData(name, args);
+
+    const expected = [
+      [encode("setScopedRules", [Scope.PROGRAM, PROGRAM, []]), programKey],
+      [encode("setScopedRuleGroup", [Scope.TOKEN, ethers.toBeHex(7n, 32), GROUP]), tokenKey],
+      [encode("setTokenProgram", [[1n, 2n], PROGRAM]), programKey],
+      [encode("setReasonCode", ["Recipient not in whitelist", 3001]), ethers.id("Recipient not in whitelist")],
+      [encode("setRecognizedJurisdictions", [[JURISDICTION_TW]]), ethers.ZeroHash],
+      [encode("setPartyRoleRules", [1, [RULE_AML]]), ethers.ZeroHash],
+      [encode("setOffChainTimeout", [3600]), ethers.ZeroHash],
+      [encode("registerRuleSet", [RULE_AML, "AML", true, await whitelist.getAddress(), 1]), RULE_AML],
+      [encode("defineRuleGroup", [GROUP, 0, [RULE_AML]]), GROUP],
+      [encode("setJurisdictionRuleGroup", [JURISDICTION_TW, GROUP]), JURISDICTION_TW],
+      [encode("setCrossBorderRules", [JURISDICTION_TW, 1, []]), JURISDICTION_TW],
+      [encode("setJurisdictionRules", [JURISDICTION_TW, []]), JURISDICTION_TW],
+    ];
+    for (const [data, subject] of expected) {
+      expect(await timelock.subjectOf(data)).to.equal(subject);
+    }
+
+    // 範圍規則的版本記在範圍鍵下，而不是 scope 列舉值
+    const effectiveAt = (await now()) + DELAY + 60;
+    const data = encode("setScopedRules", [Scope.PROGRAM, PROGRAM, []]);
+    await expect(timelock.connect(proposer).propose(data, effectiveAt))
+      .to.emit(timelock, "ChangeProposed")
+      .withArgs(anyValue, programKey, proposer.address, data, effectiveAt);
+    const changeId = await propose(encode("setTokenProgram", [[1n], PROGRAM]), effectiveAt);
+    await increaseTime(DELAY + 60);
+    const receipt = await (await timelock.execute(changeId)).wait();
+    expect(await timelock.subjectVersionAt(programKey, receipt.blockNumber)).to.equal(1);
+    expect(await timelock.subjectVersionAt(ethers.toBeHex(1n, 32), receipt.blockNumber)).to.equal(0);
+  });
+});
@@ -0,0 +1,1242 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const { createServer, PROOF_TYPES } = require("../scripts/compliance-gateway");
+const { createSanctionsList } = require("../scripts/sanctions-list");
+const { createAuditLog, verifyAuditLog } = require("../scripts/audit-log");
+const { createClientRegistry } = require("../scripts/gateway-clients");
+const {
+  listOperations,
+  loadSpec,
+  validateResponse,
+} = require("../scripts/openapi");
+const { createGatewayClient, GatewayError } = require("../scripts/gateway-sdk");
+const { createChainWatcher } = require("../scripts/chain-watcher");
+const {
+  DEV_PRIVATE_KEY,
+  loadSigner,
+  serveSigner,
+} = require("../scripts/gateway-signer");
+const {
+  jaroWinkler,
+  nameSimilarity,
+  screenCustomer,
+} = require("../scripts/name-screening");
+const {
+  getPolicyManagerFactory,
+  getPolicyWrapperFactory,
+} = require("../scripts/libraries");
+
+/**
+ * Compliance Gateway — 鏈下 ProofSet 簽發伺服器
+ *
+ * 以 in-process hardhat 鏈搭配 gateway HTTP server，驗證簽發、撤銷與狀態查詢。
+ */
+const PORT = 8775;
+const PEER_PORT = 8776;
+const COSIGN_PORT = 8777;
+const LIST_PORT = 8778;
+const SCREENING_PORT = 8779;
+const AUDIT_PORT = 8780;
+const CLIENTS_PORT = 8781;
+const CHAIN_PORT = 8782;
+const SIGNER_PORT = 8783;
+
+function request(method, path, body, port = PORT, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const data = body === undefined ? "" : JSON.stringify(body);
+    const req = http.request(
+      {
+        hostname: "127.0.0.1",
+        port,
+        path,
+        method,
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(data),
+          ...headers,
+        },
+      },
+      (res) => {
+        const chunks = [];
+        res.on("data", (c) => chunks.push(c));
+        res.on("end", () => {
+          const text = Buffer.concat(chunks).toString();
+          resolve({
+            status: res.statusCode,
+            headers: res.headers,
+            body: text ? JSON.parse(text) : null,
+          });
+        });
+      },
+    );
+    req.on("error", reject);
+    req.end(data);
+  });
+}
+
+describe("Compliance Gateway", function () {
+  const JURISDICTION_TW = ethers.encodeBytes32String("TW");
+  const AssetType = { ERC20: 0, ERC721: 1, ERC1155: 2 };
+
+  let gatewayWallet;
+  let server;
+  let wrapper;
+  let erc20;
+  let pbmTokenId;
+  let chainId;
+  let alice;
+
+  before(async function () {
+    const [owner, funded] = await ethers.getSigners();
+    alice = funded;
+
+    gatewayWallet = ethers.Wallet.createRandom();
+    await owner.sendTransaction({
+      to: gatewayWallet.address,
+      value: ethers.parseEther("1"),
+    });
+
+    const CCIDRegistry = await ethers.getContractFactory("CCIDRegistry");
+    const ccid = await CCIDRegistry.deploy();
+    const MockChainlinkACE = await ethers.getContractFactory("MockChainlinkACE");
+    const ace = await MockChainlinkACE.deploy();
+    const GL1PolicyManager = await getPolicyManagerFactory();
+    const manager = await GL1PolicyManager.deploy(
+      await ace.getAddress(),
+      await ccid.getAddress(),
+      owner.address,
+    );
+    const PBMToken = await ethers.getContractFactory("PBMToken");
+    const pbm = await PBMToken.deploy(owner.address);
+    const GL1PolicyWrapper = await getPolicyWrapperFactory();
+    wrapper = await GL1PolicyWrapper.deploy(
+      JURISDICTION_TW,
+      await manager.getAddress(),
+      await pbm.getAddress(),
+      gatewayWallet.address,
+    );
+    await pbm.updateWrapper(await wrapper.getAddress());
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    erc20 = await MockERC20.deploy("Cash", "CASH");
+    await erc20.mint(alice.address, ethers.parseEther("1000"));
+    await erc20
+      .connect(alice)
+      .approve(await wrapper.getAddress(), ethers.MaxUint256);
+    pbmTokenId = await wrapper.computePBMTokenId(
+      AssetType.ERC20,
+      await erc20.getAddress(),
+      0,
+    );
+
+    ({ chainId } = await ethers.provider.getNetwork());
+    server = createServer(gatewayWallet.privateKey, 100, {
+      chainId,
+      verifyingContract: await wrapper.getAddress(),
+      provider: ethers.provider,
+    });
+    await new Promise((r) => server.listen(PORT, r));
+  });
+
+  after(async function () {
+    if (server) await new Promise((r) => server.close(r));
+  });
+
+  async function issue(amount = "10") {
+    const res = await request("POST", "/v1/proofs", {
+      user: alice.address,
+      amount,
+      tokenId: pbmTokenId.toString(),
+    });
+    expect(res.status).to.equal(200);
+    return res.body;
+  }
+
+  async function wrapWith(proof, amount = 10n) {
+    return wrapper
+      .connect(alice)
+      .wrap(AssetType.ERC20, await erc20.getAddress(), 0, amount, proof);
+  }
+
+  describe("撤銷與狀態查詢", function () {
+    it("簽發的 ProofSet 預設單次使用，狀態反映鏈上使用紀錄", async function () {
+      const proof = await issue();
+      expect(proof.maxUses).to.equal("1");
+
+      await wrapWith(proof);
+
+      const res = await request("GET", `/v1/proofs/${proof.credentialHash}`);
+      expect(res.status).to.equal(200);
+      expect(res.body.status).to.equal("issued");
+      expect(res.body.onchain.uses).to.equal("1");
+      expect(res.body.onchain.amountUsed).to.equal("10");
+
+      await expect(wrapWith(proof)).to.be.revertedWith(
+        "Proof use limit reached",
+      );
+    });
+
+    it("revoke 同步撤銷鏈上 ProofSet", async function () {
+      const proof = await issue();
+
+      const res = await request(
+        "POST",
+        `/v1/proofs/${proof.credentialHash}/revoke`,
+        { reason: "customer offboarded" },
+      );
+      expect(res.status).to.equal(200);
+      expect(res.body.status).to.equal("revoked");
+      expect(res.body.txHash).to.match(/^0x[0-9a-f]{64}$/);
+
+      expect(await wrapper.revokedProofs(proof.credentialHash)).to.equal(true);
+      await expect(wrapWith(proof)).to.be.revertedWith("Proof revoked");
+
+      const status = await request("GET", `/v1/proofs/${proof.credentialHash}`);
+      expect(status.body.status).to.equal("revoked");
+      expect(status.body.reason).to.equal("customer offboarded");
+    });
+
+    it("未簽發或重複撤銷應回傳錯誤", async function () {
+      const unknown = ethers.keccak256(ethers.toUtf8Bytes("unknown"));
+      expect(
+        (await request("POST", `/v1/proofs/${unknown}/revoke`, {})).status,
+      ).to.equal(404);
+      expect((await request("GET", `/v1/proofs/${unknown}`)).status).to.equal(404);
+
+      const proof = await issue();
+      const revokePath = `/v1/proofs/${proof.credentialHash}/revoke`;
+      await request("POST", revokePath, {});
+      expect((await request("POST", revokePath, {})).status).to.equal(409);
+    });
+  });
+
+  describe("門檻共同簽署", function () {
+    let peerWallet;
+    let peerServer;
+    let cosignServer;
+
+    before(async function () {
+      peerWallet = ethers.Wallet.createRandom();
+      // peer 的名單較大：0x…64 ~ 0x…3e7 只有 peer 會擋
+      peerServer = createServer(peerWallet.privateKey, 1000);
+      await new Promise((r) => peerServer.listen(PEER_PORT, r));
+
+      cosignServer = createServer(gatewayWallet.privateKey, 100, {
+        chainId,
+        verifyingContract: await wrapper.getAddress(),
+        peers: [`http://127.0.0.1:${PEER_PORT}`],
+      });
+      await new Promise((r) => cosignServer.listen(COSIGN_PORT, r));
+
+      await wrapper.setProofSigner(peerWallet.address, 0, 0);
+      await wrapper.setSignerThreshold(2);
+    });
+
+    after(async function () {
+      await wrapper.setSignerThreshold(1);
+      await wrapper.removeProofSigner(peerWallet.address);
+      if (peerServer) await new Promise((r) => peerServer.close(r));
+      if (cosignServer) await new Promise((r) => cosignServer.close(r));
+    });
+
+    it("單一 gateway 簽章不足門檻", async function () {
+      const proof = await issue();
+      await expect(wrapWith(proof)).to.be.revertedWith(
+        "Insufficient proof signers",
+      );
+    });
+
+    it("收集 peer 簽章後可通過 2-of-2 驗證", async function () {
+      const res = await request(
+        "POST",
+        "/v1/proofs",
+        { user: alice.address, amount: "10", tokenId: pbmTokenId.toString() },
+        COSIGN_PORT,
+      );
+      expect(res.status).to.equal(200);
+      expect(ethers.dataLength(res.body.signature)).to.equal(130);
+
+      await wrapWith(res.body);
+      const [uses] = await wrapper.getProofStatus(res.body.credentialHash);
+      expect(uses).to.equal(1n);
+    });
+
+    it("peer 的 AML 比對拒絕時不簽發", async function () {
+      const flagged = "0x" + (200).toString(16).padStart(40, "0");
+      const res = await request(
+        "POST",
+        "/v1/proofs",
+        { user: flagged, amount: "10" },
+        COSIGN_PORT,
+      );
+      expect(res.status).to.equal(502);
+      expect(res.body.error).to.equal("cosign refused");
+      expect(res.body.detail).to.equal("blacklisted");
+    });
+
+    it("收款方在名單中時簽發端與 peer 都拒簽", async function () {
+      const listed = "0x" + (5).toString(16).padStart(40, "0");
+      const res = await request("POST", "/v1/proofs", {
+        user: alice.address,
+        amount: "10",
+        counterparty: listed,
+      });
+      expect(res.status).to.equal(403);
+      expect(res.body).to.deep.equal({ error: "blacklisted", party: "counterparty" });
+
+      // 只有 peer 的名單擋得到的收款方
+      const peerListed = "0x" + (200).toString(16).padStart(40, "0");
+      const cosigned = await request(
+        "POST",
+        "/v1/proofs",
+        { user: alice.address, amount: "10", counterparty: peerListed },
+        COSIGN_PORT,
+      );
+      expect(cosigned.status).to.equal(502);
+      expect(cosigned.body.detail).to.equal("blacklisted");
+    });
+  });
+
+  describe("制裁名單檔載入", function () {
+    const csvListed = "0x1111111111111111111111111111111111111111";
+    const jsonListed = "0x2222222222222222222222222222222222222222";
+    const ofacListed = "0x7f367cc41522ce07553e823bf3be79a889debe1b";
+    let dir;
+    let files;
+
+    function waitFor(predicate, timeoutMs = 3000) {
+      const start = Date.now();
+      return new Promise((resolve, reject) => {
+        const tick = () => {
+          if (predicate()) resolve();
+          else if (Date.now() - start > timeoutMs) reject(new Error("timeout"));
+          else setTimeout(tick, 20);
+        };
+        tick();
+      });
+    }
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "sanctions-"));
+      files = {
+        csv: path.join(dir, "internal.csv"),
+        json: path.join(dir, "partner.json"),
+        xml: path.join(dir, "sdn.xml"),
+      };
+      fs.writeFileSync(
+        files.csv,
+        `name,address,listed_on\n"Doe, John",${csvListed},2024-01-01\nbad row,not-an-address,\n`,
+      );
+      fs.writeFileSync(
+        files.json,
+        JSON.stringify({ entries: [{ address: jsonListed, name: "Shell Co" }] }),
+      );
+      fs.writeFileSync(
+        files.xml,
+        `<?xml version="1.0"?>
+<sdnList>
+  <sdnEntry>
+    <uid>1</uid>
+    <lastName>LAZARUS GROUP</lastName>
+    <idList>
+      <id><idType>Digital Currency Address - ETH</idType><idNumber>0x7F367cC41522cE07553e823bf3be79A889DEbe1B</idNumber></id>
+      <id><idType>Passport</idType><idNumber>0x3333333333333333333333333333333333333333</idNumber></id>
+    </idList>
+  </sdnEntry>
+</sdnList>`,
+      );
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("載入 CSV / JSON / OFAC XML 並以 checksum 地址查詢", async function () {
+      const list = createSanctionsList({
+        files: [files.csv, files.json, files.xml],
+      });
+      expect(list.size).to.equal(3);
+      expect(list.has(ethers.getAddress(csvListed))).to.equal(true);
+      expect(list.get(jsonListed).name).to.equal("Shell Co");
+      expect(list.get(ofacListed).name).to.equal("LAZARUS GROUP");
+      // 非數位貨幣地址的 id 不列入
+      expect(list.has("0x3333333333333333333333333333333333333333")).to.equal(false);
+
+      const linear = createSanctionsList({ files: [files.csv], mode: "linear" });
+      expect(linear.has(csvListed.toUpperCase().replace("0X", "0x"))).to.equal(true);
+      expect(linear.has(jsonListed)).to.equal(false);
+    });
+
+    it("gateway 拒絕名單檔中的地址", async function () {
+      const listServer = createServer(gatewayWallet.privateKey, 0, {
+        chainId,
+        verifyingContract: await wrapper.getAddress(),
+        listFiles: [files.xml],
+      });
+      await new Promise((r) => listServer.listen(LIST_PORT, r));
+      try {
+        const blocked = await request(
+          "POST",
+          "/v1/proofs",
+          { user: ethers.getAddress(ofacListed), amount: "10" },
+          LIST_PORT,
+        );
+        expect(blocked.status).to.equal(403);
+
+        const ok = await request(
+          "POST",
+          "/v1/proofs",
+          { user: alice.address, amount: "10" },
+          LIST_PORT,
+        );
+        expect(ok.status).to.equal(200);
+      } finally {
+        await new Promise((r) => listServer.close(r));
+      }
+    });
+
+    it("檔案變更時重新載入，解析失敗保留舊名單", async function () {
+      const errors = [];
+      const list = createSanctionsList({
+        files: [files.json],
+        watch: true,
+        interval: 20,
+        onReload: (err) => err && errors.push(err),
+      });
+      try {
+        expect(list.has(csvListed)).to.equal(false);
+
+        fs.writeFileSync(files.json, JSON.stringify([jsonListed, csvListed]));
+        await waitFor(() => list.has(csvListed));
+        expect(list.stats().version).to.equal(2);
+
+        fs.writeFileSync(files.json, "{ not json");
+        await waitFor(() => errors.length > 0);
+        expect(list.has(csvListed)).to.equal(true);
+        expect(list.stats().version).to.equal(2);
+      } finally {
+        list.close();
+      }
+    });
+  });
+
+  describe("姓名模糊比對與風險分數", function () {
+    let dir;
+    let list;
+    let screeningServer;
+
+    before(async function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "screening-"));
+      const file = path.join(dir, "sdn.xml");
+      fs.writeFileSync(
+        file,
+        `<sdnList>
+  <sdnEntry>
+    <firstName>Ivan</firstName>
+    <lastName>PETROV</lastName>
+    <dateOfBirthList><dateOfBirthItem><dateOfBirth>12 Jan 1970</dateOfBirth></dateOfBirthItem></dateOfBirthList>
+    <nationalityList><nationality><country>RU</country></nationality></nationalityList>
+  </sdnEntry>
+</sdnList>`,
+      );
+      list = createSanctionsList({ files: [file] });
+
+      screeningServer = createServer(gatewayWallet.privateKey, 0, {
+        chainId,
+        verifyingContract: await wrapper.getAddress(),
+        listFiles: [file],
+      });
+      await new Promise((r) => screeningServer.listen(SCREENING_PORT, r));
+    });
+
+    after(async function () {
+      await wrapper.setProofTypeAmountCap(PROOF_TYPES.EDD, 0);
+      if (screeningServer) await new Promise((r) => screeningServer.close(r));
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function issueFor(customer, amount = "10") {
+      return request(
+        "POST",
+        "/v1/proofs",
+        { user: alice.address, amount, tokenId: pbmTokenId.toString(), customer },
+        SCREENING_PORT,
+      );
+    }
+
+    it("Jaro-Winkler / Levenshtein 相似度", function () {
+      expect(jaroWinkler("martha", "marhta")).to.be.closeTo(0.961, 0.001);
+      expect(nameSimilarity("PETROV, Ivan", "Ivan Petrov")).to.equal(1);
+      expect(nameSimilarity("Ivan Petrow", "Ivan Petrov", "levenshtein")).to.be.closeTo(
+        0.909,
+        0.001,
+      );
+    });
+
+    it("出生日期與國籍影響分數區間", function () {
+      const full = screenCustomer(
+        { name: "Ivan Petrov", dob: "1970-01-12", country: "ru" },
+        list,
+      );
+      expect(full.score).to.equal(100);
+      expect(full.band).to.equal("DENY");
+
+      const nameOnly = screenCustomer({ name: "Ivan Petrov" }, list);
+      expect(nameOnly.score).to.equal(85);
+      expect(nameOnly.band).to.equal("EDD");
+
+      // 同名但出生日期與國籍皆不符，分數下降但仍需審查
+      const mismatch = screenCustomer(
+        { name: "Ivan Petrov", dob: "1985-03-02", country: "TW" },
+        list,
+      );
+      expect(mismatch.score).to.equal(70);
+      expect(mismatch.band).to.equal("EDD");
+
+      const unrelated = screenCustomer({ name: "Mei-Ling Chen" }, list);
+      expect(unrelated.matches).to.have.length(0);
+      expect(unrelated.band).to.equal("LOW");
+    });
+
+    it("低風險直接簽發 AML_LOW，高風險拒絕", async function () {
+      const low = await issueFor({ name: "Mei-Ling Chen", country: "TW" });
+      expect(low.status).to.equal(200);
+      expect(low.body.proofType).to.equal(PROOF_TYPES.LOW);
+      expect(low.body.screening.band).to.equal("LOW");
+      await wrapWith(low.body);
+
+      const denied = await issueFor({
+        name: "Ivan Petrov",
+        dob: "12 Jan 1970",
+        country: "RU",
+      });
+      expect(denied.status).to.equal(403);
+      expect(denied.body.error).to.equal("sanctions match");
+      expect(denied.body.party).to.equal("subject");
+    });
+
+    it("收款方同樣比對姓名，任一方的較高風險決定結果", async function () {
+      const payee = ethers.Wallet.createRandom().address;
+      function issueTo(counterpartyCustomer) {
+        return request(
+          "POST",
+          "/v1/proofs",
+          {
+            user: alice.address,
+            amount: "10",
+            customer: { name: "Mei-Ling Chen", country: "TW" },
+            counterparty: payee,
+            counterpartyCustomer,
+          },
+          SCREENING_PORT,
+        );
+      }
+
+      const denied = await issueTo({ name: "Ivan Petrov", dob: "12 Jan 1970", country: "RU" });
+      expect(denied.status).to.equal(403);
+      expect(denied.body.error).to.equal("sanctions match");
+      expect(denied.body.party).to.equal("counterparty");
+
+      const referred = await issueTo({ name: "Ivan Petrov" });
+      expect(referred.status).to.equal(202);
+      expect(referred.body.band).to.equal("EDD");
+      const queue = await request("GET", "/v1/reviews", undefined, SCREENING_PORT);
+      const review = queue.body.reviews.find((r) => r.reviewId === referred.body.reviewId);
+      expect(review.matches[0].party).to.equal("counterparty");
+      await request(
+        "POST",
+        `/v1/reviews/${referred.body.reviewId}`,
+        { decision: "reject" },
+        SCREENING_PORT,
+      );
+
+      expect((await issueTo({ name: "Wei Lin" })).status).to.equal(200);
+    });
+
+    it("EDD 轉人工審查，核准後的證明受鏈上 proofType 額度限制", async function () {
+      const referred = await issueFor({ name: "Ivan Petrov" });
+      expect(referred.status).to.equal(202);
+      expect(referred.body.band).to.equal("EDD");
+
+      const queue = await request("GET", "/v1/reviews", undefined, SCREENING_PORT);
+      expect(queue.body.reviews.map((r) => r.reviewId)).to.include(
+        referred.body.reviewId,
+      );
+
+      const approved = await request(
+        "POST",
+        `/v1/reviews/${referred.body.reviewId}`,
+        { decision: "approve" },
+        SCREENING_PORT,
+      );
+      expect(approved.status).to.equal(200);
+      expect(approved.body.proofType).to.equal(PROOF_TYPES.EDD);
+
+      const again = await request(
+        "POST",
+        `/v1/reviews/${referred.body.reviewId}`,
+        { decision: "reject" },
+        SCREENING_PORT,
+      );
+      expect(again.status).to.equal(409);
+
+      await wrapper.setProofTypeAmountCap(PROOF_TYPES.EDD, 5n);
+      await expect(wrapWith(approved.body, 10n)).to.be.revertedWith(
+        "Proof type amount cap exceeded",
+      );
+      await wrapWith(approved.body, 5n);
+    });
+  });
+
+  describe("稽核紀錄", function () {
+    let dir;
+    let file;
+    let strRepository;
+    let auditServer;
+
+    before(async function () {
+      const STRRepository = await ethers.getContractFactory("STRRepository");
+      strRepository = await STRRepository.deploy(gatewayWallet.address);
+
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "audit-"));
+      file = path.join(dir, "gateway.jsonl");
+      auditServer = createServer(gatewayWallet.privateKey, 100, {
+        chainId,
+        verifyingContract: await wrapper.getAddress(),
+        provider: ethers.provider,
+        auditLog: file,
+        auditAnchor: { strRepository: await strRepository.getAddress() },
+      });
+      await new Promise((r) => auditServer.listen(AUDIT_PORT, r));
+    });
+
+    after(async function () {
+      if (auditServer) await new Promise((r) => auditServer.close(r));
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("每個決策寫入 hash chain 並可上鏈錨定", async function () {
+      const issued = await request(
+        "POST",
+        "/v1/proofs",
+        { user: alice.address, amount: "10", tokenId: pbmTokenId.toString() },
+        AUDIT_PORT,
+      );
+      expect(issued.status).to.equal(200);
+      const blocked = await request(
+        "POST",
+        "/v1/proofs",
+        { user: "0x" + (5).toString(16).padStart(40, "0"), amount: "10" },
+        AUDIT_PORT,
+      );
+      expect(blocked.status).to.equal(403);
+      await request(
+        "POST",
+        `/v1/proofs/${issued.body.credentialHash}/revoke`,
+        { reason: "test" },
+        AUDIT_PORT,
+      );
+
+      const entries = fs
+        .readFileSync(file, "utf8")
+        .trim()
+        .split("\n")
+        .map((line) => JSON.parse(line));
+      expect(entries.map((e) => e.type)).to.deep.equal(["issue", "issue", "revoke"]);
+      expect(entries[0].response.body.credentialHash).to.equal(
+        issued.body.credentialHash,
+      );
+      expect(entries[0].screening.band).to.equal("LOW");
+      expect(entries[0].signer).to.equal(gatewayWallet.address);
+      expect(entries[1].response.status).to.equal(403);
+      expect(entries[1].prevHash).to.equal(entries[0].hash);
+
+      const anchor = await auditServer.auditLog.anchor();
+      expect(anchor.response.anchoredSeq).to.equal(2);
+      const record = await strRepository.getSTR(anchor.response.strId);
+      expect(record.offchainHash).to.equal(entries[2].hash);
+      // head 未變時不重複錨定
+      expect(await auditServer.auditLog.anchor()).to.equal(null);
+
+      const result = verifyAuditLog(file);
+      expect(result.ok).to.equal(true);
+      expect(result.entries).to.equal(4);
+    });
+
+    it("verify 偵測竄改與缺漏", function () {
+      const copy = path.join(dir, "tampered.jsonl");
+      const log = createAuditLog({ path: copy });
+      for (let i = 0; i < 3; i++) {
+        log.append({ type: "issue", request: { body: { user: `u${i}`, amount: "1" } } });
+      }
+      expect(verifyAuditLog(copy).ok).to.equal(true);
+
+      const lines = fs.readFileSync(copy, "utf8").trim().split("\n");
+
+      fs.writeFileSync(copy, [lines[0], lines[1].replace('"u1"', '"u9"'), lines[2]].join("\n"));
+      const edited = verifyAuditLog(copy);
+      expect(edited.ok).to.equal(false);
+      expect(edited.errors[0]).to.deep.equal({
+        line: 2,
+        error: "hash mismatch (entry edited)",
+      });
+      expect(() => createAuditLog({ path: copy })).to.throw("audit log corrupted");
+
+      fs.writeFileSync(copy, [lines[0], lines[2]].join("\n"));
+      const gap = verifyAuditLog(copy);
+      expect(gap.ok).to.equal(false);
+      expect(gap.errors.map((e) => e.error)).to.include(
+        "seq gap: expected 1, found 2",
+      );
+    });
+  });
+
+  describe("鏈上合規事件同步", function () {
+    let dir;
+    let cursorFile;
+    let ccid;
+    let amlRule;
+    let chainServer;
+
+    before(async function () {
+      const CCIDRegistry = await ethers.getContractFactory("CCIDRegistry");
+      ccid = await CCIDRegistry.deploy();
+      const AMLThresholdRule = await ethers.getContractFactory("AMLThresholdRule");
+      amlRule = await AMLThresholdRule.deploy();
+
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "chain-"));
+      cursorFile = path.join(dir, "cursor.json");
+      chainServer = createServer(gatewayWallet.privateKey, 0, {
+        chainId,
+        verifyingContract: await wrapper.getAddress(),
+        provider: ethers.provider,
+        chainWatch: {
+          ccidRegistry: await ccid.getAddress(),
+          amlRule: await amlRule.getAddress(),
+          cursorFile,
+        },
+      });
+      await new Promise((r) => chainServer.listen(CHAIN_PORT, r));
+      await chainServer.chainWatcher.sync();
+    });
+
+    after(async function () {
+      if (chainServer) await new Promise((r) => chainServer.close(r));
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function issueFor(user) {
+      return request("POST", "/v1/proofs", { user, amount: "10" }, CHAIN_PORT);
+    }
+
+    it("鏈上制裁、身份撤銷與 AML 標記的帳戶拒絕簽發", async function () {
+      const [, , sanctioned, revoked, flagged] = (await ethers.getSigners()).map(
+        (s) => s.address,
+      );
+      for (const user of [sanctioned, revoked, flagged]) {
+        expect((await issueFor(user)).status).to.equal(200);
+      }
+
+      await ccid.setIdentityTag(sanctioned, await ccid.TAG_SANCTIONED());
+      await ccid.registerIdentity(
+        revoked,
+        ethers.id("kyc"),
+        await ccid.TIER_BASIC(),
+      );
+      await ccid.revokeIdentity(revoked);
+      await amlRule.flagAccount(flagged, true);
+      const result = await chainServer.chainWatcher.sync();
+      expect(result.events).to.equal(4);
+
+      const expected = [
+        [sanctioned, ["sanctioned"]],
+        [revoked, ["identityRevoked"]],
+        [flagged, ["flagged"]],
+      ];
+      for (const [user, flags] of expected) {
+        const res = await issueFor(user);
+        expect(res.status).to.equal(403);
+        expect(res.body.code).to.equal("ONCHAIN_BLOCKED");
+        expect(res.body.flags).to.deep.equal(flags);
+      }
+
+      const lists = await request("GET", "/v1/lists", undefined, CHAIN_PORT);
+      expect(lists.body.chain.blocked).to.equal(3);
+
+      // 收款方被阻擋時同樣拒絕簽發
+      const [, payer] = await ethers.getSigners();
+      const toFlagged = await request(
+        "POST",
+        "/v1/proofs",
+        { user: payer.address, amount: "10", counterparty: flagged },
+        CHAIN_PORT,
+      );
+      expect(toFlagged.status).to.equal(403);
+      expect(toFlagged.body.code).to.equal("ONCHAIN_BLOCKED");
+      expect(toFlagged.body.party).to.equal("counterparty");
+
+      // 解除標記後恢復簽發
+      await amlRule.flagAccount(flagged, false);
+      await chainServer.chainWatcher.sync();
+      expect((await issueFor(flagged)).status).to.equal(200);
+    });
+
+    it("本地鏈重組時還原被撤回區塊的狀態", async function () {
+      const target = ethers.Wallet.createRandom().address;
+      const snapshot = await ethers.provider.send("evm_snapshot", []);
+
+      await amlRule.flagAccount(target, true);
+      await chainServer.chainWatcher.sync();
+      expect((await issueFor(target)).status).to.equal(403);
+
+      // 撤回含標記交易的區塊，另外產生更長的鏈
+      await ethers.provider.send("evm_revert", [snapshot]);
+      for (let i = 0; i < 3; i++) await ethers.provider.send("evm_mine", []);
+
+      const result = await chainServer.chainWatcher.sync();
+      expect(result.reorged).to.equal(true);
+      expect(chainServer.chainWatcher.blockedBy(target)).to.deep.equal([]);
+      expect((await issueFor(target)).status).to.equal(200);
+    });
+
+    it("游標持久化，重啟後從上次位置繼續", async function () {
+      const [, , sanctioned] = await ethers.getSigners();
+      const { block } = chainServer.chainWatcher.stats();
+
+      const restarted = createChainWatcher({
+        provider: ethers.provider,
+        ccidRegistry: await ccid.getAddress(),
+        amlRule: await amlRule.getAddress(),
+        cursorFile,
+      });
+      expect(restarted.stats().block).to.equal(block);
+      expect(restarted.blockedBy(sanctioned.address)).to.deep.equal(["sanctioned"]);
+
+      await ccid.setIdentityTag(sanctioned.address, ethers.ZeroHash);
+      const result = await restarted.sync();
+      expect(result.events).to.equal(1);
+      expect(restarted.blockedBy(sanctioned.address)).to.deep.equal([]);
+    });
+  });
+
+  describe("簽署後端", function () {
+    let dir;
+
+    before(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "signer-"));
+    });
+
+    after(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("keystore 後端以 passphrase 解密", async function () {
+      const keystore = path.join(dir, "gateway.json");
+      fs.writeFileSync(
+        keystore,
+        await ethers.encryptKeystoreJson(gatewayWallet, "correct horse", {
+          scrypt: { N: 1 << 10 },
+        }),
+      );
+
+      const signer = await loadSigner({
+        type: "keystore",
+        path: keystore,
+        passphrase: "correct horse",
+      });
+      expect(signer.address).to.equal(gatewayWallet.address);
+
+      await expect(
+        loadSigner({ type: "keystore", path: keystore, passphrase: "wrong" }),
+      ).to.be.rejectedWith("incorrect password");
+      await expect(loadSigner({ type: "keystore", path: keystore })).to.be.rejectedWith(
+        "keystore passphrase required",
+      );
+    });
+
+    it("remote signer 經 Unix socket 簽發與送出撤銷交易", async function () {
+      const socketPath = path.join(dir, "signer.sock");
+      const signerProcess = await serveSigner(gatewayWallet, {
+        socketPath,
+        allowTransactions: true,
+      });
+      const remote = await loadSigner({ type: "remote", socketPath });
+      expect(remote.address).to.equal(gatewayWallet.address);
+
+      const remoteServer = createServer(remote, 0, {
+        chainId,
+        verifyingContract: await wrapper.getAddress(),
+        provider: ethers.provider,
+      });
+      await new Promise((r) => remoteServer.listen(SIGNER_PORT, r));
+      try {
+        const issued = await request(
+          "POST",
+          "/v1/proofs",
+          { user: alice.address, amount: "10", tokenId: pbmTokenId.toString() },
+          SIGNER_PORT,
+        );
+        expect(issued.status).to.equal(200);
+        await wrapWith(issued.body);
+
+        const second = await request(
+          "POST",
+          "/v1/proofs",
+          { user: alice.address, amount: "10", tokenId: pbmTokenId.toString() },
+          SIGNER_PORT,
+        );
+        const revoked = await request(
+          "POST",
+          `/v1/proofs/${second.body.credentialHash}/revoke`,
+          { reason: "remote" },
+          SIGNER_PORT,
+        );
+        expect(revoked.status).to.equal(200);
+        expect(await wrapper.revokedProofs(second.body.credentialHash)).to.equal(true);
+
+        // signer 行程只簽 ProofSet
+        await expect(
+          remote.signTypedData(
+            { name: "Token", version: "1", chainId },
+            { Permit: [{ name: "owner", type: "address" }] },
+            { owner: alice.address },
+          ),
+        ).to.be.rejectedWith("typed data Permit not allowed");
+      } finally {
+        await new Promise((r) => remoteServer.close(r));
+        await new Promise((r) => signerProcess.close(r));
+      }
+    });
+
+    it("公開開發金鑰須明確開啟 dev mode", function () {
+      expect(() => createServer(DEV_PRIVATE_KEY, 0)).to.throw(
+        "refusing to start with a development key outside dev mode",
+      );
+      expect(() => createServer(DEV_PRIVATE_KEY, 0, { devMode: true })).to.not.throw();
+    });
+  });
+
+  describe("v1 REST API 與 OpenAPI 文件", function () {
+    const spec = loadSpec();
+    let sdk;
+
+    before(function () {
+      sdk = createGatewayClient({
+        baseUrl: `http://127.0.0.1:${PORT}`,
+        validateResponses: true,
+      });
+    });
+
+    it("文件中每個 operation 都有 SDK 方法", function () {
+      const operations = listOperations(spec);
+      expect(operations.map((o) => o.operationId)).to.include.members([
+        "issueProof",
+        "issueProofBatch",
+        "getProof",
+        "getSigner",
+        "getHealth",
+        "getLists",
+      ]);
+      for (const { operationId } of operations) {
+        expect(sdk[operationId], operationId).to.be.a("function");
+      }
+    });
+
+    it("health / signer / lists 回應符合文件", async function () {
+      const health = await sdk.getHealth();
+      expect(health.status).to.equal("ok");
+
+      const signer = await sdk.getSigner();
+      expect(signer.address).to.equal(gatewayWallet.address);
+      expect(signer.chainId).to.equal(chainId.toString());
+      expect(signer.verifyingContract).to.equal(await wrapper.getAddress());
+      expect(signer.proofTypes.AML_LOW).to.equal(PROOF_TYPES.LOW);
+
+      const lists = await sdk.getLists();
+      expect(lists.mode).to.equal("indexed");
+      expect(lists.size).to.equal(100);
+      expect(lists.version).to.equal(health.listVersion);
+    });
+
+    it("簽發、批次簽發與狀態查詢", async function () {
+      const proof = await sdk.issueProof({
+        user: alice.address,
+        amount: "10",
+        tokenId: pbmTokenId.toString(),
+      });
+      await wrapWith(proof);
+      const status = await sdk.getProof(proof.credentialHash);
+      expect(status.onchain.uses).to.equal("1");
+
+      const flagged = "0x" + (7).toString(16).padStart(40, "0");
+      const batch = await sdk.issueProofBatch({
+        requests: [
+          { user: alice.address, amount: "10", tokenId: pbmTokenId.toString() },
+          { user: flagged, amount: "10" },
+          { user: alice.address, amount: "20", tokenId: pbmTokenId.toString() },
+        ],
+      });
+      expect(batch.results.map((r) => r.status)).to.deep.equal([200, 403, 200]);
+      expect(batch.results[1].body.error).to.equal("blacklisted");
+      for (const { status: code, body } of batch.results) {
+        if (code === 200) {
+          const details = validateResponse(
+            spec,
+            spec.paths["/v1/proofs"].post,
+            code,
+            body,
+          );
+          expect(details).to.deep.equal([]);
+        }
+      }
+      await wrapWith(batch.results[2].body, 20n);
+    });
+
+    it("不符文件的請求回 400，未知路徑 404，方法不符 405", async function () {
+      const invalid = await request("POST", "/v1/proofs", {
+        user: "not-an-address",
+        amount: "-1",
+        extra: true,
+      });
+      expect(invalid.status).to.equal(400);
+      expect(invalid.body.code).to.equal("VALIDATION_ERROR");
+      expect(invalid.body.details.map((d) => d.path)).to.include.members([
+        "/user",
+        "/amount",
+        "/extra",
+      ]);
+
+      const empty = await request("POST", "/v1/proofs/batch", { requests: [] });
+      expect(empty.status).to.equal(400);
+
+      expect((await request("GET", "/v1/proofs/0x1234")).status).to.equal(400);
+      expect((await request("POST", "/", {})).status).to.equal(404);
+
+      const wrongMethod = await request("DELETE", "/v1/proofs");
+      expect(wrongMethod.status).to.equal(405);
+      expect(wrongMethod.headers.allow).to.equal("POST");
+
+      // SDK 送出前驗證，不符時不發出請求
+      const strict = createGatewayClient({
+        baseUrl: `http://127.0.0.1:${PORT}`,
+        validateRequests: true,
+      });
+      const err = await strict.issueProof({ user: alice.address }).catch((e) => e);
+      expect(err).to.be.instanceOf(GatewayError);
+      expect(err.code).to.equal("VALIDATION_ERROR");
+      expect(err.status).to.equal(undefined);
+    });
+  });
+
+  describe("client 認證、配額與管理路由", function () {
+    const ADMIN_TOKEN = "local-admin-token";
+    let clients;
+    let clientServer;
+    let bankA;
+    let bankB;
+    let bankAIssuer;
+
+    before(async function () {
+      bankAIssuer = ethers.Wallet.createRandom().address;
+      clients = createClientRegistry();
+      bankA = clients.add({
+        name: "Bank A",
+        issuer: bankAIssuer,
+        quota: { requests: 3, windowMs: 60_000 },
+        maxAmount: "100",
+        allowedProofTypes: ["AML_LOW"],
+      });
+      bankB = clients.add({ name: "Bank B" });
+
+      clientServer = createServer(gatewayWallet.privateKey, 100, {
+        chainId,
+        verifyingContract: await wrapper.getAddress(),
+        clients,
+        adminToken: ADMIN_TOKEN,
+      });
+      await new Promise((r) => clientServer.listen(CLIENTS_PORT, r));
+    });
+
+    after(async function () {
+      if (clientServer) await new Promise((r) => clientServer.close(r));
+    });
+
+    function asClient(apiKey, method, path, body) {
+      return request(method, path, body, CLIENTS_PORT, { "X-API-Key": apiKey });
+    }
+
+    function asAdmin(method, path, body, token = ADMIN_TOKEN) {
+      return request(method, path, body, CLIENTS_PORT, { "X-Admin-Token": token });
+    }
+
+    const issueBody = (amount = "10") => ({
+      user: alice.address,
+      amount,
+      tokenId: pbmTokenId.toString(),
+    });
+
+    it("未認證或金鑰錯誤回 401", async function () {
+      const anonymous = await request(
+        "POST",
+        "/v1/proofs",
+        issueBody(),
+        CLIENTS_PORT,
+      );
+      expect(anonymous.status).to.equal(401);
+      expect(anonymous.body.code).to.equal("UNAUTHORIZED");
+
+      const wrongKey = await asClient(
+        "gk_wrong",
+        "POST",
+        "/v1/proofs",
+        issueBody(),
+      );
+      expect(wrongKey.status).to.equal(401);
+    });
+
+    it("簽發的 ProofSet 記錄發出請求的機構，並套用金額上限與配額", async function () {
+      const res = await request("POST", "/v1/proofs", issueBody(), CLIENTS_PORT, {
+        Authorization: `Bearer ${bankA.apiKey}`,
+      });
+      expect(res.status).to.equal(200);
+      expect(res.body.issuer).to.equal(bankAIssuer);
+      expect(res.body.institution).to.deep.equal({ id: bankA.client.id, name: "Bank A" });
+      await wrapWith(res.body);
+
+      const overCeiling = await asClient(
+        bankA.apiKey,
+        "POST",
+        "/v1/proofs",
+        issueBody("1000"),
+      );
+      expect(overCeiling.status).to.equal(403);
+      expect(overCeiling.body).to.deep.equal({
+        error: "amount ceiling exceeded",
+        code: "AMOUNT_CEILING",
+        maxAmount: "100",
+      });
+
+      // 其他機構看不到 Bank A 的證明
+      const foreign = await asClient(
+        bankB.apiKey,
+        "GET",
+        `/v1/proofs/${res.body.credentialHash}`,
+      );
+      expect(foreign.status).to.equal(404);
+
+      await asClient(bankA.apiKey, "POST", "/v1/proofs", issueBody());
+      const overQuota = await asClient(
+        bankA.apiKey,
+        "POST",
+        "/v1/proofs",
+        issueBody(),
+      );
+      expect(overQuota.status).to.equal(429);
+      expect(overQuota.body.code).to.equal("QUOTA_EXCEEDED");
+      expect(overQuota.body.limit).to.equal(3);
+      expect(Number(overQuota.headers["retry-after"])).to.be.greaterThan(0);
+    });
+
+    it("金額上限同時限制累計額度，有上限的 client 不得簽發不限額度的證明", async function () {
+      const bankC = clients.add({ name: "Bank C", maxAmount: "100" });
+      const issueAs = (body) =>
+        asClient(bankC.apiKey, "POST", "/v1/proofs", { user: alice.address, ...body });
+
+      // 未指定額度時以 maxUses × amount 為額度
+      const single = await issueAs({ amount: "40" });
+      expect(single.status).to.equal(200);
+      expect(single.body.amountBudget).to.equal("40");
+      const defaulted = await issueAs({ amount: "40", maxUses: "5" });
+      expect(defaulted.status).to.equal(403);
+      expect(defaulted.body).to.deep.equal({
+        error: "amount budget ceiling exceeded",
+        code: "BUDGET_CEILING",
+        maxAmount: "100",
+      });
+
+      const unlimited = await issueAs({ amount: "40", maxUses: "5", amountBudget: "0" });
+      expect(unlimited.status).to.equal(403);
+      expect(unlimited.body.error).to.equal("amount budget required");
+      expect((await issueAs({ amount: "40", amountBudget: "1000" })).status).to.equal(403);
+
+      const bounded = await issueAs({ amount: "40", maxUses: "5", amountBudget: "100" });
+      expect(bounded.status).to.equal(200);
+      expect(bounded.body.maxUses).to.equal("5");
+      expect(bounded.body.amountBudget).to.equal("100");
+
+      // 共同簽署同樣比對額度
+      const now = Math.floor(Date.now() / 1000);
+      const cosign = (amountBudget) =>
+        asClient(bankC.apiKey, "POST", "/v1/cosign", {
+          chainId: chainId.toString(),
+          verifyingContract: wrapper.target,
+          proof: {
+            proofType: PROOF_TYPES.LOW,
+            credentialHash: ethers.hexlify(ethers.randomBytes(32)),
+            issuedAt: String(now - 60),
+            expiresAt: String(now + 600),
+            issuer: bankAIssuer,
+            subject: alice.address,
+            counterparty: ethers.ZeroAddress,
+            tokenId: "0",
+            maxAmount: "40",
+            maxUses: "5",
+            amountBudget,
+          },
+        });
+      expect((await cosign("0")).body.code).to.equal("BUDGET_CEILING");
+      expect((await cosign("200")).body.code).to.equal("BUDGET_CEILING");
+      expect((await cosign("100")).status).to.equal(200);
+    });
+
+    it("管理路由新增、更新與移除 client", async function () {
+      expect((await asAdmin("GET", "/admin/clients", undefined, "wrong")).status).to.equal(
+        401,
+      );
+
+      const created = await asAdmin("POST", "/admin/clients", {
+        name: "Bank C",
+        allowedProofTypes: ["AML_EDD"],
+      });
+      expect(created.status).to.equal(201);
+      expect(created.body.apiKey).to.match(/^gk_[0-9a-f]{48}$/);
+      expect(created.body.client).to.not.have.property("apiKeyHash");
+      const { id } = created.body.client;
+
+      const notAllowed = await asClient(
+        created.body.apiKey,
+        "POST",
+        "/v1/proofs",
+        issueBody(),
+      );
+      expect(notAllowed.status).to.equal(403);
+      expect(notAllowed.body.code).to.equal("PROOF_TYPE_NOT_ALLOWED");
+
+      const updated = await asAdmin("POST", `/admin/clients/${id}`, {
+        allowedProofTypes: ["AML_LOW", "AML_EDD"],
+      });
+      expect(updated.body.client.allowedProofTypes).to.deep.equal(["AML_LOW", "AML_EDD"]);
+      expect(
+        (await asClient(created.body.apiKey, "POST", "/v1/proofs", issueBody()))
+          .status,
+      ).to.equal(200);
+
+      const list = await asAdmin("GET", "/admin/clients");
+      expect(list.body.clients.map((c) => c.name)).to.include.members([
+        "Bank A",
+        "Bank B",
+        "Bank C",
+      ]);
+
+      expect((await asAdmin("DELETE", `/admin/clients/${id}`)).status).to.equal(200);
+      expect(
+        (await asClient(created.body.apiKey, "POST", "/v1/proofs", issueBody()))
+          .status,
+      ).to.equal(401);
+    });
+  });
+});
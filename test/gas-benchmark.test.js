@@ -2,6 +2,10 @@ const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const {
+  getPolicyManagerFactory,
+  getPolicyWrapperFactory,
+} = require("../scripts/libraries");
 
 /**
  * Gas Benchmark - 雙層合規架構成本量化
@@ -26,6 +30,11 @@ describe("Gas Benchmark - 雙層合規架構成本量化", function () {
 
   const results = [];
 
+  // 基線版本（a160e04）的穩態 gas：在該 commit 的 worktree 以同一組情境與工具鏈執行
+  // `npx hardhat test test/gas-benchmark.test.js` 量得（現行版本只多了合約需要的設定呼叫，量測的轉帳相同）
+  const BASELINE_COMMIT = "a160e04";
+  const BASELINE_GAS = { L0: 34137, L1: 93027, L2: 219523, L3: 355557, L4: 3594322 };
+
   async function measure(label, description, txFn) {
     const tx = await txFn();
     const receipt = await tx.wait();
@@ -161,8 +170,7 @@ describe("Gas Benchmark - 雙層合規架構成本量化", function () {
     const ace = await MockChainlinkACE.deploy();
     await ace.waitForDeployment();
 
-    const GL1PolicyManager =
-      await ethers.getContractFactory("GL1PolicyManager");
+    const GL1PolicyManager = await getPolicyManagerFactory();
     const manager = await GL1PolicyManager.deploy(
       await ace.getAddress(),
       await ccid.getAddress(),
@@ -174,8 +182,7 @@ describe("Gas Benchmark - 雙層合規架構成本量化", function () {
     const pbm = await PBMToken.deploy(owner.address);
     await pbm.waitForDeployment();
 
-    const GL1PolicyWrapper =
-      await ethers.getContractFactory("GL1PolicyWrapper");
+    const GL1PolicyWrapper = await getPolicyWrapperFactory();
     const wrapper = await GL1PolicyWrapper.deploy(
       JURISDICTION_TW,
       await manager.getAddress(),
@@ -185,6 +192,7 @@ describe("Gas Benchmark - 雙層合規架構成本量化", function () {
     await wrapper.waitForDeployment();
 
     await pbm.updateWrapper(await wrapper.getAddress());
+    await manager.grantRole(await manager.TRANSFER_REPORTER_ROLE(), await wrapper.getAddress());
     await manager.setJurisdictionEnabled(JURISDICTION_TW, true);
 
     const ruleAddrs = {};
@@ -200,12 +208,14 @@ describe("Gas Benchmark - 雙層合規架構成本量化", function () {
       const AML = await ethers.getContractFactory("AMLThresholdRule");
       const aml = await AML.deploy();
       await aml.waitForDeployment();
+      await aml.grantRole(await aml.POLICY_MANAGER_ROLE(), await manager.getAddress());
       ruleAddrs.AML = await aml.getAddress();
     }
     if (ruleNames.includes("FX")) {
       const FX = await ethers.getContractFactory("FXLimitRule");
       const fx = await FX.deploy(await ccid.getAddress());
       await fx.waitForDeployment();
+      await fx.grantRole(await fx.POLICY_MANAGER_ROLE(), await manager.getAddress());
       ruleAddrs.FX = await fx.getAddress();
     }
     if (ruleNames.includes("COLLATERAL")) {
@@ -279,6 +289,12 @@ describe("Gas Benchmark - 雙層合規架構成本量化", function () {
       issuedAt: Math.floor(Date.now() / 1000) - 3600,
       expiresAt: Math.floor(Date.now() / 1000) + 86400,
       issuer: ethers.ZeroAddress,
+      subject: ethers.ZeroAddress,
+      counterparty: ethers.ZeroAddress,
+      tokenId: 0,
+      maxAmount: 0,
+      maxUses: 0,
+      amountBudget: 0,
       signature: "0x",
     };
     await wrapper
@@ -424,6 +440,7 @@ describe("Gas Benchmark - 雙層合規架構成本量化", function () {
         prev && prev.gas > 0
           ? ((r.gas / prev.gas - 1) * 100).toFixed(2) + "%"
           : "—";
+      const atBaseline = BASELINE_GAS[r.label];
       return {
         level: r.label,
         description: r.description,
@@ -432,6 +449,8 @@ describe("Gas Benchmark - 雙層合規架構成本量化", function () {
         usd: usdCost(r.gas).toFixed(4),
         vsL0,
         vsPrev,
+        atBaseline,
+        vsBaseline: atBaseline ? ((r.gas / atBaseline - 1) * 100).toFixed(2) + "%" : "—",
       };
     });
 
@@ -462,19 +481,34 @@ describe("Gas Benchmark - 雙層合規架構成本量化", function () {
       );
     }
     md.push("");
+    md.push(`## 與基線版本（${BASELINE_COMMIT}）對照\n`);
+    md.push(
+      `基線數字是在 ${BASELINE_COMMIT} 的 worktree 以同一組情境與工具鏈執行本 benchmark 量得；現行版本只多了合約需要的設定呼叫（例如授予 TRANSFER_REPORTER_ROLE），量測的轉帳相同。差額為基線之後所有變更的淨效果，正值表示 gas 增加。`,
+    );
+    md.push("");
+    md.push(`| Level | ${BASELINE_COMMIT} | Current | Δ Gas | Δ % |`);
+    md.push("|-------|------:|--------:|------:|----:|");
+    for (const row of rows.filter((r) => r.atBaseline)) {
+      const delta = row.gas - row.atBaseline;
+      md.push(
+        `| ${row.level} | ${row.atBaseline.toLocaleString()} | ${row.gas.toLocaleString()} | ${delta > 0 ? "+" : ""}${delta.toLocaleString()} | ${delta > 0 ? "+" : ""}${row.vsBaseline} |`,
+      );
+    }
+    md.push("");
 
     const mdPath = path.join(__dirname, "..", "gas-benchmark-results.md");
     fs.writeFileSync(mdPath, md.join("\n"), "utf8");
 
     // ===== CSV =====
     const csv = [];
-    csv.push(`level,description,gas,eth_at_${GAS_PRICE_GWEI}gwei,usd_at_${ETH_PRICE_USD}usd_per_eth,vs_L0_pct,vs_prev_pct`);
+    csv.push(`level,description,gas,eth_at_${GAS_PRICE_GWEI}gwei,usd_at_${ETH_PRICE_USD}usd_per_eth,vs_L0_pct,vs_prev_pct,gas_at_baseline_${BASELINE_COMMIT},vs_baseline_pct`);
     for (const row of rows) {
       const vsL0Num = row.vsL0.endsWith("%") ? row.vsL0.slice(0, -1) : "";
       const vsPrevNum = row.vsPrev.endsWith("%") ? row.vsPrev.slice(0, -1) : "";
+      const vsBaselineNum = row.vsBaseline.endsWith("%") ? row.vsBaseline.slice(0, -1) : "";
       const desc = `"${row.description.replace(/"/g, '""')}"`;
       csv.push(
-        `${row.level},${desc},${row.gas},${row.eth},${row.usd},${vsL0Num},${vsPrevNum}`,
+        `${row.level},${desc},${row.gas},${row.eth},${row.usd},${vsL0Num},${vsPrevNum},${row.atBaseline || ""},${vsBaselineNum}`,
       );
     }
     const csvPath = path.join(__dirname, "..", "gas-benchmark-results.csv");
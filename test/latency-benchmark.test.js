@@ -5,13 +5,17 @@ const path = require("path");
 const http = require("http");
 const { performance } = require("perf_hooks");
 const { createServer } = require("../scripts/compliance-gateway");
+const {
+  getPolicyManagerFactory,
+  getPolicyWrapperFactory,
+} = require("../scripts/libraries");
 
 /**
  * Latency Benchmark — 合規架構延遲量化
  *
  * 對應論文 §4-X-2：補強 §2-8（鏈下與鏈上驗證權衡）的定量證據。
  *
- * 七個 case：
+ * 十個 case：
  *   M0：純 ERC-20 transfer                 → baseline
  *   M1：ERC-3643 transfer                  → 底層靜態合規
  *   M2：PBM safeTransferFrom, rules=1      → 外層動態合規
@@ -19,17 +23,22 @@ const { createServer } = require("../scripts/compliance-gateway");
  *   M4：PBM safeTransferFrom, rules=100    → 純鏈上壓力測試
  *   M5：wrap + ProofSet, AML=1k            → 鏈下檢驗
  *   M6：wrap + ProofSet, AML=1M            → 鏈下檢驗 worst-case
+ *   M6-linear：同 M6，gateway 改為全表掃描   → 對照名單查詢方式（O(N)）的影響
+ *   M7：ProofSet + 鏈上 1 條, rules=100     → 混合路徑（ComplianceRouter HYBRID）
+ *   M8：ProofSet + 鏈上 5 條, rules=100
  *
  * 量測方法：
  *   - 環境：Hardhat（in-process，去除區塊確認與 P2P 雜訊，隔離合規架構本身的延遲）
  *   - 指標：performance.now() 量 wall-clock，包含 tx 提交 → receipt 完整時間
- *   - 鏈下路徑（M5/M6）額外包含 HTTP roundtrip + server AML 比對 + ECDSA 簽章
+ *   - 鏈下與混合路徑（M5–M8）額外包含 HTTP roundtrip + server AML 比對 + ECDSA 簽章；
+ *     gateway 以預設的 Map 索引查詢名單，只有 M6-linear 使用 lookupMode "linear"
  *   - 統計：每個 case N=100，取中位數 + IQR (P25–P75)
  *   - 排除 outlier：報告 median 而非 mean，避免 GC / OS scheduler 偶發噪音污染
  */
 const N = 100;
 const SMALL_PORT = 8765;
 const LARGE_PORT = 8766;
+const LINEAR_PORT = 8767;
 const AML_SMALL = 1_000;
 const AML_LARGE = 1_000_000;
 
@@ -40,7 +49,7 @@ function postJSON(port, body) {
       {
         hostname: "127.0.0.1",
         port,
-        path: "/",
+        path: "/v1/proofs",
         method: "POST",
         headers: {
           "Content-Type": "application/json",
@@ -66,7 +75,7 @@ function postJSON(port, body) {
 }
 
 describe("Latency Benchmark — 合規架構延遲量化", function () {
-  this.timeout(1_800_000); // 30 min（M6 要產 1M AML 名單 + 100 次 wrap）
+  this.timeout(1_800_000); // 30 min（M6 / M6-linear 各要產 1M AML 名單 + 100 次 wrap）
 
   const JURISDICTION_TW = ethers.encodeBytes32String("TW");
   const TIER_STANDARD = ethers.keccak256(ethers.toUtf8Bytes("TIER_STANDARD"));
@@ -98,6 +107,16 @@ describe("Latency Benchmark — 合規架構延遲量化", function () {
     writeResults();
   });
 
+  // 每個 case 部署上百個合約、送出數百筆交易；逐 case 還原鏈上狀態，避免鏈上時間領先 gateway 的 ProofSet 效期
+  let snapshot;
+  beforeEach(async function () {
+    snapshot = await ethers.provider.send("evm_snapshot", []);
+  });
+
+  afterEach(async function () {
+    await ethers.provider.send("evm_revert", [snapshot]);
+  });
+
   function summarize(label, description, samples) {
     const sorted = [...samples].sort((a, b) => a - b);
     const at = (q) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * q))];
@@ -219,7 +238,7 @@ describe("Latency Benchmark — 合規架構延遲量化", function () {
     const ace = await MockChainlinkACE.deploy();
     await ace.waitForDeployment();
 
-    const GL1PolicyManager = await ethers.getContractFactory("GL1PolicyManager");
+    const GL1PolicyManager = await getPolicyManagerFactory();
     const manager = await GL1PolicyManager.deploy(
       await ace.getAddress(),
       await ccid.getAddress(),
@@ -231,7 +250,7 @@ describe("Latency Benchmark — 合規架構延遲量化", function () {
     const pbm = await PBMToken.deploy(owner.address);
     await pbm.waitForDeployment();
 
-    const GL1PolicyWrapper = await ethers.getContractFactory("GL1PolicyWrapper");
+    const GL1PolicyWrapper = await getPolicyWrapperFactory();
     const wrapper = await GL1PolicyWrapper.deploy(
       JURISDICTION_TW,
       await manager.getAddress(),
@@ -241,6 +260,7 @@ describe("Latency Benchmark — 合規架構延遲量化", function () {
     await wrapper.waitForDeployment();
 
     await pbm.updateWrapper(await wrapper.getAddress());
+    await manager.grantRole(await manager.TRANSFER_REPORTER_ROLE(), await wrapper.getAddress());
     await manager.setJurisdictionEnabled(JURISDICTION_TW, true);
 
     // 註冊 1 條基礎 WhitelistRule
@@ -281,6 +301,12 @@ describe("Latency Benchmark — 合規架構延遲量化", function () {
       issuedAt: Math.floor(Date.now() / 1000) - 3600,
       expiresAt: Math.floor(Date.now() / 1000) + 86400,
       issuer: ethers.ZeroAddress,
+      subject: ethers.ZeroAddress,
+      counterparty: ethers.ZeroAddress,
+      tokenId: 0,
+      maxAmount: 0,
+      maxUses: 0,
+      amountBudget: 0,
       signature: "0x",
     };
     await wrapper.connect(alice).wrap(AssetType.ERC20, await erc20.getAddress(), 0, wrapAmount, emptyProof);
@@ -328,7 +354,7 @@ describe("Latency Benchmark — 合規架構延遲量化", function () {
   });
 
   // ============================================================
-  // 共用：部署 PBM 環境（鏈下 ProofSet 路徑，M5/M6）
+  // 共用：部署 PBM 環境（鏈下 ProofSet 路徑，M5/M6；M7/M8 在此之上設定 ComplianceRouter）
   // 使用 safeTransferFromWithProof：alice 先持有 PBM（一次性 wrap），
   // 之後每筆 transfer 攜帶 ProofSet，wrapper 驗章後直接放行（跳過鏈上規則鏈）。
   // ============================================================
@@ -347,7 +373,7 @@ describe("Latency Benchmark — 合規架構延遲量化", function () {
     const ace = await MockChainlinkACE.deploy();
     await ace.waitForDeployment();
 
-    const GL1PolicyManager = await ethers.getContractFactory("GL1PolicyManager");
+    const GL1PolicyManager = await getPolicyManagerFactory();
     const manager = await GL1PolicyManager.deploy(
       await ace.getAddress(),
       await ccid.getAddress(),
@@ -361,7 +387,7 @@ describe("Latency Benchmark — 合規架構延遲量化", function () {
     await pbm.waitForDeployment();
 
     // 鏈下路徑：trustedSigner 設為 gateway wallet
-    const GL1PolicyWrapper = await ethers.getContractFactory("GL1PolicyWrapper");
+    const GL1PolicyWrapper = await getPolicyWrapperFactory();
     const wrapper = await GL1PolicyWrapper.deploy(
       JURISDICTION_TW,
       await manager.getAddress(),
@@ -370,6 +396,7 @@ describe("Latency Benchmark — 合規架構延遲量化", function () {
     );
     await wrapper.waitForDeployment();
     await pbm.updateWrapper(await wrapper.getAddress());
+    await manager.grantRole(await manager.TRANSFER_REPORTER_ROLE(), await wrapper.getAddress());
 
     // 一次性 setup：alice 暫時豁免合規 → wrap ERC20 取得 PBM → 解除豁免
     // 之後 alice 的 transfer 都走 safeTransferFromWithProof
@@ -387,6 +414,12 @@ describe("Latency Benchmark — 合規架構延遲量化", function () {
       issuedAt: Math.floor(Date.now() / 1000) - 3600,
       expiresAt: Math.floor(Date.now() / 1000) + 86400,
       issuer: ethers.ZeroAddress,
+      subject: ethers.ZeroAddress,
+      counterparty: ethers.ZeroAddress,
+      tokenId: 0,
+      maxAmount: 0,
+      maxUses: 0,
+      amountBudget: 0,
       signature: "0x",
     };
     await wrapper
@@ -396,13 +429,54 @@ describe("Latency Benchmark — 合規架構延遲量化", function () {
 
     const pbmTokenId = await wrapper.computePBMTokenId(AssetType.ERC20, await erc20.getAddress(), 0);
 
+    return { alice, bob, manager, wrapper, pbmTokenId };
+  }
+
+  // ============================================================
+  // 共用：部署 PBM 環境（混合路徑，M7/M8）
+  // 管轄區與 M4 相同掛 100 條規則，ComplianceRouter 設為 HYBRID：
+  // 前 onChainCount 條在鏈上執行，其餘由 ProofSet 涵蓋。
+  // ============================================================
+  async function deployHybridPBM(extraColdRules, onChainCount) {
+    const { alice, bob, manager, wrapper, pbmTokenId } = await deployOffChainPBM();
+
+    const Whitelist = await ethers.getContractFactory("WhitelistRule");
+    const ruleIds = [];
+    for (let i = 0; i <= extraColdRules; i++) {
+      const w = await Whitelist.deploy();
+      await w.waitForDeployment();
+      await w.addToWhitelist(bob.address, "Bob Shop " + i, "RETAIL");
+      const ruleId = ethers.keccak256(ethers.toUtf8Bytes("RULE_HYBRID_" + i));
+      await manager.registerRuleSet(ruleId, "HYBRID_" + i, true, await w.getAddress(), i + 1);
+      ruleIds.push(ruleId);
+    }
+    await manager.setJurisdictionRules(JURISDICTION_TW, ruleIds);
+
+    const ComplianceRouter = await ethers.getContractFactory("ComplianceRouter");
+    const router = await ComplianceRouter.deploy(await manager.getAddress());
+    await router.waitForDeployment();
+    const HYBRID = 2;
+    await router.setJurisdictionRoute(JURISDICTION_TW, HYBRID, ruleIds.slice(0, onChainCount));
+    await wrapper.setComplianceRouter(await router.getAddress());
+
     return { alice, bob, wrapper, pbmTokenId };
   }
 
   async function repeatTimedOffChain(label, description, port, alice, bob, wrapper, pbmTokenId) {
+    // ProofSet 綁定 alice → bob、此 tokenId 與此 wrapper 的 EIP-712 domain
+    const { chainId } = await ethers.provider.getNetwork();
+    const request = {
+      user: alice.address,
+      amount: "1",
+      counterparty: bob.address,
+      tokenId: pbmTokenId.toString(),
+      chainId: chainId.toString(),
+      verifyingContract: await wrapper.getAddress(),
+    };
+
     // 預熱：JIT + storage 開戶
     {
-      const proof = await postJSON(port, { user: alice.address, amount: "1" });
+      const proof = await postJSON(port, request);
       await (
         await wrapper
           .connect(alice)
@@ -413,7 +487,7 @@ describe("Latency Benchmark — 合規架構延遲量化", function () {
     const samples = [];
     for (let i = 0; i < N; i++) {
       const t0 = performance.now();
-      const proof = await postJSON(port, { user: alice.address, amount: "1" });
+      const proof = await postJSON(port, request);
       const tx = await wrapper
         .connect(alice)
         .safeTransferFromWithProof(alice.address, bob.address, pbmTokenId, 1n, proof);
@@ -456,6 +530,63 @@ describe("Latency Benchmark — 合規架構延遲量化", function () {
     );
   });
 
+  // ============================================================
+  // M6-linear: 同 M6，gateway 以全表掃描查詢名單（對照組）
+  // 只在這個 case 啟動，避免與 large server 同時持有兩份 1M 名單
+  // ============================================================
+  it("M6-linear: safeTransferFromWithProof (鏈下檢驗, AML=1M, 全表掃描)", async function () {
+    const linearServer = createServer(gatewayWallet.privateKey, AML_LARGE, {
+      lookupMode: "linear",
+    });
+    await new Promise((r) => linearServer.listen(LINEAR_PORT, r));
+    try {
+      const { alice, bob, wrapper, pbmTokenId } = await deployOffChainPBM();
+      await repeatTimedOffChain(
+        "M6-linear",
+        "safeTransferFromWithProof — 鏈下檢驗 (AML 名單=1,000,000, gateway 全表掃描)",
+        LINEAR_PORT,
+        alice,
+        bob,
+        wrapper,
+        pbmTokenId,
+      );
+    } finally {
+      await new Promise((r) => linearServer.close(r));
+    }
+  });
+
+  // ============================================================
+  // M7: 混合路徑（ProofSet + 鏈上 1 條，管轄區 rules=100）
+  // ============================================================
+  it("M7: safeTransferFromWithProof (混合路徑, 鏈上 1 條 / rules=100)", async function () {
+    const { alice, bob, wrapper, pbmTokenId } = await deployHybridPBM(99, 1);
+    await repeatTimedOffChain(
+      "M7",
+      "safeTransferFromWithProof — 混合路徑 (鏈上 1 條 + ProofSet 涵蓋其餘 99 條, AML 名單=1,000)",
+      SMALL_PORT,
+      alice,
+      bob,
+      wrapper,
+      pbmTokenId,
+    );
+  });
+
+  // ============================================================
+  // M8: 混合路徑（ProofSet + 鏈上 5 條，管轄區 rules=100）
+  // ============================================================
+  it("M8: safeTransferFromWithProof (混合路徑, 鏈上 5 條 / rules=100)", async function () {
+    const { alice, bob, wrapper, pbmTokenId } = await deployHybridPBM(99, 5);
+    await repeatTimedOffChain(
+      "M8",
+      "safeTransferFromWithProof — 混合路徑 (鏈上 5 條 + ProofSet 涵蓋其餘 95 條, AML 名單=1,000)",
+      SMALL_PORT,
+      alice,
+      bob,
+      wrapper,
+      pbmTokenId,
+    );
+  });
+
   // ============================================================
   // 收尾：產出 markdown + CSV
   // ============================================================
@@ -465,7 +596,7 @@ describe("Latency Benchmark — 合規架構延遲量化", function () {
       return;
     }
 
-    const order = ["M0", "M1", "M2", "M3", "M4", "M5", "M6"];
+    const order = ["M0", "M1", "M2", "M3", "M4", "M5", "M6", "M6-linear", "M7", "M8"];
     const ordered = order.map((lab) => results.find((r) => r.label === lab)).filter(Boolean);
 
     const baseline = ordered.find((r) => r.label === "M0");
@@ -479,16 +610,16 @@ describe("Latency Benchmark — 合規架構延遲量化", function () {
       "- **量測環境**：Hardhat（in-process EVM）。本實驗量測合規架構引入的執行時間，**不含區塊確認時間**——區塊時間屬底層鏈特性（Ethereum L1 ~12s、L2 ~2s），與本研究探討的合規架構設計無關，且對所有路徑為共同常數，不影響相對比較。",
     );
     md.push(
-      "- **指標**：`performance.now()` 量 wall-clock，從 tx 提交到 receipt 完整時間。鏈下路徑（M5/M6）額外包含 HTTP roundtrip + server AML 比對 + ECDSA 簽章。",
+      "- **指標**：`performance.now()` 量 wall-clock，從 tx 提交到 receipt 完整時間。鏈下與混合路徑（M5–M8）額外包含 HTTP roundtrip + server AML 比對 + ECDSA 簽章；gateway 以預設的 Map 索引查詢名單，M6-linear 為改用全表掃描（`lookupMode: \"linear\"`）的對照組。",
     );
     md.push(
       `- **統計方法**：每個 case 預熱 1 次後跑 N=${N} 次，報中位數 (median) 與 IQR (P25–P75)。採中位數而非平均，避免 GC、OS scheduler 偶發 outlier 污染。`,
     );
     md.push(
-      "- **架構分層**：M1 量測底層靜態合規（ERC-3643）；M2/M3/M4 量測純鏈上動態合規（規則鏈執行）；M5/M6 量測鏈下檢驗（ProofSet 機制）。",
+      "- **架構分層**：M1 量測底層靜態合規（ERC-3643）；M2/M3/M4 量測純鏈上動態合規（規則鏈執行）；M5/M6 量測鏈下檢驗（ProofSet 機制）；M7/M8 量測混合路徑（ComplianceRouter HYBRID：指定規則在鏈上執行，ProofSet 涵蓋其餘）。",
     );
     md.push(
-      "- **與 Gas Benchmark 對應**：M0↔L0（純 ERC-20）、M1↔L1（ERC-3643）、M2↔L2、M3↔L3、M4↔L4；M5/M6 為鏈下路徑，gas benchmark 無對應 case。",
+      "- **與 Gas Benchmark 對應**：M0↔L0（純 ERC-20）、M1↔L1（ERC-3643）、M2↔L2、M3↔L3、M4↔L4；M5–M8 為鏈下與混合路徑，gas benchmark 無對應 case。",
     );
     md.push("");
     md.push(
@@ -512,11 +643,17 @@ describe("Latency Benchmark — 合規架構延遲量化", function () {
       "- **M2 → M3 → M4**：純鏈上路徑隨規則數成長（線性 / 近線性），規則越多延遲越大。",
     );
     md.push(
-      "- **M5 ≈ M6**：鏈下路徑不論 AML 名單從 1k 放大到 1M，鏈上仍只 `_verifyProofSet()` 驗一次章，鏈上耗時近乎不變；HTTP + server 計算為主要成本。",
+      "- **M5 ≈ M6**：鏈下路徑不論 AML 名單從 1k 放大到 1M，鏈上仍只驗一次 ProofSet 簽章，鏈上耗時近乎不變；gateway 以索引查詢名單，HTTP + 簽章為主要成本。",
+    );
+    md.push(
+      "- **M6 vs M6-linear**：同樣 1M 筆名單，gateway 改為全表掃描時每次簽發多出 O(N) 的比對時間；名單大小只影響鏈下成本，鏈上部分與 M6 相同。",
     );
     md.push(
       "- **Crossover 點**：當鏈上規則數超過某門檻，純鏈上延遲 > 鏈下延遲。此即論文 §2-8 「鏈下與鏈上驗證權衡」 的定量支持點。",
     );
+    md.push(
+      "- **M4 vs M7 / M8**：同樣 100 條規則，混合路徑只在鏈上執行指定的規則，延遲取決於鏈上規則數而非管轄區規則總數（1 → 5 條只增加數毫秒），落在 M5 與 M4 之間；轉帳後的規則記帳仍涵蓋全部規則。",
+    );
     md.push("");
 
     const mdPath = path.join(__dirname, "..", "latency-benchmark-results.md");
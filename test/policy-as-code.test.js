@@ -0,0 +1,235 @@
+const { expect } = require("chai");
+const path = require("path");
+const { ethers } = require("hardhat");
+const {
+  applyPlan,
+  formatPlan,
+  loadPolicy,
+  normalizePolicy,
+  planPolicy,
+} = require("../scripts/policy-as-code");
+const {
+  getPolicyManagerFactory,
+  getPolicyWrapperFactory,
+} = require("../scripts/libraries");
+
+const EXAMPLE_POLICY = path.join(__dirname, "..", "docs", "policies", "sg.example.yaml");
+
+describe("Policy as Code（宣告式政策檔）", function () {
+  let policyManager;
+  let wrapper;
+  let whitelist;
+  let fxLimit;
+  let fxProvider;
+  let twd;
+  let sgd;
+
+  let owner;
+  let merchant;
+  let otherMerchant;
+  let outsider;
+
+  const JURISDICTION_SG = ethers.encodeBytes32String("SG");
+  const RULE_WHITELIST = ethers.keccak256(ethers.toUtf8Bytes("RULE_WHITELIST"));
+  const RULE_FX = ethers.keccak256(ethers.toUtf8Bytes("RULE_FX"));
+
+  async function vars() {
+    return {
+      POLICY_MANAGER: await policyManager.getAddress(),
+      POLICY_WRAPPER: await wrapper.getAddress(),
+      WHITELIST_RULE: await whitelist.getAddress(),
+      FX_LIMIT_RULE: await fxLimit.getAddress(),
+      FX_PROVIDER: await fxProvider.getAddress(),
+      TWD_TOKEN: await twd.getAddress(),
+      SGD_TOKEN: await sgd.getAddress(),
+      MERCHANT: merchant.address,
+    };
+  }
+
+  async function plan(policy, options = {}) {
+    return planPolicy({ provider: ethers.provider, policy, ...options });
+  }
+
+  beforeEach(async function () {
+    [owner, merchant, otherMerchant, outsider] = await ethers.getSigners();
+
+    const CCIDRegistry = await ethers.getContractFactory("CCIDRegistry");
+    const ccidRegistry = await CCIDRegistry.deploy();
+    await ccidRegistry.waitForDeployment();
+
+    const GL1PolicyManager = await getPolicyManagerFactory();
+    policyManager = await GL1PolicyManager.deploy(
+      owner.address,
+      await ccidRegistry.getAddress(),
+      owner.address,
+    );
+    await policyManager.waitForDeployment();
+
+    const PBMToken = await ethers.getContractFactory("PBMToken");
+    const pbmToken = await PBMToken.deploy(owner.address);
+    await pbmToken.waitForDeployment();
+
+    const GL1PolicyWrapper = await getPolicyWrapperFactory();
+    wrapper = await GL1PolicyWrapper.deploy(
+      JURISDICTION_SG,
+      await policyManager.getAddress(),
+      await pbmToken.getAddress(),
+      owner.address,
+    );
+    await wrapper.waitForDeployment();
+
+    const WhitelistRule = await ethers.getContractFactory("WhitelistRule");
+    whitelist = await WhitelistRule.deploy();
+    const FXLimitRule = await ethers.getContractFactory("FXLimitRule");
+    fxLimit = await FXLimitRule.deploy(await ccidRegistry.getAddress());
+    const MockFXRateProvider = await ethers.getContractFactory("MockFXRateProvider");
+    fxProvider = await MockFXRateProvider.deploy();
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    twd = await MockERC20.deploy("Mock TWDT", "MTWDT");
+    sgd = await MockERC20.deploy("Mock XSGD", "MXSGD");
+    await Promise.all(
+      [whitelist, fxLimit, fxProvider, twd, sgd].map((contract) => contract.waitForDeployment()),
+    );
+  });
+
+  it("依範例政策檔收斂鏈上配置，再次比對時沒有變更", async function () {
+    const policy = loadPolicy(EXAMPLE_POLICY, { vars: await vars() });
+
+    const first = await plan(policy);
+    expect(first.conflicts).to.deep.equal([]);
+    expect(first.actions.map((action) => action.method)).to.deep.equal([
+      "registerRuleSet",
+      "registerRuleSet",
+      "setJurisdictionRules",
+      "addToWhitelist",
+      "setDailyLimit",
+      "setFXRateProvider",
+      "setAssetCurrency",
+      "setAssetCurrency",
+      "setFXEnabled",
+      "grantRole",
+    ]);
+    expect(formatPlan(first)).to.include("register rule set RULE_WHITELIST");
+
+    await applyPlan(first, owner);
+
+    expect((await policyManager.ruleSets(RULE_FX)).executorAddress).to.equal(await fxLimit.getAddress());
+    expect(await policyManager.getJurisdictionRuleCount(JURISDICTION_SG)).to.equal(2);
+    expect(await policyManager.jurisdictionEnabled(JURISDICTION_SG)).to.equal(true);
+    expect(await whitelist.isWhitelisted(merchant.address)).to.equal(true);
+    expect(await fxLimit.dailyLimit()).to.equal(ethers.parseEther("1000"));
+    expect(await wrapper.fxEnabled()).to.equal(true);
+    expect(await wrapper.assetCurrency(await twd.getAddress())).to.equal(
+      ethers.keccak256(ethers.toUtf8Bytes("TWD")),
+    );
+    expect(
+      await fxLimit.hasRole(await fxLimit.POLICY_MANAGER_ROLE(), await policyManager.getAddress()),
+    ).to.equal(true);
+
+    const second = await plan(policy);
+    expect(second.actions).to.deep.equal([]);
+    expect(formatPlan(second)).to.include("No changes");
+  });
+
+  it("偵測漂移：白名單、參數、管轄區狀態與角色；規則集設定不同時列為衝突", async function () {
+    const raw = {
+      contracts: { policyManager: await policyManager.getAddress() },
+      rules: {
+        RULE_WHITELIST: {
+          type: "WHITELIST",
+          address: await whitelist.getAddress(),
+          priority: 1,
+          whitelist: [{ address: merchant.address, name: "Singapore Coffee", category: "F&B" }],
+        },
+      },
+      jurisdictions: { SG: { rules: ["RULE_WHITELIST"] } },
+      roles: {
+        RULE_WHITELIST: { WHITELIST_ADMIN_ROLE: [owner.address] },
+      },
+    };
+    await applyPlan(await plan(normalizePolicy(raw)), owner);
+
+    // 鏈上被手動改動
+    await whitelist.addToWhitelist(otherMerchant.address, "Unlisted", "Retail");
+    await whitelist.removeFromWhitelist(merchant.address);
+    await policyManager.setJurisdictionEnabled(JURISDICTION_SG, false);
+    await whitelist.grantRole(await whitelist.WHITELIST_ADMIN_ROLE(), outsider.address);
+    await policyManager.registerRuleSet(RULE_FX, "FX_LIMIT", true, await fxLimit.getAddress(), 2);
+
+    const drift = await plan(normalizePolicy(raw));
+    expect(drift.actions.map((action) => action.description)).to.deep.equal([
+      "enable jurisdiction SG",
+      `RULE_WHITELIST: whitelist ${merchant.address} (Singapore Coffee)`,
+      `RULE_WHITELIST: remove ${otherMerchant.address}`,
+      `RULE_WHITELIST: revoke WHITELIST_ADMIN_ROLE from ${outsider.address}`,
+    ]);
+    expect(drift.unmanaged).to.deep.equal([`rule set ${RULE_FX} (FX_LIMIT)`]);
+
+    // 規則集註冊後不可修改
+    raw.rules.RULE_WHITELIST.priority = 5;
+    const conflicting = await plan(normalizePolicy(raw));
+    expect(conflicting.conflicts).to.have.length(1);
+    expect(conflicting.conflicts[0]).to.include("priority 1 → 5");
+
+    raw.rules.RULE_WHITELIST.priority = 1;
+    await applyPlan(drift, owner);
+    expect((await plan(normalizePolicy(raw))).actions).to.deep.equal([]);
+  });
+
+  it("設定 timelock 時 Policy Manager 的變更改為排程，排隊中的變更不重複排程", async function () {
+    const snapshot = await ethers.provider.send("evm_snapshot", []);
+
+    const PolicyTimelock = await ethers.getContractFactory("PolicyTimelock");
+    const timelock = await PolicyTimelock.deploy(await policyManager.getAddress(), 3600);
+    await timelock.waitForDeployment();
+    await policyManager.setTimelock(await timelock.getAddress());
+
+    const policy = normalizePolicy({
+      contracts: {
+        policyManager: await policyManager.getAddress(),
+        timelock: await timelock.getAddress(),
+      },
+      rules: {
+        RULE_WHITELIST: { type: "WHITELIST", address: await whitelist.getAddress(), priority: 1 },
+      },
+      jurisdictions: { SG: { rules: ["RULE_WHITELIST"] } },
+    });
+
+    const first = await plan(policy);
+    expect(first.actions.map((action) => [action.via, action.method])).to.deep.equal([
+      ["timelock", "propose"],
+      ["timelock", "propose"],
+    ]);
+    await applyPlan(first, owner);
+    expect((await policyManager.ruleSets(RULE_WHITELIST)).isActive).to.equal(false);
+
+    const pending = await plan(policy);
+    expect(pending.actions).to.deep.equal([]);
+    expect(pending.queued).to.have.length(2);
+
+    await ethers.provider.send("evm_increaseTime", [3600 + 300]);
+    await ethers.provider.send("evm_mine", []);
+    const proposed = await timelock.queryFilter(timelock.filters.ChangeProposed());
+    for (const log of proposed) await timelock.execute(log.args.changeId);
+
+    expect(await policyManager.getJurisdictionRuleCount(JURISDICTION_SG)).to.equal(1);
+    const settled = await plan(policy);
+    expect(settled.actions).to.deep.equal([]);
+    expect(settled.queued).to.deep.equal([]);
+
+    await ethers.provider.send("evm_revert", [snapshot]);
+  });
+
+  it("政策檔引用未定義的規則或變數時拒絕載入", async function () {
+    expect(() =>
+      normalizePolicy({
+        contracts: { policyManager: owner.address },
+        jurisdictions: { SG: { rules: ["RULE_MISSING"] } },
+      }),
+    ).to.throw("references unknown rule RULE_MISSING");
+
+    expect(() => loadPolicy(EXAMPLE_POLICY, { vars: {} })).to.throw(
+      "variable POLICY_MANAGER is not set",
+    );
+  });
+});